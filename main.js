@@ -1,6 +1,7 @@
 const { app, BrowserWindow, Menu, ipcMain, dialog } = require('electron');
 const { Worker } = require('worker_threads');
 const path = require('path');
+const fs = require('fs');
 const { autoUpdater } = require('electron-updater');
 
 // Import shared configuration
@@ -81,6 +82,7 @@ class UploadWorkerPool {
     this.queue = [];
     this.activeJobs = new Map();
     this.jobIdCounter = 0;
+    this.uploadStateDir = path.join(app.getPath('userData'), 'upload-state'); // Interrupted multipart uploads
     
     // Create worker pool
     for (let i = 0; i < poolSize; i++) {
@@ -96,7 +98,7 @@ class UploadWorkerPool {
     console.log(`Worker path: ${workerPath}`);
     
     const worker = new Worker(workerPath, {
-      workerData: { workerId: id }
+      workerData: { workerId: id, uploadStateDir: this.uploadStateDir }
     });
     
     worker.on('message', (message) => {
@@ -260,174 +262,307 @@ class UploadWorkerPool {
 // Global upload worker pool
 let uploadWorkerPool;
 
-// Simple Import Worker Manager
+// Import Worker Manager
+// Every import job runs in its own worker, so several cards import at the same time
 class ImportWorkerManager {
   constructor() {
-    this.worker = null;
-    this.isImporting = false;
-    this.currentResolve = null;
-    this.currentReject = null;
+    this.jobs = new Map(); // jobId -> { id, worker, isBackgroundTask, importSettings, sourcePaths, cameraBody, completing, resolve, reject }
+    this.nextWorkerId = 0;
+    this.journalDir = path.join(app.getPath('userData'), 'import-journals');
+    this.catalogPath = path.join(app.getPath('userData'), 'archive-catalog.jsonl');
     
     console.log('Import worker manager initialized');
   }
   
-  createWorker() {
-    if (this.worker) {
-      console.log('Import worker already exists');
-      return;
-    }
+  get isImporting() {
+    return Array.from(this.jobs.values()).some(job => !job.isBackgroundTask);
+  }
+  
+  createJob(isBackgroundTask = false) {
+    const workerId = this.nextWorkerId++;
+    const job = {
+      id: `job-${Date.now()}-${workerId}`,
+      worker: null,
+      isBackgroundTask, // Previews and catalog rebuilds only return their result
+      importSettings: null,
+      sourcePaths: [],
+      cameraBody: null,
+      completing: null,
+      resolve: null,
+      reject: null
+    };
     
-    console.log('Creating import worker...');
+    console.log(`Creating import worker ${workerId} for ${job.id}...`);
     const workerPath = path.join(__dirname, 'workers', 'import-worker-main.js');
     
-    this.worker = new Worker(workerPath, {
-      workerData: { workerId: 0 }
+    job.worker = new Worker(workerPath, {
+      workerData: { workerId, jobId: job.id, appVersion: app.getVersion() }
     });
     
-    this.worker.on('message', (message) => {
-      this.handleWorkerMessage(message);
+    job.worker.on('message', (message) => {
+      this.handleWorkerMessage(job, message);
     });
     
-    this.worker.on('error', (error) => {
-      console.error('Import worker error:', error);
-      this.handleWorkerError(error);
+    job.worker.on('error', (error) => {
+      console.error(`Import worker ${workerId} error:`, error);
+      this.handleWorkerError(job, error);
     });
     
-    this.worker.on('exit', (code) => {
-      console.log(`Import worker exited with code ${code}`);
-      this.worker = null;
-      this.isImporting = false;
+    job.worker.on('exit', (code) => {
+      console.log(`Import worker ${workerId} exited with code ${code}`);
+      this.jobs.delete(job.id);
     });
     
-    console.log('Import worker created successfully');
+    this.jobs.set(job.id, job);
+    return job;
+  }
+  
+  finishJob(job) {
+    this.jobs.delete(job.id);
+    job.worker.terminate();
   }
   
-  async startImport(importSettings) {
-    if (this.isImporting) {
-      throw new Error('Import already in progress');
+  /**
+   * Start an import job, or add the card to a running job of the same camera body
+   * @param {Object} importSettings - Import settings, null when resuming
+   * @param {string} resumeJobId - Journal of an interrupted import to resume
+   * @returns {Promise<{jobId: string, combined: boolean}>} Job the card is imported by
+   */
+  async startImport(importSettings, resumeJobId = null) {
+    const sourcePath = importSettings
+      ? importSettings.sourcePath
+      : (this.getUnfinishedImports().find(summary => summary.id === resumeJobId) || {}).sourcePath;
+    
+    const getRunningJobs = () => Array.from(this.jobs.values()).filter(job => !job.isBackgroundTask);
+    if (sourcePath && getRunningJobs().some(job => job.sourcePaths.includes(sourcePath))) {
+      throw new Error(`${sourcePath} is already being imported`);
+    }
+    
+    // Both slots of one camera body feed the same job, the other slot may have started meanwhile
+    let cameraBody = null;
+    if (importSettings?.combineCameraSlots && sourcePath) {
+      cameraBody = await identifyCameraBody(sourcePath);
+      const sameBody = cameraBody && getRunningJobs().find(job => job.cameraBody?.key === cameraBody.key);
+      if (sameBody) {
+        sameBody.sourcePaths.push(sourcePath);
+        sameBody.worker.postMessage({ type: 'add-source', sourcePath });
+        this.sendImportUpdate({ type: 'source-added', jobId: sameBody.id, sourcePath });
+        return { jobId: sameBody.id, combined: true };
+      }
     }
     
-    this.createWorker();
-    this.isImporting = true;
+    const job = this.createJob();
+    job.importSettings = importSettings;
+    job.sourcePaths.push(sourcePath);
+    job.cameraBody = cameraBody;
+    
+    this.sendImportUpdate({
+      type: 'started',
+      jobId: job.id,
+      sourcePath,
+      cameraBody,
+      resumed: resumeJobId !== null
+    });
+    
+    job.worker.postMessage({
+      type: 'start-import',
+      importSettings,
+      journalDir: this.journalDir,
+      catalogPath: this.catalogPath,
+      resumeJobId
+    });
+    
+    return { jobId: job.id, combined: false };
+  }
+  
+  runBackgroundTask(message) {
+    const job = this.createJob(true);
     
     return new Promise((resolve, reject) => {
-      this.currentResolve = resolve;
-      this.currentReject = reject;
-      
-      this.worker.postMessage({
-        type: 'start-import',
-        importSettings
-      });
+      job.resolve = resolve;
+      job.reject = reject;
+      job.worker.postMessage(message);
     });
   }
   
-  stopImport() {
-    console.log(`Stopping import... isImporting: ${this.isImporting}, worker exists: ${!!this.worker}`);
+  async previewImport(importSettings) {
+    return this.runBackgroundTask({
+      type: 'preview-import',
+      importSettings,
+      catalogPath: this.catalogPath
+    });
+  }
+  
+  /**
+   * Verify an archive folder against its import manifests and the archive catalog
+   * Runs as a job of its own with progress, log and stop, like an import.
+   * @param {string} rootPath - Archive folder
+   * @returns {{jobId: string}} Verify job
+   */
+  verifyArchive(rootPath) {
+    const job = this.createJob();
+    
+    this.sendImportUpdate({ type: 'started', jobId: job.id, kind: 'verify', rootPath });
+    
+    job.worker.postMessage({
+      type: 'verify-archive',
+      rootPath,
+      catalogPath: this.catalogPath
+    });
     
-    // Always send cancel message to worker if it exists, regardless of isImporting flag
-    if (this.worker) {
-      console.log('Sending cancel-import message to worker');
-      this.worker.postMessage({
+    return { jobId: job.id };
+  }
+  
+  async rebuildCatalog(rootPath, algorithm) {
+    return this.runBackgroundTask({
+      type: 'rebuild-catalog',
+      catalogPath: this.catalogPath,
+      rootPath,
+      algorithm
+    });
+  }
+  
+  async resumeImport(jobId) {
+    return this.startImport(null, jobId);
+  }
+  
+  getUnfinishedImports() {
+    return ImportJournal.list(this.journalDir);
+  }
+  
+  discardImport(jobId) {
+    ImportJournal.remove(this.journalDir, jobId);
+  }
+  
+  /**
+   * Stop an import job, or every job when no id is given
+   * @param {string} jobId - Job to stop
+   */
+  stopImport(jobId = null) {
+    const jobs = jobId ? [this.jobs.get(jobId)].filter(Boolean) : Array.from(this.jobs.values());
+    console.log(`Stopping ${jobId || 'all imports'}, ${jobs.length} running`);
+    
+    // The worker answers with 'cancelled' and finishes the copies in flight
+    for (const job of jobs) {
+      console.log(`Sending cancel-import message to ${job.id}`);
+      job.worker.postMessage({
         type: 'cancel-import'
       });
-    } else {
-      console.log('No worker to send cancel message to');
     }
-    
-    // Don't set isImporting to false here - let the worker response handle it
   }
   
-  handleWorkerMessage(message) {
+  handleWorkerMessage(job, message) {
     const { type } = message;
     
-    console.log('Import worker message:', type);
+    console.log(`Import worker message (${job.id}):`, type);
     
-    if (type === 'progress' || type === 'log') {
-      // Forward progress and log updates to renderer
-      this.sendImportUpdate(message);
+    if (job.isBackgroundTask) {
+      this.handleBackgroundMessage(job, message);
       return;
     }
     
-    if (type === 'upload-ready') {
-      // Handle upload queue from import
-      this.handleUploadReady(message);
-      return;
-    }
-    
-    if (type === 'completed') {
-      this.isImporting = false;
-      this.sendImportUpdate(message);
-      if (this.currentResolve) {
-        this.currentResolve(message.result);
-        this.currentResolve = null;
-        this.currentReject = null;
-      }
-    }
-    
-    if (type === 'error') {
-      this.isImporting = false;
-      this.sendImportUpdate(message);
-      if (this.currentReject) {
-        this.currentReject(new Error(message.error));
-        this.currentResolve = null;
-        this.currentReject = null;
-      }
-    }
-    
-    if (type === 'cancelled') {
-      this.isImporting = false;
-      this.sendImportUpdate(message);
-      if (this.currentResolve) {
-        this.currentResolve({ status: 'cancelled' });
-        this.currentResolve = null;
-        this.currentReject = null;
-      }
+    switch (type) {
+      case 'upload-ready':
+        // Handle upload queue from import
+        this.handleUploadReady(job, message);
+        break;
+      case 'completed':
+        job.completing = this.handleCompleted(job, message);
+        break;
+      case 'source-rejected':
+        this.handleSourceRejected(job, message);
+        break;
+      case 'finished':
+        // Ejecting the card may still be running, the job ends after it
+        Promise.resolve(job.completing).then(() => {
+          this.finishJob(job);
+          this.sendImportUpdate({ type: 'finished', jobId: job.id });
+        });
+        break;
+      default:
+        // Progress, log, error and cancelled updates go to the job's panel
+        this.sendImportUpdate({ ...message, jobId: job.id });
     }
   }
   
-  handleUploadReady(message) {
-    const { filePaths, count, importSettings } = message;
-    console.log(`Import worker: ${count} files ready for upload`);
-    
-    // Determine which upload services are enabled
-    const uploadServices = [];
+  handleBackgroundMessage(job, message) {
+    const { type } = message;
     
-    if (importSettings?.uploadToZenTransfer) {
-      uploadServices.push({ type: 'zentransfer', name: 'ZenTransfer' });
+    // Progress and log updates of background tasks are not shown
+    if (type === 'progress' || type === 'log') {
+      return;
     }
     
-    if (importSettings?.uploadToAwsS3) {
-      uploadServices.push({ type: 'aws-s3', name: 'AWS S3' });
+    if (type === 'preview-ready' || type === 'catalog-rebuilt') {
+      job.resolve(type === 'preview-ready' ? message.plan : message.result);
+    } else if (type === 'error') {
+      job.reject(new Error(message.error));
+    } else if (type === 'cancelled') {
+      job.resolve({ status: 'cancelled' });
+    } else {
+      return;
     }
     
-    if (importSettings?.uploadToAzure) {
-      uploadServices.push({ type: 'azure-blob', name: 'Azure Blob Storage' });
+    this.finishJob(job);
+  }
+  
+  handleSourceRejected(job, message) {
+    // The job finished before the other slot arrived, import it on its own
+    job.sourcePaths = job.sourcePaths.filter(sourcePath => sourcePath !== message.sourcePath);
+    this.startImport({ ...job.importSettings, sourcePath: message.sourcePath, combineCameraSlots: false })
+      .catch(error => {
+        console.error('Failed to import card slot:', error);
+        this.sendImportUpdate({ type: 'log', jobId: job.id, message: `✗ Could not import ${message.sourcePath}: ${error.message}` });
+      });
+  }
+  
+  async handleCompleted(job, message) {
+    // Eject each card once the worker confirmed every file is verified on enough destinations
+    for (const cardRelease of message.result?.cardReleases || []) {
+      if (cardRelease.eject) {
+        await this.ejectCard(job, cardRelease.sourcePath);
+      }
     }
     
-    if (importSettings?.uploadToGcp) {
-      uploadServices.push({ type: 'gcp-storage', name: 'Google Cloud Storage' });
+    this.sendImportUpdate({ ...message, jobId: job.id });
+  }
+  
+  async ejectCard(job, sourcePath) {
+    try {
+      const mountPoint = findMountPoint(sourcePath);
+      this.sendImportUpdate({ type: 'log', jobId: job.id, message: `Ejecting card ${mountPoint}...` });
+      await ejectVolume(mountPoint);
+      this.sendImportUpdate({ type: 'log', jobId: job.id, message: `✓ Card ejected, it is safe to remove ${mountPoint}` });
+    } catch (error) {
+      console.error('Failed to eject card:', error);
+      this.sendImportUpdate({ type: 'log', jobId: job.id, message: `✗ Could not eject card: ${error.message}` });
     }
+  }
+  
+  handleUploadReady(job, message) {
+    const { filePaths, remoteNames, count, uploadServices, importSettings } = message;
+    console.log(`Import worker: ${count} files ready for upload to ${uploadServices.map(s => s.name).join(', ')}`);
     
-    console.log(`Upload services enabled: ${uploadServices.map(s => s.name).join(', ')}`);
-    
-    // Forward to renderer for upload manager integration
+    // Forward to renderer for upload manager integration, each cloud destination of the import sends its own files
     this.sendImportUpdate({
       type: 'upload-ready',
+      jobId: job.id,
       filePaths,
+      remoteNames,
       count,
       uploadServices,
       importSettings  // Pass import settings to renderer
     });
   }
   
-  handleWorkerError(error) {
-    console.error('Import worker error:', error);
-    this.isImporting = false;
-    if (this.currentReject) {
-      this.currentReject(error);
-      this.currentResolve = null;
-      this.currentReject = null;
+  handleWorkerError(job, error) {
+    if (job.isBackgroundTask) {
+      job.reject(error);
+    } else {
+      this.sendImportUpdate({ type: 'error', jobId: job.id, error: error.message });
+      this.sendImportUpdate({ type: 'finished', jobId: job.id });
     }
+    this.finishJob(job);
   }
   
   sendImportUpdate(updateData) {
@@ -443,8 +578,31 @@ let importWorkerPool;
 
 // Upload Service Manager
 const { UploadServiceManager } = require(path.join(__dirname, 'workers', 'upload-service-manager.js'));
+const { previewFileNames, previewFolderPaths } = require(path.join(__dirname, 'workers', 'import', 'import-preview.js'));
+const { formatPlanCsv } = require(path.join(__dirname, 'workers', 'import', 'import-plan.js'));
+const { ImportJournal } = require(path.join(__dirname, 'workers', 'import', 'import-journal.js'));
+const { identifyCameraBody } = require(path.join(__dirname, 'workers', 'import', 'camera-body.js'));
 let uploadServiceManager;
 
+// Memory card watcher
+const { VolumeWatcher, CardAction, matchPreset, findMountPoint, ejectVolume } = require(path.join(__dirname, 'workers', 'import', 'volume-watcher.js'));
+let volumeWatcher;
+let cardPresets = []; // Import presets with card rules, sent by the renderer
+
+function handleCardMounted(volume) {
+  const preset = matchPreset(volume, cardPresets);
+  const action = preset?.cardAction === CardAction.AUTO ? CardAction.AUTO : CardAction.PROMPT;
+  console.log(`Card ${volume.label} mounted at ${volume.mountPath}, preset: ${preset ? preset.name : 'none'}, action: ${action}`);
+  
+  BrowserWindow.getAllWindows().forEach(window => {
+    window.webContents.send('card-mounted', {
+      volume,
+      presetId: preset ? preset.id : null,
+      action
+    });
+  });
+}
+
 // Download Worker Manager
 class DownloadWorkerManager {
   constructor() {
@@ -978,6 +1136,10 @@ app.whenReady().then(() => {
   // Initialize upload service manager
   uploadServiceManager = new UploadServiceManager();
   
+  // Initialize memory card watcher (started by the Import screen when enabled)
+  volumeWatcher = new VolumeWatcher();
+  volumeWatcher.on('card-mounted', handleCardMounted);
+  
   createWindow();
   
   // Set up IPC handlers
@@ -1038,6 +1200,48 @@ function setupIpcHandlers() {
     return [];
   });
   
+  // Handle import preset export (JSON file shared between machines)
+  ipcMain.handle('export-presets-file', async (event, content, defaultName) => {
+    try {
+      const result = await dialog.showSaveDialog({
+        title: 'Export Import Presets',
+        defaultPath: defaultName || 'zentransfer-presets.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: true, filePath: null };
+      }
+
+      await fs.promises.writeFile(result.filePath, content, 'utf8');
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      console.error('Failed to export presets:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Handle import preset file selection and reading
+  ipcMain.handle('open-presets-file', async () => {
+    try {
+      const result = await dialog.showOpenDialog({
+        title: 'Import Presets',
+        properties: ['openFile'],
+        filters: [{ name: 'JSON', extensions: ['json'] }]
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: true, content: null };
+      }
+
+      const content = await fs.promises.readFile(result.filePaths[0], 'utf8');
+      return { success: true, content };
+    } catch (error) {
+      console.error('Failed to read presets file:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
   // Handle upload session creation
   ipcMain.handle('create-upload-session', async (event, sessionData) => {
     try {
@@ -1086,18 +1290,136 @@ function setupIpcHandlers() {
   // Import handlers
   ipcMain.handle('start-import', async (event, importSettings) => {
     try {
-      const result = await importWorkerPool.startImport(importSettings);
-      return { success: true, result };
+      const { jobId, combined } = await importWorkerPool.startImport(importSettings);
+      return { success: true, jobId, combined };
     } catch (error) {
       console.error('Import failed:', error);
       return { success: false, error: error.message };
     }
   });
   
-  ipcMain.handle('cancel-import', async (event) => {
+  ipcMain.handle('resume-import', async (event, jobId) => {
+    try {
+      const result = await importWorkerPool.resumeImport(jobId);
+      return { success: true, jobId: result.jobId };
+    } catch (error) {
+      console.error('Resume import failed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('get-unfinished-imports', async () => {
+    try {
+      const jobs = importWorkerPool.getUnfinishedImports();
+      return { success: true, jobs };
+    } catch (error) {
+      console.error('Failed to list unfinished imports:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('discard-import', async (event, jobId) => {
+    try {
+      importWorkerPool.discardImport(jobId);
+      return { success: true };
+    } catch (error) {
+      console.error('Failed to discard import:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('configure-card-watcher', async (event, enabled, presets) => {
+    try {
+      cardPresets = presets || [];
+      if (enabled) {
+        volumeWatcher.start();
+      } else {
+        volumeWatcher.stop();
+      }
+      return { success: true, watching: volumeWatcher.isRunning() };
+    } catch (error) {
+      console.error('Failed to configure card watcher:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('preview-file-names', async (event, importSettings, limit) => {
+    try {
+      const preview = await previewFileNames(importSettings, limit);
+      return { success: true, preview };
+    } catch (error) {
+      console.error('File name preview failed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('preview-folder-paths', async (event, importSettings, template, limit) => {
+    try {
+      const preview = await previewFolderPaths(importSettings, template, limit);
+      return { success: true, preview };
+    } catch (error) {
+      console.error('Folder preview failed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('preview-import', async (event, importSettings) => {
+    try {
+      const plan = await importWorkerPool.previewImport(importSettings);
+      return { success: true, plan };
+    } catch (error) {
+      console.error('Import preview failed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('rebuild-archive-catalog', async (event, rootPath, algorithm) => {
+    try {
+      const result = await importWorkerPool.rebuildCatalog(rootPath, algorithm);
+      if (result.status === 'cancelled') {
+        return { success: false, error: 'Catalog rebuild was cancelled' };
+      }
+      return { success: true, result };
+    } catch (error) {
+      console.error('Archive catalog rebuild failed:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('verify-archive', async (event, rootPath) => {
     try {
-      console.log('Main process: Received cancel-import IPC request');
-      importWorkerPool.stopImport();
+      const { jobId } = importWorkerPool.verifyArchive(rootPath);
+      return { success: true, jobId };
+    } catch (error) {
+      console.error('Failed to start archive verification:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('export-import-preview-csv', async (event, plan) => {
+    try {
+      const result = await dialog.showSaveDialog({
+        title: 'Export Import Preview',
+        defaultPath: `import-preview-${new Date().toISOString().slice(0, 10)}.csv`,
+        filters: [{ name: 'CSV', extensions: ['csv'] }]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: true, filePath: null };
+      }
+
+      await fs.promises.writeFile(result.filePath, formatPlanCsv(plan), 'utf8');
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      console.error('Failed to export import preview:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  ipcMain.handle('cancel-import', async (event, jobId) => {
+    try {
+      console.log(`Main process: Received cancel-import IPC request for ${jobId}`);
+      importWorkerPool.stopImport(jobId);
       console.log('Main process: stopImport completed');
       return { success: true };
     } catch (error) {
@@ -1211,6 +1533,16 @@ function setupIpcHandlers() {
      }
    });
    
+   ipcMain.handle('upload-service-get-presets', async (event, serviceType) => {
+     try {
+       const presets = uploadServiceManager.getProviderPresets(serviceType);
+       return { success: true, presets };
+     } catch (error) {
+       console.error('Failed to get service presets:', error);
+       return { success: false, error: error.message };
+     }
+   });
+   
    ipcMain.handle('upload-service-get-all', async (event) => {
      try {
        const services = uploadServiceManager.getAllServices();
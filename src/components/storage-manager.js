@@ -13,17 +13,47 @@ export class StorageManager {
         IMPORT_DESTINATION_PATH: 'zentransfer_import_destination_path',
         IMPORT_BACKUP_PATH: 'zentransfer_import_backup_path',
         IMPORT_BACKUP_ENABLED: 'zentransfer_import_backup_enabled',
+        IMPORT_ADDITIONAL_DESTINATIONS: 'zentransfer_import_additional_destinations',
         IMPORT_UPLOAD_ENABLED: 'zentransfer_import_upload_enabled',
         IMPORT_UPLOAD_TO_AWS_S3: 'zentransfer_import_upload_to_aws_s3',
+        IMPORT_UPLOAD_TO_S3_COMPATIBLE: 'zentransfer_import_upload_to_s3_compatible',
         IMPORT_UPLOAD_TO_AZURE: 'zentransfer_import_upload_to_azure',
         IMPORT_UPLOAD_TO_GCP: 'zentransfer_import_upload_to_gcp',
+        IMPORT_UPLOAD_TO_SFTP: 'zentransfer_import_upload_to_sftp',
+        IMPORT_UPLOAD_TO_FTP: 'zentransfer_import_upload_to_ftp',
+        IMPORT_UPLOAD_TO_WEBDAV: 'zentransfer_import_upload_to_webdav',
         IMPORT_ENABLE_CLOUD_UPLOAD: 'zentransfer_import_enable_cloud_upload',
         IMPORT_INCLUDE_SUBDIRECTORIES: 'zentransfer_import_include_subdirectories',
         IMPORT_ORGANIZE_INTO_FOLDERS: 'zentransfer_import_organize_into_folders',
         IMPORT_FOLDER_ORGANIZATION_TYPE: 'zentransfer_import_folder_organization_type',
         IMPORT_CUSTOM_FOLDER_NAME: 'zentransfer_import_custom_folder_name',
         IMPORT_DATE_FORMAT: 'zentransfer_import_date_format',
-        IMPORT_SKIP_DUPLICATES: 'zentransfer_import_skip_duplicates'
+        IMPORT_DATE_LOCALE: 'zentransfer_import_date_locale',
+        IMPORT_DAY_ROLLOVER_HOUR: 'zentransfer_import_day_rollover_hour',
+        IMPORT_FOLDER_TEMPLATE: 'zentransfer_import_folder_template',
+        IMPORT_CLOUD_PREFIX_TEMPLATE: 'zentransfer_import_cloud_prefix_template',
+        IMPORT_SKIP_DUPLICATES: 'zentransfer_import_skip_duplicates',
+        IMPORT_VERIFY_COPIES: 'zentransfer_import_verify_copies',
+        IMPORT_CHECKSUM_ALGORITHM: 'zentransfer_import_checksum_algorithm',
+        IMPORT_ARCHIVE_DUPLICATES: 'zentransfer_import_archive_duplicates',
+        IMPORT_COPY_CONCURRENCY: 'zentransfer_import_copy_concurrency',
+        IMPORT_WRITE_MANIFESTS: 'zentransfer_import_write_manifests',
+        IMPORT_FILE_CATEGORIES: 'zentransfer_import_file_categories',
+        IMPORT_INCLUDE_EXTENSIONS: 'zentransfer_import_include_extensions',
+        IMPORT_EXCLUDE_EXTENSIONS: 'zentransfer_import_exclude_extensions',
+        IMPORT_SKIP_JUNK: 'zentransfer_import_skip_junk',
+        IMPORT_RENAME_ENABLED: 'zentransfer_import_rename_enabled',
+        IMPORT_RENAME_TEMPLATE: 'zentransfer_import_rename_template',
+        IMPORT_JOB_NAME: 'zentransfer_import_job_name',
+        IMPORT_PHOTOGRAPHER: 'zentransfer_import_photographer',
+        IMPORT_UPLOAD_JPEG_ONLY: 'zentransfer_import_upload_jpeg_only',
+        IMPORT_WATCH_CARDS: 'zentransfer_import_watch_cards',
+        IMPORT_COMBINE_CAMERA_SLOTS: 'zentransfer_import_combine_camera_slots',
+        IMPORT_PRESETS: 'zentransfer_import_presets',
+        IMPORT_ACTIVE_PRESET: 'zentransfer_import_active_preset',
+        IMPORT_EJECT_AFTER_IMPORT: 'zentransfer_import_eject_after_import',
+        IMPORT_EJECT_MIN_COPIES: 'zentransfer_import_eject_min_copies',
+        IMPORT_WIPE_CARD: 'zentransfer_import_wipe_card'
     };
 
     /**
@@ -158,6 +188,23 @@ export class StorageManager {
         localStorage.setItem(this.KEYS.IMPORT_BACKUP_ENABLED, enabled.toString());
     }
 
+    /**
+     * Get the extra folders imports copy to, besides destination and backup
+     * @returns {Array<Object>} Folder destinations ({ id, type, label, path })
+     */
+    static getImportAdditionalDestinations() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_ADDITIONAL_DESTINATIONS);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    /**
+     * Set the extra folders imports copy to
+     * @param {Array<Object>} destinations - Folder destinations to save
+     */
+    static setImportAdditionalDestinations(destinations) {
+        localStorage.setItem(this.KEYS.IMPORT_ADDITIONAL_DESTINATIONS, JSON.stringify(destinations));
+    }
+
     /**
      * Get import upload enabled setting from storage
      * @returns {boolean} Whether upload to ZenTransfer is enabled
@@ -192,6 +239,23 @@ export class StorageManager {
         localStorage.setItem(this.KEYS.IMPORT_UPLOAD_TO_AWS_S3, enabled.toString());
     }
 
+    /**
+     * Get import upload to S3-compatible storage enabled setting from storage
+     * @returns {boolean} Whether upload to S3-compatible storage is enabled
+     */
+    static getImportUploadToS3Compatible() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_UPLOAD_TO_S3_COMPATIBLE);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import upload to S3-compatible storage enabled setting in storage
+     * @param {boolean} enabled - Whether upload to S3-compatible storage is enabled
+     */
+    static setImportUploadToS3Compatible(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_UPLOAD_TO_S3_COMPATIBLE, enabled.toString());
+    }
+
     /**
      * Get import upload to Azure enabled setting from storage
      * @returns {boolean} Whether upload to Azure is enabled
@@ -226,6 +290,57 @@ export class StorageManager {
         localStorage.setItem(this.KEYS.IMPORT_UPLOAD_TO_GCP, enabled.toString());
     }
 
+    /**
+     * Get import upload to SFTP enabled setting from storage
+     * @returns {boolean} Whether upload to SFTP is enabled
+     */
+    static getImportUploadToSftp() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_UPLOAD_TO_SFTP);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import upload to SFTP enabled setting in storage
+     * @param {boolean} enabled - Whether upload to SFTP is enabled
+     */
+    static setImportUploadToSftp(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_UPLOAD_TO_SFTP, enabled.toString());
+    }
+
+    /**
+     * Get import upload to FTP enabled setting from storage
+     * @returns {boolean} Whether upload to FTP is enabled
+     */
+    static getImportUploadToFtp() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_UPLOAD_TO_FTP);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import upload to FTP enabled setting in storage
+     * @param {boolean} enabled - Whether upload to FTP is enabled
+     */
+    static setImportUploadToFtp(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_UPLOAD_TO_FTP, enabled.toString());
+    }
+
+    /**
+     * Get import upload to WebDAV enabled setting from storage
+     * @returns {boolean} Whether upload to WebDAV is enabled
+     */
+    static getImportUploadToWebdav() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_UPLOAD_TO_WEBDAV);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import upload to WebDAV enabled setting in storage
+     * @param {boolean} enabled - Whether upload to WebDAV is enabled
+     */
+    static setImportUploadToWebdav(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_UPLOAD_TO_WEBDAV, enabled.toString());
+    }
+
     /**
      * Get import include subdirectories setting from storage
      * @returns {boolean} Whether to include subdirectories
@@ -293,6 +408,72 @@ export class StorageManager {
         localStorage.setItem(this.KEYS.IMPORT_CUSTOM_FOLDER_NAME, name);
     }
 
+    /**
+     * Get the locale of month and weekday names in date folders
+     * @returns {string} Locale (default 'en')
+     */
+    static getImportDateLocale() {
+        return localStorage.getItem(this.KEYS.IMPORT_DATE_LOCALE) || 'en';
+    }
+
+    /**
+     * Set the locale of month and weekday names in date folders
+     * @param {string} locale - Locale such as 'en' or 'nb'
+     */
+    static setImportDateLocale(locale) {
+        localStorage.setItem(this.KEYS.IMPORT_DATE_LOCALE, locale);
+    }
+
+    /**
+     * Get the hour a shoot day ends, photos taken earlier count as the day before
+     * @returns {number} Hour (0-6, default 0)
+     */
+    static getImportDayRolloverHour() {
+        const stored = parseInt(localStorage.getItem(this.KEYS.IMPORT_DAY_ROLLOVER_HOUR), 10);
+        return Number.isFinite(stored) ? stored : 0;
+    }
+
+    /**
+     * Set the hour a shoot day ends
+     * @param {number} hour - Hour (0-6)
+     */
+    static setImportDayRolloverHour(hour) {
+        localStorage.setItem(this.KEYS.IMPORT_DAY_ROLLOVER_HOUR, String(hour));
+    }
+
+    /**
+     * Get import folder template from storage
+     * @returns {string} Folder template
+     */
+    static getImportFolderTemplate() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_FOLDER_TEMPLATE);
+        return stored || '{year}/{date:YYYY-MM-DD}_{job}';
+    }
+
+    /**
+     * Set import folder template in storage
+     * @param {string} template - Folder template
+     */
+    static setImportFolderTemplate(template) {
+        localStorage.setItem(this.KEYS.IMPORT_FOLDER_TEMPLATE, template);
+    }
+
+    /**
+     * Get the template for cloud object key prefixes from storage
+     * @returns {string} Prefix template, empty to mirror the destination folders
+     */
+    static getImportCloudPrefixTemplate() {
+        return localStorage.getItem(this.KEYS.IMPORT_CLOUD_PREFIX_TEMPLATE) || '';
+    }
+
+    /**
+     * Set the template for cloud object key prefixes in storage
+     * @param {string} template - Prefix template, empty to mirror the destination folders
+     */
+    static setImportCloudPrefixTemplate(template) {
+        localStorage.setItem(this.KEYS.IMPORT_CLOUD_PREFIX_TEMPLATE, template);
+    }
+
     /**
      * Get import date format from storage
      * @returns {string} Date format
@@ -327,6 +508,362 @@ export class StorageManager {
         localStorage.setItem(this.KEYS.IMPORT_SKIP_DUPLICATES, enabled.toString());
     }
 
+    /**
+     * Get import verify copies setting from storage
+     * @returns {boolean} Whether copies are verified with checksums
+     */
+    static getImportVerifyCopies() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_VERIFY_COPIES);
+        return stored !== 'false'; // Default to true
+    }
+
+    /**
+     * Set import verify copies setting in storage
+     * @param {boolean} enabled - Whether to verify copies with checksums
+     */
+    static setImportVerifyCopies(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_VERIFY_COPIES, enabled.toString());
+    }
+
+    /**
+     * Get import checksum algorithm from storage
+     * @returns {string} Checksum algorithm ('xxhash64', 'md5' or 'sha256')
+     */
+    static getImportChecksumAlgorithm() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_CHECKSUM_ALGORITHM);
+        return stored || 'xxhash64';
+    }
+
+    /**
+     * Set import checksum algorithm in storage
+     * @param {string} algorithm - Checksum algorithm
+     */
+    static setImportChecksumAlgorithm(algorithm) {
+        localStorage.setItem(this.KEYS.IMPORT_CHECKSUM_ALGORITHM, algorithm);
+    }
+
+    /**
+     * Get how files already in the archive catalog are handled during import
+     * @returns {string} 'off', 'skip' or 'flag'
+     */
+    static getImportArchiveDuplicates() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_ARCHIVE_DUPLICATES);
+        return stored || 'off';
+    }
+
+    /**
+     * Set how files already in the archive catalog are handled during import
+     * @param {string} mode - 'off', 'skip' or 'flag'
+     */
+    static setImportArchiveDuplicates(mode) {
+        localStorage.setItem(this.KEYS.IMPORT_ARCHIVE_DUPLICATES, mode);
+    }
+
+    /**
+     * Get how many files are copied at the same time per disk
+     * @returns {number} Copies per disk
+     */
+    static getImportCopyConcurrency() {
+        const stored = parseInt(localStorage.getItem(this.KEYS.IMPORT_COPY_CONCURRENCY), 10);
+        return stored > 0 ? stored : 2; // Default to 2
+    }
+
+    /**
+     * Set how many files are copied at the same time per disk
+     * @param {number} concurrency - Copies per disk
+     */
+    static setImportCopyConcurrency(concurrency) {
+        localStorage.setItem(this.KEYS.IMPORT_COPY_CONCURRENCY, concurrency.toString());
+    }
+
+    /**
+     * Get whether imports write a manifest (JSON and ASC-MHL) into each destination root
+     * @returns {boolean} Whether manifests are written
+     */
+    static getImportWriteManifests() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_WRITE_MANIFESTS);
+        return stored !== 'false'; // Default to true
+    }
+
+    /**
+     * Set whether imports write a manifest into each destination root
+     * @param {boolean} enabled - Whether to write manifests
+     */
+    static setImportWriteManifests(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_WRITE_MANIFESTS, enabled.toString());
+    }
+
+    /**
+     * Get file categories to import from storage
+     * @returns {Array<string>|null} Selected categories or null if not set (all categories)
+     */
+    static getImportFileCategories() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_FILE_CATEGORIES);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    /**
+     * Set file categories to import in storage
+     * @param {Array<string>} categories - Selected categories
+     */
+    static setImportFileCategories(categories) {
+        localStorage.setItem(this.KEYS.IMPORT_FILE_CATEGORIES, JSON.stringify(categories));
+    }
+
+    /**
+     * Get extensions that are always imported from storage
+     * @returns {string} Comma separated extensions
+     */
+    static getImportIncludeExtensions() {
+        return localStorage.getItem(this.KEYS.IMPORT_INCLUDE_EXTENSIONS) || '';
+    }
+
+    /**
+     * Set extensions that are always imported in storage
+     * @param {string} extensions - Comma separated extensions
+     */
+    static setImportIncludeExtensions(extensions) {
+        localStorage.setItem(this.KEYS.IMPORT_INCLUDE_EXTENSIONS, extensions);
+    }
+
+    /**
+     * Get extensions that are never imported from storage
+     * @returns {string} Comma separated extensions
+     */
+    static getImportExcludeExtensions() {
+        return localStorage.getItem(this.KEYS.IMPORT_EXCLUDE_EXTENSIONS) || '';
+    }
+
+    /**
+     * Set extensions that are never imported in storage
+     * @param {string} extensions - Comma separated extensions
+     */
+    static setImportExcludeExtensions(extensions) {
+        localStorage.setItem(this.KEYS.IMPORT_EXCLUDE_EXTENSIONS, extensions);
+    }
+
+    /**
+     * Get import skip camera junk setting from storage
+     * @returns {boolean} Whether to skip .THM, .CTG, .LRV and DCIM/MISC
+     */
+    static getImportSkipJunk() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_SKIP_JUNK);
+        return stored !== 'false'; // Default to true
+    }
+
+    /**
+     * Set import skip camera junk setting in storage
+     * @param {boolean} enabled - Whether to skip camera junk
+     */
+    static setImportSkipJunk(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_SKIP_JUNK, enabled.toString());
+    }
+
+    /**
+     * Get import rename enabled setting from storage
+     * @returns {boolean} Whether files are renamed with the rename template
+     */
+    static getImportRenameEnabled() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_RENAME_ENABLED);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import rename enabled setting in storage
+     * @param {boolean} enabled - Whether to rename files
+     */
+    static setImportRenameEnabled(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_RENAME_ENABLED, enabled.toString());
+    }
+
+    /**
+     * Get import rename template from storage
+     * @returns {string} Rename template
+     */
+    static getImportRenameTemplate() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_RENAME_TEMPLATE);
+        return stored || '{date:YYYYMMDD}_{time}_{original}';
+    }
+
+    /**
+     * Set import rename template in storage
+     * @param {string} template - Rename template
+     */
+    static setImportRenameTemplate(template) {
+        localStorage.setItem(this.KEYS.IMPORT_RENAME_TEMPLATE, template);
+    }
+
+    /**
+     * Get import job name from storage
+     * @returns {string} Job name
+     */
+    static getImportJobName() {
+        return localStorage.getItem(this.KEYS.IMPORT_JOB_NAME) || '';
+    }
+
+    /**
+     * Set import job name in storage
+     * @param {string} jobName - Job name
+     */
+    static setImportJobName(jobName) {
+        localStorage.setItem(this.KEYS.IMPORT_JOB_NAME, jobName);
+    }
+
+    /**
+     * Get photographer name from storage
+     * @returns {string} Photographer name
+     */
+    static getImportPhotographer() {
+        return localStorage.getItem(this.KEYS.IMPORT_PHOTOGRAPHER) || '';
+    }
+
+    /**
+     * Set photographer name in storage
+     * @param {string} photographer - Photographer name
+     */
+    static setImportPhotographer(photographer) {
+        localStorage.setItem(this.KEYS.IMPORT_PHOTOGRAPHER, photographer);
+    }
+
+    /**
+     * Get import upload JPEG only setting from storage
+     * @returns {boolean} Whether only the JPEG of RAW+JPEG pairs is uploaded to cloud services
+     */
+    static getImportUploadJpegOnly() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_UPLOAD_JPEG_ONLY);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import upload JPEG only setting in storage
+     * @param {boolean} enabled - Whether to upload only the JPEG of RAW+JPEG pairs
+     */
+    static setImportUploadJpegOnly(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_UPLOAD_JPEG_ONLY, enabled.toString());
+    }
+
+    /**
+     * Get import watch memory cards setting from storage
+     * @returns {boolean} Whether newly mounted memory cards are detected
+     */
+    static getImportWatchCards() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_WATCH_CARDS);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import watch memory cards setting in storage
+     * @param {boolean} enabled - Whether to detect newly mounted memory cards
+     */
+    static setImportWatchCards(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_WATCH_CARDS, enabled.toString());
+    }
+
+    /**
+     * Get import combine camera slots setting from storage
+     * @returns {boolean} Whether both card slots of one camera body are imported as one job
+     */
+    static getImportCombineCameraSlots() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_COMBINE_CAMERA_SLOTS);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import combine camera slots setting in storage
+     * @param {boolean} enabled - Whether to import both card slots of one camera body as one job
+     */
+    static setImportCombineCameraSlots(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_COMBINE_CAMERA_SLOTS, enabled.toString());
+    }
+
+    /**
+     * Get saved import presets from storage
+     * @returns {Array<Object>} Presets ({ id, name, settings, cardMatch, cardAction })
+     */
+    static getImportPresets() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_PRESETS);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    /**
+     * Set saved import presets in storage
+     * @param {Array<Object>} presets - Presets to save
+     */
+    static setImportPresets(presets) {
+        localStorage.setItem(this.KEYS.IMPORT_PRESETS, JSON.stringify(presets));
+    }
+
+    /**
+     * Get the preset currently selected on the Import screen
+     * @returns {string|null} Preset id, or null when the settings are not tied to a preset
+     */
+    static getImportActivePreset() {
+        return localStorage.getItem(this.KEYS.IMPORT_ACTIVE_PRESET);
+    }
+
+    /**
+     * Set the preset currently selected on the Import screen
+     * @param {string|null} presetId - Preset id, or null to clear
+     */
+    static setImportActivePreset(presetId) {
+        if (presetId) {
+            localStorage.setItem(this.KEYS.IMPORT_ACTIVE_PRESET, presetId);
+        } else {
+            localStorage.removeItem(this.KEYS.IMPORT_ACTIVE_PRESET);
+        }
+    }
+
+    /**
+     * Get import eject card setting from storage
+     * @returns {boolean} Whether the card is ejected after a verified import
+     */
+    static getImportEjectAfterImport() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_EJECT_AFTER_IMPORT);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import eject card setting in storage
+     * @param {boolean} enabled - Whether to eject the card after a verified import
+     */
+    static setImportEjectAfterImport(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_EJECT_AFTER_IMPORT, enabled.toString());
+    }
+
+    /**
+     * Get the number of verified copies required before a card is released
+     * @returns {number} Verified copies per file (1 or more)
+     */
+    static getImportEjectMinCopies() {
+        const stored = parseInt(localStorage.getItem(this.KEYS.IMPORT_EJECT_MIN_COPIES), 10);
+        return stored > 0 ? stored : 1;
+    }
+
+    /**
+     * Set the number of verified copies required before a card is released
+     * @param {number} copies - Verified copies per file
+     */
+    static setImportEjectMinCopies(copies) {
+        localStorage.setItem(this.KEYS.IMPORT_EJECT_MIN_COPIES, String(copies));
+    }
+
+    /**
+     * Get import wipe card setting from storage
+     * @returns {boolean} Whether imported files are deleted from the card after a verified import
+     */
+    static getImportWipeCard() {
+        const stored = localStorage.getItem(this.KEYS.IMPORT_WIPE_CARD);
+        return stored === 'true';
+    }
+
+    /**
+     * Set import wipe card setting in storage
+     * @param {boolean} enabled - Whether to delete imported files from the card
+     */
+    static setImportWipeCard(enabled) {
+        localStorage.setItem(this.KEYS.IMPORT_WIPE_CARD, enabled.toString());
+    }
+
     /**
      * Get import enable cloud upload setting from storage
      * @returns {boolean} Whether cloud upload is enabled
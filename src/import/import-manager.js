@@ -1,18 +1,24 @@
 /**
  * Import Manager
  * Simple wrapper around IPC communication for import operations
+ * Several import jobs can run at once, every update carries the jobId of its job.
  */
 
 export class ImportManager {
     constructor(uploadManager) {
         this.uploadManager = uploadManager;
-        this.isImporting = false;
+        this.activeJobs = new Set(); // Ids of running import jobs
         this.callbacks = {
+            onJobStarted: null,
+            onSourceAdded: null,
+            onJobFinished: null,
             onProgress: null,
             onLog: null,
             onCompleted: null,
+            onVerifyCompleted: null,
             onError: null,
-            onCancelled: null
+            onCancelled: null,
+            onCardMounted: null
         };
         
         this.initializeIPC();
@@ -32,6 +38,13 @@ export class ImportManager {
                     this.handleImportUpdate(data);
                 });
                 
+                // Listen for memory cards detected by the volume watcher
+                this.ipcRenderer.on('card-mounted', (event, data) => {
+                    if (this.callbacks.onCardMounted) {
+                        this.callbacks.onCardMounted(data);
+                    }
+                });
+                
                 console.log('Import manager IPC initialized');
             } else {
                 throw new Error('IPC not available - not in Electron environment');
@@ -49,6 +62,19 @@ export class ImportManager {
         const { type } = data;
 
         switch (type) {
+            case 'started':
+                this.activeJobs.add(data.jobId);
+                if (this.callbacks.onJobStarted) {
+                    this.callbacks.onJobStarted(data);
+                }
+                break;
+
+            case 'source-added':
+                if (this.callbacks.onSourceAdded) {
+                    this.callbacks.onSourceAdded(data);
+                }
+                break;
+
             case 'progress':
                 if (this.callbacks.onProgress) {
                     this.callbacks.onProgress(data);
@@ -57,7 +83,7 @@ export class ImportManager {
 
             case 'log':
                 if (this.callbacks.onLog) {
-                    this.callbacks.onLog(data.message);
+                    this.callbacks.onLog(data.message, data.jobId);
                 }
                 break;
 
@@ -66,68 +92,189 @@ export class ImportManager {
                 break;
 
             case 'completed':
-                this.isImporting = false;
                 if (this.callbacks.onCompleted) {
                     this.callbacks.onCompleted(data);
                 }
                 break;
 
+            case 'verify-completed':
+                if (this.callbacks.onVerifyCompleted) {
+                    this.callbacks.onVerifyCompleted(data);
+                }
+                break;
+
             case 'error':
-                this.isImporting = false;
                 if (this.callbacks.onError) {
                     this.callbacks.onError(data);
                 }
                 break;
 
             case 'cancelled':
-                this.isImporting = false;
                 if (this.callbacks.onCancelled) {
                     this.callbacks.onCancelled(data);
                 }
                 break;
 
+            case 'finished':
+                // Sent last, after completed, error or cancelled
+                this.activeJobs.delete(data.jobId);
+                if (this.callbacks.onJobFinished) {
+                    this.callbacks.onJobFinished(data);
+                }
+                break;
+
             default:
                 console.warn('Unknown import update type:', type);
         }
     }
 
     /**
-     * Start an import operation
+     * Start an import job
+     * With combineCameraSlots a card of a camera body that is already importing joins that job.
+     * @param {Object} importSettings - Import settings
+     * @returns {Promise<{jobId: string, combined: boolean}>} Job importing the card, combined when it joined a running job
      */
     async startImport(importSettings) {
-        if (this.isImporting) {
-            throw new Error('Import already in progress');
+        // Validate settings
+        this.validateImportSettings(importSettings);
+
+        const result = await this.ipcRenderer.invoke('start-import', importSettings);
+        if (!result.success) {
+            throw new Error(result.error);
         }
 
-        try {
-            // Validate settings
-            this.validateImportSettings(importSettings);
+        return { jobId: result.jobId, combined: result.combined };
+    }
 
-            this.isImporting = true;
-            
-            const result = await this.ipcRenderer.invoke('start-import', importSettings);
-            if (!result.success) {
-                this.isImporting = false;
-                throw new Error(result.error);
-            }
-            
-            return result.result;
-        } catch (error) {
-            this.isImporting = false;
-            throw error;
+    /**
+     * Plan an import without copying anything (dry run)
+     * @param {Object} importSettings - Import settings
+     * @returns {Promise<Object>} Plan ({ rows, totals }), see workers/import/import-plan.js
+     */
+    async previewImport(importSettings) {
+        this.validateImportSettings(importSettings);
+
+        const result = await this.ipcRenderer.invoke('preview-import', importSettings);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.plan;
+    }
+
+    /**
+     * Re-check an archive folder against its import manifests and the archive catalog
+     * Runs as a job like an import: progress, log and stop go through the job's updates.
+     * @param {string} rootPath - Archive folder
+     * @returns {Promise<string>} Id of the verify job
+     */
+    async verifyArchive(rootPath) {
+        const result = await this.ipcRenderer.invoke('verify-archive', rootPath);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.jobId;
+    }
+
+    /**
+     * Save an import preview as CSV to a file chosen by the user
+     * @param {Object} plan - Plan from previewImport
+     * @returns {Promise<string|null>} Saved file path, or null if cancelled
+     */
+    async exportPreviewCsv(plan) {
+        const result = await this.ipcRenderer.invoke('export-import-preview-csv', plan);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.filePath;
+    }
+
+    /**
+     * Resume an import that was interrupted by quitting the app or removing the card
+     * @param {string} jobId - Journaled job identifier
+     * @returns {Promise<string>} Id of the import job resuming it
+     */
+    async resumeImport(jobId) {
+        const result = await this.ipcRenderer.invoke('resume-import', jobId);
+        if (!result.success) {
+            throw new Error(result.error);
         }
+
+        return result.jobId;
     }
 
     /**
-     * Cancel the current import operation
+     * Get imports that did not finish and can be resumed
+     * @returns {Promise<Array<Object>>} Job summaries (id, createdAt, sourcePath, totalFiles, completedFiles, ...)
      */
-    async cancelImport() {
-        if (!this.isImporting) {
+    async getUnfinishedImports() {
+        const result = await this.ipcRenderer.invoke('get-unfinished-imports');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.jobs;
+    }
+
+    /**
+     * Forget an unfinished import
+     * @param {string} jobId - Journaled job identifier
+     */
+    async discardImport(jobId) {
+        const result = await this.ipcRenderer.invoke('discard-import', jobId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    /**
+     * Start or stop watching for memory cards
+     * @param {boolean} enabled - Whether to watch for newly mounted cards
+     * @param {Array<Object>} presets - Presets whose card rules are matched against new cards
+     */
+    async configureCardWatcher(enabled, presets) {
+        const result = await this.ipcRenderer.invoke('configure-card-watcher', enabled, presets);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.watching;
+    }
+
+    /**
+     * Save exported presets to a file chosen by the user
+     * @param {string} content - Exported presets JSON
+     * @param {string} defaultName - Suggested file name
+     * @returns {Promise<string|null>} Saved file path, or null if cancelled
+     */
+    async exportPresetsFile(content, defaultName) {
+        const result = await this.ipcRenderer.invoke('export-presets-file', content, defaultName);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.filePath;
+    }
+
+    /**
+     * Read a presets file chosen by the user
+     * @returns {Promise<string|null>} File content, or null if cancelled
+     */
+    async openPresetsFile() {
+        const result = await this.ipcRenderer.invoke('open-presets-file');
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.content;
+    }
+
+    /**
+     * Cancel an import job
+     * @param {string} jobId - Import job to stop
+     */
+    async cancelImport(jobId) {
+        if (!this.activeJobs.has(jobId)) {
             throw new Error('No import in progress');
         }
 
         try {
-            const result = await this.ipcRenderer.invoke('cancel-import');
+            const result = await this.ipcRenderer.invoke('cancel-import', jobId);
             if (!result.success) {
                 throw new Error(result.error);
             }
@@ -138,10 +285,10 @@ export class ImportManager {
     }
 
     /**
-     * Check if import is currently running
+     * Check if any import job is running
      */
     isCurrentlyImporting() {
-        return this.isImporting;
+        return this.activeJobs.size > 0;
     }
 
     /**
@@ -167,30 +314,40 @@ export class ImportManager {
             throw new Error('Backup path is required when backup is enabled');
         }
 
+        if ((settings.additionalDestinations || []).some(destination => !destination.path)) {
+            throw new Error('Folder path is required for every additional copy');
+        }
+
         if (settings.organizeIntoFolders && 
             settings.folderOrganizationType === 'custom' && 
             !settings.customFolderName) {
             throw new Error('Custom folder name is required when using custom folder organization');
         }
+
+        if (settings.organizeIntoFolders && 
+            settings.folderOrganizationType === 'template' && 
+            !settings.folderTemplate) {
+            throw new Error('Folder template is required when using template folder organization');
+        }
     }
 
     /**
      * Handle upload ready notification
      */
     async handleUploadReady(data) {
-        const { filePaths, count, uploadServices, importSettings } = data;
+        const { jobId, filePaths, remoteNames, count, uploadServices, importSettings } = data;
         
         if (!this.uploadManager) {
             console.warn('Upload manager not available for cloud uploads');
             if (this.callbacks.onLog) {
-                this.callbacks.onLog('Upload manager not available - files not queued for upload');
+                this.callbacks.onLog('Upload manager not available - files not queued for upload', jobId);
             }
             return;
         }
 
         if (!uploadServices || uploadServices.length === 0) {
             if (this.callbacks.onLog) {
-                this.callbacks.onLog('No upload services enabled - skipping upload queue');
+                this.callbacks.onLog('No upload services enabled - skipping upload queue', jobId);
             }
             return;
         }
@@ -198,7 +355,7 @@ export class ImportManager {
         try {
             if (this.callbacks.onLog) {
                 const serviceNames = uploadServices.map(s => s.name).join(', ');
-                this.callbacks.onLog(`Queuing ${count} files for upload to: ${serviceNames}`);
+                this.callbacks.onLog(`Queuing ${count} files for upload to: ${serviceNames}`, jobId);
             }
 
             // Queue files for upload to each enabled service
@@ -211,16 +368,17 @@ export class ImportManager {
                     await this.uploadManager.addFilesFromImport(filePaths, { 
                         serviceType: service.type,
                         serviceName: service.name,
+                        remoteNames: remoteNames, // Renamed and foldered object names
                         importSettings: importSettings  // Pass folder organization settings
                     });
                     
                     if (this.callbacks.onLog) {
-                        this.callbacks.onLog(`✓ ${count} files queued for upload to ${service.name}`);
+                        this.callbacks.onLog(`✓ ${count} files queued for upload to ${service.name}`, jobId);
                     }
                 } catch (serviceError) {
                     console.error(`Failed to queue files for ${service.name}:`, serviceError);
                     if (this.callbacks.onLog) {
-                        this.callbacks.onLog(`✗ Failed to queue files for ${service.name}: ${serviceError.message}`);
+                        this.callbacks.onLog(`✗ Failed to queue files for ${service.name}: ${serviceError.message}`, jobId);
                     }
                 }
             }
@@ -228,7 +386,7 @@ export class ImportManager {
         } catch (error) {
             console.error('Failed to handle upload ready:', error);
             if (this.callbacks.onLog) {
-                this.callbacks.onLog(`Failed to queue files for upload: ${error.message}`);
+                this.callbacks.onLog(`Failed to queue files for upload: ${error.message}`, jobId);
             }
         }
     }
@@ -239,10 +397,11 @@ export class ImportManager {
     destroy() {
         if (this.ipcRenderer) {
             this.ipcRenderer.removeAllListeners('import-update');
+            this.ipcRenderer.removeAllListeners('card-mounted');
             this.ipcRenderer = null;
         }
         
-        this.isImporting = false;
+        this.activeJobs.clear();
         this.callbacks = {};
     }
 } 
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Import Presets
+ * Named import profiles ("wedding", "sports-live", "studio") holding source filters,
+ * destinations, backup, folder organization, renaming and cloud targets.
+ * Presets are stored in localStorage and can be shared as JSON files.
+ */
+
+import { StorageManager } from '../components/storage-manager.js';
+
+const EXPORT_FORMAT = 'zentransfer-import-presets';
+const EXPORT_VERSION = 1;
+
+// Settings that never go into a preset: the source is the card being imported,
+// duplicate handling, verification and copy speed are app-wide preferences from the Settings screen
+// and combining card slots belongs to the card watcher
+const EXCLUDED_SETTINGS = ['sourcePath', 'skipDuplicates', 'verifyCopies', 'checksumAlgorithm', 'archiveDuplicates', 'copyConcurrency', 'combineCameraSlots', 'writeManifests', 'presetId'];
+
+export class ImportPresets {
+    /**
+     * Get all presets
+     * @returns {Array<Object>} Presets ({ id, name, settings, cardMatch, cardAction, updatedAt })
+     */
+    static list() {
+        return StorageManager.getImportPresets();
+    }
+
+    /**
+     * Get a preset by id
+     * @param {string} presetId - Preset identifier
+     * @returns {Object|null} Preset
+     */
+    static get(presetId) {
+        return ImportPresets.list().find(preset => preset.id === presetId) || null;
+    }
+
+    /**
+     * Create a preset from import settings
+     * @param {string} name - Preset name
+     * @param {Object} settings - Import settings (collected from the Import screen)
+     * @returns {Object} New preset
+     */
+    static create(name, settings) {
+        const presets = ImportPresets.list();
+        const preset = {
+            id: generatePresetId(),
+            name: ImportPresets.validateName(name, presets),
+            settings: ImportPresets.toPresetSettings(settings),
+            updatedAt: new Date().toISOString()
+        };
+
+        presets.push(preset);
+        StorageManager.setImportPresets(presets);
+        return preset;
+    }
+
+    /**
+     * Update a preset
+     * @param {string} presetId - Preset identifier
+     * @param {Object} changes - Fields to change (settings are filtered like in create)
+     * @returns {Object} Updated preset
+     */
+    static update(presetId, changes) {
+        const presets = ImportPresets.list();
+        const index = presets.findIndex(preset => preset.id === presetId);
+        if (index === -1) {
+            throw new Error('Preset not found');
+        }
+
+        const preset = { ...presets[index], ...changes, updatedAt: new Date().toISOString() };
+        if (changes.name !== undefined) {
+            preset.name = ImportPresets.validateName(changes.name, presets.filter(item => item.id !== presetId));
+        }
+        if (changes.settings) {
+            preset.settings = ImportPresets.toPresetSettings(changes.settings);
+        }
+
+        presets[index] = preset;
+        StorageManager.setImportPresets(presets);
+        return preset;
+    }
+
+    /**
+     * Duplicate a preset under a free "<name> copy" name, without its card rule
+     * @param {string} presetId - Preset identifier
+     * @returns {Object} New preset
+     */
+    static duplicate(presetId) {
+        const source = ImportPresets.get(presetId);
+        if (!source) {
+            throw new Error('Preset not found');
+        }
+
+        return ImportPresets.create(getFreeName(`${source.name} copy`, ImportPresets.list()), source.settings);
+    }
+
+    /**
+     * Delete a preset
+     * @param {string} presetId - Preset identifier
+     */
+    static remove(presetId) {
+        StorageManager.setImportPresets(ImportPresets.list().filter(preset => preset.id !== presetId));
+        if (StorageManager.getImportActivePreset() === presetId) {
+            StorageManager.setImportActivePreset(null);
+        }
+    }
+
+    /**
+     * Serialize presets for sharing
+     * @param {Array<string>} presetIds - Presets to export, all when omitted
+     * @returns {string} JSON document
+     */
+    static exportToJson(presetIds = null) {
+        const presets = ImportPresets.list().filter(preset => !presetIds || presetIds.includes(preset.id));
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets: presets.map(({ name, settings, cardMatch, cardAction }) => ({ name, settings, cardMatch, cardAction }))
+        }, null, 2);
+    }
+
+    /**
+     * Add presets from an exported JSON document
+     * Presets with a name that is already taken replace the existing preset.
+     * @param {string} json - JSON document from exportToJson
+     * @returns {{added: number, replaced: number}} Import counts
+     */
+    static importFromJson(json) {
+        let presetFile;
+        try {
+            presetFile = JSON.parse(json);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+
+        if (!presetFile || presetFile.format !== EXPORT_FORMAT || !Array.isArray(presetFile.presets)) {
+            throw new Error('The file does not contain ZenTransfer import presets');
+        }
+        if (presetFile.version > EXPORT_VERSION) {
+            throw new Error('The presets were exported by a newer version of ZenTransfer');
+        }
+
+        const presets = ImportPresets.list();
+        let added = 0;
+        let replaced = 0;
+
+        for (const imported of presetFile.presets) {
+            const name = typeof imported.name === 'string' ? imported.name.trim() : '';
+            if (!name || !imported.settings || typeof imported.settings !== 'object') {
+                throw new Error('The file contains an invalid preset');
+            }
+
+            const preset = {
+                name,
+                settings: ImportPresets.toPresetSettings(imported.settings),
+                updatedAt: new Date().toISOString()
+            };
+            if (imported.cardMatch) {
+                preset.cardMatch = imported.cardMatch;
+                preset.cardAction = imported.cardAction === 'auto' ? 'auto' : 'prompt';
+            }
+
+            const index = presets.findIndex(item => item.name.toLowerCase() === name.toLowerCase());
+            if (index === -1) {
+                presets.push({ id: generatePresetId(), ...preset });
+                added++;
+            } else {
+                presets[index] = { id: presets[index].id, ...preset };
+                replaced++;
+            }
+        }
+
+        StorageManager.setImportPresets(presets);
+        return { added, replaced };
+    }
+
+    /**
+     * Strip settings that do not belong in a preset
+     * @param {Object} settings - Import settings
+     * @returns {Object} Preset settings
+     */
+    static toPresetSettings(settings) {
+        const presetSettings = { ...settings };
+        for (const key of EXCLUDED_SETTINGS) {
+            delete presetSettings[key];
+        }
+        return presetSettings;
+    }
+
+    /**
+     * Validate a preset name
+     * @param {string} name - Preset name
+     * @param {Array<Object>} otherPresets - Presets the name must not clash with
+     * @returns {string} Trimmed name
+     */
+    static validateName(name, otherPresets) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) {
+            throw new Error('Please enter a preset name');
+        }
+        if (otherPresets.some(preset => preset.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`A preset named "${trimmed}" already exists`);
+        }
+        return trimmed;
+    }
+}
+
+function generatePresetId() {
+    return `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function getFreeName(name, presets) {
+    const taken = new Set(presets.map(preset => preset.name.toLowerCase()));
+    let candidate = name;
+    let counter = 2;
+
+    while (taken.has(candidate.toLowerCase())) {
+        candidate = `${name} ${counter}`;
+        counter++;
+    }
+
+    return candidate;
+}
@@ -16,25 +16,40 @@
  * Import options
  * @typedef {Object} ImportOptions
  * @property {boolean} includeSubdirectories - Whether to scan subdirectories
- * @property {Array<string>} fileExtensions - Allowed file extensions
+ * @property {FileFilter} fileFilter - Which files to import
  * @property {FolderOrganization} folderOrganization - Folder organization settings
  */
 
+/**
+ * File filter settings, applied while scanning the source
+ * @typedef {Object} FileFilter
+ * @property {Array<string>} categories - File categories to import (see FileCategory)
+ * @property {string} includeExtensions - Extensions always imported (comma separated)
+ * @property {string} excludeExtensions - Extensions never imported (comma separated)
+ * @property {boolean} skipJunk - Skip camera junk (.THM, .CTG, .LRV, DCIM/MISC)
+ */
+
 /**
  * Folder organization settings
  * @typedef {Object} FolderOrganization
  * @property {boolean} enabled - Whether folder organization is enabled
- * @property {string} type - Organization type ('date' or 'custom')
+ * @property {string} type - Organization type ('date', 'custom' or 'template')
  * @property {string} customName - Custom folder name (if type is 'custom')
- * @property {string} dateFormat - Date format (if type is 'date')
+ * @property {string} dateFormat - Preset date format or Day.js-style pattern such as "YYYY/MM-MMMM" (if type is 'date')
+ * @property {string} locale - Locale of month and weekday names (default 'en')
+ * @property {number} rolloverHour - Hour the shoot day starts, earlier photos count as the day before (default 0)
+ * @property {string} folderTemplate - Folder template such as "{year}/{date:YYYY-MM-DD}_{job}" (if type is 'template')
  */
 
 /**
- * Destination configuration
+ * Destination configuration, see workers/import/destinations/destination-registry.js
  * @typedef {Object} DestinationConfig
- * @property {string} type - Destination type ('local', 'backup', 'zentransfer')
- * @property {string} path - Destination path (for local/backup)
- * @property {Object} options - Destination-specific options
+ * @property {string} id - Unique destination identifier ('destination' and 'backup' for the main folders)
+ * @property {string} type - Destination type (see DestinationType)
+ * @property {string} label - Display name in logs, progress and previews
+ * @property {string} path - Folder path (for folder destinations)
+ * @property {string} service - Upload service ('zentransfer', 'aws-s3', 's3-compatible', 'azure-blob', 'gcp-storage', 'sftp', 'ftp', 'webdav', for cloud destinations)
+ * @property {number} priority - Processing order, lower runs first (optional, defaults per type)
  * @property {boolean} enabled - Whether this destination is enabled
  */
 
@@ -49,6 +64,29 @@
  * @property {string} extension - File extension
  * @property {Date} created - Creation date
  * @property {Date} modified - Modification date
+ * @property {Date} captureTime - Capture time from metadata, falls back to the file system
+ * @property {string} captureTimeSource - Where the capture time came from ('exif', 'xmp', 'quicktime', 'filesystem')
+ * @property {string|null} captureTimeOffset - UTC offset of the capture time (e.g. '+02:00'), for videos the time zone of this computer
+ */
+
+/**
+ * Files of one shot (RAW + JPEG, sidecars) handled as a unit
+ * @typedef {Object} ImportAsset
+ * @property {string} baseName - Shared base name (e.g. 'IMG_0001')
+ * @property {FileInfo} primary - File that represents the asset (RAW before JPEG before video)
+ * @property {Array<FileInfo>} files - All files of the asset, primary first
+ * @property {number} totalSize - Combined size in bytes
+ */
+
+/**
+ * Named import profile, see ImportPresets
+ * @typedef {Object} ImportPreset
+ * @property {string} id - Preset identifier
+ * @property {string} name - Display name (unique, case-insensitive)
+ * @property {Object} settings - Import settings without source path and app-wide preferences
+ * @property {Object|null} cardMatch - Card rule ({ volumeLabel, markerFile }) for the volume watcher
+ * @property {string|null} cardAction - 'prompt' or 'auto' when a matching card is mounted
+ * @property {string} updatedAt - ISO timestamp of the last change
  */
 
 /**
@@ -71,7 +109,8 @@
  * Destination processing result
  * @typedef {Object} DestinationResult
  * @property {boolean} success - Whether the operation was successful
- * @property {string} destinationPath - Final destination path
+ * @property {string} destinationId - Destination the result belongs to
+ * @property {string} destinationPath - Final destination path (file path or object name)
  * @property {string} error - Error message (if failed)
  * @property {Object} metadata - Additional metadata
  */
@@ -95,9 +134,8 @@ export const ImportJobStatus = {
  * @enum {string}
  */
 export const DestinationType = {
-    LOCAL: 'local',
-    BACKUP: 'backup',
-    ZENTRANSFER: 'zentransfer'
+    FOLDER: 'folder', // Local disk, external drive or mounted NAS share
+    CLOUD: 'cloud'    // Upload service
 };
 
 /**
@@ -110,6 +148,34 @@ export const FileType = {
     OTHER: 'other'
 };
 
+/**
+ * File categories for the import filter
+ * Extensions per category are resolved from src/mime.types and src/rawfiles.types
+ * @enum {string}
+ */
+export const FileCategory = {
+    RAW: 'raw',
+    JPEG: 'jpeg',
+    HEIF: 'heif',
+    VIDEO: 'video',
+    AUDIO: 'audio',
+    SIDECAR: 'sidecar',
+    OTHER: 'other'
+};
+
+/**
+ * Display labels for file categories
+ */
+export const FileCategoryLabels = {
+    [FileCategory.RAW]: 'RAW',
+    [FileCategory.JPEG]: 'JPEG',
+    [FileCategory.HEIF]: 'HEIF',
+    [FileCategory.VIDEO]: 'Video',
+    [FileCategory.AUDIO]: 'Audio',
+    [FileCategory.SIDECAR]: 'Sidecars (XMP)',
+    [FileCategory.OTHER]: 'Other files'
+};
+
 /**
  * Supported file extensions by type
  */
@@ -7,22 +7,27 @@ import { UIComponents } from '../components/ui-components.js';
 import { config } from '../config/app-config.js';
 import { StorageManager } from '../components/storage-manager.js';
 import { ImportManager } from '../import/import-manager.js';
+import { ImportPresets } from '../import/import-presets.js';
 import { TokenManager } from '../auth/token-manager.js';
+import { FileCategory, FileCategoryLabels } from '../import/import-types.js';
+
+const IMPORT_JOB_STATUS_LABELS = {
+    running: 'Importing',
+    stopping: 'Stopping...',
+    completed: 'Completed',
+    failed: 'Failed',
+    cancelled: 'Stopped'
+};
 
 export class ImportScreen {
     constructor(uploadManager) {
         this.uploadManager = uploadManager;
         this.isVisible = false;
         this.elements = {};
-        this.isImporting = false;
-        this.importProgress = {
-            total: 0,
-            completed: 0,
-            failed: 0,
-            current: null,
-            uploadQueued: 0
-        };
-        this.importLogEntries = []; // Store log entries for persistence
+        this.isPreviewing = false;
+        this.importJobs = new Map(); // jobId -> { id, kind, label, sourcePaths, status, finished, progress, logEntries }
+        this.selectedJobId = null; // Job shown in the progress panel
+        this.additionalDestinations = []; // Extra folder destinations ({ id, type, label, path })
         
         // Initialize import manager
         this.importManager = new ImportManager(uploadManager);
@@ -30,6 +35,10 @@ export class ImportScreen {
         
         this.initializeElements();
         this.setupEventListeners();
+        
+        // Watch for memory cards from app start, not only while this tab is open
+        this.loadPresets();
+        this.syncCardWatcher();
     }
 
     /**
@@ -37,11 +46,16 @@ export class ImportScreen {
      */
     setupImportCallbacks() {
         this.importManager.setCallbacks({
+            onJobStarted: (data) => this.handleJobStarted(data),
+            onSourceAdded: (data) => this.handleSourceAdded(data),
+            onJobFinished: (data) => this.handleJobFinished(data),
             onProgress: (progress) => this.handleImportProgress(progress),
-            onLog: (message) => this.addLogEntry(message),
+            onLog: (message, jobId) => this.addLogEntry(message, jobId),
             onCompleted: (data) => this.handleImportCompleted(data),
+            onVerifyCompleted: (data) => this.handleVerifyCompleted(data),
             onError: (data) => this.handleImportError(data),
-            onCancelled: (data) => this.handleImportCancelled(data)
+            onCancelled: (data) => this.handleImportCancelled(data),
+            onCardMounted: (data) => this.handleCardMounted(data)
         });
     }
 
@@ -99,8 +113,88 @@ export class ImportScreen {
                 </div>
             </div>
 
+            <!-- Running Imports -->
+            <div id="runningImportsBanner" class="hidden max-w-2xl mb-6 p-3 bg-purple-50 border border-purple-200 rounded-lg flex items-center justify-between">
+                <span id="runningImportsText" class="text-sm text-gray-700"></span>
+                <button 
+                    id="showRunningImportsBtn" 
+                    class="px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 text-sm"
+                >
+                    Show progress
+                </button>
+            </div>
+
+            <!-- Unfinished Imports -->
+            <div id="unfinishedImportsContainer" class="hidden max-w-2xl mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <h3 class="text-sm font-medium text-gray-900 mb-2">Unfinished imports</h3>
+                <div id="unfinishedImportsList" class="space-y-2"></div>
+            </div>
+
             <!-- Settings -->
             <div class="max-w-2xl space-y-6">
+                    <!-- Preset -->
+                    <div class="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                        <div class="flex items-center justify-between mb-2">
+                            <label for="presetSelect" class="block text-sm font-medium text-gray-700">Preset</label>
+                            <span id="presetModifiedLabel" class="hidden text-xs text-yellow-700">Modified, save to keep the changes</span>
+                        </div>
+                        <div class="flex space-x-2">
+                            <select 
+                                id="presetSelect" 
+                                class="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm bg-white"
+                            >
+                                <option value="">No preset</option>
+                            </select>
+                            <button 
+                                id="savePresetBtn" 
+                                class="px-3 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                                title="Save the current settings to this preset"
+                            >
+                                Save
+                            </button>
+                            <button 
+                                id="duplicatePresetBtn" 
+                                class="px-3 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Duplicate
+                            </button>
+                            <button 
+                                id="deletePresetBtn" 
+                                class="px-3 py-2 bg-gray-100 text-red-600 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                Delete
+                            </button>
+                        </div>
+                        <div class="flex space-x-2 mt-2">
+                            <input 
+                                type="text" 
+                                id="newPresetNameInput" 
+                                class="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                placeholder="New preset name, e.g. Wedding"
+                            >
+                            <button 
+                                id="createPresetBtn" 
+                                class="px-3 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm"
+                            >
+                                Save as new
+                            </button>
+                            <button 
+                                id="exportPresetsBtn" 
+                                class="px-3 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm"
+                                title="Export all presets to a JSON file"
+                            >
+                                Export
+                            </button>
+                            <button 
+                                id="importPresetsBtn" 
+                                class="px-3 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm"
+                                title="Import presets from a JSON file"
+                            >
+                                Import
+                            </button>
+                        </div>
+                    </div>
+
                     <!-- Import From -->
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Import from <span class="text-red-500">*</span></label>
@@ -132,6 +226,48 @@ export class ImportScreen {
                         </div>
                     </div>
 
+                    <!-- File Types -->
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">File types</label>
+                        <div id="fileCategoriesContainer" class="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                            ${Object.values(FileCategory).map(category => `
+                                <div class="flex items-center space-x-2">
+                                    <input 
+                                        type="checkbox" 
+                                        id="fileCategory_${category}" 
+                                        data-category="${category}"
+                                        class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                                        checked
+                                    >
+                                    <label for="fileCategory_${category}" class="text-sm text-gray-700">${FileCategoryLabels[category]}</label>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="grid grid-cols-2 gap-2 mt-3">
+                            <input 
+                                type="text" 
+                                id="includeExtensionsInput" 
+                                class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                placeholder="Always include (e.g. png, tif)"
+                            >
+                            <input 
+                                type="text" 
+                                id="excludeExtensionsInput" 
+                                class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                placeholder="Always exclude (e.g. mts)"
+                            >
+                        </div>
+                        <div class="flex items-center space-x-3 mt-2">
+                            <input 
+                                type="checkbox" 
+                                id="skipJunkCheckbox" 
+                                class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                                checked
+                            >
+                            <label for="skipJunkCheckbox" class="text-sm text-gray-700">Skip camera junk (.THM, .CTG, .LRV, DCIM/MISC)</label>
+                        </div>
+                    </div>
+
                     <!-- Destination (Required) -->
                     <div>
                         <label class="block text-sm font-medium text-gray-700 mb-2">Destination <span class="text-red-500">*</span></label>
@@ -191,7 +327,17 @@ export class ImportScreen {
                                         <option value="2025/2025-05/2025-05-26">2025/2025-05/2025-05-26</option>
                                         <option value="2025 may 26">2025 may 26</option>
                                         <option value="20250526">20250526 (YYYYMMDD)</option>
+                                        <option value="pattern">Custom pattern...</option>
                                     </select>
+                                    <input 
+                                        type="text" 
+                                        id="datePatternInput" 
+                                        class="hidden w-[calc(100%-8rem)] px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm font-mono ml-7" 
+                                        placeholder="YYYY/MM-MMMM/DD"
+                                    >
+                                    <p id="datePatternHelp" class="hidden text-xs text-gray-500 ml-7">
+                                        Tokens: YYYY YY MMMM MMM MM DD dddd ddd HH mm, [text] is kept as is, / starts a subfolder
+                                    </p>
                                 </div>
                                 
                                 <div class="space-y-2">
@@ -213,6 +359,118 @@ export class ImportScreen {
                                         disabled
                                     >
                                 </div>
+                                
+                                <div class="space-y-2">
+                                    <div class="flex items-center space-x-3">
+                                        <input 
+                                            type="radio" 
+                                            id="templateFolderRadio" 
+                                            name="folderOrganization" 
+                                            value="template"
+                                            class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 focus:ring-purple-500 focus:ring-2"
+                                        >
+                                        <label for="templateFolderRadio" class="text-sm text-gray-700">Folder template:</label>
+                                    </div>
+                                    <div class="ml-7 space-y-2">
+                                        <input 
+                                            type="text" 
+                                            id="folderTemplateInput" 
+                                            class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm font-mono" 
+                                            placeholder="{year}/{date:YYYY-MM-DD}_{job}/{camera_model}"
+                                            disabled
+                                        >
+                                        <p class="text-xs text-gray-500">
+                                            Use / for subfolders. Tokens: {year} {month} {day} {date:YYYY-MM-DD} {camera_model} {camera_serial} {ext} {ext_group} {card} {job} {photographer}
+                                        </p>
+                                        <div id="folderTemplatePreview" class="hidden p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs font-mono text-gray-600 space-y-1">
+                                            Select a source directory to preview folders
+                                        </div>
+                                    </div>
+                                </div>
+                                
+                                <!-- Date options, used by date folders and folder templates -->
+                                <div class="grid grid-cols-2 gap-2 pt-2 border-t border-gray-100">
+                                    <div>
+                                        <label for="dateLocaleSelect" class="block text-xs text-gray-500 mb-1">Month and day names</label>
+                                        <select 
+                                            id="dateLocaleSelect" 
+                                            class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm"
+                                        >
+                                            <option value="en">English</option>
+                                            <option value="nb">Norsk</option>
+                                            <option value="sv">Svenska</option>
+                                            <option value="da">Dansk</option>
+                                            <option value="de">Deutsch</option>
+                                            <option value="nl">Nederlands</option>
+                                            <option value="fr">Français</option>
+                                            <option value="es">Español</option>
+                                            <option value="it">Italiano</option>
+                                            <option value="pt">Português</option>
+                                            <option value="pl">Polski</option>
+                                            <option value="fi">Suomi</option>
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label for="dayRolloverSelect" class="block text-xs text-gray-500 mb-1">Shoot day ends at</label>
+                                        <select 
+                                            id="dayRolloverSelect" 
+                                            class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm"
+                                        >
+                                            <option value="0">Midnight</option>
+                                            <option value="1">01:00</option>
+                                            <option value="2">02:00</option>
+                                            <option value="3">03:00</option>
+                                            <option value="4">04:00</option>
+                                            <option value="5">05:00</option>
+                                            <option value="6">06:00</option>
+                                        </select>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Job details, used by the {job} and {photographer} tokens -->
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Job</label>
+                        <div class="grid grid-cols-2 gap-2">
+                            <input 
+                                type="text" 
+                                id="jobNameInput" 
+                                class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                placeholder="Job name"
+                            >
+                            <input 
+                                type="text" 
+                                id="photographerInput" 
+                                class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                placeholder="Photographer"
+                            >
+                        </div>
+                    </div>
+
+                    <!-- Rename Files -->
+                    <div>
+                        <div class="flex items-center space-x-3 mb-2">
+                            <input 
+                                type="checkbox" 
+                                id="renameFilesCheckbox" 
+                                class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                            >
+                            <label for="renameFilesCheckbox" class="text-sm font-medium text-gray-700">Rename files</label>
+                        </div>
+                        <div id="renameContainer" class="hidden ml-7 space-y-2">
+                            <input 
+                                type="text" 
+                                id="renameTemplateInput" 
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm font-mono" 
+                                placeholder="{date:YYYYMMDD}_{time}_{original}"
+                            >
+                            <p class="text-xs text-gray-500">
+                                Tokens: {date:YYYYMMDD} {time} {camera_model} {camera_serial} {seq:4} {original} {job} {photographer}
+                            </p>
+                            <div id="renamePreview" class="p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs font-mono text-gray-600 space-y-1">
+                                Select a source directory to preview file names
                             </div>
                         </div>
                     </div>
@@ -247,6 +505,22 @@ export class ImportScreen {
                         </div>
                     </div>
 
+                    <!-- Additional Copies -->
+                    <div>
+                        <div class="flex items-center justify-between mb-2">
+                            <label class="text-sm font-medium text-gray-700">Additional copies</label>
+                            <button 
+                                id="addDestinationBtn" 
+                                class="px-3 py-1 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm"
+                                title="Copy every file to another folder or NAS share"
+                            >
+                                Add folder
+                            </button>
+                        </div>
+                        <div id="additionalDestinationsList" class="space-y-2"></div>
+                        <p class="text-xs text-gray-500 mt-1">Written from the same read as the destination and backup</p>
+                    </div>
+
                     <!-- Upload Options -->
                     <div>
                         <div class="flex items-center space-x-3 mb-3">
@@ -272,6 +546,18 @@ export class ImportScreen {
                                 </label>
                             </div>
                             
+                            <!-- Upload to S3-compatible storage -->
+                            <div class="flex items-center space-x-3 cursor-pointer">
+                                <input 
+                                    type="checkbox" 
+                                    id="uploadToS3CompatibleCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                <label for="uploadToS3CompatibleCheckbox" class="text-sm font-medium text-gray-700 cursor-pointer">
+                                    ☁️ Upload to S3-compatible storage
+                                </label>
+                            </div>
+                            
                             <!-- Upload to Azure Blob Storage -->
                             <div class="flex items-center space-x-3 cursor-pointer">
                                 <input 
@@ -295,6 +581,42 @@ export class ImportScreen {
                                     ☁️ Upload to GCP Bucket
                                 </label>
                             </div>
+                            
+                            <!-- Upload to SFTP server -->
+                            <div class="flex items-center space-x-3 cursor-pointer">
+                                <input 
+                                    type="checkbox" 
+                                    id="uploadToSftpCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                <label for="uploadToSftpCheckbox" class="text-sm font-medium text-gray-700 cursor-pointer">
+                                    🔒 Upload to SFTP server
+                                </label>
+                            </div>
+                            
+                            <!-- Upload to FTP server -->
+                            <div class="flex items-center space-x-3 cursor-pointer">
+                                <input 
+                                    type="checkbox" 
+                                    id="uploadToFtpCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                <label for="uploadToFtpCheckbox" class="text-sm font-medium text-gray-700 cursor-pointer">
+                                    📁 Upload to FTP server
+                                </label>
+                            </div>
+                            
+                            <!-- Upload to WebDAV / Nextcloud -->
+                            <div class="flex items-center space-x-3 cursor-pointer">
+                                <input 
+                                    type="checkbox" 
+                                    id="uploadToWebdavCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                <label for="uploadToWebdavCheckbox" class="text-sm font-medium text-gray-700 cursor-pointer">
+                                    🌐 Upload to WebDAV / Nextcloud
+                                </label>
+                            </div>
 
                             <!-- Upload to ZenTransfer -->
                             <div class="flex items-center space-x-3 cursor-pointer">
@@ -307,17 +629,145 @@ export class ImportScreen {
                                     🚀 Relay with ZenTransfer.io
                                 </label>
                             </div>
+
+                            <!-- Upload only the JPEG of RAW+JPEG pairs -->
+                            <div class="flex items-center space-x-3 pt-2 border-t border-gray-100">
+                                <input 
+                                    type="checkbox" 
+                                    id="uploadJpegOnlyCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                                >
+                                <label for="uploadJpegOnlyCheckbox" class="text-sm text-gray-700 cursor-pointer">
+                                    Upload only the JPEG of RAW+JPEG pairs (both are archived locally)
+                                </label>
+                            </div>
+
+                            <!-- Cloud folders, defaults to the destination layout -->
+                            <div class="space-y-1">
+                                <label for="cloudPrefixTemplateInput" class="block text-sm text-gray-700">Cloud folder template (optional)</label>
+                                <input 
+                                    type="text" 
+                                    id="cloudPrefixTemplateInput" 
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm font-mono" 
+                                    placeholder="Same folders as the destination"
+                                >
+                                <p class="text-xs text-gray-500">Uses the folder template tokens, e.g. {job}/{date:YYYY-MM-DD}</p>
+                            </div>
                         </div>
                     </div>
 
-                    <!-- Start Import Button -->
-                    <button 
-                        id="startImportBtn" 
-                        class="w-full px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 focus:ring-2 focus:ring-purple-500 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
-                        disabled
-                    >
-                        Start Import
-                    </button>
+                    <!-- After Import -->
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">After import</label>
+                        <div class="space-y-2">
+                            <div class="flex items-center space-x-3">
+                                <input 
+                                    type="checkbox" 
+                                    id="ejectAfterImportCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                                >
+                                <label for="ejectAfterImportCheckbox" class="text-sm text-gray-700">Eject card when every file is verified on</label>
+                                <select 
+                                    id="ejectMinCopiesSelect" 
+                                    class="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm"
+                                >
+                                    <option value="1">1 destination</option>
+                                    <option value="2">2 destinations</option>
+                                    <option value="3">3 destinations</option>
+                                </select>
+                            </div>
+                            <div class="flex items-center space-x-3">
+                                <input 
+                                    type="checkbox" 
+                                    id="wipeCardCheckbox" 
+                                    class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                                >
+                                <label for="wipeCardCheckbox" class="text-sm text-red-700">Delete imported files from card (only when all are verified, writes a receipt)</label>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Memory Cards -->
+                    <div>
+                        <div class="flex items-center space-x-3 mb-3">
+                            <input 
+                                type="checkbox" 
+                                id="watchCardsCheckbox" 
+                                class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                            >
+                            <label for="watchCardsCheckbox" class="text-sm font-medium text-gray-700 cursor-pointer">Import when a memory card is inserted</label>
+                        </div>
+                        <div class="flex items-center space-x-3 mb-3">
+                            <input 
+                                type="checkbox" 
+                                id="combineCameraSlotsCheckbox" 
+                                class="w-4 h-4 text-purple-600 bg-gray-100 border-gray-300 rounded focus:ring-purple-500 focus:ring-2"
+                            >
+                            <label for="combineCameraSlotsCheckbox" class="text-sm text-gray-700 cursor-pointer">Import both card slots of a camera as one job (continues numbering, skips mirrored files)</label>
+                        </div>
+                        <div id="cardPresetsContainer" class="hidden ml-7 space-y-3">
+                            <p class="text-xs text-gray-500">Cards matching a preset's card rule use its settings, other cards are imported with the current settings after asking.</p>
+                            <div id="cardPresetsList" class="space-y-2"></div>
+                            <div class="grid grid-cols-2 gap-2">
+                                <select 
+                                    id="cardRulePresetSelect" 
+                                    class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm"
+                                >
+                                </select>
+                                <select 
+                                    id="presetCardActionSelect" 
+                                    class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm"
+                                >
+                                    <option value="prompt">Ask before importing</option>
+                                    <option value="auto">Import automatically</option>
+                                </select>
+                                <input 
+                                    type="text" 
+                                    id="presetVolumeLabelInput" 
+                                    class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                    placeholder="Volume label, e.g. EOS_DIGITAL or CAM_*"
+                                >
+                                <input 
+                                    type="text" 
+                                    id="presetMarkerFileInput" 
+                                    class="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm" 
+                                    placeholder="Marker file on card, e.g. CAM_A.txt"
+                                >
+                            </div>
+                            <button 
+                                id="saveCardPresetBtn" 
+                                class="px-4 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm"
+                            >
+                                Add card rule to preset
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Preview and Start Import Buttons -->
+                    <div class="flex space-x-3">
+                        <button 
+                            id="previewImportBtn" 
+                            class="px-6 py-3 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="Show what the import would do without copying anything"
+                            disabled
+                        >
+                            Preview
+                        </button>
+                        <button 
+                            id="verifyArchiveBtn" 
+                            class="px-6 py-3 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 font-medium"
+                            title="Re-check an archive folder against its import manifests and the archive catalog"
+                        >
+                            Verify archive...
+                        </button>
+                        <button 
+                            id="startImportBtn" 
+                            class="flex-1 px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 focus:ring-2 focus:ring-purple-500 font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                            disabled
+                        >
+                            Start Import
+                        </button>
+                    </div>
                 </div>
         `;
 
@@ -350,17 +800,28 @@ export class ImportScreen {
                             <h2 class="text-lg font-semibold text-gray-900 leading-tight">Import</h2>
                             <div class="w-2 h-2 bg-purple-500 rounded-full animate-pulse"></div>
                         </div>
-                        <p class="text-sm text-purple-600 leading-tight">Import in progress</p>
+                        <p id="importStatusText" class="text-sm text-purple-600 leading-tight">Import in progress</p>
                     </div>
                 </div>
-                <button 
-                    id="stopImportBtn" 
-                    class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 focus:ring-2 focus:ring-red-500 font-medium text-sm"
-                >
-                    Stop
-                </button>
+                <div class="flex space-x-2">
+                    <button 
+                        id="newImportBtn" 
+                        class="px-4 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 font-medium text-sm"
+                    >
+                        New import
+                    </button>
+                    <button 
+                        id="stopImportBtn" 
+                        class="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 focus:ring-2 focus:ring-red-500 font-medium text-sm"
+                    >
+                        Stop
+                    </button>
+                </div>
             </div>
 
+            <!-- Import Jobs, one per card or camera body -->
+            <div id="importJobList" class="space-y-2 mb-6"></div>
+
             <!-- Overall Progress -->
             <div class="mb-6">
                 <div class="flex justify-between text-sm text-gray-600 mb-3">
@@ -370,6 +831,8 @@ export class ImportScreen {
                 <div class="w-full bg-gray-200 rounded-full h-4">
                     <div id="overallProgressBar" class="bg-purple-600 h-4 rounded-full transition-all duration-500 ease-out" style="width: 0%"></div>
                 </div>
+                <div id="copySpeedText" class="text-xs text-gray-500 mt-2"></div>
+                <div id="destinationProgressList" class="space-y-2 mt-3"></div>
             </div>
 
             <!-- Current File Progress -->
@@ -442,6 +905,12 @@ export class ImportScreen {
             });
         }
 
+        if (this.elements.addDestinationBtn) {
+            this.elements.addDestinationBtn.addEventListener('click', () => {
+                this.browseDirectory('additional');
+            });
+        }
+
         // Organize into folders checkbox
         if (this.elements.organizeIntoFoldersCheckbox) {
             this.elements.organizeIntoFoldersCheckbox.addEventListener('change', () => {
@@ -465,50 +934,229 @@ export class ImportScreen {
             });
         }
 
-        // Backup checkbox
-        if (this.elements.enableBackupCheckbox) {
-            this.elements.enableBackupCheckbox.addEventListener('change', () => {
-                this.toggleBackupPath();
+        if (this.elements.templateFolderRadio) {
+            this.elements.templateFolderRadio.addEventListener('change', () => {
+                this.updateFolderOrganizationInputs();
                 this.saveAllSettings();
             });
         }
 
-        // Start import button
-        if (this.elements.startImportBtn) {
-            this.elements.startImportBtn.addEventListener('click', () => {
-                this.startImport();
+        if (this.elements.folderTemplateInput) {
+            this.elements.folderTemplateInput.addEventListener('input', () => {
+                this.validateInputs();
+                this.saveAllSettings();
+                this.scheduleRenamePreview();
             });
         }
 
-        // Stop import button
-        if (this.elements.stopImportBtn) {
-            this.elements.stopImportBtn.addEventListener('click', () => {
-                this.stopImport();
+        if (this.elements.cloudPrefixTemplateInput) {
+            this.elements.cloudPrefixTemplateInput.addEventListener('input', () => {
+                this.saveAllSettings();
             });
         }
 
-        // Input change listeners for validation and persistence
-        ['importFromInput', 'destinationInput', 'customFolderNameInput'].forEach(inputId => {
+        // Rename files checkbox
+        if (this.elements.renameFilesCheckbox) {
+            this.elements.renameFilesCheckbox.addEventListener('change', () => {
+                this.toggleRename();
+                this.saveAllSettings();
+            });
+        }
+
+        ['renameTemplateInput', 'jobNameInput', 'photographerInput'].forEach(inputId => {
             const input = this.elements[inputId];
             if (input) {
                 input.addEventListener('input', () => {
-                    this.validateInputs();
                     this.saveAllSettings();
+                    this.scheduleRenamePreview();
                 });
             }
         });
 
-        // Date format change listener
-        if (this.elements.dateFormatSelect) {
-            this.elements.dateFormatSelect.addEventListener('change', () => {
+        // Backup checkbox
+        if (this.elements.enableBackupCheckbox) {
+            this.elements.enableBackupCheckbox.addEventListener('change', () => {
+                this.toggleBackupPath();
                 this.saveAllSettings();
             });
         }
 
-        // Include subdirectories change listener
-        if (this.elements.includeSubdirectoriesCheckbox) {
-            this.elements.includeSubdirectoriesCheckbox.addEventListener('change', () => {
-                this.saveAllSettings();
+        // After import actions
+        [this.elements.ejectAfterImportCheckbox, this.elements.ejectMinCopiesSelect, this.elements.wipeCardCheckbox].forEach(element => {
+            if (element) {
+                element.addEventListener('change', () => {
+                    this.saveAllSettings();
+                });
+            }
+        });
+
+        // Memory card watching
+        if (this.elements.watchCardsCheckbox) {
+            this.elements.watchCardsCheckbox.addEventListener('change', () => {
+                StorageManager.setImportWatchCards(this.elements.watchCardsCheckbox.checked);
+                this.toggleCardPresets();
+                this.syncCardWatcher();
+            });
+        }
+
+        if (this.elements.saveCardPresetBtn) {
+            this.elements.saveCardPresetBtn.addEventListener('click', () => {
+                this.saveCardRule();
+            });
+        }
+
+        // Presets
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.addEventListener('change', () => {
+                this.selectPreset(this.elements.presetSelect.value);
+            });
+        }
+
+        if (this.elements.savePresetBtn) {
+            this.elements.savePresetBtn.addEventListener('click', () => {
+                this.savePreset();
+            });
+        }
+
+        if (this.elements.createPresetBtn) {
+            this.elements.createPresetBtn.addEventListener('click', () => {
+                this.createPreset();
+            });
+        }
+
+        if (this.elements.duplicatePresetBtn) {
+            this.elements.duplicatePresetBtn.addEventListener('click', () => {
+                this.duplicatePreset();
+            });
+        }
+
+        if (this.elements.deletePresetBtn) {
+            this.elements.deletePresetBtn.addEventListener('click', () => {
+                this.deletePreset();
+            });
+        }
+
+        if (this.elements.exportPresetsBtn) {
+            this.elements.exportPresetsBtn.addEventListener('click', () => {
+                this.exportPresets();
+            });
+        }
+
+        if (this.elements.importPresetsBtn) {
+            this.elements.importPresetsBtn.addEventListener('click', () => {
+                this.importPresets();
+            });
+        }
+
+        // Preview button
+        if (this.elements.previewImportBtn) {
+            this.elements.previewImportBtn.addEventListener('click', () => {
+                this.previewImport();
+            });
+        }
+
+        // Verify archive button
+        if (this.elements.verifyArchiveBtn) {
+            this.elements.verifyArchiveBtn.addEventListener('click', () => {
+                this.verifyArchive();
+            });
+        }
+
+        // Start import button
+        if (this.elements.startImportBtn) {
+            this.elements.startImportBtn.addEventListener('click', () => {
+                this.startImport();
+            });
+        }
+
+        // Stop import button, stops the job shown in the progress panel
+        if (this.elements.stopImportBtn) {
+            this.elements.stopImportBtn.addEventListener('click', () => {
+                this.stopImport(this.selectedJobId);
+            });
+        }
+
+        // Set up another card while imports are running
+        if (this.elements.newImportBtn) {
+            this.elements.newImportBtn.addEventListener('click', () => {
+                this.switchMode(false);
+            });
+        }
+
+        if (this.elements.showRunningImportsBtn) {
+            this.elements.showRunningImportsBtn.addEventListener('click', () => {
+                this.switchMode(true);
+            });
+        }
+
+        if (this.elements.combineCameraSlotsCheckbox) {
+            this.elements.combineCameraSlotsCheckbox.addEventListener('change', () => {
+                StorageManager.setImportCombineCameraSlots(this.elements.combineCameraSlotsCheckbox.checked);
+            });
+        }
+
+        // Input change listeners for validation and persistence
+        ['importFromInput', 'destinationInput', 'customFolderNameInput'].forEach(inputId => {
+            const input = this.elements[inputId];
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.validateInputs();
+                    this.saveAllSettings();
+                });
+            }
+        });
+
+        // Date format change listener
+        if (this.elements.dateFormatSelect) {
+            this.elements.dateFormatSelect.addEventListener('change', () => {
+                this.updateFolderOrganizationInputs();
+                this.saveAllSettings();
+            });
+        }
+
+        if (this.elements.datePatternInput) {
+            this.elements.datePatternInput.addEventListener('input', () => {
+                this.validateInputs();
+                this.saveAllSettings();
+            });
+        }
+
+        [this.elements.dateLocaleSelect, this.elements.dayRolloverSelect].forEach(select => {
+            if (select) {
+                select.addEventListener('change', () => {
+                    this.saveAllSettings();
+                    this.scheduleRenamePreview();
+                });
+            }
+        });
+
+        // Include subdirectories change listener
+        if (this.elements.includeSubdirectoriesCheckbox) {
+            this.elements.includeSubdirectoriesCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
+            });
+        }
+
+        // File type filter listeners
+        this.elements.fileCategoryCheckboxes.forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.saveAllSettings();
+                this.scheduleRenamePreview();
+            });
+        });
+
+        ['includeExtensionsInput', 'excludeExtensionsInput'].forEach(inputId => {
+            const input = this.elements[inputId];
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.saveAllSettings();
+                });
+            }
+        });
+
+        if (this.elements.skipJunkCheckbox) {
+            this.elements.skipJunkCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
             });
         }
 
@@ -525,6 +1173,12 @@ export class ImportScreen {
             });
         }
 
+        if (this.elements.uploadToS3CompatibleCheckbox) {
+            this.elements.uploadToS3CompatibleCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
+            });
+        }
+
         if (this.elements.uploadToAzureCheckbox) {
             this.elements.uploadToAzureCheckbox.addEventListener('change', () => {
                 this.saveAllSettings();
@@ -537,6 +1191,30 @@ export class ImportScreen {
             });
         }
 
+        if (this.elements.uploadToSftpCheckbox) {
+            this.elements.uploadToSftpCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
+            });
+        }
+
+        if (this.elements.uploadToFtpCheckbox) {
+            this.elements.uploadToFtpCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
+            });
+        }
+
+        if (this.elements.uploadToWebdavCheckbox) {
+            this.elements.uploadToWebdavCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
+            });
+        }
+
+        if (this.elements.uploadJpegOnlyCheckbox) {
+            this.elements.uploadJpegOnlyCheckbox.addEventListener('change', () => {
+                this.saveAllSettings();
+            });
+        }
+
         // Enable cloud upload checkbox
         if (this.elements.enableCloudUploadCheckbox) {
             this.elements.enableCloudUploadCheckbox.addEventListener('change', () => {
@@ -554,28 +1232,88 @@ export class ImportScreen {
         this.elements.importFromInput = document.getElementById('importFromInput');
         this.elements.browseImportBtn = document.getElementById('browseImportBtn');
         this.elements.includeSubdirectoriesCheckbox = document.getElementById('includeSubdirectoriesCheckbox');
+        this.elements.unfinishedImportsContainer = document.getElementById('unfinishedImportsContainer');
+        this.elements.presetSelect = document.getElementById('presetSelect');
+        this.elements.presetModifiedLabel = document.getElementById('presetModifiedLabel');
+        this.elements.savePresetBtn = document.getElementById('savePresetBtn');
+        this.elements.duplicatePresetBtn = document.getElementById('duplicatePresetBtn');
+        this.elements.deletePresetBtn = document.getElementById('deletePresetBtn');
+        this.elements.newPresetNameInput = document.getElementById('newPresetNameInput');
+        this.elements.createPresetBtn = document.getElementById('createPresetBtn');
+        this.elements.exportPresetsBtn = document.getElementById('exportPresetsBtn');
+        this.elements.importPresetsBtn = document.getElementById('importPresetsBtn');
+        this.elements.unfinishedImportsList = document.getElementById('unfinishedImportsList');
+        this.elements.fileCategoryCheckboxes = Array.from(document.querySelectorAll('#fileCategoriesContainer input[data-category]'));
+        this.elements.includeExtensionsInput = document.getElementById('includeExtensionsInput');
+        this.elements.excludeExtensionsInput = document.getElementById('excludeExtensionsInput');
+        this.elements.skipJunkCheckbox = document.getElementById('skipJunkCheckbox');
         this.elements.destinationInput = document.getElementById('destinationInput');
         this.elements.browseDestinationBtn = document.getElementById('browseDestinationBtn');
         this.elements.organizeIntoFoldersCheckbox = document.getElementById('organizeIntoFoldersCheckbox');
         this.elements.folderOrganizationContainer = document.getElementById('folderOrganizationContainer');
         this.elements.customFolderRadio = document.getElementById('customFolderRadio');
         this.elements.dateFolderRadio = document.getElementById('dateFolderRadio');
+        this.elements.templateFolderRadio = document.getElementById('templateFolderRadio');
+        this.elements.folderTemplateInput = document.getElementById('folderTemplateInput');
+        this.elements.folderTemplatePreview = document.getElementById('folderTemplatePreview');
         this.elements.customFolderNameInput = document.getElementById('customFolderNameInput');
         this.elements.dateFormatSelect = document.getElementById('dateFormatSelect');
+        this.elements.datePatternInput = document.getElementById('datePatternInput');
+        this.elements.datePatternHelp = document.getElementById('datePatternHelp');
+        this.elements.dateLocaleSelect = document.getElementById('dateLocaleSelect');
+        this.elements.dayRolloverSelect = document.getElementById('dayRolloverSelect');
+        this.elements.renameFilesCheckbox = document.getElementById('renameFilesCheckbox');
+        this.elements.renameContainer = document.getElementById('renameContainer');
+        this.elements.renameTemplateInput = document.getElementById('renameTemplateInput');
+        this.elements.jobNameInput = document.getElementById('jobNameInput');
+        this.elements.photographerInput = document.getElementById('photographerInput');
+        this.elements.renamePreview = document.getElementById('renamePreview');
         this.elements.enableBackupCheckbox = document.getElementById('enableBackupCheckbox');
         this.elements.backupPathContainer = document.getElementById('backupPathContainer');
         this.elements.backupPathInput = document.getElementById('backupPathInput');
         this.elements.browseBackupBtn = document.getElementById('browseBackupBtn');
+        this.elements.addDestinationBtn = document.getElementById('addDestinationBtn');
+        this.elements.additionalDestinationsList = document.getElementById('additionalDestinationsList');
         this.elements.uploadToZenTransferCheckbox = document.getElementById('uploadToZenTransferCheckbox');
         this.elements.uploadToAwsS3Checkbox = document.getElementById('uploadToAwsS3Checkbox');
+        this.elements.uploadToS3CompatibleCheckbox = document.getElementById('uploadToS3CompatibleCheckbox');
         this.elements.uploadToAzureCheckbox = document.getElementById('uploadToAzureCheckbox');
         this.elements.uploadToGcpCheckbox = document.getElementById('uploadToGcpCheckbox');
+        this.elements.uploadToSftpCheckbox = document.getElementById('uploadToSftpCheckbox');
+        this.elements.uploadToFtpCheckbox = document.getElementById('uploadToFtpCheckbox');
+        this.elements.uploadToWebdavCheckbox = document.getElementById('uploadToWebdavCheckbox');
+        this.elements.uploadJpegOnlyCheckbox = document.getElementById('uploadJpegOnlyCheckbox');
+        this.elements.cloudPrefixTemplateInput = document.getElementById('cloudPrefixTemplateInput');
+        this.elements.ejectAfterImportCheckbox = document.getElementById('ejectAfterImportCheckbox');
+        this.elements.ejectMinCopiesSelect = document.getElementById('ejectMinCopiesSelect');
+        this.elements.wipeCardCheckbox = document.getElementById('wipeCardCheckbox');
+        this.elements.watchCardsCheckbox = document.getElementById('watchCardsCheckbox');
+        this.elements.cardPresetsContainer = document.getElementById('cardPresetsContainer');
+        this.elements.cardPresetsList = document.getElementById('cardPresetsList');
+        this.elements.cardRulePresetSelect = document.getElementById('cardRulePresetSelect');
+        this.elements.presetCardActionSelect = document.getElementById('presetCardActionSelect');
+        this.elements.presetVolumeLabelInput = document.getElementById('presetVolumeLabelInput');
+        this.elements.presetMarkerFileInput = document.getElementById('presetMarkerFileInput');
+        this.elements.saveCardPresetBtn = document.getElementById('saveCardPresetBtn');
+        this.elements.previewImportBtn = document.getElementById('previewImportBtn');
+        this.elements.verifyArchiveBtn = document.getElementById('verifyArchiveBtn');
         this.elements.startImportBtn = document.getElementById('startImportBtn');
         
+        // Running imports while in setup mode
+        this.elements.runningImportsBanner = document.getElementById('runningImportsBanner');
+        this.elements.runningImportsText = document.getElementById('runningImportsText');
+        this.elements.showRunningImportsBtn = document.getElementById('showRunningImportsBtn');
+        this.elements.combineCameraSlotsCheckbox = document.getElementById('combineCameraSlotsCheckbox');
+        
         // Progress mode elements
+        this.elements.importStatusText = document.getElementById('importStatusText');
+        this.elements.newImportBtn = document.getElementById('newImportBtn');
+        this.elements.importJobList = document.getElementById('importJobList');
         this.elements.stopImportBtn = document.getElementById('stopImportBtn');
         this.elements.overallProgressBar = document.getElementById('overallProgressBar');
         this.elements.overallProgressText = document.getElementById('overallProgressText');
+        this.elements.copySpeedText = document.getElementById('copySpeedText');
+        this.elements.destinationProgressList = document.getElementById('destinationProgressList');
         this.elements.currentFileName = document.getElementById('currentFileName');
         this.elements.currentFileProgressBar = document.getElementById('currentFileProgressBar');
         this.elements.currentFileProgressText = document.getElementById('currentFileProgressText');
@@ -617,20 +1355,40 @@ export class ImportScreen {
             this.elements.includeSubdirectoriesCheckbox.checked = includeSubdirectories !== false; // Default to true
         }
 
+        // Default to all file categories
+        const fileCategories = StorageManager.getImportFileCategories();
+        this.elements.fileCategoryCheckboxes.forEach(checkbox => {
+            checkbox.checked = !fileCategories || fileCategories.includes(checkbox.dataset.category);
+        });
+
+        if (this.elements.includeExtensionsInput) {
+            this.elements.includeExtensionsInput.value = StorageManager.getImportIncludeExtensions();
+        }
+
+        if (this.elements.excludeExtensionsInput) {
+            this.elements.excludeExtensionsInput.value = StorageManager.getImportExcludeExtensions();
+        }
+
+        if (this.elements.skipJunkCheckbox) {
+            this.elements.skipJunkCheckbox.checked = StorageManager.getImportSkipJunk();
+        }
+
         if (this.elements.organizeIntoFoldersCheckbox) {
             this.elements.organizeIntoFoldersCheckbox.checked = organizeIntoFolders !== false; // Default to true
             this.toggleFolderOrganization();
         }
 
+        if (this.elements.folderTemplateInput) {
+            this.elements.folderTemplateInput.value = StorageManager.getImportFolderTemplate();
+        }
+
         if (this.elements.customFolderRadio && this.elements.dateFolderRadio) {
             // Default to 'date' organization type
-            if (folderOrganizationType === 'custom') {
-                this.elements.customFolderRadio.checked = true;
-                this.elements.dateFolderRadio.checked = false;
-            } else {
-                this.elements.dateFolderRadio.checked = true;
-                this.elements.customFolderRadio.checked = false;
+            this.elements.customFolderRadio.checked = folderOrganizationType === 'custom';
+            if (this.elements.templateFolderRadio) {
+                this.elements.templateFolderRadio.checked = folderOrganizationType === 'template';
             }
+            this.elements.dateFolderRadio.checked = folderOrganizationType !== 'custom' && folderOrganizationType !== 'template';
             this.updateFolderOrganizationInputs();
         }
 
@@ -638,9 +1396,32 @@ export class ImportScreen {
             this.elements.customFolderNameInput.value = customFolderName;
         }
 
-        if (this.elements.dateFormatSelect) {
-            // Default to YYYY/MM/DD format
-            this.elements.dateFormatSelect.value = dateFormat || '2025/05/26';
+        // Default to YYYY/MM/DD format
+        this.setDateFormat(dateFormat || '2025/05/26');
+
+        if (this.elements.dateLocaleSelect) {
+            this.elements.dateLocaleSelect.value = StorageManager.getImportDateLocale();
+        }
+
+        if (this.elements.dayRolloverSelect) {
+            this.elements.dayRolloverSelect.value = String(StorageManager.getImportDayRolloverHour());
+        }
+
+        if (this.elements.renameTemplateInput) {
+            this.elements.renameTemplateInput.value = StorageManager.getImportRenameTemplate();
+        }
+
+        if (this.elements.jobNameInput) {
+            this.elements.jobNameInput.value = StorageManager.getImportJobName();
+        }
+
+        if (this.elements.photographerInput) {
+            this.elements.photographerInput.value = StorageManager.getImportPhotographer();
+        }
+
+        if (this.elements.renameFilesCheckbox) {
+            this.elements.renameFilesCheckbox.checked = StorageManager.getImportRenameEnabled();
+            this.toggleRename();
         }
 
         if (this.elements.enableBackupCheckbox) {
@@ -652,19 +1433,30 @@ export class ImportScreen {
             this.elements.backupPathInput.value = backupPath;
         }
 
+        this.additionalDestinations = StorageManager.getImportAdditionalDestinations();
+        this.renderAdditionalDestinations();
+
         if (this.elements.uploadToZenTransferCheckbox) {
             this.elements.uploadToZenTransferCheckbox.checked = uploadToZenTransfer || false;
         }
 
         // Load cloud storage upload settings
         const uploadToAwsS3 = StorageManager.getImportUploadToAwsS3();
+        const uploadToS3Compatible = StorageManager.getImportUploadToS3Compatible();
         const uploadToAzure = StorageManager.getImportUploadToAzure();
         const uploadToGcp = StorageManager.getImportUploadToGcp();
+        const uploadToSftp = StorageManager.getImportUploadToSftp();
+        const uploadToFtp = StorageManager.getImportUploadToFtp();
+        const uploadToWebdav = StorageManager.getImportUploadToWebdav();
 
         if (this.elements.uploadToAwsS3Checkbox) {
             this.elements.uploadToAwsS3Checkbox.checked = uploadToAwsS3 || false;
         }
 
+        if (this.elements.uploadToS3CompatibleCheckbox) {
+            this.elements.uploadToS3CompatibleCheckbox.checked = uploadToS3Compatible || false;
+        }
+
         if (this.elements.uploadToAzureCheckbox) {
             this.elements.uploadToAzureCheckbox.checked = uploadToAzure || false;
         }
@@ -673,6 +1465,47 @@ export class ImportScreen {
             this.elements.uploadToGcpCheckbox.checked = uploadToGcp || false;
         }
 
+        if (this.elements.uploadToSftpCheckbox) {
+            this.elements.uploadToSftpCheckbox.checked = uploadToSftp || false;
+        }
+
+        if (this.elements.uploadToFtpCheckbox) {
+            this.elements.uploadToFtpCheckbox.checked = uploadToFtp || false;
+        }
+
+        if (this.elements.uploadToWebdavCheckbox) {
+            this.elements.uploadToWebdavCheckbox.checked = uploadToWebdav || false;
+        }
+
+        if (this.elements.cloudPrefixTemplateInput) {
+            this.elements.cloudPrefixTemplateInput.value = StorageManager.getImportCloudPrefixTemplate();
+        }
+
+        if (this.elements.uploadJpegOnlyCheckbox) {
+            this.elements.uploadJpegOnlyCheckbox.checked = StorageManager.getImportUploadJpegOnly();
+        }
+
+        if (this.elements.ejectAfterImportCheckbox) {
+            this.elements.ejectAfterImportCheckbox.checked = StorageManager.getImportEjectAfterImport();
+        }
+
+        if (this.elements.ejectMinCopiesSelect) {
+            this.elements.ejectMinCopiesSelect.value = String(StorageManager.getImportEjectMinCopies());
+        }
+
+        if (this.elements.wipeCardCheckbox) {
+            this.elements.wipeCardCheckbox.checked = StorageManager.getImportWipeCard();
+        }
+
+        if (this.elements.watchCardsCheckbox) {
+            this.elements.watchCardsCheckbox.checked = StorageManager.getImportWatchCards();
+            this.toggleCardPresets();
+        }
+
+        if (this.elements.combineCameraSlotsCheckbox) {
+            this.elements.combineCameraSlotsCheckbox.checked = StorageManager.getImportCombineCameraSlots();
+        }
+
         // Load enable cloud upload setting
         const enableCloudUpload = StorageManager.getImportEnableCloudUpload();
         if (this.elements.enableCloudUploadCheckbox) {
@@ -684,6 +1517,7 @@ export class ImportScreen {
         this.updateServiceAvailability();
         
         this.validateInputs();
+        this.updatePresetState();
     }
 
     /**
@@ -700,10 +1534,21 @@ export class ImportScreen {
                 case 'aws-s3':
                     return !!(prefs.awsS3Enabled && prefs.awsS3Region && prefs.awsS3Bucket && 
                              prefs.awsS3AccessKey && prefs.awsS3SecretKey);
+                case 's3-compatible':
+                    return !!(prefs.s3CompatEnabled && prefs.s3CompatBucket &&
+                             (prefs.s3CompatEndpoint || (prefs.s3CompatProvider && prefs.s3CompatProvider !== 'custom')) &&
+                             prefs.s3CompatAccessKey && prefs.s3CompatSecretKey);
                 case 'azure-blob':
                     return !!(prefs.azureEnabled && prefs.azureConnectionString && prefs.azureContainer);
                 case 'gcp-storage':
                     return !!(prefs.gcpEnabled && prefs.gcpBucket && prefs.gcpServiceAccountKey);
+                case 'sftp':
+                    return !!(prefs.sftpEnabled && prefs.sftpHost && prefs.sftpUsername &&
+                             (prefs.sftpAuthMethod === 'key' ? prefs.sftpPrivateKeyPath : prefs.sftpPassword));
+                case 'ftp':
+                    return !!(prefs.ftpEnabled && prefs.ftpHost && prefs.ftpUsername);
+                case 'webdav':
+                    return !!(prefs.webdavEnabled && prefs.webdavUrl && prefs.webdavUsername && prefs.webdavPassword);
                 case 'zentransfer':
                     // ZenTransfer requires authentication (no enable toggle needed)
                     return TokenManager.isAuthenticated();
@@ -725,14 +1570,22 @@ export class ImportScreen {
         
         // Check cloud service configurations
         const isAwsS3Available = this.isServiceConfigured('aws-s3');
+        const isS3CompatibleAvailable = this.isServiceConfigured('s3-compatible');
         const isAzureAvailable = this.isServiceConfigured('azure-blob');
         const isGcpAvailable = this.isServiceConfigured('gcp-storage');
+        const isSftpAvailable = this.isServiceConfigured('sftp');
+        const isFtpAvailable = this.isServiceConfigured('ftp');
+        const isWebdavAvailable = this.isServiceConfigured('webdav');
         
         // Update UI elements
         this.updateServiceUI('zentransfer', isZenTransferAvailable, 'Please log in to enable ZenTransfer uploads');
         this.updateServiceUI('aws-s3', isAwsS3Available, 'Please enable and configure AWS S3 in Settings to enable uploads');
+        this.updateServiceUI('s3-compatible', isS3CompatibleAvailable, 'Please enable and configure S3-compatible storage in Settings to enable uploads');
         this.updateServiceUI('azure-blob', isAzureAvailable, 'Please enable and configure Azure Blob Storage in Settings to enable uploads');
         this.updateServiceUI('gcp-storage', isGcpAvailable, 'Please enable and configure Google Cloud Storage in Settings to enable uploads');
+        this.updateServiceUI('sftp', isSftpAvailable, 'Please enable and configure SFTP in Settings to enable uploads');
+        this.updateServiceUI('ftp', isFtpAvailable, 'Please enable and configure FTP in Settings to enable uploads');
+        this.updateServiceUI('webdav', isWebdavAvailable, 'Please enable and configure WebDAV in Settings to enable uploads');
     }
 
     /**
@@ -767,6 +1620,10 @@ export class ImportScreen {
                 checkbox = this.elements.uploadToAwsS3Checkbox;
                 label = checkbox?.parentElement;
                 break;
+            case 's3-compatible':
+                checkbox = this.elements.uploadToS3CompatibleCheckbox;
+                label = checkbox?.parentElement;
+                break;
             case 'azure-blob':
                 checkbox = this.elements.uploadToAzureCheckbox;
                 label = checkbox?.parentElement;
@@ -775,6 +1632,18 @@ export class ImportScreen {
                 checkbox = this.elements.uploadToGcpCheckbox;
                 label = checkbox?.parentElement;
                 break;
+            case 'sftp':
+                checkbox = this.elements.uploadToSftpCheckbox;
+                label = checkbox?.parentElement;
+                break;
+            case 'ftp':
+                checkbox = this.elements.uploadToFtpCheckbox;
+                label = checkbox?.parentElement;
+                break;
+            case 'webdav':
+                checkbox = this.elements.uploadToWebdavCheckbox;
+                label = checkbox?.parentElement;
+                break;
         }
         
         if (checkbox && label) {
@@ -804,21 +1673,68 @@ export class ImportScreen {
             StorageManager.setImportIncludeSubdirectories(this.elements.includeSubdirectoriesCheckbox.checked);
         }
 
+        if (this.elements.fileCategoryCheckboxes.length > 0) {
+            StorageManager.setImportFileCategories(this.getSelectedFileCategories());
+        }
+
+        if (this.elements.includeExtensionsInput) {
+            StorageManager.setImportIncludeExtensions(this.elements.includeExtensionsInput.value.trim());
+        }
+
+        if (this.elements.excludeExtensionsInput) {
+            StorageManager.setImportExcludeExtensions(this.elements.excludeExtensionsInput.value.trim());
+        }
+
+        if (this.elements.skipJunkCheckbox) {
+            StorageManager.setImportSkipJunk(this.elements.skipJunkCheckbox.checked);
+        }
+
         if (this.elements.organizeIntoFoldersCheckbox) {
             StorageManager.setImportOrganizeIntoFolders(this.elements.organizeIntoFoldersCheckbox.checked);
         }
 
         if (this.elements.customFolderRadio && this.elements.dateFolderRadio) {
-            const folderOrganizationType = this.elements.dateFolderRadio.checked ? 'date' : 'custom';
-            StorageManager.setImportFolderOrganizationType(folderOrganizationType);
+            StorageManager.setImportFolderOrganizationType(this.getFolderOrganizationType());
+        }
+
+        if (this.elements.folderTemplateInput && this.elements.folderTemplateInput.value.trim()) {
+            StorageManager.setImportFolderTemplate(this.elements.folderTemplateInput.value.trim());
+        }
+
+        if (this.elements.cloudPrefixTemplateInput) {
+            StorageManager.setImportCloudPrefixTemplate(this.elements.cloudPrefixTemplateInput.value.trim());
         }
 
         if (this.elements.customFolderNameInput && this.elements.customFolderNameInput.value.trim()) {
             StorageManager.setImportCustomFolderName(this.elements.customFolderNameInput.value.trim());
         }
 
-        if (this.elements.dateFormatSelect) {
-            StorageManager.setImportDateFormat(this.elements.dateFormatSelect.value);
+        if (this.getDateFormat()) {
+            StorageManager.setImportDateFormat(this.getDateFormat());
+        }
+
+        if (this.elements.dateLocaleSelect) {
+            StorageManager.setImportDateLocale(this.elements.dateLocaleSelect.value);
+        }
+
+        if (this.elements.dayRolloverSelect) {
+            StorageManager.setImportDayRolloverHour(parseInt(this.elements.dayRolloverSelect.value, 10));
+        }
+
+        if (this.elements.renameFilesCheckbox) {
+            StorageManager.setImportRenameEnabled(this.elements.renameFilesCheckbox.checked);
+        }
+
+        if (this.elements.renameTemplateInput && this.elements.renameTemplateInput.value.trim()) {
+            StorageManager.setImportRenameTemplate(this.elements.renameTemplateInput.value.trim());
+        }
+
+        if (this.elements.jobNameInput) {
+            StorageManager.setImportJobName(this.elements.jobNameInput.value.trim());
+        }
+
+        if (this.elements.photographerInput) {
+            StorageManager.setImportPhotographer(this.elements.photographerInput.value.trim());
         }
 
         if (this.elements.enableBackupCheckbox) {
@@ -834,6 +1750,10 @@ export class ImportScreen {
             StorageManager.setImportUploadToAwsS3(this.elements.uploadToAwsS3Checkbox.checked);
         }
 
+        if (this.elements.uploadToS3CompatibleCheckbox) {
+            StorageManager.setImportUploadToS3Compatible(this.elements.uploadToS3CompatibleCheckbox.checked);
+        }
+
         if (this.elements.uploadToAzureCheckbox) {
             StorageManager.setImportUploadToAzure(this.elements.uploadToAzureCheckbox.checked);
         }
@@ -842,15 +1762,56 @@ export class ImportScreen {
             StorageManager.setImportUploadToGcp(this.elements.uploadToGcpCheckbox.checked);
         }
 
+        if (this.elements.uploadToSftpCheckbox) {
+            StorageManager.setImportUploadToSftp(this.elements.uploadToSftpCheckbox.checked);
+        }
+
+        if (this.elements.uploadToFtpCheckbox) {
+            StorageManager.setImportUploadToFtp(this.elements.uploadToFtpCheckbox.checked);
+        }
+
+        if (this.elements.uploadToWebdavCheckbox) {
+            StorageManager.setImportUploadToWebdav(this.elements.uploadToWebdavCheckbox.checked);
+        }
+
+        if (this.elements.uploadJpegOnlyCheckbox) {
+            StorageManager.setImportUploadJpegOnly(this.elements.uploadJpegOnlyCheckbox.checked);
+        }
+
+        // Save after import actions
+        if (this.elements.ejectAfterImportCheckbox) {
+            StorageManager.setImportEjectAfterImport(this.elements.ejectAfterImportCheckbox.checked);
+        }
+
+        if (this.elements.ejectMinCopiesSelect) {
+            StorageManager.setImportEjectMinCopies(parseInt(this.elements.ejectMinCopiesSelect.value, 10));
+        }
+
+        if (this.elements.wipeCardCheckbox) {
+            StorageManager.setImportWipeCard(this.elements.wipeCardCheckbox.checked);
+        }
+
         // Save enable cloud upload setting
         if (this.elements.enableCloudUploadCheckbox) {
             StorageManager.setImportEnableCloudUpload(this.elements.enableCloudUploadCheckbox.checked);
         }
+
+        this.updatePresetState();
+    }
+
+    /**
+     * Get the file categories selected for import
+     * @returns {Array<string>} Selected categories
+     */
+    getSelectedFileCategories() {
+        return this.elements.fileCategoryCheckboxes
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.dataset.category);
     }
 
     /**
      * Browse for directory
-     * @param {string} type - Type of directory (import, destination, backup)
+     * @param {string} type - Type of directory (import, destination, backup, additional)
      */
     async browseDirectory(type) {
         try {
@@ -936,6 +1897,9 @@ export class ImportScreen {
                 this.savePath(type, selectedPath);
                 this.validateInputs();
                 this.saveAllSettings();
+                if (type === 'import') {
+                    this.scheduleRenamePreview();
+                }
                 UIComponents.Notification.show(`${type.charAt(0).toUpperCase() + type.slice(1)} directory selected: ${selectedPath}`, 'success');
             }
             // If user cancelled, do nothing - keep existing path value
@@ -976,6 +1940,9 @@ export class ImportScreen {
             case 'backup':
                 if (this.elements.backupPathInput) this.elements.backupPathInput.value = path;
                 break;
+            case 'additional':
+                this.addAdditionalDestination(path);
+                break;
         }
     }
 
@@ -995,6 +1962,65 @@ export class ImportScreen {
             case 'backup':
                 StorageManager.setImportBackupPath(path);
                 break;
+            case 'additional':
+                StorageManager.setImportAdditionalDestinations(this.additionalDestinations);
+                break;
+        }
+    }
+
+    /**
+     * Add a folder every file is copied to, besides destination and backup
+     * @param {string} path - Folder path
+     */
+    addAdditionalDestination(path) {
+        this.additionalDestinations.push({
+            id: `copy-${Date.now()}`,
+            type: 'folder',
+            label: path.split(/[\\/]/).filter(Boolean).pop() || path,
+            path
+        });
+        this.renderAdditionalDestinations();
+    }
+
+    /**
+     * Show the additional copies with their label and a remove button
+     */
+    renderAdditionalDestinations() {
+        const list = this.elements.additionalDestinationsList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        for (const destination of this.additionalDestinations) {
+            const row = document.createElement('div');
+            row.className = 'flex items-center space-x-2';
+
+            const labelInput = document.createElement('input');
+            labelInput.type = 'text';
+            labelInput.value = destination.label || '';
+            labelInput.placeholder = 'Label';
+            labelInput.className = 'w-32 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm';
+            labelInput.addEventListener('input', () => {
+                destination.label = labelInput.value.trim();
+                StorageManager.setImportAdditionalDestinations(this.additionalDestinations);
+            });
+
+            const pathText = document.createElement('span');
+            pathText.className = 'flex-1 text-sm text-gray-600 truncate';
+            pathText.textContent = destination.path;
+            pathText.title = destination.path;
+
+            const removeButton = document.createElement('button');
+            removeButton.className = 'px-2 py-1 text-sm text-red-600 hover:text-red-800';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                this.additionalDestinations = this.additionalDestinations.filter(entry => entry !== destination);
+                StorageManager.setImportAdditionalDestinations(this.additionalDestinations);
+                this.renderAdditionalDestinations();
+                this.validateInputs();
+            });
+
+            row.append(labelInput, pathText, removeButton);
+            list.appendChild(row);
         }
     }
 
@@ -1035,35 +2061,206 @@ export class ImportScreen {
     }
 
     /**
-     * Update folder organization input states
+     * Toggle rename template inputs
      */
-    updateFolderOrganizationInputs() {
-        if (this.elements.customFolderNameInput && this.elements.dateFormatSelect && 
-            this.elements.customFolderRadio && this.elements.dateFolderRadio) {
-            
-            const isCustomSelected = this.elements.customFolderRadio.checked;
-            
-            // Enable/disable inputs based on selection
-            this.elements.customFolderNameInput.disabled = !isCustomSelected;
-            this.elements.dateFormatSelect.disabled = isCustomSelected;
+    toggleRename() {
+        if (this.elements.renameContainer && this.elements.renameFilesCheckbox) {
+            const isEnabled = this.elements.renameFilesCheckbox.checked;
             
-            this.validateInputs();
+            if (isEnabled) {
+                this.elements.renameContainer.classList.remove('hidden');
+                this.scheduleRenamePreview();
+            } else {
+                this.elements.renameContainer.classList.add('hidden');
+            }
         }
     }
 
     /**
-     * Validate inputs and update start button state
+     * Refresh the rename and folder template previews shortly after the last change
      */
-    validateInputs() {
-        if (!this.elements.startImportBtn) return;
+    scheduleRenamePreview() {
+        clearTimeout(this.renamePreviewTimer);
+        this.renamePreviewTimer = setTimeout(() => {
+            this.updateRenamePreview();
+            this.updateFolderPreview();
+        }, 300);
+    }
+
+    /**
+     * Preview the rename template against the first files of the source
+     */
+    async updateRenamePreview() {
+        const preview = this.elements.renamePreview;
+        if (!preview || !this.elements.renameFilesCheckbox?.checked) return;
+
+        const settings = this.collectImportSettings();
+        if (!settings.sourcePath) {
+            preview.textContent = 'Select a source directory to preview file names';
+            return;
+        }
+
+        try {
+            const { ipcRenderer } = require('electron');
+            const result = await ipcRenderer.invoke('preview-file-names', settings, 5);
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            preview.innerHTML = '';
+            if (result.preview.length === 0) {
+                preview.textContent = 'No matching files found in source directory';
+                return;
+            }
+            
+            result.preview.forEach(row => {
+                const line = document.createElement('div');
+                line.className = 'truncate';
+                line.textContent = `${row.original} → ${row.renamed}`;
+                preview.appendChild(line);
+            });
+        } catch (error) {
+            console.error('Failed to preview file names:', error);
+            preview.innerHTML = '';
+            const line = document.createElement('div');
+            line.className = 'text-red-600';
+            line.textContent = error.message;
+            preview.appendChild(line);
+        }
+    }
+
+    /**
+     * Preview the folder template against the first files of the source
+     */
+    async updateFolderPreview() {
+        const preview = this.elements.folderTemplatePreview;
+        if (!preview) return;
+
+        const settings = this.collectImportSettings();
+        if (!settings.organizeIntoFolders || settings.folderOrganizationType !== 'template') {
+            preview.classList.add('hidden');
+            return;
+        }
+
+        preview.classList.remove('hidden');
+        if (!settings.sourcePath) {
+            preview.textContent = 'Select a source directory to preview folders';
+            return;
+        }
+
+        try {
+            const { ipcRenderer } = require('electron');
+            const result = await ipcRenderer.invoke('preview-folder-paths', settings, settings.folderTemplate, 5);
+            
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            
+            preview.innerHTML = '';
+            if (result.preview.length === 0) {
+                preview.textContent = 'No matching files found in source directory';
+                return;
+            }
+            
+            result.preview.forEach(row => {
+                const line = document.createElement('div');
+                line.className = 'truncate';
+                line.textContent = `${row.original} → ${row.folder}/`;
+                preview.appendChild(line);
+            });
+        } catch (error) {
+            console.error('Failed to preview folders:', error);
+            preview.innerHTML = '';
+            const line = document.createElement('div');
+            line.className = 'text-red-600';
+            line.textContent = error.message;
+            preview.appendChild(line);
+        }
+    }
+
+    /**
+     * Get the date folder format, a preset such as "2025/05/26" or a typed pattern
+     * @returns {string} Date format, empty when the pattern is not filled in
+     */
+    getDateFormat() {
+        const select = this.elements.dateFormatSelect;
+        if (!select) return '2025/05/26';
+        if (select.value === 'pattern') {
+            return this.elements.datePatternInput?.value.trim() || '';
+        }
+        return select.value || '2025/05/26';
+    }
+
+    /**
+     * Show a date folder format, formats that are not in the list are typed patterns
+     * @param {string} format - Preset date format or pattern
+     */
+    setDateFormat(format) {
+        const select = this.elements.dateFormatSelect;
+        if (!select) return;
+
+        const isPreset = Array.from(select.options).some(option => option.value === format && format !== 'pattern');
+        select.value = isPreset ? format : 'pattern';
+        if (this.elements.datePatternInput) {
+            this.elements.datePatternInput.value = isPreset ? '' : format;
+        }
+        this.updateFolderOrganizationInputs();
+    }
+
+    /**
+     * Get the selected folder organization
+     * @returns {string} 'date', 'custom' or 'template'
+     */
+    getFolderOrganizationType() {
+        if (this.elements.templateFolderRadio?.checked) return 'template';
+        if (this.elements.customFolderRadio?.checked) return 'custom';
+        return 'date';
+    }
+
+    /**
+     * Update folder organization input states
+     */
+    updateFolderOrganizationInputs() {
+        if (this.elements.customFolderNameInput && this.elements.dateFormatSelect && 
+            this.elements.customFolderRadio && this.elements.dateFolderRadio) {
+            
+            const type = this.getFolderOrganizationType();
+            
+            // Enable/disable inputs based on selection
+            this.elements.customFolderNameInput.disabled = type !== 'custom';
+            this.elements.dateFormatSelect.disabled = type !== 'date';
+            const showPattern = this.elements.dateFormatSelect.value === 'pattern';
+            [this.elements.datePatternInput, this.elements.datePatternHelp].forEach(element => {
+                element?.classList.toggle('hidden', !showPattern);
+            });
+            if (this.elements.datePatternInput) {
+                this.elements.datePatternInput.disabled = type !== 'date';
+            }
+            if (this.elements.folderTemplateInput) {
+                this.elements.folderTemplateInput.disabled = type !== 'template';
+            }
+            
+            this.validateInputs();
+            this.scheduleRenamePreview();
+        }
+    }
+
+    /**
+     * Validate inputs and update start button state
+     */
+    validateInputs() {
+        if (!this.elements.startImportBtn) return;
 
         const hasImportPath = this.elements.importFromInput?.value.trim();
         const hasDestinationPath = this.elements.destinationInput?.value.trim();
         const backupEnabled = this.elements.enableBackupCheckbox?.checked;
         const hasBackupPath = this.elements.backupPathInput?.value.trim();
         const organizeEnabled = this.elements.organizeIntoFoldersCheckbox?.checked;
-        const isCustomFolder = this.elements.customFolderRadio?.checked;
+        const folderOrganizationType = this.getFolderOrganizationType();
         const hasCustomFolderName = this.elements.customFolderNameInput?.value.trim();
+        const hasFolderTemplate = this.elements.folderTemplateInput?.value.trim();
+        const hasDateFormat = this.getDateFormat();
 
         // Source and destination are mandatory
         let isValid = hasImportPath && hasDestinationPath;
@@ -1074,19 +2271,31 @@ export class ImportScreen {
         }
 
         // If folder organization is enabled and custom folder is selected, folder name is required
-        if (organizeEnabled && isCustomFolder) {
+        if (organizeEnabled && folderOrganizationType === 'custom') {
             isValid = isValid && hasCustomFolderName;
         }
 
+        if (organizeEnabled && folderOrganizationType === 'template') {
+            isValid = isValid && hasFolderTemplate;
+        }
+
+        if (organizeEnabled && folderOrganizationType === 'date') {
+            isValid = isValid && hasDateFormat;
+        }
+
         this.elements.startImportBtn.disabled = !isValid;
+        if (this.elements.previewImportBtn && !this.isPreviewing) {
+            this.elements.previewImportBtn.disabled = !isValid;
+        }
     }
 
     /**
      * Switch between setup and progress modes
-     * @param {boolean} isImporting - Whether import is active
+     * Imports keep running in setup mode, so another card can be started meanwhile.
+     * @param {boolean} showProgress - Whether to show the import jobs
      */
-    switchMode(isImporting) {
-        if (isImporting) {
+    switchMode(showProgress) {
+        if (showProgress) {
             // Show progress mode, hide setup mode
             if (this.elements.setupMode) {
                 this.elements.setupMode.classList.add('hidden');
@@ -1102,6 +2311,664 @@ export class ImportScreen {
             if (this.elements.setupMode) {
                 this.elements.setupMode.classList.remove('hidden');
             }
+            this.updateRunningImportsBanner();
+            this.loadUnfinishedImports();
+        }
+    }
+
+    /**
+     * Check if any import job is still running
+     * @returns {boolean} True while a job has not finished
+     */
+    hasRunningImports() {
+        return Array.from(this.importJobs.values()).some(job => !job.finished);
+    }
+
+    /**
+     * Check if a card or folder is being imported by a running job
+     * @param {string} sourcePath - Source path
+     * @returns {boolean} True if a running job reads from it
+     */
+    isSourceImporting(sourcePath) {
+        return Array.from(this.importJobs.values()).some(job => !job.finished && job.sourcePaths.includes(sourcePath));
+    }
+
+    /**
+     * Get the job shown in the progress panel
+     * @returns {Object|null} Import job
+     */
+    getSelectedJob() {
+        return this.importJobs.get(this.selectedJobId) || null;
+    }
+
+    /**
+     * Get an import job, adding it when an update arrives before the job was announced
+     * @param {string} jobId - Import job id
+     * @returns {Object} Import job
+     */
+    getOrCreateJob(jobId) {
+        if (!this.importJobs.has(jobId)) {
+            this.importJobs.set(jobId, {
+                id: jobId,
+                kind: 'import', // import or verify
+                label: 'Import',
+                sourcePaths: [],
+                status: 'running', // running, stopping, completed, failed or cancelled
+                finished: false,
+                progress: {
+                    total: 0,
+                    completed: 0,
+                    failed: 0,
+                    current: null,
+                    uploadQueued: 0,
+                    throughput: [],
+                    bytesProcessed: 0,
+                    totalBytes: 0,
+                    bytesPerSecond: 0,
+                    etaSeconds: null,
+                    destinations: []
+                },
+                logEntries: [] // Store log entries for persistence
+            });
+        }
+        return this.importJobs.get(jobId);
+    }
+
+    /**
+     * Show the job's progress and log in the progress panel
+     * @param {string} jobId - Import job id
+     */
+    selectJob(jobId) {
+        this.selectedJobId = jobId;
+        this.updateProgressDisplay();
+        this.restoreLogEntries();
+    }
+
+    /**
+     * Handle a new import or verify job from the main process
+     * @param {Object} data - Job data ({ jobId, sourcePath, cameraBody, resumed }, verify jobs: { jobId, kind, rootPath })
+     */
+    handleJobStarted(data) {
+        const job = this.getOrCreateJob(data.jobId);
+        if (data.kind === 'verify') {
+            job.kind = 'verify';
+            job.label = `Verify ${data.rootPath}`;
+        } else {
+            job.sourcePaths = [data.sourcePath];
+            job.label = data.cameraBody ? `${data.cameraBody.label} (${data.sourcePath})` : data.sourcePath;
+        }
+
+        // Follow the newest job unless the shown one is still running
+        if (!this.getSelectedJob() || this.getSelectedJob().finished) {
+            this.selectJob(job.id);
+        }
+        if (job.kind === 'import') {
+            this.addLogEntry(data.resumed ? `Resuming import: ${data.sourcePath}` : `Import job started: ${data.sourcePath}`, job.id);
+        }
+        this.updateRunningImportsBanner();
+        this.renderJobList();
+    }
+
+    /**
+     * Handle a card slot that joined a running job of the same camera body
+     * @param {Object} data - Source data ({ jobId, sourcePath })
+     */
+    handleSourceAdded(data) {
+        const job = this.getOrCreateJob(data.jobId);
+        job.sourcePaths.push(data.sourcePath);
+        this.addLogEntry(`Other card slot joins this import: ${data.sourcePath}`, job.id);
+        this.renderJobList();
+    }
+
+    /**
+     * Handle the end of an import job, after its completed, error or cancelled update
+     * @param {Object} data - Job data ({ jobId })
+     */
+    handleJobFinished(data) {
+        const job = this.getOrCreateJob(data.jobId);
+        job.finished = true;
+        job.progress.current = null;
+        if (job.status === 'running' || job.status === 'stopping') {
+            job.status = 'cancelled';
+        }
+
+        this.updateProgressDisplay();
+        this.updateRunningImportsBanner();
+        if (this.hasRunningImports()) return;
+
+        this.switchMode(false);
+
+        // Clear finished jobs after a delay to allow user to see their last messages
+        setTimeout(() => {
+            if (!this.hasRunningImports()) {
+                this.clearImportState();
+            }
+        }, 5000);
+    }
+
+    /**
+     * Show how many imports are running while setting up another one
+     */
+    updateRunningImportsBanner() {
+        const runningCount = Array.from(this.importJobs.values()).filter(job => !job.finished).length;
+        if (this.elements.runningImportsBanner) {
+            this.elements.runningImportsBanner.classList.toggle('hidden', runningCount === 0);
+        }
+        if (this.elements.runningImportsText) {
+            this.elements.runningImportsText.textContent = runningCount === 1 ? '1 import running' : `${runningCount} imports running`;
+        }
+        if (this.elements.importStatusText) {
+            this.elements.importStatusText.textContent = runningCount === 0
+                ? 'Imports finished'
+                : (runningCount === 1 ? 'Import in progress' : `${runningCount} imports in progress`);
+        }
+    }
+
+    /**
+     * Render the list of import jobs, the selected one is shown below it
+     */
+    renderJobList() {
+        const list = this.elements.importJobList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        for (const job of this.importJobs.values()) {
+            const percent = this.getProgressPercent(job.progress);
+
+            const row = document.createElement('button');
+            row.type = 'button';
+            row.className = `w-full text-left p-3 border rounded-lg ${job.id === this.selectedJobId ? 'border-purple-500 bg-purple-50' : 'border-gray-200 bg-white hover:bg-gray-50'}`;
+            row.addEventListener('click', () => this.selectJob(job.id));
+
+            const header = document.createElement('div');
+            header.className = 'flex justify-between text-sm';
+            const label = document.createElement('span');
+            label.className = 'font-medium text-gray-900 truncate';
+            label.textContent = job.label;
+            const status = document.createElement('span');
+            status.className = 'ml-4 flex-shrink-0 text-gray-600';
+            status.textContent = job.status === 'running' ? `${percent}%` : IMPORT_JOB_STATUS_LABELS[job.status];
+            header.append(label, status);
+            row.appendChild(header);
+
+            if (job.sourcePaths.length > 1) {
+                const sources = document.createElement('div');
+                sources.className = 'text-xs text-gray-500 truncate';
+                sources.textContent = job.sourcePaths.join(' + ');
+                row.appendChild(sources);
+            }
+
+            const bar = document.createElement('div');
+            bar.className = 'w-full bg-gray-200 rounded-full h-1.5 mt-2';
+            const fill = document.createElement('div');
+            fill.className = `${job.status === 'failed' ? 'bg-red-500' : 'bg-purple-600'} h-1.5 rounded-full`;
+            fill.style.width = `${percent}%`;
+            bar.appendChild(fill);
+            row.appendChild(bar);
+
+            list.appendChild(row);
+        }
+    }
+
+    /**
+     * Offer to resume imports that were interrupted by quitting the app or removing the card
+     */
+    async loadUnfinishedImports() {
+        const container = this.elements.unfinishedImportsContainer;
+        const list = this.elements.unfinishedImportsList;
+        if (!container || !list) return;
+
+        try {
+            // Journals of running jobs are not unfinished
+            const jobs = (await this.importManager.getUnfinishedImports())
+                .filter(job => !this.isSourceImporting(job.sourcePath));
+            
+            list.innerHTML = '';
+            container.classList.toggle('hidden', jobs.length === 0);
+            
+            jobs.forEach(job => {
+                const row = document.createElement('div');
+                row.className = 'flex items-center justify-between space-x-3';
+                
+                const description = document.createElement('div');
+                description.className = 'min-w-0 text-sm text-gray-700';
+                const source = document.createElement('div');
+                source.className = 'truncate';
+                source.textContent = `${job.sourcePath} → ${job.destinationPath}`;
+                const details = document.createElement('div');
+                details.className = 'text-xs text-gray-500';
+                details.textContent = `${new Date(job.createdAt).toLocaleString()} · ${job.completedFiles} of ${job.totalFiles} files imported`;
+                description.append(source, details);
+                
+                const buttons = document.createElement('div');
+                buttons.className = 'flex flex-shrink-0 space-x-2';
+                const resumeBtn = document.createElement('button');
+                resumeBtn.className = 'px-3 py-1 bg-purple-600 text-white rounded-lg hover:bg-purple-700 text-sm';
+                resumeBtn.textContent = 'Resume';
+                resumeBtn.addEventListener('click', () => this.resumeImport(job));
+                const discardBtn = document.createElement('button');
+                discardBtn.className = 'px-3 py-1 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 text-sm';
+                discardBtn.textContent = 'Discard';
+                discardBtn.addEventListener('click', () => this.discardImport(job));
+                buttons.append(resumeBtn, discardBtn);
+                
+                row.append(description, buttons);
+                list.appendChild(row);
+            });
+        } catch (error) {
+            console.error('Failed to load unfinished imports:', error);
+            container.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Resume an interrupted import; files already copied are skipped
+     * @param {Object} job - Unfinished job summary
+     */
+    async resumeImport(job) {
+        try {
+            const jobId = await this.importManager.resumeImport(job.id);
+            this.selectJob(jobId);
+            this.switchMode(true);
+        } catch (error) {
+            console.error('Failed to resume import:', error);
+            UIComponents.Notification.show('Failed to resume import: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Show or hide the memory card presets
+     */
+    toggleCardPresets() {
+        if (this.elements.cardPresetsContainer) {
+            this.elements.cardPresetsContainer.classList.toggle('hidden', !this.elements.watchCardsCheckbox?.checked);
+        }
+    }
+
+    /**
+     * Fill the preset pickers and card rule list from storage
+     */
+    loadPresets() {
+        const presets = ImportPresets.list();
+        const activePresetId = StorageManager.getImportActivePreset();
+
+        if (this.elements.presetSelect) {
+            this.elements.presetSelect.innerHTML = '<option value="">No preset</option>';
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                this.elements.presetSelect.appendChild(option);
+            });
+            this.elements.presetSelect.value = presets.some(preset => preset.id === activePresetId) ? activePresetId : '';
+        }
+
+        if (this.elements.cardRulePresetSelect) {
+            this.elements.cardRulePresetSelect.innerHTML = '';
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                this.elements.cardRulePresetSelect.appendChild(option);
+            });
+            if (this.elements.saveCardPresetBtn) {
+                this.elements.saveCardPresetBtn.disabled = presets.length === 0;
+            }
+        }
+
+        this.loadCardPresets();
+        this.updatePresetState();
+    }
+
+    /**
+     * Enable the preset buttons and flag unsaved changes to the selected preset
+     */
+    updatePresetState() {
+        const preset = ImportPresets.get(this.elements.presetSelect?.value);
+
+        [this.elements.savePresetBtn, this.elements.duplicatePresetBtn, this.elements.deletePresetBtn].forEach(button => {
+            if (button) {
+                button.disabled = !preset;
+            }
+        });
+
+        if (this.elements.presetModifiedLabel) {
+            const modified = preset && JSON.stringify(ImportPresets.toPresetSettings(this.collectImportSettings())) !== JSON.stringify(preset.settings);
+            this.elements.presetModifiedLabel.classList.toggle('hidden', !modified);
+        }
+    }
+
+    /**
+     * Switch to a preset and load its settings into the form
+     * @param {string} presetId - Preset identifier, empty to keep the current settings without a preset
+     */
+    selectPreset(presetId) {
+        const preset = ImportPresets.get(presetId);
+        StorageManager.setImportActivePreset(preset ? preset.id : null);
+
+        if (preset) {
+            this.applyPresetSettings(preset.settings);
+            UIComponents.Notification.show(`Preset "${preset.name}" loaded`, 'success');
+        }
+
+        this.updatePresetState();
+    }
+
+    /**
+     * Load preset settings into the form and persist them as the current settings
+     * @param {Object} settings - Preset settings
+     */
+    applyPresetSettings(settings) {
+        const fileFilter = settings.fileFilter || {};
+        const setChecked = (element, checked) => {
+            if (element) element.checked = checked === true;
+        };
+        const setValue = (element, value) => {
+            if (element) element.value = value || '';
+        };
+
+        setValue(this.elements.destinationInput, settings.destinationPath);
+        setChecked(this.elements.includeSubdirectoriesCheckbox, settings.includeSubdirectories !== false);
+        this.elements.fileCategoryCheckboxes.forEach(checkbox => {
+            checkbox.checked = !fileFilter.categories || fileFilter.categories.includes(checkbox.dataset.category);
+        });
+        setValue(this.elements.includeExtensionsInput, fileFilter.includeExtensions);
+        setValue(this.elements.excludeExtensionsInput, fileFilter.excludeExtensions);
+        setChecked(this.elements.skipJunkCheckbox, fileFilter.skipJunk !== false);
+        setChecked(this.elements.enableBackupCheckbox, settings.backupEnabled);
+        setValue(this.elements.backupPathInput, settings.backupPath);
+        this.additionalDestinations = (settings.additionalDestinations || []).map(destination => ({ ...destination }));
+        this.renderAdditionalDestinations();
+        setChecked(this.elements.organizeIntoFoldersCheckbox, settings.organizeIntoFolders !== false);
+        setChecked(this.elements.customFolderRadio, settings.folderOrganizationType === 'custom');
+        setChecked(this.elements.templateFolderRadio, settings.folderOrganizationType === 'template');
+        setChecked(this.elements.dateFolderRadio, settings.folderOrganizationType !== 'custom' && settings.folderOrganizationType !== 'template');
+        setValue(this.elements.customFolderNameInput, settings.customFolderName);
+        this.setDateFormat(settings.dateFormat || '2025/05/26');
+        setValue(this.elements.dateLocaleSelect, settings.dateLocale || 'en');
+        setValue(this.elements.dayRolloverSelect, String(settings.dayRolloverHour || 0));
+        setValue(this.elements.folderTemplateInput, settings.folderTemplate || StorageManager.getImportFolderTemplate());
+        setValue(this.elements.cloudPrefixTemplateInput, settings.cloudPrefixTemplate);
+        setChecked(this.elements.renameFilesCheckbox, settings.renameEnabled);
+        setValue(this.elements.renameTemplateInput, settings.renameTemplate);
+        setValue(this.elements.jobNameInput, settings.jobName);
+        setValue(this.elements.photographerInput, settings.photographer);
+        setChecked(this.elements.enableCloudUploadCheckbox,
+            settings.uploadToZenTransfer || settings.uploadToAwsS3 || settings.uploadToS3Compatible ||
+            settings.uploadToAzure || settings.uploadToGcp || settings.uploadToSftp || settings.uploadToFtp ||
+            settings.uploadToWebdav);
+        setChecked(this.elements.uploadToZenTransferCheckbox, settings.uploadToZenTransfer);
+        setChecked(this.elements.uploadToAwsS3Checkbox, settings.uploadToAwsS3);
+        setChecked(this.elements.uploadToS3CompatibleCheckbox, settings.uploadToS3Compatible);
+        setChecked(this.elements.uploadToAzureCheckbox, settings.uploadToAzure);
+        setChecked(this.elements.uploadToGcpCheckbox, settings.uploadToGcp);
+        setChecked(this.elements.uploadToSftpCheckbox, settings.uploadToSftp);
+        setChecked(this.elements.uploadToFtpCheckbox, settings.uploadToFtp);
+        setChecked(this.elements.uploadToWebdavCheckbox, settings.uploadToWebdav);
+        setChecked(this.elements.uploadJpegOnlyCheckbox, settings.uploadJpegOnly);
+        setChecked(this.elements.ejectAfterImportCheckbox, settings.ejectAfterImport);
+        setValue(this.elements.ejectMinCopiesSelect, String(settings.ejectMinVerifiedCopies || 1));
+        setChecked(this.elements.wipeCardCheckbox, settings.wipeCardAfterImport);
+
+        this.savePath('destination', settings.destinationPath || '');
+        this.savePath('backup', settings.backupPath || '');
+        this.savePath('additional');
+
+        this.toggleFolderOrganization();
+        this.toggleRename();
+        this.toggleBackupPath();
+        this.toggleCloudServices();
+        this.saveAllSettings();
+        this.updateServiceAvailability();
+        this.validateInputs();
+    }
+
+    /**
+     * Save the current settings to the selected preset
+     */
+    savePreset() {
+        const preset = ImportPresets.get(this.elements.presetSelect?.value);
+        if (!preset) return;
+
+        try {
+            ImportPresets.update(preset.id, { settings: this.collectImportSettings() });
+            this.loadPresets();
+            this.syncCardWatcher();
+            UIComponents.Notification.show(`Preset "${preset.name}" saved`, 'success');
+        } catch (error) {
+            UIComponents.Notification.show(error.message, 'error');
+        }
+    }
+
+    /**
+     * Save the current settings as a new preset and switch to it
+     */
+    createPreset() {
+        try {
+            const preset = ImportPresets.create(this.elements.newPresetNameInput?.value, this.collectImportSettings());
+            StorageManager.setImportActivePreset(preset.id);
+
+            this.elements.newPresetNameInput.value = '';
+            this.loadPresets();
+            UIComponents.Notification.show(`Preset "${preset.name}" created`, 'success');
+        } catch (error) {
+            UIComponents.Notification.show(error.message, 'error');
+        }
+    }
+
+    /**
+     * Copy the selected preset and switch to the copy
+     */
+    duplicatePreset() {
+        try {
+            const preset = ImportPresets.duplicate(this.elements.presetSelect?.value);
+            StorageManager.setImportActivePreset(preset.id);
+            this.loadPresets();
+            UIComponents.Notification.show(`Preset "${preset.name}" created`, 'success');
+        } catch (error) {
+            UIComponents.Notification.show(error.message, 'error');
+        }
+    }
+
+    /**
+     * Delete the selected preset after confirmation
+     */
+    async deletePreset() {
+        const preset = ImportPresets.get(this.elements.presetSelect?.value);
+        if (!preset) return;
+
+        const confirmed = await UIComponents.Modal.confirm(
+            `Delete preset <strong>${escapeHtml(preset.name)}</strong>? The current settings stay as they are.`,
+            {
+                title: 'Delete preset',
+                confirmText: 'Delete',
+                type: 'danger'
+            }
+        );
+        if (!confirmed) return;
+
+        ImportPresets.remove(preset.id);
+        this.loadPresets();
+        this.syncCardWatcher();
+    }
+
+    /**
+     * Export all presets to a JSON file
+     */
+    async exportPresets() {
+        if (ImportPresets.list().length === 0) {
+            UIComponents.Notification.show('There are no presets to export', 'warning');
+            return;
+        }
+
+        try {
+            const filePath = await this.importManager.exportPresetsFile(ImportPresets.exportToJson(), 'zentransfer-presets.json');
+            if (filePath) {
+                UIComponents.Notification.show(`Presets exported to ${filePath}`, 'success');
+            }
+        } catch (error) {
+            console.error('Failed to export presets:', error);
+            UIComponents.Notification.show('Failed to export presets: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Import presets from a JSON file exported on this or another machine
+     */
+    async importPresets() {
+        try {
+            const content = await this.importManager.openPresetsFile();
+            if (content === null) return;
+
+            const { added, replaced } = ImportPresets.importFromJson(content);
+            this.loadPresets();
+            this.syncCardWatcher();
+            UIComponents.Notification.show(`Presets imported: ${added} added, ${replaced} replaced`, 'success');
+        } catch (error) {
+            console.error('Failed to import presets:', error);
+            UIComponents.Notification.show('Failed to import presets: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Render the presets that have a card rule
+     */
+    loadCardPresets() {
+        const list = this.elements.cardPresetsList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        ImportPresets.list().filter(preset => preset.cardMatch).forEach(preset => {
+            const rules = [];
+            if (preset.cardMatch.volumeLabel) rules.push(`label ${preset.cardMatch.volumeLabel}`);
+            if (preset.cardMatch.markerFile) rules.push(`marker ${preset.cardMatch.markerFile}`);
+
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between space-x-3 text-sm';
+            const description = document.createElement('div');
+            description.className = 'min-w-0 truncate text-gray-700';
+            description.textContent = `${preset.name} · ${rules.join(', ')} · ${preset.cardAction === 'auto' ? 'automatic' : 'ask first'}`;
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'flex-shrink-0 text-xs text-red-600 hover:text-red-700';
+            deleteBtn.textContent = 'Remove';
+            deleteBtn.addEventListener('click', () => this.deleteCardRule(preset.id));
+            row.append(description, deleteBtn);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Attach a card rule to a preset so matching cards are imported with it
+     */
+    saveCardRule() {
+        const presetId = this.elements.cardRulePresetSelect?.value;
+        const volumeLabel = this.elements.presetVolumeLabelInput?.value?.trim() || '';
+        const markerFile = this.elements.presetMarkerFileInput?.value?.trim() || '';
+
+        try {
+            if (!presetId) {
+                throw new Error('Please create a preset first');
+            }
+            if (!volumeLabel && !markerFile) {
+                throw new Error('Please enter a volume label or marker file to recognize the card');
+            }
+
+            const preset = ImportPresets.update(presetId, {
+                cardMatch: { volumeLabel, markerFile },
+                cardAction: this.elements.presetCardActionSelect?.value || 'prompt'
+            });
+
+            this.elements.presetVolumeLabelInput.value = '';
+            this.elements.presetMarkerFileInput.value = '';
+            this.loadCardPresets();
+            this.syncCardWatcher();
+            UIComponents.Notification.show(`Card rule added to preset "${preset.name}"`, 'success');
+        } catch (error) {
+            UIComponents.Notification.show(error.message, 'error');
+        }
+    }
+
+    /**
+     * Remove the card rule of a preset, the preset itself is kept
+     * @param {string} presetId - Preset identifier
+     */
+    deleteCardRule(presetId) {
+        ImportPresets.update(presetId, { cardMatch: null, cardAction: null });
+        this.loadCardPresets();
+        this.syncCardWatcher();
+    }
+
+    /**
+     * Tell the main process whether to watch for cards and which presets to match
+     */
+    async syncCardWatcher() {
+        try {
+            await this.importManager.configureCardWatcher(StorageManager.getImportWatchCards(), ImportPresets.list());
+        } catch (error) {
+            console.error('Failed to configure memory card watcher:', error);
+        }
+    }
+
+    /**
+     * Handle a memory card detected by the volume watcher
+     * @param {Object} data - Card info ({ volume, presetId, action })
+     */
+    async handleCardMounted(data) {
+        const { volume, presetId, action } = data;
+
+        if (this.isSourceImporting(volume.mountPath)) {
+            return;
+        }
+
+        // App-wide preferences (verification, duplicates) always come from Settings
+        const preset = ImportPresets.get(presetId);
+        const importSettings = {
+            ...this.collectImportSettings(),
+            ...(preset ? ImportPresets.toPresetSettings(preset.settings) : {}),
+            sourcePath: volume.mountPath
+        };
+
+        if (action !== 'auto') {
+            const confirmed = await UIComponents.Modal.confirm(
+                `Import memory card <strong>${escapeHtml(volume.label)}</strong> with ${preset ? `preset <strong>${escapeHtml(preset.name)}</strong>` : 'the current import settings'}?`,
+                {
+                    title: 'Memory card detected',
+                    confirmText: 'Import',
+                    cancelText: 'Not now',
+                    type: 'info'
+                }
+            );
+            if (!confirmed || this.isSourceImporting(volume.mountPath)) return;
+        }
+
+        try {
+            this.validateImportSettings(importSettings);
+        } catch (error) {
+            UIComponents.Notification.show(`Cannot import memory card ${volume.label}: ${error.message}`, 'error');
+            return;
+        }
+
+        if (window.switchTab) {
+            await window.switchTab('import');
+        }
+        if (this.elements.importFromInput) {
+            this.elements.importFromInput.value = volume.mountPath;
+        }
+
+        await this.runImport(importSettings);
+    }
+
+    /**
+     * Forget an interrupted import
+     * @param {Object} job - Unfinished job summary
+     */
+    async discardImport(job) {
+        try {
+            await this.importManager.discardImport(job.id);
+            this.loadUnfinishedImports();
+        } catch (error) {
+            console.error('Failed to discard import:', error);
+            UIComponents.Notification.show('Failed to discard import: ' + error.message, 'error');
         }
     }
 
@@ -1114,7 +2981,7 @@ export class ImportScreen {
             this.isVisible = true;
             
             // Only load settings if not currently importing
-            if (!this.isImporting) {
+            if (!this.hasRunningImports()) {
                 this.loadSettings();
             } else {
                 // Even if importing, update service availability in case auth state changed
@@ -1122,10 +2989,10 @@ export class ImportScreen {
             }
             
             // Switch to appropriate mode
-            this.switchMode(this.isImporting);
+            this.switchMode(this.hasRunningImports());
             
             // If import is in progress, restore the progress display and log
-            if (this.isImporting) {
+            if (this.hasRunningImports()) {
                 this.updateProgressDisplay();
                 this.restoreLogEntries();
             }
@@ -1149,8 +3016,6 @@ export class ImportScreen {
      * Start import process
      */
     async startImport() {
-        if (this.isImporting) return;
-
         try {
             // Collect import settings from UI
             const importSettings = this.collectImportSettings();
@@ -1161,51 +3026,167 @@ export class ImportScreen {
             // Save settings to storage
             this.saveImportSettings(importSettings);
 
-            // Start the import using the import manager
-            this.isImporting = true;
+            await this.runImport(importSettings);
+        } catch (error) {
+            console.error('Failed to start import:', error);
+            UIComponents.Notification.show('Failed to start import: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Re-check an archive folder chosen by the user, as a job in the progress panel
+     */
+    async verifyArchive() {
+        try {
+            const { ipcRenderer } = require('electron');
+            const rootPath = await ipcRenderer.invoke('show-directory-dialog');
+            if (!rootPath) return;
+
+            const jobId = await this.importManager.verifyArchive(rootPath);
+            this.selectJob(jobId);
             this.switchMode(true);
+        } catch (error) {
+            console.error('Failed to verify archive:', error);
+            UIComponents.Notification.show('Failed to verify archive: ' + error.message, 'error');
+        }
+    }
 
-            // Clear previous import state and reset progress
-            this.clearImportState();
+    /**
+     * Plan the import with the current settings and show what it would do
+     */
+    async previewImport() {
+        if (this.isPreviewing) return;
 
-            this.addLogEntry('Starting import process...');
-            this.addLogEntry(`Source: ${importSettings.sourcePath}`);
-            this.addLogEntry(`Destination: ${importSettings.destinationPath}`);
-            
-            if (importSettings.backupEnabled) {
-                this.addLogEntry(`Backup: ${importSettings.backupPath}`);
-            }
-            
-            // Log enabled upload services
-            const enabledServices = [];
-            if (importSettings.uploadToZenTransfer) {
-                enabledServices.push('ZenTransfer');
-            }
-            if (importSettings.uploadToAwsS3) {
-                enabledServices.push('AWS S3');
-            }
-            if (importSettings.uploadToAzure) {
-                enabledServices.push('Azure Blob Storage');
-            }
-            if (importSettings.uploadToGcp) {
-                enabledServices.push('Google Cloud Storage');
-            }
-            
-            if (enabledServices.length > 0) {
-                this.addLogEntry(`Upload services enabled: ${enabledServices.join(', ')}`);
+        const button = this.elements.previewImportBtn;
+        try {
+            const importSettings = this.collectImportSettings();
+            this.validateImportSettings(importSettings);
+
+            this.isPreviewing = true;
+            button.disabled = true;
+            button.textContent = 'Scanning...';
+
+            const plan = await this.importManager.previewImport(importSettings);
+            this.showImportPreview(plan);
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            UIComponents.Notification.show('Failed to preview import: ' + error.message, 'error');
+        } finally {
+            this.isPreviewing = false;
+            button.textContent = 'Preview';
+            this.validateInputs();
+        }
+    }
+
+    /**
+     * Show an import plan: totals per destination and one row per file
+     * @param {Object} plan - Plan ({ rows, totals })
+     */
+    showImportPreview(plan) {
+        const { rows, totals } = plan;
+        const actionLabels = { copy: 'Copy', rename: 'Copy (renamed)', skip: 'Skip (duplicate)', archived: 'Skip (in archive)' };
+        const describeTotals = (label, total) => `
+            <div class="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+                <div class="text-xs text-gray-500">${label}</div>
+                <div class="text-sm font-medium text-gray-900">${this.formatFileSize(total.bytes)} · ${total.files} files</div>
+                ${total.skipped || total.renamed ? `<div class="text-xs text-gray-500">${total.skipped} skipped, ${total.renamed} renamed</div>` : ''}
+            </div>
+        `;
+
+        const summary = totals.destinations.map(total => describeTotals(escapeHtml(total.label), total));
+        if (totals.upload.files > 0) {
+            summary.push(describeTotals('Upload', totals.upload));
+        }
+
+        const tableRows = rows.map(row => `
+            <tr class="border-t border-gray-100">
+                <td class="px-2 py-1 whitespace-nowrap">${escapeHtml(row.source)}</td>
+                <td class="px-2 py-1 whitespace-nowrap text-right">${this.formatFileSize(row.size)}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${row.destination ? escapeHtml(row.destination) : `<span class="text-gray-500">${escapeHtml(row.archivePath)}</span>`}</td>
+                <td class="px-2 py-1 whitespace-nowrap"${row.archivePath ? ` title="Already in archive: ${escapeHtml(row.archivePath)}"` : ''}>${actionLabels[row.destinationAction]}${row.archivePath && row.destination ? ' · in archive' : ''}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${row.copies.slice(1).filter(copy => copy.filePath).map(copy => `${escapeHtml(copy.label)}: ${escapeHtml(copy.filePath)} (${actionLabels[copy.action]})`).join('<br>')}</td>
+                <td class="px-2 py-1 whitespace-nowrap">${row.uploadKey ? escapeHtml(row.uploadKey) : ''}</td>
+            </tr>
+        `).join('');
+
+        const content = `
+            <div class="grid grid-cols-3 gap-3 mb-4">${summary.join('')}</div>
+            <div class="max-h-96 overflow-auto border border-gray-200 rounded-lg">
+                <table class="min-w-full text-xs text-gray-700">
+                    <thead class="bg-gray-50 sticky top-0">
+                        <tr class="text-left">
+                            <th class="px-2 py-1">Source</th>
+                            <th class="px-2 py-1 text-right">Size</th>
+                            <th class="px-2 py-1">Destination</th>
+                            <th class="px-2 py-1">Action</th>
+                            <th class="px-2 py-1">Other copies</th>
+                            <th class="px-2 py-1">Upload key</th>
+                        </tr>
+                    </thead>
+                    <tbody>${tableRows || '<tr><td colspan="6" class="px-2 py-3 text-center text-gray-500">No files to import</td></tr>'}</tbody>
+                </table>
+            </div>
+            <div class="flex justify-end mt-4">
+                <button 
+                    id="exportPreviewCsvBtn" 
+                    class="px-4 py-2 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-purple-500 text-sm"
+                >
+                    Export CSV
+                </button>
+            </div>
+        `;
+
+        const modal = UIComponents.Modal.create(content, {
+            title: `Import preview: ${rows.length} files`,
+            size: 'xl'
+        });
+
+        modal.querySelector('#exportPreviewCsvBtn').addEventListener('click', async () => {
+            try {
+                const filePath = await this.importManager.exportPreviewCsv(plan);
+                if (filePath) {
+                    UIComponents.Notification.show(`Preview exported to ${filePath}`, 'success');
+                }
+            } catch (error) {
+                console.error('Failed to export import preview:', error);
+                UIComponents.Notification.show('Failed to export preview: ' + error.message, 'error');
             }
+        });
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatFileSize(bytes) {
+        if (!bytes) return '0 B';
+        
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+        
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+
+    /**
+     * Run an import with validated settings
+     * @param {Object} importSettings - Import settings
+     */
+    async runImport(importSettings) {
+        try {
+            // Start a background import job, it logs its source and destinations itself
+            const { jobId, combined } = await this.importManager.startImport(importSettings);
 
-            // Start the background import
-            const jobId = await this.importManager.startImport(importSettings);
-            this.addLogEntry(`Import job started: ${jobId}`);
+            if (combined) {
+                UIComponents.Notification.show(`${importSettings.sourcePath} joins the running import of the same camera`, 'info');
+            }
 
+            this.selectJob(jobId);
+            this.switchMode(true);
         } catch (error) {
             console.error('Failed to start import:', error);
-            this.addLogEntry(`Failed to start import: ${error.message}`);
             UIComponents.Notification.show('Failed to start import: ' + error.message, 'error');
-            
-            this.isImporting = false;
-            this.switchMode(false);
         }
     }
 
@@ -1214,10 +3195,8 @@ export class ImportScreen {
      */
     handleUnhandledRejection(event) {
         console.error('Unhandled promise rejection in import:', event.reason);
-        if (this.isImporting) {
+        if (this.getSelectedJob()) {
             this.addLogEntry(`Unexpected error: ${event.reason}`);
-            this.isImporting = false;
-            this.switchMode(false);
         }
     }
 
@@ -1237,17 +3216,47 @@ export class ImportScreen {
             sourcePath: this.elements.importFromInput?.value?.trim(),
             destinationPath: this.elements.destinationInput?.value?.trim(),
             includeSubdirectories: this.elements.includeSubdirectoriesCheckbox?.checked !== false,
+            fileFilter: {
+                categories: this.getSelectedFileCategories(),
+                includeExtensions: this.elements.includeExtensionsInput?.value?.trim() || '',
+                excludeExtensions: this.elements.excludeExtensionsInput?.value?.trim() || '',
+                skipJunk: this.elements.skipJunkCheckbox?.checked !== false
+            },
             backupEnabled: this.elements.enableBackupCheckbox?.checked || false,
             backupPath: this.elements.backupPathInput?.value?.trim(),
+            additionalDestinations: this.additionalDestinations.map(destination => ({ ...destination })),
             uploadToZenTransfer: enableCloudUpload && (this.elements.uploadToZenTransferCheckbox?.checked || false),
             uploadToAwsS3: enableCloudUpload && (this.elements.uploadToAwsS3Checkbox?.checked || false),
+            uploadToS3Compatible: enableCloudUpload && (this.elements.uploadToS3CompatibleCheckbox?.checked || false),
             uploadToAzure: enableCloudUpload && (this.elements.uploadToAzureCheckbox?.checked || false),
             uploadToGcp: enableCloudUpload && (this.elements.uploadToGcpCheckbox?.checked || false),
+            uploadToSftp: enableCloudUpload && (this.elements.uploadToSftpCheckbox?.checked || false),
+            uploadToFtp: enableCloudUpload && (this.elements.uploadToFtpCheckbox?.checked || false),
+            uploadToWebdav: enableCloudUpload && (this.elements.uploadToWebdavCheckbox?.checked || false),
+            uploadJpegOnly: this.elements.uploadJpegOnlyCheckbox?.checked || false,
             organizeIntoFolders: this.elements.organizeIntoFoldersCheckbox?.checked !== false,
-            folderOrganizationType: this.elements.dateFolderRadio?.checked ? 'date' : 'custom',
+            folderOrganizationType: this.getFolderOrganizationType(),
             customFolderName: this.elements.customFolderNameInput?.value?.trim(),
-            dateFormat: this.elements.dateFormatSelect?.value || '2025/05/26',
-            skipDuplicates: skipDuplicates
+            dateFormat: this.getDateFormat(),
+            dateLocale: this.elements.dateLocaleSelect?.value || 'en',
+            dayRolloverHour: parseInt(this.elements.dayRolloverSelect?.value || '0', 10),
+            folderTemplate: this.elements.folderTemplateInput?.value?.trim() || '',
+            cloudPrefixTemplate: this.elements.cloudPrefixTemplateInput?.value?.trim() || '',
+            skipDuplicates: skipDuplicates,
+            renameEnabled: this.elements.renameFilesCheckbox?.checked || false,
+            renameTemplate: this.elements.renameTemplateInput?.value?.trim() || '',
+            jobName: this.elements.jobNameInput?.value?.trim() || '',
+            photographer: this.elements.photographerInput?.value?.trim() || '',
+            verifyCopies: StorageManager.getImportVerifyCopies(),
+            checksumAlgorithm: StorageManager.getImportChecksumAlgorithm(),
+            archiveDuplicates: StorageManager.getImportArchiveDuplicates(),
+            copyConcurrency: StorageManager.getImportCopyConcurrency(),
+            writeManifests: StorageManager.getImportWriteManifests(),
+            presetId: StorageManager.getImportActivePreset(),
+            combineCameraSlots: this.elements.combineCameraSlotsCheckbox?.checked || false,
+            ejectAfterImport: this.elements.ejectAfterImportCheckbox?.checked || false,
+            ejectMinVerifiedCopies: parseInt(this.elements.ejectMinCopiesSelect?.value || '1', 10),
+            wipeCardAfterImport: this.elements.wipeCardCheckbox?.checked || false
         };
     }
 
@@ -1268,11 +3277,46 @@ export class ImportScreen {
             throw new Error('Please select backup directory');
         }
 
+        const folderPaths = [settings.destinationPath, settings.backupEnabled ? settings.backupPath : null,
+            ...settings.additionalDestinations.map(destination => destination.path)].filter(Boolean);
+        if (new Set(folderPaths).size < folderPaths.length) {
+            throw new Error('Each folder can only be used once as destination, backup or additional copy');
+        }
+
+        if (settings.renameEnabled && !settings.renameTemplate) {
+            throw new Error('Please enter a rename template');
+        }
+
+        if ((settings.ejectAfterImport || settings.wipeCardAfterImport) && !settings.verifyCopies) {
+            throw new Error('Enable copy verification in Settings to eject or wipe the card after import');
+        }
+
+        const destinationCount = (settings.backupEnabled ? 2 : 1) + settings.additionalDestinations.length;
+        if ((settings.ejectAfterImport || settings.wipeCardAfterImport) && settings.ejectMinVerifiedCopies > destinationCount) {
+            throw new Error(`Cannot require ${settings.ejectMinVerifiedCopies} verified copies with ${destinationCount} destination${destinationCount === 1 ? '' : 's'}`);
+        }
+
+        if (settings.fileFilter.categories.length === 0 && !settings.fileFilter.includeExtensions) {
+            throw new Error('Please select at least one file type to import');
+        }
+
         if (settings.organizeIntoFolders && 
             settings.folderOrganizationType === 'custom' && 
             !settings.customFolderName) {
             throw new Error('Please enter a custom folder name');
         }
+
+        if (settings.organizeIntoFolders && 
+            settings.folderOrganizationType === 'template' && 
+            !settings.folderTemplate) {
+            throw new Error('Please enter a folder template');
+        }
+
+        if (settings.organizeIntoFolders && 
+            settings.folderOrganizationType === 'date' && 
+            !settings.dateFormat) {
+            throw new Error('Please enter a date pattern');
+        }
     }
 
     /**
@@ -1282,8 +3326,12 @@ export class ImportScreen {
     saveImportSettings(settings) {
         StorageManager.setImportUploadEnabled(settings.uploadToZenTransfer);
         StorageManager.setImportUploadToAwsS3(settings.uploadToAwsS3);
+        StorageManager.setImportUploadToS3Compatible(settings.uploadToS3Compatible);
         StorageManager.setImportUploadToAzure(settings.uploadToAzure);
         StorageManager.setImportUploadToGcp(settings.uploadToGcp);
+        StorageManager.setImportUploadToSftp(settings.uploadToSftp);
+        StorageManager.setImportUploadToFtp(settings.uploadToFtp);
+        StorageManager.setImportUploadToWebdav(settings.uploadToWebdav);
         StorageManager.setImportIncludeSubdirectories(settings.includeSubdirectories);
         StorageManager.setImportOrganizeIntoFolders(settings.organizeIntoFolders);
         StorageManager.setImportFolderOrganizationType(settings.folderOrganizationType);
@@ -1293,6 +3341,11 @@ export class ImportScreen {
         if (settings.dateFormat) {
             StorageManager.setImportDateFormat(settings.dateFormat);
         }
+        StorageManager.setImportDateLocale(settings.dateLocale);
+        StorageManager.setImportDayRolloverHour(settings.dayRolloverHour);
+        if (settings.folderTemplate) {
+            StorageManager.setImportFolderTemplate(settings.folderTemplate);
+        }
     }
 
     /**
@@ -1300,15 +3353,23 @@ export class ImportScreen {
      * @param {Object} progress - Progress data from worker
      */
     handleImportProgress(progress) {
-        // Update internal progress tracking
-        this.importProgress.total = progress.totalFiles;
-        this.importProgress.completed = progress.successfulFiles;
-        this.importProgress.failed = progress.failedFiles;
-        this.importProgress.current = progress.currentFile;
-        this.importProgress.uploadQueued = progress.uploadQueueCount || 0; // Track upload queue count
+        // Update internal progress tracking of the job
+        const job = this.getOrCreateJob(progress.jobId);
+        job.progress.total = progress.totalFiles;
+        job.progress.completed = progress.successfulFiles;
+        job.progress.failed = progress.failedFiles;
+        job.progress.current = progress.currentFile;
+        job.progress.uploadQueued = progress.uploadQueueCount || 0; // Track upload queue count
+        job.progress.throughput = progress.throughput || [];
+        job.progress.bytesProcessed = progress.bytesProcessed || 0;
+        job.progress.totalBytes = progress.totalBytes || 0;
+        job.progress.bytesPerSecond = progress.bytesPerSecond || 0;
+        job.progress.etaSeconds = progress.etaSeconds ?? null;
+        job.progress.destinations = progress.destinations || [];
 
         // Update UI display
         this.updateProgressDisplay();
+        if (job.id !== this.selectedJobId) return;
 
         // Update current file display
         if (progress.currentFile) {
@@ -1334,31 +3395,56 @@ export class ImportScreen {
     handleImportCompleted(data) {
         console.log('Import screen handling completion:', data);
         
-        this.isImporting = false;
-        this.importProgress.current = null;
-        this.switchMode(false);
+        const job = this.getOrCreateJob(data.jobId);
+        job.progress.current = null;
+        if (job.status !== 'cancelled') {
+            job.status = 'completed';
+        }
 
         // Handle different data structures
         const results = data.result || data.results || data;
-        this.addLogEntry('Import completed successfully!');
+        this.addLogEntry('Import completed successfully!', job.id);
         
         if (results && typeof results === 'object' && results.successfulFiles !== undefined) {
-            const message = `Import completed! ${results.successfulFiles} files processed successfully`;
+            const message = `Import of ${job.label} completed! ${results.successfulFiles} files processed successfully`;
             if (results.failedFiles > 0) {
-                this.addLogEntry(`${results.failedFiles} files failed to process`);
+                this.addLogEntry(`${results.failedFiles} files failed to process`, job.id);
+            }
+            if (results.verifiedFiles > 0) {
+                this.addLogEntry(`${results.verifiedFiles} files verified by checksum`, job.id);
+            }
+            if (results.unverifiedFiles > 0 && StorageManager.getImportVerifyCopies()) {
+                this.addLogEntry(`${results.unverifiedFiles} files were not verified`, job.id);
             }
             UIComponents.Notification.show(message, 'success');
         } else {
-            this.addLogEntry('Import process finished');
+            this.addLogEntry('Import process finished', job.id);
             UIComponents.Notification.show('Import completed!', 'success');
         }
         
         this.updateProgressDisplay();
-        
-        // Clear log entries after a delay to allow user to see completion message
-        setTimeout(() => {
-            this.clearImportState();
-        }, 5000);
+    }
+
+    /**
+     * Handle the end of an archive verification, the worker logged the details
+     * @param {Object} data - Verification data ({ jobId, result })
+     */
+    handleVerifyCompleted(data) {
+        const job = this.getOrCreateJob(data.jobId);
+        job.progress.current = null;
+        if (job.status !== 'cancelled') {
+            job.status = 'completed';
+        }
+
+        const { verified, modified, missing, extra, stopped } = data.result;
+        if (modified > 0 || missing > 0) {
+            UIComponents.Notification.show(`${job.label}: ${modified} modified and ${missing} missing files`, 'error');
+        } else if (!stopped) {
+            const extraText = extra > 0 ? `, ${extra} files not recorded` : '';
+            UIComponents.Notification.show(`${job.label}: all ${verified} files intact${extraText}`, 'success');
+        }
+
+        this.updateProgressDisplay();
     }
 
     /**
@@ -1366,61 +3452,53 @@ export class ImportScreen {
      * @param {Object} data - Error data from worker
      */
     handleImportError(data) {
-        this.isImporting = false;
-        this.importProgress.current = null;
-        this.switchMode(false);
+        const job = this.getOrCreateJob(data.jobId);
+        job.status = 'failed';
+        job.progress.current = null;
 
-        this.addLogEntry(`Import failed: ${data.error}`);
-        UIComponents.Notification.show(`Import failed: ${data.error}`, 'error');
+        this.addLogEntry(`Import failed: ${data.error}`, job.id);
+        UIComponents.Notification.show(`${job.kind === 'verify' ? job.label : `Import of ${job.label}`} failed: ${data.error}`, 'error');
         this.updateProgressDisplay();
-        
-        // Clear log entries after a delay to allow user to see error message
-        setTimeout(() => {
-            this.clearImportState();
-        }, 5000);
     }
 
     /**
      * Handle import cancellation
+     * The job finishes the files in flight before it ends.
      * @param {Object} data - Cancellation data from worker
      */
     handleImportCancelled(data) {
-        this.isImporting = false;
-        this.importProgress.current = null;
-        this.switchMode(false);
+        const job = this.getOrCreateJob(data.jobId);
+        job.status = 'cancelled';
 
-        this.addLogEntry('Import cancelled by user');
-        UIComponents.Notification.show('Import cancelled', 'info');
+        this.addLogEntry('Import cancelled by user', job.id);
+        UIComponents.Notification.show(`${job.kind === 'verify' ? job.label : `Import of ${job.label}`} cancelled`, 'info');
         this.updateProgressDisplay();
-        
-        // Clear log entries after a delay to allow user to see cancellation message
-        setTimeout(() => {
-            this.clearImportState();
-        }, 3000);
     }
 
     /**
-     * Stop import process
+     * Stop an import job
+     * @param {string} jobId - Import job to stop
      */
-    async stopImport() {
-        if (!this.isImporting) return;
+    async stopImport(jobId) {
+        const job = this.importJobs.get(jobId);
+        if (!job || job.finished) return;
 
         try {
-            this.addLogEntry('Stopping import...');
-            this.addLogEntry('Current file will finish, then import will stop');
+            job.status = 'stopping';
+            this.addLogEntry('Stopping import...', job.id);
+            this.addLogEntry('Current file will finish, then import will stop', job.id);
+            this.renderJobList();
             
             // Stop the import process (but let uploads continue)
-            await this.importManager.cancelImport();
+            await this.importManager.cancelImport(job.id);
             
         } catch (error) {
             console.error('Failed to stop import:', error);
-            this.addLogEntry(`Failed to stop import: ${error.message}`);
+            this.addLogEntry(`Failed to stop import: ${error.message}`, job.id);
             
             // Force stop if cancel fails
-            this.isImporting = false;
-            this.importProgress.current = null;
-            this.switchMode(false);
-            this.addLogEntry('Import force stopped');
+            this.addLogEntry('Import force stopped', job.id);
+            this.handleJobFinished({ jobId: job.id });
         }
     }
 
@@ -1428,10 +3506,19 @@ export class ImportScreen {
      * Update progress display
      */
     updateProgressDisplay() {
+        this.renderJobList();
+
+        const job = this.getSelectedJob();
+        const progress = job ? job.progress : { total: 0, completed: 0, failed: 0, current: null, throughput: [], totalBytes: 0, destinations: [] };
+        const isCopying = job && !job.finished && progress.totalBytes > 0;
+
+        if (this.elements.stopImportBtn) {
+            this.elements.stopImportBtn.disabled = !job || job.finished || job.status === 'stopping';
+            this.elements.stopImportBtn.classList.toggle('opacity-50', this.elements.stopImportBtn.disabled);
+        }
+
         // Update overall progress
-        const overallProgress = this.importProgress.total > 0 
-            ? Math.round((this.importProgress.completed + this.importProgress.failed) / this.importProgress.total * 100)
-            : 0;
+        const overallProgress = this.getProgressPercent(progress);
         
         if (this.elements.overallProgressBar) {
             this.elements.overallProgressBar.style.width = `${overallProgress}%`;
@@ -1440,43 +3527,119 @@ export class ImportScreen {
             this.elements.overallProgressText.textContent = `${overallProgress}%`;
         }
 
+        // Bytes copied, current speed and time left
+        if (this.elements.copySpeedText) {
+            const parts = [];
+            if (progress.totalBytes > 0) {
+                parts.push(`${this.formatFileSize(progress.bytesProcessed)} of ${this.formatFileSize(progress.totalBytes)}`);
+            }
+            if (isCopying && progress.bytesPerSecond > 0) {
+                parts.push(`${this.formatFileSize(progress.bytesPerSecond)}/s`);
+            }
+            if (isCopying && progress.etaSeconds !== null) {
+                parts.push(this.formatTimeLeft(progress.etaSeconds));
+            }
+            this.elements.copySpeedText.textContent = parts.join(' · ');
+        }
+
+        // Progress and average write speed per destination
+        if (this.elements.destinationProgressList) {
+            this.elements.destinationProgressList.innerHTML = '';
+            for (const destination of progress.destinations || []) {
+                const rate = (progress.throughput || []).find(entry => entry.target === destination.target);
+                const percent = destination.totalBytes > 0 ? Math.round(destination.bytesProcessed / destination.totalBytes * 100) : 0;
+
+                const row = document.createElement('div');
+                const text = document.createElement('div');
+                text.className = 'flex justify-between text-xs text-gray-600 mb-1';
+                const label = document.createElement('span');
+                label.textContent = destination.label || destination.target;
+                const details = document.createElement('span');
+                details.textContent = `${percent}%${rate ? ` · ${this.formatFileSize(rate.bytesPerSecond)}/s` : ''}`;
+                text.append(label, details);
+
+                const bar = document.createElement('div');
+                bar.className = 'w-full bg-gray-200 rounded-full h-1.5';
+                const fill = document.createElement('div');
+                fill.className = 'bg-purple-400 h-1.5 rounded-full';
+                fill.style.width = `${percent}%`;
+                bar.appendChild(fill);
+
+                row.append(text, bar);
+                this.elements.destinationProgressList.appendChild(row);
+            }
+        }
+
         // Update current file
         if (this.elements.currentFileName) {
-            this.elements.currentFileName.textContent = this.importProgress.current 
-                ? `Processing: ${this.importProgress.current.name}`
+            this.elements.currentFileName.textContent = progress.current 
+                ? `Processing: ${progress.current.name}`
                 : 'Idle';
         }
 
         // Update stats
         if (this.elements.totalFilesCount) {
-            this.elements.totalFilesCount.textContent = this.importProgress.total;
+            this.elements.totalFilesCount.textContent = progress.total;
         }
         if (this.elements.completedFilesCount) {
-            this.elements.completedFilesCount.textContent = this.importProgress.completed;
+            this.elements.completedFilesCount.textContent = progress.completed;
         }
         if (this.elements.failedFilesCount) {
-            this.elements.failedFilesCount.textContent = this.importProgress.failed;
+            this.elements.failedFilesCount.textContent = progress.failed;
+        }
+    }
+
+    /**
+     * Get how far an import is, by bytes once they are known and by files before
+     * @param {Object} progress - Job progress
+     * @returns {number} Percent done
+     */
+    getProgressPercent(progress) {
+        if (progress.totalBytes > 0) {
+            return Math.min(100, Math.round(progress.bytesProcessed / progress.totalBytes * 100));
         }
+        return progress.total > 0 ? Math.round((progress.completed + progress.failed) / progress.total * 100) : 0;
+    }
+
+    /**
+     * Format the estimated time left of an import
+     * @param {number} seconds - Seconds left
+     * @returns {string} Time left for display
+     */
+    formatTimeLeft(seconds) {
+        if (seconds < 60) return 'less than a minute left';
+
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `about ${minutes} min left`;
+
+        return `about ${Math.floor(minutes / 60)} h ${minutes % 60} min left`;
     }
 
     /**
-     * Add entry to import log
+     * Add entry to an import job's log
      * @param {string} message - Log message
+     * @param {string} jobId - Import job, defaults to the job shown in the progress panel
      */
-    addLogEntry(message) {
+    addLogEntry(message, jobId = this.selectedJobId) {
+        // Lines without a job, before any import started, have no log to go to
+        if (!jobId) {
+            return;
+        }
+
+        const job = this.getOrCreateJob(jobId);
         const timestamp = new Date().toLocaleTimeString();
         const logEntryText = `[${timestamp}] ${message}`;
         
         // Store in memory for persistence
-        this.importLogEntries.push(logEntryText);
+        job.logEntries.push(logEntryText);
         
         // Keep log size manageable (last 100 entries)
-        if (this.importLogEntries.length > 100) {
-            this.importLogEntries = this.importLogEntries.slice(-100);
+        if (job.logEntries.length > 100) {
+            job.logEntries = job.logEntries.slice(-100);
         }
         
-        // Add to DOM if visible
-        if (this.elements.importLog) {
+        // Add to DOM if this job is shown
+        if (this.elements.importLog && jobId === this.selectedJobId) {
             const logEntry = document.createElement('div');
             logEntry.className = 'text-xs';
             logEntry.textContent = logEntryText;
@@ -1495,12 +3658,13 @@ export class ImportScreen {
      * Restore log entries when returning to the screen
      */
     restoreLogEntries() {
-        if (this.elements.importLog && this.importLogEntries.length > 0) {
+        const job = this.getSelectedJob();
+        if (this.elements.importLog) {
             // Clear existing log entries
             this.elements.importLog.innerHTML = '';
             
-            // Restore all stored log entries
-            this.importLogEntries.forEach(logEntryText => {
+            // Restore all stored log entries of the shown job
+            (job ? job.logEntries : []).forEach(logEntryText => {
                 const logEntry = document.createElement('div');
                 logEntry.className = 'text-xs';
                 logEntry.textContent = logEntryText;
@@ -1516,25 +3680,20 @@ export class ImportScreen {
     }
 
     /**
-     * Clear import state and log entries
+     * Clear finished import jobs and their log entries
      */
     clearImportState() {
-        // Clear stored log entries
-        this.importLogEntries = [];
-        
-        // Clear DOM log entries
-        if (this.elements.importLog) {
-            this.elements.importLog.innerHTML = '';
+        for (const job of Array.from(this.importJobs.values())) {
+            if (job.finished) {
+                this.importJobs.delete(job.id);
+            }
+        }
+        if (!this.getSelectedJob()) {
+            this.selectedJobId = this.importJobs.keys().next().value || null;
         }
         
-        // Reset progress
-        this.importProgress = {
-            total: 0,
-            completed: 0,
-            failed: 0,
-            current: null,
-            uploadQueued: 0
-        };
+        // Show the log of the remaining job, if any
+        this.restoreLogEntries();
         
         // Update display
         this.updateProgressDisplay();
@@ -1552,7 +3711,7 @@ export class ImportScreen {
      * Refresh service availability (called when auth state or settings change)
      */
     async refreshServiceAvailability() {
-        if (this.isVisible && !this.isImporting) {
+        if (this.isVisible && !this.hasRunningImports()) {
             await this.updateServiceAvailability();
         }
     }
@@ -1562,9 +3721,11 @@ export class ImportScreen {
      * @returns {Object} Import stats
      */
     getImportStats() {
+        const job = this.getSelectedJob();
         return {
-            isImporting: this.isImporting,
-            progress: this.importProgress
+            isImporting: this.hasRunningImports(),
+            progress: job ? job.progress : null,
+            jobs: Array.from(this.importJobs.values()).map(({ id, label, sourcePaths, status, progress }) => ({ id, label, sourcePaths, status, progress }))
         };
     }
 
@@ -1572,7 +3733,9 @@ export class ImportScreen {
      * Cleanup resources when screen is destroyed
      */
     destroy() {
-        this.stopImport();
+        for (const jobId of this.importJobs.keys()) {
+            this.stopImport(jobId);
+        }
         
         if (this.importManager) {
             this.importManager.destroy();
@@ -1598,8 +3761,12 @@ export class ImportScreen {
                 const cloudServiceCheckboxes = [
                     this.elements.uploadToZenTransferCheckbox,
                     this.elements.uploadToAwsS3Checkbox,
+                    this.elements.uploadToS3CompatibleCheckbox,
                     this.elements.uploadToAzureCheckbox,
-                    this.elements.uploadToGcpCheckbox
+                    this.elements.uploadToGcpCheckbox,
+                    this.elements.uploadToSftpCheckbox,
+                    this.elements.uploadToFtpCheckbox,
+                    this.elements.uploadToWebdavCheckbox
                 ];
                 
                 cloudServiceCheckboxes.forEach(checkbox => {
@@ -1612,4 +3779,8 @@ export class ImportScreen {
             this.validateInputs();
         }
     }
-} 
\ No newline at end of file
+} 
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
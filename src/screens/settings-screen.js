@@ -65,6 +65,66 @@ export class SettingsScreen {
                                 <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
                             </label>
                         </div>
+                        <div class="flex items-center justify-between">
+                            <div>
+                                <span class="text-sm font-medium text-gray-700">Verify copies with checksums</span>
+                                <p class="text-xs text-gray-500">Hash each file while copying and compare it with the copy on disk</p>
+                            </div>
+                            <label class="relative inline-flex items-center cursor-pointer">
+                                <input type="checkbox" id="verifyCopiesToggle" class="sr-only peer">
+                                <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                            </label>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <span class="text-sm text-gray-600">Checksum algorithm</span>
+                            <select id="checksumAlgorithmSelect" class="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="xxhash64">xxHash64 (fastest)</option>
+                                <option value="md5">MD5</option>
+                                <option value="sha256">SHA-256</option>
+                            </select>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <div>
+                                <span class="text-sm font-medium text-gray-700">Write import manifests</span>
+                                <p class="text-xs text-gray-500">Save a JSON and ASC-MHL list of the copied files and their hashes in each destination</p>
+                            </div>
+                            <label class="relative inline-flex items-center cursor-pointer">
+                                <input type="checkbox" id="writeManifestsToggle" class="sr-only peer">
+                                <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                            </label>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <div>
+                                <span class="text-sm font-medium text-gray-700">Parallel copies per disk</span>
+                                <p class="text-xs text-gray-500">Use 1 for spinning hard drives, more for SSDs and fast card readers</p>
+                            </div>
+                            <select id="copyConcurrencySelect" class="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="1">1</option>
+                                <option value="2">2</option>
+                                <option value="4">4</option>
+                                <option value="8">8</option>
+                            </select>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <div>
+                                <span class="text-sm font-medium text-gray-700">Files already in the archive</span>
+                                <p class="text-xs text-gray-500">Recognize imported files by content, whatever folder or name they got</p>
+                            </div>
+                            <select id="archiveDuplicatesSelect" class="px-3 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="off">Import as usual</option>
+                                <option value="skip">Skip</option>
+                                <option value="flag">Import and flag</option>
+                            </select>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <div>
+                                <span class="text-sm text-gray-600">Archive catalog</span>
+                                <p class="text-xs text-gray-500">Rescan an archive folder to add files imported elsewhere or moved since</p>
+                            </div>
+                            <button id="rebuildCatalogBtn" class="px-3 py-1 bg-gray-100 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-200 text-sm">
+                                Rebuild catalog...
+                            </button>
+                        </div>
                         <div class="flex items-center justify-between">
                             <span class="text-sm text-gray-600">Disable notifications</span>
                             <label class="relative inline-flex items-center cursor-pointer">
@@ -128,6 +188,32 @@ export class SettingsScreen {
                             <p class="text-xs text-gray-500 mt-1">Choose the storage class based on your access patterns and cost requirements.</p>
                         </div>
                         
+                        <!-- Multipart Uploads -->
+                        <div>
+                            <div class="grid grid-cols-2 gap-2">
+                                <div>
+                                    <label for="awsS3PartSizeMb" class="block text-sm font-medium text-gray-700 mb-1">Part Size</label>
+                                    <select id="awsS3PartSizeMb" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                        <option value="8">8 MB</option>
+                                        <option value="16" selected>16 MB</option>
+                                        <option value="32">32 MB</option>
+                                        <option value="64">64 MB</option>
+                                        <option value="128">128 MB</option>
+                                    </select>
+                                </div>
+                                <div>
+                                    <label for="awsS3PartConcurrency" class="block text-sm font-medium text-gray-700 mb-1">Parallel Parts</label>
+                                    <select id="awsS3PartConcurrency" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                        <option value="1">1</option>
+                                        <option value="2">2</option>
+                                        <option value="4" selected>4</option>
+                                        <option value="8">8</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <p class="text-xs text-gray-500 mt-1">Files larger than one part upload in parts. Larger parts and more parallel parts use more memory, an interrupted upload resumes from the parts already sent.</p>
+                        </div>
+                        
                         <!-- Access Key ID -->
                         <div id="awsS3AccessKeyContainer"></div>
                         
@@ -144,6 +230,114 @@ export class SettingsScreen {
                     </div>
                 </div>
 
+                <!-- S3-Compatible Storage Section -->
+                <div class="bg-white rounded-lg p-4 shadow-sm">
+                    <div class="flex items-center justify-between mb-3">
+                        <div class="flex items-center space-x-2">
+                            <!-- S3-compatible icon -->
+                            <svg class="w-5 h-5 text-teal-600" fill="currentColor" viewBox="0 0 24 24">
+                                <path d="M12 2L2 7v10l10 5 10-5V7l-10-5zM12 4.5L19.5 8 12 11.5 4.5 8 12 4.5zM4 9.5l7 3.5v7l-7-3.5v-7zm16 0v7l-7 3.5v-7l7-3.5z"/>
+                            </svg>
+                            <h3 class="text-lg font-semibold text-gray-900">S3-Compatible Upload</h3>
+                        </div>
+                        <label class="relative inline-flex items-center cursor-pointer">
+                            <input type="checkbox" id="s3CompatEnableToggle" class="sr-only peer">
+                            <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                        </label>
+                    </div>
+                    
+                    <div id="s3CompatSettings" class="space-y-4 hidden">
+                        <!-- Provider -->
+                        <div>
+                            <label for="s3CompatProvider" class="block text-sm font-medium text-gray-700 mb-1">Provider</label>
+                            <select id="s3CompatProvider" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="">Loading providers...</option>
+                            </select>
+                            <p class="text-xs text-gray-500 mt-1">Choosing a provider fills in its region, endpoint and addressing style.</p>
+                        </div>
+                        
+                        <!-- Region -->
+                        <div>
+                            <label for="s3CompatRegion" class="block text-sm font-medium text-gray-700 mb-1">Region</label>
+                            <input 
+                                type="text" 
+                                id="s3CompatRegion"
+                                list="s3CompatRegionList"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="us-east-1"
+                            >
+                            <datalist id="s3CompatRegionList"></datalist>
+                            <p class="text-xs text-gray-500 mt-1">Requests are signed for this region.</p>
+                        </div>
+                        
+                        <!-- Endpoint -->
+                        <div>
+                            <label for="s3CompatEndpoint" class="block text-sm font-medium text-gray-700 mb-1">Endpoint</label>
+                            <input 
+                                type="text" 
+                                id="s3CompatEndpoint"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="https://s3.example.com"
+                            >
+                            <p class="text-xs text-gray-500 mt-1">Leave empty to use the provider's endpoint for the region.</p>
+                        </div>
+                        
+                        <!-- Bucket Name -->
+                        <div>
+                            <label for="s3CompatBucket" class="block text-sm font-medium text-gray-700 mb-1">Bucket Name <span class="text-red-500">*</span></label>
+                            <input 
+                                type="text" 
+                                id="s3CompatBucket"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="my-bucket-name"
+                                required
+                            >
+                        </div>
+                        
+                        <!-- Addressing and checksums -->
+                        <div class="flex items-center space-x-3">
+                            <input 
+                                type="checkbox" 
+                                id="s3CompatPathStyle" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="s3CompatPathStyle" class="text-sm text-gray-700 cursor-pointer">Path-style addressing (endpoint/bucket/key)</label>
+                        </div>
+                        
+                        <div>
+                            <label for="s3CompatChecksumMode" class="block text-sm font-medium text-gray-700 mb-1">Request Checksums</label>
+                            <select id="s3CompatChecksumMode" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="when_required" selected>Only when required - works with most providers</option>
+                                <option value="when_supported">Always - like AWS S3</option>
+                            </select>
+                            <p class="text-xs text-gray-500 mt-1">Some providers store uploads with checksums as corrupt files, keep "Only when required" unless yours supports them.</p>
+                        </div>
+                        
+                        <div>
+                            <label for="s3CompatSignatureMode" class="block text-sm font-medium text-gray-700 mb-1">Request Signing</label>
+                            <select id="s3CompatSignatureMode" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="signed_payload" selected>Signature V4, signed payload - like AWS S3</option>
+                                <option value="unsigned_payload">Signature V4, unsigned payload - headers only</option>
+                            </select>
+                            <p class="text-xs text-gray-500 mt-1">Use an unsigned payload for gateways that reject payload hashes, and only over https.</p>
+                        </div>
+                        
+                        <!-- Access Key ID -->
+                        <div id="s3CompatAccessKeyContainer"></div>
+                        
+                        <!-- Secret Access Key -->
+                        <div id="s3CompatSecretKeyContainer"></div>
+                        
+                        <!-- Test Connection Button -->
+                        <button id="testS3CompatConnectionBtn" class="w-full px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 focus:ring-2 focus:ring-teal-600 font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
+                            <svg id="testS3CompatIcon" class="w-5 h-5 transition-all duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                            </svg>
+                            <span id="testS3CompatText">Test Connection</span>
+                        </button>
+                    </div>
+                </div>
+
                 <!-- Azure Upload Section -->
                 <div class="bg-white rounded-lg p-4 shadow-sm">
                     <div class="flex items-center justify-between mb-3">
@@ -254,65 +448,471 @@ export class SettingsScreen {
                     </div>
                 </div>
 
-                <!-- Account Section -->
+                <!-- SFTP Upload Section -->
                 <div class="bg-white rounded-lg p-4 shadow-sm">
-                    <h3 class="text-lg font-semibold text-gray-900 mb-3">ZenTransfer.io account</h3>
-                    <div id="accountContent" class="space-y-3">
-                        <!-- Content will be dynamically updated based on auth state -->
+                    <div class="flex items-center justify-between mb-3">
+                        <div class="flex items-center space-x-2">
+                            <!-- SFTP icon -->
+                            <svg class="w-5 h-5 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"></path>
+                            </svg>
+                            <h3 class="text-lg font-semibold text-gray-900">SFTP Upload</h3>
+                        </div>
+                        <label class="relative inline-flex items-center cursor-pointer">
+                            <input type="checkbox" id="sftpEnableToggle" class="sr-only peer">
+                            <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                        </label>
                     </div>
-                </div>
-
-                <!-- Support Section -->
-                <div class="bg-white rounded-lg p-4 shadow-sm">
-                    <h3 class="text-lg font-semibold text-gray-900 mb-3">Support</h3>
-                    <div class="space-y-3">
-                        <button id="helpBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
-                            Help & Support
-                        </button>
-                        <button id="privacyBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
-                            Privacy Policy
-                        </button>
-                        <button id="termsBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
-                            Terms of Service
-                        </button>
-                        <button id="downloadLatestBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
-                            Download Latest Version
-                        </button>
-                        <button id="donateBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
-                            Donate
+                    
+                    <div id="sftpSettings" class="space-y-4 hidden">
+                        <!-- Server -->
+                        <div class="flex space-x-2">
+                            <div class="flex-1">
+                                <label for="sftpHost" class="block text-sm font-medium text-gray-700 mb-1">Server <span class="text-red-500">*</span></label>
+                                <input 
+                                    type="text" 
+                                    id="sftpHost"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                    placeholder="sftp.example.com"
+                                    required
+                                >
+                            </div>
+                            <div class="w-24">
+                                <label for="sftpPort" class="block text-sm font-medium text-gray-700 mb-1">Port</label>
+                                <input 
+                                    type="number" 
+                                    id="sftpPort"
+                                    min="1"
+                                    max="65535"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                    placeholder="22"
+                                >
+                            </div>
+                        </div>
+                        
+                        <!-- Username -->
+                        <div>
+                            <label for="sftpUsername" class="block text-sm font-medium text-gray-700 mb-1">Username <span class="text-red-500">*</span></label>
+                            <input 
+                                type="text" 
+                                id="sftpUsername"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="username"
+                                required
+                            >
+                        </div>
+                        
+                        <!-- Authentication -->
+                        <div>
+                            <label for="sftpAuthMethod" class="block text-sm font-medium text-gray-700 mb-1">Authentication</label>
+                            <select id="sftpAuthMethod" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="password" selected>Password</option>
+                                <option value="key">Private key</option>
+                            </select>
+                        </div>
+                        
+                        <!-- Password -->
+                        <div id="sftpPasswordContainer"></div>
+                        
+                        <!-- Private Key -->
+                        <div id="sftpKeySettings" class="space-y-4 hidden">
+                            <div>
+                                <label for="sftpPrivateKeyPath" class="block text-sm font-medium text-gray-700 mb-1">Private Key File <span class="text-red-500">*</span></label>
+                                <div class="flex items-center space-x-2">
+                                    <input 
+                                        type="text" 
+                                        id="sftpPrivateKeyPath"
+                                        class="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                        placeholder="~/.ssh/id_ed25519"
+                                    >
+                                    <button 
+                                        type="button" 
+                                        id="sftpPrivateKeyBtn"
+                                        class="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                                    >
+                                        Browse...
+                                    </button>
+                                </div>
+                                <p class="text-xs text-gray-500 mt-1">OpenSSH or PEM key file. The key is read from disk on every connection.</p>
+                            </div>
+                            <div id="sftpPassphraseContainer"></div>
+                        </div>
+                        
+                        <!-- Remote Folder -->
+                        <div>
+                            <label for="sftpRemoteDirectory" class="block text-sm font-medium text-gray-700 mb-1">Remote Folder</label>
+                            <input 
+                                type="text" 
+                                id="sftpRemoteDirectory"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="/incoming"
+                            >
+                            <p class="text-xs text-gray-500 mt-1">Relative folders start in the login folder. Missing folders are created.</p>
+                        </div>
+                        
+                        <!-- Host Key -->
+                        <div>
+                            <label for="sftpHostFingerprint" class="block text-sm font-medium text-gray-700 mb-1">Host Key Fingerprint</label>
+                            <input 
+                                type="text" 
+                                id="sftpHostFingerprint"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm font-mono" 
+                                placeholder="SHA256:..."
+                            >
+                            <p class="text-xs text-gray-500 mt-1">Servers listed in ~/.ssh/known_hosts are trusted. For other servers, test the connection to review and trust the key.</p>
+                        </div>
+                        
+                        <div class="flex items-center space-x-3">
+                            <input 
+                                type="checkbox" 
+                                id="sftpRenameAfterUpload" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="sftpRenameAfterUpload" class="text-sm text-gray-700 cursor-pointer">Upload as .part and rename when complete</label>
+                        </div>
+                        
+                        <!-- Test Connection Button -->
+                        <button id="testSftpConnectionBtn" class="w-full px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 focus:ring-2 focus:ring-indigo-600 font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
+                            <svg id="testSftpIcon" class="w-5 h-5 transition-all duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                            </svg>
+                            <span id="testSftpText">Test Connection</span>
                         </button>
                     </div>
                 </div>
 
-                <!-- App Info Section -->
+                <!-- FTP Upload Section -->
                 <div class="bg-white rounded-lg p-4 shadow-sm">
-                    <h3 class="text-lg font-semibold text-gray-900 mb-3">App Info</h3>
-                    <div class="space-y-3">
-                        <div class="flex items-center justify-between">
-                            <span class="text-sm text-gray-600">Version</span>
-                            <span class="text-sm font-medium text-gray-900">${config.APP_VERSION}</span>
+                    <div class="flex items-center justify-between mb-3">
+                        <div class="flex items-center space-x-2">
+                            <!-- FTP icon -->
+                            <svg class="w-5 h-5 text-amber-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"></path>
+                            </svg>
+                            <h3 class="text-lg font-semibold text-gray-900">FTP Upload</h3>
                         </div>
-                        <div class="flex items-center justify-between">
-                            <span class="text-sm text-gray-600">Build</span>
-                            <span class="text-sm font-medium text-gray-900">${config.IS_DEVELOPMENT ? 'Development' : 'Production'}</span>
+                        <label class="relative inline-flex items-center cursor-pointer">
+                            <input type="checkbox" id="ftpEnableToggle" class="sr-only peer">
+                            <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                        </label>
+                    </div>
+                    
+                    <div id="ftpSettings" class="space-y-4 hidden">
+                        <!-- Server -->
+                        <div class="flex space-x-2">
+                            <div class="flex-1">
+                                <label for="ftpHost" class="block text-sm font-medium text-gray-700 mb-1">Server <span class="text-red-500">*</span></label>
+                                <input 
+                                    type="text" 
+                                    id="ftpHost"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                    placeholder="ftp.example.com"
+                                    required
+                                >
+                            </div>
+                            <div class="w-24">
+                                <label for="ftpPort" class="block text-sm font-medium text-gray-700 mb-1">Port</label>
+                                <input 
+                                    type="number" 
+                                    id="ftpPort"
+                                    min="1"
+                                    max="65535"
+                                    class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                    placeholder="21"
+                                >
+                            </div>
                         </div>
-                        <div class="flex items-center justify-between">
-                            <span id="serverLabel" class="text-sm text-gray-600 select-none" style="cursor: default">Server</span>
-                            <span class="text-sm font-medium text-gray-900">${config.SERVER_BASE_URL}</span>
+                        
+                        <!-- Username -->
+                        <div>
+                            <label for="ftpUsername" class="block text-sm font-medium text-gray-700 mb-1">Username <span class="text-red-500">*</span></label>
+                            <input 
+                                type="text" 
+                                id="ftpUsername"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="username or anonymous"
+                                required
+                            >
+                        </div>
+                        
+                        <!-- Password -->
+                        <div id="ftpPasswordContainer"></div>
+                        
+                        <!-- Security -->
+                        <div>
+                            <label for="ftpSecurity" class="block text-sm font-medium text-gray-700 mb-1">Encryption</label>
+                            <select id="ftpSecurity" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="none" selected>None - plain FTP</option>
+                                <option value="explicit">Explicit TLS (FTPES, AUTH TLS)</option>
+                                <option value="implicit">Implicit TLS (FTPS, port 990)</option>
+                            </select>
+                            <p class="text-xs text-gray-500 mt-1">Plain FTP sends the password unencrypted, use TLS whenever the server supports it.</p>
+                        </div>
+                        
+                        <div id="ftpCertificateSettings" class="flex items-center space-x-3 hidden">
+                            <input 
+                                type="checkbox" 
+                                id="ftpVerifyCertificate" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="ftpVerifyCertificate" class="text-sm text-gray-700 cursor-pointer">Verify the server's TLS certificate</label>
+                        </div>
+                        
+                        <!-- Transfer Mode -->
+                        <div>
+                            <label for="ftpTransferMode" class="block text-sm font-medium text-gray-700 mb-1">Transfer Mode</label>
+                            <select id="ftpTransferMode" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="passive" selected>Passive - works behind most firewalls</option>
+                                <option value="active">Active - the server connects back to this computer</option>
+                            </select>
                         </div>
+                        
+                        <!-- Remote Folder -->
+                        <div>
+                            <label for="ftpRemoteDirectory" class="block text-sm font-medium text-gray-700 mb-1">Remote Folder</label>
+                            <input 
+                                type="text" 
+                                id="ftpRemoteDirectory"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="/incoming"
+                            >
+                            <p class="text-xs text-gray-500 mt-1">Relative folders start in the login folder. Missing folders are created.</p>
+                        </div>
+                        
+                        <div class="flex items-center space-x-3">
+                            <input 
+                                type="checkbox" 
+                                id="ftpRenameAfterUpload" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="ftpRenameAfterUpload" class="text-sm text-gray-700 cursor-pointer">Upload as .part and rename when complete</label>
+                        </div>
+                        
+                        <!-- Test Connection Button -->
+                        <button id="testFtpConnectionBtn" class="w-full px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 focus:ring-2 focus:ring-amber-500 font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
+                            <svg id="testFtpIcon" class="w-5 h-5 transition-all duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                            </svg>
+                            <span id="testFtpText">Test Connection</span>
+                        </button>
                     </div>
                 </div>
 
-                <!-- Storage Section -->
+                <!-- WebDAV Upload Section -->
                 <div class="bg-white rounded-lg p-4 shadow-sm">
-                    <h3 class="text-lg font-semibold text-gray-900 mb-3">Storage</h3>
-                    <div class="space-y-3">
-                        <button id="clearCacheBtn" class="w-full text-left text-sm text-gray-600 hover:text-gray-800 font-medium transition-colors duration-200">
-                            Clear Cache
-                        </button>
-                        <button id="clearDataBtn" class="w-full text-left text-sm text-red-600 hover:text-red-700 font-medium transition-colors duration-200">
-                            Clear All Data
-                        </button>
+                    <div class="flex items-center justify-between mb-3">
+                        <div class="flex items-center space-x-2">
+                            <!-- WebDAV icon -->
+                            <svg class="w-5 h-5 text-cyan-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9"></path>
+                            </svg>
+                            <h3 class="text-lg font-semibold text-gray-900">WebDAV / Nextcloud Upload</h3>
+                        </div>
+                        <label class="relative inline-flex items-center cursor-pointer">
+                            <input type="checkbox" id="webdavEnableToggle" class="sr-only peer">
+                            <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                        </label>
+                    </div>
+                    
+                    <div id="webdavSettings" class="space-y-4 hidden">
+                        <!-- Server Address -->
+                        <div>
+                            <label for="webdavUrl" class="block text-sm font-medium text-gray-700 mb-1">WebDAV Address <span class="text-red-500">*</span></label>
+                            <input 
+                                type="url" 
+                                id="webdavUrl"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="https://cloud.example.com/remote.php/dav/files/USERNAME/"
+                                required
+                            >
+                            <p class="text-xs text-gray-500 mt-1">For Nextcloud, copy the WebDAV address from Files → Files settings. It enables chunked uploads and checksums.</p>
+                        </div>
+                        
+                        <!-- Username -->
+                        <div>
+                            <label for="webdavUsername" class="block text-sm font-medium text-gray-700 mb-1">Username <span class="text-red-500">*</span></label>
+                            <input 
+                                type="text" 
+                                id="webdavUsername"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="username"
+                                required
+                            >
+                        </div>
+                        
+                        <!-- Password -->
+                        <div id="webdavPasswordContainer"></div>
+                        
+                        <!-- Remote Folder -->
+                        <div>
+                            <label for="webdavRemoteDirectory" class="block text-sm font-medium text-gray-700 mb-1">Remote Folder</label>
+                            <input 
+                                type="text" 
+                                id="webdavRemoteDirectory"
+                                class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                placeholder="Photos/Incoming"
+                            >
+                            <p class="text-xs text-gray-500 mt-1">Relative to the WebDAV address. Missing folders are created.</p>
+                        </div>
+                        
+                        <!-- Chunk Size -->
+                        <div>
+                            <label for="webdavChunkSizeMb" class="block text-sm font-medium text-gray-700 mb-1">Chunked Uploads (Nextcloud)</label>
+                            <select id="webdavChunkSizeMb" class="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm">
+                                <option value="0">Off - upload each file in one request</option>
+                                <option value="8">8 MB chunks</option>
+                                <option value="16" selected>16 MB chunks</option>
+                                <option value="32">32 MB chunks</option>
+                                <option value="64">64 MB chunks</option>
+                            </select>
+                            <p class="text-xs text-gray-500 mt-1">Large files are sent in chunks, a failed chunk is retried without starting the file over.</p>
+                        </div>
+                        
+                        <div class="flex items-center space-x-3">
+                            <input 
+                                type="checkbox" 
+                                id="webdavRenameAfterUpload" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="webdavRenameAfterUpload" class="text-sm text-gray-700 cursor-pointer">Upload as .part and rename when complete (not needed for Nextcloud)</label>
+                        </div>
+                        
+                        <!-- Test Connection Button -->
+                        <button id="testWebdavConnectionBtn" class="w-full px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 focus:ring-2 focus:ring-cyan-600 font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
+                            <svg id="testWebdavIcon" class="w-5 h-5 transition-all duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                            </svg>
+                            <span id="testWebdavText">Test Connection</span>
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Folder Upload Section -->
+                <div class="bg-white rounded-lg p-4 shadow-sm">
+                    <div class="flex items-center justify-between mb-3">
+                        <div class="flex items-center space-x-2">
+                            <!-- Folder icon -->
+                            <svg class="w-5 h-5 text-teal-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 19a2 2 0 01-2-2V7a2 2 0 012-2h4l2 2h4a2 2 0 012 2v1M5 19h14a2 2 0 002-2v-5a2 2 0 00-2-2H9a2 2 0 00-2 2v5a2 2 0 01-2 2z"></path>
+                            </svg>
+                            <h3 class="text-lg font-semibold text-gray-900">Folder Upload</h3>
+                        </div>
+                        <label class="relative inline-flex items-center cursor-pointer">
+                            <input type="checkbox" id="folderEnableToggle" class="sr-only peer">
+                            <div class="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary-600"></div>
+                        </label>
+                    </div>
+                    
+                    <div id="folderSettings" class="space-y-4 hidden">
+                        <!-- Folder -->
+                        <div>
+                            <label for="folderPath" class="block text-sm font-medium text-gray-700 mb-1">Folder <span class="text-red-500">*</span></label>
+                            <div class="flex items-center space-x-2">
+                                <input 
+                                    type="text" 
+                                    id="folderPath"
+                                    class="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 text-sm" 
+                                    placeholder="/Volumes/Photos"
+                                    required
+                                >
+                                <button 
+                                    type="button" 
+                                    id="folderPathBtn"
+                                    class="px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors duration-200"
+                                >
+                                    Browse...
+                                </button>
+                            </div>
+                            <p class="text-xs text-gray-500 mt-1">A mounted SMB/NFS share, an external drive or a Dropbox/OneDrive folder. It is not created if missing, so an unmounted share fails instead of filling the local disk.</p>
+                        </div>
+                        
+                        <div class="flex items-center space-x-3">
+                            <input 
+                                type="checkbox" 
+                                id="folderVerifyCopies" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="folderVerifyCopies" class="text-sm text-gray-700 cursor-pointer">Read each copy back and compare checksums</label>
+                        </div>
+                        
+                        <div class="flex items-center space-x-3">
+                            <input 
+                                type="checkbox" 
+                                id="folderRenameAfterUpload" 
+                                class="w-4 h-4 text-primary-600 bg-gray-100 border-gray-300 rounded focus:ring-primary-500 focus:ring-2"
+                            >
+                            <label for="folderRenameAfterUpload" class="text-sm text-gray-700 cursor-pointer">Copy as .part and rename when complete</label>
+                        </div>
+                        
+                        <!-- Test Connection Button -->
+                        <button id="testFolderConnectionBtn" class="w-full px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 focus:ring-2 focus:ring-teal-600 font-medium transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2">
+                            <svg id="testFolderIcon" class="w-5 h-5 transition-all duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                            </svg>
+                            <span id="testFolderText">Test Folder</span>
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Account Section -->
+                <div class="bg-white rounded-lg p-4 shadow-sm">
+                    <h3 class="text-lg font-semibold text-gray-900 mb-3">ZenTransfer.io account</h3>
+                    <div id="accountContent" class="space-y-3">
+                        <!-- Content will be dynamically updated based on auth state -->
+                    </div>
+                </div>
+
+                <!-- Support Section -->
+                <div class="bg-white rounded-lg p-4 shadow-sm">
+                    <h3 class="text-lg font-semibold text-gray-900 mb-3">Support</h3>
+                    <div class="space-y-3">
+                        <button id="helpBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
+                            Help & Support
+                        </button>
+                        <button id="privacyBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
+                            Privacy Policy
+                        </button>
+                        <button id="termsBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
+                            Terms of Service
+                        </button>
+                        <button id="downloadLatestBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
+                            Download Latest Version
+                        </button>
+                        <button id="donateBtn" class="w-full text-left text-sm text-primary-600 hover:text-primary-700 font-medium transition-colors duration-200">
+                            Donate
+                        </button>
+                    </div>
+                </div>
+
+                <!-- App Info Section -->
+                <div class="bg-white rounded-lg p-4 shadow-sm">
+                    <h3 class="text-lg font-semibold text-gray-900 mb-3">App Info</h3>
+                    <div class="space-y-3">
+                        <div class="flex items-center justify-between">
+                            <span class="text-sm text-gray-600">Version</span>
+                            <span class="text-sm font-medium text-gray-900">${config.APP_VERSION}</span>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <span class="text-sm text-gray-600">Build</span>
+                            <span class="text-sm font-medium text-gray-900">${config.IS_DEVELOPMENT ? 'Development' : 'Production'}</span>
+                        </div>
+                        <div class="flex items-center justify-between">
+                            <span id="serverLabel" class="text-sm text-gray-600 select-none" style="cursor: default">Server</span>
+                            <span class="text-sm font-medium text-gray-900">${config.SERVER_BASE_URL}</span>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Storage Section -->
+                <div class="bg-white rounded-lg p-4 shadow-sm">
+                    <h3 class="text-lg font-semibold text-gray-900 mb-3">Storage</h3>
+                    <div class="space-y-3">
+                        <button id="clearCacheBtn" class="w-full text-left text-sm text-gray-600 hover:text-gray-800 font-medium transition-colors duration-200">
+                            Clear Cache
+                        </button>
+                        <button id="clearDataBtn" class="w-full text-left text-sm text-red-600 hover:text-red-700 font-medium transition-colors duration-200">
+                            Clear All Data
+                        </button>
                     </div>
                 </div>
 
@@ -372,6 +972,10 @@ export class SettingsScreen {
         this.createAzureSecureInputs();
         this.setupGcpFileHandling();
         this.createAwsS3SecureInputs();
+        this.createS3CompatibleInputs();
+        this.createSftpInputs();
+        this.createFtpInputs();
+        this.createWebdavInputs();
 
         // Setup hidden developer console trigger
         const serverLabel = document.getElementById('serverLabel');
@@ -427,6 +1031,51 @@ export class SettingsScreen {
             });
         }
 
+        const verifyCopiesToggle = document.getElementById('verifyCopiesToggle');
+        const checksumAlgorithmSelect = document.getElementById('checksumAlgorithmSelect');
+
+        if (verifyCopiesToggle) {
+            verifyCopiesToggle.addEventListener('change', (e) => {
+                StorageManager.setImportVerifyCopies(e.target.checked);
+                if (checksumAlgorithmSelect) checksumAlgorithmSelect.disabled = !e.target.checked;
+            });
+        }
+
+        if (checksumAlgorithmSelect) {
+            checksumAlgorithmSelect.addEventListener('change', (e) => {
+                StorageManager.setImportChecksumAlgorithm(e.target.value);
+            });
+        }
+
+        const writeManifestsToggle = document.getElementById('writeManifestsToggle');
+        const copyConcurrencySelect = document.getElementById('copyConcurrencySelect');
+        const archiveDuplicatesSelect = document.getElementById('archiveDuplicatesSelect');
+        const rebuildCatalogBtn = document.getElementById('rebuildCatalogBtn');
+
+        if (writeManifestsToggle) {
+            writeManifestsToggle.addEventListener('change', (e) => {
+                StorageManager.setImportWriteManifests(e.target.checked);
+            });
+        }
+
+        if (copyConcurrencySelect) {
+            copyConcurrencySelect.addEventListener('change', (e) => {
+                StorageManager.setImportCopyConcurrency(parseInt(e.target.value, 10));
+            });
+        }
+
+        if (archiveDuplicatesSelect) {
+            archiveDuplicatesSelect.addEventListener('change', (e) => {
+                StorageManager.setImportArchiveDuplicates(e.target.value);
+            });
+        }
+
+        if (rebuildCatalogBtn) {
+            rebuildCatalogBtn.addEventListener('click', () => {
+                this.rebuildArchiveCatalog();
+            });
+        }
+
         if (azureEnableToggle) {
             azureEnableToggle.addEventListener('change', (e) => {
                 const isEnabled = e.target.checked;
@@ -500,6 +1149,8 @@ export class SettingsScreen {
         const awsS3Region = document.getElementById('awsS3Region');
         const awsS3Bucket = document.getElementById('awsS3Bucket');
         const awsS3StorageTier = document.getElementById('awsS3StorageTier');
+        const awsS3PartSizeMb = document.getElementById('awsS3PartSizeMb');
+        const awsS3PartConcurrency = document.getElementById('awsS3PartConcurrency');
         const testS3ConnectionBtn = document.getElementById('testS3ConnectionBtn');
 
         // Track if connection was tested successfully
@@ -542,115 +1193,442 @@ export class SettingsScreen {
             });
         }
 
+        if (awsS3PartSizeMb) {
+            awsS3PartSizeMb.addEventListener('change', (e) => {
+                this.updatePreference('awsS3PartSizeMb', Number(e.target.value));
+            });
+        }
+
+        if (awsS3PartConcurrency) {
+            awsS3PartConcurrency.addEventListener('change', (e) => {
+                this.updatePreference('awsS3PartConcurrency', Number(e.target.value));
+            });
+        }
+
         if (testS3ConnectionBtn) {
             testS3ConnectionBtn.addEventListener('click', () => {
                 this.testS3Connection();
             });
         }
 
-        // Account section buttons
-        if (this.elements.signOutBtn) {
-            this.elements.signOutBtn.addEventListener('click', () => {
-                this.signOut();
+        // S3-compatible storage settings
+        const s3CompatEnableToggle = document.getElementById('s3CompatEnableToggle');
+        const s3CompatSettings = document.getElementById('s3CompatSettings');
+        const s3CompatProvider = document.getElementById('s3CompatProvider');
+        const s3CompatRegion = document.getElementById('s3CompatRegion');
+        const s3CompatEndpoint = document.getElementById('s3CompatEndpoint');
+        const s3CompatBucket = document.getElementById('s3CompatBucket');
+        const s3CompatPathStyle = document.getElementById('s3CompatPathStyle');
+        const s3CompatChecksumMode = document.getElementById('s3CompatChecksumMode');
+        const s3CompatSignatureMode = document.getElementById('s3CompatSignatureMode');
+        const testS3CompatConnectionBtn = document.getElementById('testS3CompatConnectionBtn');
+
+        if (s3CompatEnableToggle) {
+            s3CompatEnableToggle.addEventListener('change', (e) => {
+                const isEnabled = e.target.checked;
+                this.updatePreference('s3CompatEnabled', isEnabled);
+                this.resetS3CompatibleTestButton();
+                
+                if (s3CompatSettings) {
+                    if (isEnabled) {
+                        s3CompatSettings.classList.remove('hidden');
+                    } else {
+                        s3CompatSettings.classList.add('hidden');
+                    }
+                }
             });
         }
 
-        // Support section buttons
-        if (this.elements.downloadLatestBtn) {
-            this.elements.downloadLatestBtn.addEventListener('click', () => {
-                this.openExternal('https://zentransfer.io/download/');
+        if (s3CompatProvider) {
+            s3CompatProvider.addEventListener('change', (e) => {
+                this.applyS3CompatiblePreset(e.target.value);
+                this.resetS3CompatibleTestButton();
             });
         }
 
-        if (this.elements.helpBtn) {
-            this.elements.helpBtn.addEventListener('click', () => {
-                this.openExternal(config.URLS.HELP);
+        const s3CompatTextFields = [
+            [s3CompatRegion, 's3CompatRegion'],
+            [s3CompatEndpoint, 's3CompatEndpoint'],
+            [s3CompatBucket, 's3CompatBucket']
+        ];
+        s3CompatTextFields.forEach(([input, key]) => {
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    this.updatePreference(key, e.target.value.trim());
+                    this.resetS3CompatibleTestButton();
+                });
+            }
+        });
+
+        if (s3CompatPathStyle) {
+            s3CompatPathStyle.addEventListener('change', (e) => {
+                this.updatePreference('s3CompatPathStyle', e.target.checked);
+                this.resetS3CompatibleTestButton();
             });
         }
 
-        if (this.elements.privacyBtn) {
-            this.elements.privacyBtn.addEventListener('click', () => {
-                this.openExternal(config.URLS.PRIVACY);
+        if (s3CompatChecksumMode) {
+            s3CompatChecksumMode.addEventListener('change', (e) => {
+                this.updatePreference('s3CompatChecksumMode', e.target.value);
+                this.resetS3CompatibleTestButton();
             });
         }
 
-        if (this.elements.termsBtn) {
-            this.elements.termsBtn.addEventListener('click', () => {
-                this.openExternal(config.URLS.TERMS);
+        if (s3CompatSignatureMode) {
+            s3CompatSignatureMode.addEventListener('change', (e) => {
+                this.updatePreference('s3CompatSignatureMode', e.target.value);
+                this.resetS3CompatibleTestButton();
             });
         }
 
-        // Storage buttons
-        const clearCacheBtn = document.getElementById('clearCacheBtn');
-        const clearDataBtn = document.getElementById('clearDataBtn');
-
-        if (clearCacheBtn) {
-            clearCacheBtn.addEventListener('click', () => {
-                this.clearCache();
+        if (testS3CompatConnectionBtn) {
+            testS3CompatConnectionBtn.addEventListener('click', () => {
+                this.testS3CompatibleConnection();
             });
         }
 
-        if (clearDataBtn) {
-            clearDataBtn.addEventListener('click', () => {
-                this.clearAllData();
+        // SFTP settings, the password and passphrase fields are created by createSftpInputs
+        const sftpEnableToggle = document.getElementById('sftpEnableToggle');
+        const sftpSettings = document.getElementById('sftpSettings');
+        const sftpAuthMethod = document.getElementById('sftpAuthMethod');
+        const sftpPrivateKeyBtn = document.getElementById('sftpPrivateKeyBtn');
+        const sftpRenameAfterUpload = document.getElementById('sftpRenameAfterUpload');
+        const testSftpConnectionBtn = document.getElementById('testSftpConnectionBtn');
+
+        if (sftpEnableToggle) {
+            sftpEnableToggle.addEventListener('change', (e) => {
+                const isEnabled = e.target.checked;
+                this.updatePreference('sftpEnabled', isEnabled);
+                this.resetSftpTestButton();
+                
+                if (sftpSettings) {
+                    if (isEnabled) {
+                        sftpSettings.classList.remove('hidden');
+                    } else {
+                        sftpSettings.classList.add('hidden');
+                    }
+                }
             });
         }
 
-        // Debug buttons (development only)
-        if (config.IS_DEVELOPMENT) {
-            const showTokenBtn = document.getElementById('showTokenBtn');
-            const testNotificationBtn = document.getElementById('testNotificationBtn');
-            const simulateErrorBtn = document.getElementById('simulateErrorBtn');
-
-            if (showTokenBtn) {
-                showTokenBtn.addEventListener('click', () => {
-                    this.showTokenInfo();
+        const sftpTextFields = ['sftpHost', 'sftpPort', 'sftpUsername', 'sftpPrivateKeyPath', 'sftpRemoteDirectory', 'sftpHostFingerprint'];
+        sftpTextFields.forEach(key => {
+            const input = document.getElementById(key);
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    this.updatePreference(key, e.target.value.trim());
+                    this.resetSftpTestButton();
                 });
             }
+        });
 
-            if (testNotificationBtn) {
-                testNotificationBtn.addEventListener('click', () => {
-                    this.testNotification();
-                });
-            }
+        if (sftpAuthMethod) {
+            sftpAuthMethod.addEventListener('change', (e) => {
+                this.updatePreference('sftpAuthMethod', e.target.value);
+                this.updateSftpAuthFields(e.target.value);
+                this.resetSftpTestButton();
+            });
+        }
 
-            if (simulateErrorBtn) {
-                simulateErrorBtn.addEventListener('click', () => {
-                    this.simulateError();
-                });
-            }
+        if (sftpPrivateKeyBtn) {
+            sftpPrivateKeyBtn.addEventListener('click', () => {
+                this.selectSftpPrivateKey();
+            });
         }
 
-        // Donate button
-        const donateBtn = document.getElementById('donateBtn');
-        if (donateBtn) {
-            donateBtn.addEventListener('click', () => {
-                this.openExternal('https://livewall.no/blog/supporting-the-zentransfer-app');
+        if (sftpRenameAfterUpload) {
+            sftpRenameAfterUpload.addEventListener('change', (e) => {
+                this.updatePreference('sftpRenameAfterUpload', e.target.checked);
             });
         }
-    }
 
-    /**
-     * Show the settings screen
-     */
-    show() {
-        if (this.elements.settingsTab) {
-            this.elements.settingsTab.classList.remove('hidden');
-            this.isVisible = true;
-            
-            // Update user info
-            this.updateUserInfo();
-            
-            // Load preferences
-            this.loadPreferences();
+        if (testSftpConnectionBtn) {
+            testSftpConnectionBtn.addEventListener('click', () => {
+                this.testSftpConnection();
+            });
         }
-    }
 
-    /**
-     * Hide the settings screen
-     */
-    hide() {
-        if (this.elements.settingsTab) {
+        // FTP settings, the password field is created by createFtpInputs
+        const ftpEnableToggle = document.getElementById('ftpEnableToggle');
+        const ftpSettings = document.getElementById('ftpSettings');
+        const ftpSecurity = document.getElementById('ftpSecurity');
+        const ftpTransferMode = document.getElementById('ftpTransferMode');
+        const ftpVerifyCertificate = document.getElementById('ftpVerifyCertificate');
+        const ftpRenameAfterUpload = document.getElementById('ftpRenameAfterUpload');
+        const testFtpConnectionBtn = document.getElementById('testFtpConnectionBtn');
+
+        if (ftpEnableToggle) {
+            ftpEnableToggle.addEventListener('change', (e) => {
+                const isEnabled = e.target.checked;
+                this.updatePreference('ftpEnabled', isEnabled);
+                this.resetFtpTestButton();
+                
+                if (ftpSettings) {
+                    if (isEnabled) {
+                        ftpSettings.classList.remove('hidden');
+                    } else {
+                        ftpSettings.classList.add('hidden');
+                    }
+                }
+            });
+        }
+
+        const ftpTextFields = ['ftpHost', 'ftpPort', 'ftpUsername', 'ftpRemoteDirectory'];
+        ftpTextFields.forEach(key => {
+            const input = document.getElementById(key);
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    this.updatePreference(key, e.target.value.trim());
+                    this.resetFtpTestButton();
+                });
+            }
+        });
+
+        if (ftpSecurity) {
+            ftpSecurity.addEventListener('change', (e) => {
+                this.updatePreference('ftpSecurity', e.target.value);
+                this.updateFtpSecurityFields(e.target.value);
+                this.resetFtpTestButton();
+            });
+        }
+
+        if (ftpTransferMode) {
+            ftpTransferMode.addEventListener('change', (e) => {
+                this.updatePreference('ftpTransferMode', e.target.value);
+                this.resetFtpTestButton();
+            });
+        }
+
+        if (ftpVerifyCertificate) {
+            ftpVerifyCertificate.addEventListener('change', (e) => {
+                this.updatePreference('ftpVerifyCertificate', e.target.checked);
+                this.resetFtpTestButton();
+            });
+        }
+
+        if (ftpRenameAfterUpload) {
+            ftpRenameAfterUpload.addEventListener('change', (e) => {
+                this.updatePreference('ftpRenameAfterUpload', e.target.checked);
+            });
+        }
+
+        if (testFtpConnectionBtn) {
+            testFtpConnectionBtn.addEventListener('click', () => {
+                this.testFtpConnection();
+            });
+        }
+
+        // WebDAV settings, the password field is created by createWebdavInputs
+        const webdavEnableToggle = document.getElementById('webdavEnableToggle');
+        const webdavSettings = document.getElementById('webdavSettings');
+        const webdavChunkSizeMb = document.getElementById('webdavChunkSizeMb');
+        const webdavRenameAfterUpload = document.getElementById('webdavRenameAfterUpload');
+        const testWebdavConnectionBtn = document.getElementById('testWebdavConnectionBtn');
+
+        if (webdavEnableToggle) {
+            webdavEnableToggle.addEventListener('change', (e) => {
+                const isEnabled = e.target.checked;
+                this.updatePreference('webdavEnabled', isEnabled);
+                this.resetWebdavTestButton();
+                
+                if (webdavSettings) {
+                    if (isEnabled) {
+                        webdavSettings.classList.remove('hidden');
+                    } else {
+                        webdavSettings.classList.add('hidden');
+                    }
+                }
+            });
+        }
+
+        const webdavTextFields = ['webdavUrl', 'webdavUsername', 'webdavRemoteDirectory'];
+        webdavTextFields.forEach(key => {
+            const input = document.getElementById(key);
+            if (input) {
+                input.addEventListener('input', (e) => {
+                    this.updatePreference(key, e.target.value.trim());
+                    this.resetWebdavTestButton();
+                });
+            }
+        });
+
+        if (webdavChunkSizeMb) {
+            webdavChunkSizeMb.addEventListener('change', (e) => {
+                this.updatePreference('webdavChunkSizeMb', Number(e.target.value));
+            });
+        }
+
+        if (webdavRenameAfterUpload) {
+            webdavRenameAfterUpload.addEventListener('change', (e) => {
+                this.updatePreference('webdavRenameAfterUpload', e.target.checked);
+            });
+        }
+
+        if (testWebdavConnectionBtn) {
+            testWebdavConnectionBtn.addEventListener('click', () => {
+                this.testWebdavConnection();
+            });
+        }
+
+        // Folder settings
+        const folderEnableToggle = document.getElementById('folderEnableToggle');
+        const folderSettings = document.getElementById('folderSettings');
+        const folderPath = document.getElementById('folderPath');
+        const folderPathBtn = document.getElementById('folderPathBtn');
+        const folderVerifyCopies = document.getElementById('folderVerifyCopies');
+        const folderRenameAfterUpload = document.getElementById('folderRenameAfterUpload');
+        const testFolderConnectionBtn = document.getElementById('testFolderConnectionBtn');
+
+        if (folderEnableToggle) {
+            folderEnableToggle.addEventListener('change', (e) => {
+                const isEnabled = e.target.checked;
+                this.updatePreference('folderEnabled', isEnabled);
+                this.resetFolderTestButton();
+                
+                if (folderSettings) {
+                    if (isEnabled) {
+                        folderSettings.classList.remove('hidden');
+                    } else {
+                        folderSettings.classList.add('hidden');
+                    }
+                }
+            });
+        }
+
+        if (folderPath) {
+            folderPath.addEventListener('input', (e) => {
+                this.updatePreference('folderPath', e.target.value.trim());
+                this.resetFolderTestButton();
+            });
+        }
+
+        if (folderPathBtn) {
+            folderPathBtn.addEventListener('click', () => {
+                this.selectUploadFolder();
+            });
+        }
+
+        if (folderVerifyCopies) {
+            folderVerifyCopies.addEventListener('change', (e) => {
+                this.updatePreference('folderVerifyCopies', e.target.checked);
+            });
+        }
+
+        if (folderRenameAfterUpload) {
+            folderRenameAfterUpload.addEventListener('change', (e) => {
+                this.updatePreference('folderRenameAfterUpload', e.target.checked);
+            });
+        }
+
+        if (testFolderConnectionBtn) {
+            testFolderConnectionBtn.addEventListener('click', () => {
+                this.testFolderConnection();
+            });
+        }
+
+        // Account section buttons
+        if (this.elements.signOutBtn) {
+            this.elements.signOutBtn.addEventListener('click', () => {
+                this.signOut();
+            });
+        }
+
+        // Support section buttons
+        if (this.elements.downloadLatestBtn) {
+            this.elements.downloadLatestBtn.addEventListener('click', () => {
+                this.openExternal('https://zentransfer.io/download/');
+            });
+        }
+
+        if (this.elements.helpBtn) {
+            this.elements.helpBtn.addEventListener('click', () => {
+                this.openExternal(config.URLS.HELP);
+            });
+        }
+
+        if (this.elements.privacyBtn) {
+            this.elements.privacyBtn.addEventListener('click', () => {
+                this.openExternal(config.URLS.PRIVACY);
+            });
+        }
+
+        if (this.elements.termsBtn) {
+            this.elements.termsBtn.addEventListener('click', () => {
+                this.openExternal(config.URLS.TERMS);
+            });
+        }
+
+        // Storage buttons
+        const clearCacheBtn = document.getElementById('clearCacheBtn');
+        const clearDataBtn = document.getElementById('clearDataBtn');
+
+        if (clearCacheBtn) {
+            clearCacheBtn.addEventListener('click', () => {
+                this.clearCache();
+            });
+        }
+
+        if (clearDataBtn) {
+            clearDataBtn.addEventListener('click', () => {
+                this.clearAllData();
+            });
+        }
+
+        // Debug buttons (development only)
+        if (config.IS_DEVELOPMENT) {
+            const showTokenBtn = document.getElementById('showTokenBtn');
+            const testNotificationBtn = document.getElementById('testNotificationBtn');
+            const simulateErrorBtn = document.getElementById('simulateErrorBtn');
+
+            if (showTokenBtn) {
+                showTokenBtn.addEventListener('click', () => {
+                    this.showTokenInfo();
+                });
+            }
+
+            if (testNotificationBtn) {
+                testNotificationBtn.addEventListener('click', () => {
+                    this.testNotification();
+                });
+            }
+
+            if (simulateErrorBtn) {
+                simulateErrorBtn.addEventListener('click', () => {
+                    this.simulateError();
+                });
+            }
+        }
+
+        // Donate button
+        const donateBtn = document.getElementById('donateBtn');
+        if (donateBtn) {
+            donateBtn.addEventListener('click', () => {
+                this.openExternal('https://livewall.no/blog/supporting-the-zentransfer-app');
+            });
+        }
+    }
+
+    /**
+     * Show the settings screen
+     */
+    show() {
+        if (this.elements.settingsTab) {
+            this.elements.settingsTab.classList.remove('hidden');
+            this.isVisible = true;
+            
+            // Update user info
+            this.updateUserInfo();
+            
+            // Load preferences
+            this.loadPreferences();
+        }
+    }
+
+    /**
+     * Hide the settings screen
+     */
+    hide() {
+        if (this.elements.settingsTab) {
             this.elements.settingsTab.classList.add('hidden');
             this.isVisible = false;
         }
@@ -860,8 +1838,14 @@ export class SettingsScreen {
             
             // Call settings change callback if it's a cloud service setting
             const cloudServiceKeys = ['awsS3Enabled', 'awsS3Region', 'awsS3Bucket', 'awsS3AccessKey', 'awsS3SecretKey',
+                                     's3CompatEnabled', 's3CompatProvider', 's3CompatEndpoint', 's3CompatBucket',
+                                     's3CompatAccessKey', 's3CompatSecretKey',
                                      'azureEnabled', 'azureConnectionString', 'azureContainer',
-                                     'gcpEnabled', 'gcpBucket', 'gcpServiceAccountKey'];
+                                     'gcpEnabled', 'gcpBucket', 'gcpServiceAccountKey',
+                                     'sftpEnabled', 'sftpHost', 'sftpUsername', 'sftpAuthMethod', 'sftpPassword', 'sftpPrivateKeyPath',
+                                     'ftpEnabled', 'ftpHost', 'ftpUsername',
+                                     'webdavEnabled', 'webdavUrl', 'webdavUsername', 'webdavPassword',
+                                     'folderEnabled', 'folderPath'];
             
             if (cloudServiceKeys.includes(key) && this.onSettingsChangeCallback) {
                 this.onSettingsChangeCallback();
@@ -891,8 +1875,52 @@ export class SettingsScreen {
                 awsS3Region: '',
                 awsS3Bucket: '',
                 awsS3StorageTier: 'STANDARD',
+                awsS3PartSizeMb: 16,
+                awsS3PartConcurrency: 4,
                 awsS3AccessKey: '',
-                awsS3SecretKey: ''
+                awsS3SecretKey: '',
+                s3CompatEnabled: false,
+                s3CompatProvider: 'custom',
+                s3CompatEndpoint: '',
+                s3CompatRegion: '',
+                s3CompatBucket: '',
+                s3CompatPathStyle: true,
+                s3CompatChecksumMode: 'when_required',
+                s3CompatSignatureMode: 'signed_payload',
+                s3CompatAccessKey: '',
+                s3CompatSecretKey: '',
+                sftpEnabled: false,
+                sftpHost: '',
+                sftpPort: '',
+                sftpUsername: '',
+                sftpAuthMethod: 'password',
+                sftpPassword: '',
+                sftpPrivateKeyPath: '',
+                sftpPassphrase: '',
+                sftpHostFingerprint: '',
+                sftpRemoteDirectory: '',
+                sftpRenameAfterUpload: true,
+                ftpEnabled: false,
+                ftpHost: '',
+                ftpPort: '',
+                ftpUsername: '',
+                ftpPassword: '',
+                ftpSecurity: 'none',
+                ftpTransferMode: 'passive',
+                ftpVerifyCertificate: true,
+                ftpRemoteDirectory: '',
+                ftpRenameAfterUpload: true,
+                webdavEnabled: false,
+                webdavUrl: '',
+                webdavUsername: '',
+                webdavPassword: '',
+                webdavRemoteDirectory: '',
+                webdavChunkSizeMb: 16,
+                webdavRenameAfterUpload: true,
+                folderEnabled: false,
+                folderPath: '',
+                folderVerifyCopies: true,
+                folderRenameAfterUpload: true
             };
         } catch (error) {
             console.error('Failed to load preferences:', error);
@@ -908,12 +1936,86 @@ export class SettingsScreen {
                 awsS3Region: '',
                 awsS3Bucket: '',
                 awsS3StorageTier: 'STANDARD',
+                awsS3PartSizeMb: 16,
+                awsS3PartConcurrency: 4,
                 awsS3AccessKey: '',
-                awsS3SecretKey: ''
+                awsS3SecretKey: '',
+                s3CompatEnabled: false,
+                s3CompatProvider: 'custom',
+                s3CompatEndpoint: '',
+                s3CompatRegion: '',
+                s3CompatBucket: '',
+                s3CompatPathStyle: true,
+                s3CompatChecksumMode: 'when_required',
+                s3CompatSignatureMode: 'signed_payload',
+                s3CompatAccessKey: '',
+                s3CompatSecretKey: '',
+                sftpEnabled: false,
+                sftpHost: '',
+                sftpPort: '',
+                sftpUsername: '',
+                sftpAuthMethod: 'password',
+                sftpPassword: '',
+                sftpPrivateKeyPath: '',
+                sftpPassphrase: '',
+                sftpHostFingerprint: '',
+                sftpRemoteDirectory: '',
+                sftpRenameAfterUpload: true,
+                ftpEnabled: false,
+                ftpHost: '',
+                ftpPort: '',
+                ftpUsername: '',
+                ftpPassword: '',
+                ftpSecurity: 'none',
+                ftpTransferMode: 'passive',
+                ftpVerifyCertificate: true,
+                ftpRemoteDirectory: '',
+                ftpRenameAfterUpload: true,
+                webdavEnabled: false,
+                webdavUrl: '',
+                webdavUsername: '',
+                webdavPassword: '',
+                webdavRemoteDirectory: '',
+                webdavChunkSizeMb: 16,
+                webdavRenameAfterUpload: true,
+                folderEnabled: false,
+                folderPath: '',
+                folderVerifyCopies: true,
+                folderRenameAfterUpload: true
             };
         }
     }
 
+    /**
+     * Rescan an archive folder and replace its files in the archive catalog
+     */
+    async rebuildArchiveCatalog() {
+        const button = document.getElementById('rebuildCatalogBtn');
+        const { ipcRenderer } = require('electron');
+
+        try {
+            const rootPath = await ipcRenderer.invoke('show-directory-dialog');
+            if (!rootPath) return;
+
+            button.disabled = true;
+            button.textContent = 'Rebuilding...';
+
+            const response = await ipcRenderer.invoke('rebuild-archive-catalog', rootPath, StorageManager.getImportChecksumAlgorithm());
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            const { files, hashed, removed } = response.result;
+            UIComponents.Notification.show(`Archive catalog updated: ${files} files in ${rootPath} (${hashed} hashed, ${removed} no longer there)`, 'success');
+        } catch (error) {
+            console.error('Failed to rebuild archive catalog:', error);
+            UIComponents.Notification.show('Failed to rebuild archive catalog: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Rebuild catalog...';
+        }
+    }
+
     /**
      * Load preferences into UI
      */
@@ -934,6 +2036,8 @@ export class SettingsScreen {
         const awsS3Region = document.getElementById('awsS3Region');
         const awsS3Bucket = document.getElementById('awsS3Bucket');
         const awsS3StorageTier = document.getElementById('awsS3StorageTier');
+        const awsS3PartSizeMb = document.getElementById('awsS3PartSizeMb');
+        const awsS3PartConcurrency = document.getElementById('awsS3PartConcurrency');
         const awsS3AccessKey = document.getElementById('awsS3AccessKey');
         const awsS3SecretKey = document.getElementById('awsS3SecretKey');
 
@@ -941,6 +2045,23 @@ export class SettingsScreen {
         
         // Load skipDuplicates from StorageManager (not preferences) for consistency
         if (skipDuplicatesToggle) skipDuplicatesToggle.checked = StorageManager.getImportSkipDuplicates();
+
+        const verifyCopiesToggle = document.getElementById('verifyCopiesToggle');
+        const checksumAlgorithmSelect = document.getElementById('checksumAlgorithmSelect');
+        if (verifyCopiesToggle) verifyCopiesToggle.checked = StorageManager.getImportVerifyCopies();
+        if (checksumAlgorithmSelect) {
+            checksumAlgorithmSelect.value = StorageManager.getImportChecksumAlgorithm();
+            checksumAlgorithmSelect.disabled = !StorageManager.getImportVerifyCopies();
+        }
+
+        const writeManifestsToggle = document.getElementById('writeManifestsToggle');
+        if (writeManifestsToggle) writeManifestsToggle.checked = StorageManager.getImportWriteManifests();
+
+        const copyConcurrencySelect = document.getElementById('copyConcurrencySelect');
+        if (copyConcurrencySelect) copyConcurrencySelect.value = String(StorageManager.getImportCopyConcurrency());
+
+        const archiveDuplicatesSelect = document.getElementById('archiveDuplicatesSelect');
+        if (archiveDuplicatesSelect) archiveDuplicatesSelect.value = StorageManager.getImportArchiveDuplicates();
         
         if (azureEnableToggle) {
             azureEnableToggle.checked = preferences.azureEnabled;
@@ -994,8 +2115,101 @@ export class SettingsScreen {
         if (awsS3Region) awsS3Region.value = preferences.awsS3Region;
         if (awsS3Bucket) awsS3Bucket.value = preferences.awsS3Bucket;
         if (awsS3StorageTier) awsS3StorageTier.value = preferences.awsS3StorageTier;
+        if (awsS3PartSizeMb) awsS3PartSizeMb.value = String(preferences.awsS3PartSizeMb || 16);
+        if (awsS3PartConcurrency) awsS3PartConcurrency.value = String(preferences.awsS3PartConcurrency || 4);
         if (awsS3AccessKey) awsS3AccessKey.value = preferences.awsS3AccessKey;
         if (awsS3SecretKey) awsS3SecretKey.value = preferences.awsS3SecretKey;
+
+        // S3-compatible storage, the provider list is filled by loadS3CompatiblePresets
+        const s3CompatEnableToggle = document.getElementById('s3CompatEnableToggle');
+        const s3CompatSettings = document.getElementById('s3CompatSettings');
+        
+        if (s3CompatEnableToggle) {
+            s3CompatEnableToggle.checked = preferences.s3CompatEnabled || false;
+            
+            if (s3CompatSettings) {
+                if (preferences.s3CompatEnabled) {
+                    s3CompatSettings.classList.remove('hidden');
+                } else {
+                    s3CompatSettings.classList.add('hidden');
+                }
+            }
+        }
+
+        const s3CompatFields = {
+            s3CompatRegion: preferences.s3CompatRegion,
+            s3CompatEndpoint: preferences.s3CompatEndpoint,
+            s3CompatBucket: preferences.s3CompatBucket,
+            s3CompatChecksumMode: preferences.s3CompatChecksumMode || 'when_required',
+            s3CompatSignatureMode: preferences.s3CompatSignatureMode || 'signed_payload',
+            s3CompatAccessKey: preferences.s3CompatAccessKey,
+            s3CompatSecretKey: preferences.s3CompatSecretKey
+        };
+        Object.entries(s3CompatFields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (field) field.value = value || '';
+        });
+
+        const s3CompatPathStyle = document.getElementById('s3CompatPathStyle');
+        if (s3CompatPathStyle) s3CompatPathStyle.checked = preferences.s3CompatPathStyle !== false;
+
+        // SFTP, FTP, WebDAV and Folder
+        [
+            ['sftp', preferences.sftpEnabled],
+            ['ftp', preferences.ftpEnabled],
+            ['webdav', preferences.webdavEnabled],
+            ['folder', preferences.folderEnabled]
+        ].forEach(([prefix, isEnabled]) => {
+            const toggle = document.getElementById(`${prefix}EnableToggle`);
+            const settings = document.getElementById(`${prefix}Settings`);
+
+            if (toggle) toggle.checked = isEnabled || false;
+            if (settings) {
+                if (isEnabled) {
+                    settings.classList.remove('hidden');
+                } else {
+                    settings.classList.add('hidden');
+                }
+            }
+        });
+
+        const remoteServerFields = {
+            sftpHost: preferences.sftpHost,
+            sftpPort: preferences.sftpPort,
+            sftpUsername: preferences.sftpUsername,
+            sftpAuthMethod: preferences.sftpAuthMethod || 'password',
+            sftpPassword: preferences.sftpPassword,
+            sftpPrivateKeyPath: preferences.sftpPrivateKeyPath,
+            sftpPassphrase: preferences.sftpPassphrase,
+            sftpHostFingerprint: preferences.sftpHostFingerprint,
+            sftpRemoteDirectory: preferences.sftpRemoteDirectory,
+            ftpHost: preferences.ftpHost,
+            ftpPort: preferences.ftpPort,
+            ftpUsername: preferences.ftpUsername,
+            ftpPassword: preferences.ftpPassword,
+            ftpSecurity: preferences.ftpSecurity || 'none',
+            ftpTransferMode: preferences.ftpTransferMode || 'passive',
+            ftpRemoteDirectory: preferences.ftpRemoteDirectory,
+            webdavUrl: preferences.webdavUrl,
+            webdavUsername: preferences.webdavUsername,
+            webdavPassword: preferences.webdavPassword,
+            webdavRemoteDirectory: preferences.webdavRemoteDirectory,
+            webdavChunkSizeMb: String(preferences.webdavChunkSizeMb ?? 16),
+            folderPath: preferences.folderPath
+        };
+        Object.entries(remoteServerFields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (field) field.value = value || '';
+        });
+
+        ['sftpRenameAfterUpload', 'ftpRenameAfterUpload', 'ftpVerifyCertificate', 'webdavRenameAfterUpload',
+         'folderVerifyCopies', 'folderRenameAfterUpload'].forEach(id => {
+            const checkbox = document.getElementById(id);
+            if (checkbox) checkbox.checked = preferences[id] !== false;
+        });
+
+        this.updateSftpAuthFields(preferences.sftpAuthMethod || 'password');
+        this.updateFtpSecurityFields(preferences.ftpSecurity || 'none');
     }
 
     /**
@@ -1926,6 +3140,916 @@ export class SettingsScreen {
         }
     }
 
+    /**
+     * Create secure input fields for S3-compatible storage and load the provider presets
+     */
+    createS3CompatibleInputs() {
+        const inputs = [
+            { containerId: 's3CompatAccessKeyContainer', id: 's3CompatAccessKey', label: 'Access Key', placeholder: 'Access key ID' },
+            { containerId: 's3CompatSecretKeyContainer', id: 's3CompatSecretKey', label: 'Secret Key', placeholder: 'Secret access key' }
+        ];
+
+        inputs.forEach(({ containerId, id, label, placeholder }) => {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+
+            container.appendChild(UIComponents.SecureInput.create({ id, label, placeholder, required: true }));
+
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('input', (e) => {
+                    this.updatePreference(id, e.target.value);
+                    this.resetS3CompatibleTestButton();
+                });
+            }
+        });
+
+        this.loadS3CompatiblePresets();
+    }
+
+    /**
+     * Load the S3-compatible provider presets into the provider dropdown
+     */
+    async loadS3CompatiblePresets() {
+        const providerSelect = document.getElementById('s3CompatProvider');
+        if (!providerSelect) return;
+
+        try {
+            const { uploadServiceFactory } = await import('../upload/upload-service-factory.js');
+            this.s3CompatiblePresets = await uploadServiceFactory.getProviderPresets('s3-compatible');
+
+            providerSelect.innerHTML = '';
+            Object.entries(this.s3CompatiblePresets).forEach(([id, preset]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = preset.name;
+                providerSelect.appendChild(option);
+            });
+
+            // Restore saved preference if any
+            const preferences = this.getPreferences();
+            providerSelect.value = this.s3CompatiblePresets[preferences.s3CompatProvider] ? preferences.s3CompatProvider : 'custom';
+            this.updateS3CompatibleProviderFields(providerSelect.value);
+        } catch (error) {
+            console.error('Failed to load S3-compatible presets:', error);
+            providerSelect.innerHTML = '<option value="custom">Other S3-compatible</option>';
+        }
+    }
+
+    /**
+     * Fill in region, addressing style and endpoint of a provider preset
+     * @param {string} providerId - Preset id
+     */
+    applyS3CompatiblePreset(providerId) {
+        const preset = this.s3CompatiblePresets?.[providerId];
+        if (!preset) return;
+
+        const regionInput = document.getElementById('s3CompatRegion');
+        const endpointInput = document.getElementById('s3CompatEndpoint');
+        const pathStyleCheckbox = document.getElementById('s3CompatPathStyle');
+
+        // Presets with a region placeholder build the endpoint from the region, the others bring a fixed one
+        const endpoint = preset.endpoint.includes('{region}') ? '' : preset.endpoint;
+        if (regionInput) regionInput.value = preset.region;
+        if (endpointInput) endpointInput.value = endpoint;
+        if (pathStyleCheckbox) pathStyleCheckbox.checked = preset.forcePathStyle;
+
+        // Store the preset fields together, updating the provider then notifies once for all of them
+        const preferences = this.getPreferences();
+        preferences.s3CompatRegion = preset.region;
+        preferences.s3CompatEndpoint = endpoint;
+        preferences.s3CompatPathStyle = preset.forcePathStyle;
+        localStorage.setItem('zentransfer_preferences', JSON.stringify(preferences));
+        this.updatePreference('s3CompatProvider', providerId);
+
+        this.updateS3CompatibleProviderFields(providerId);
+    }
+
+    /**
+     * Show the regions and endpoint of the selected provider as suggestions
+     * @param {string} providerId - Preset id
+     */
+    updateS3CompatibleProviderFields(providerId) {
+        const preset = this.s3CompatiblePresets?.[providerId];
+        const regionList = document.getElementById('s3CompatRegionList');
+        const endpointInput = document.getElementById('s3CompatEndpoint');
+        if (!preset) return;
+
+        if (regionList) {
+            regionList.innerHTML = '';
+            preset.regions.forEach(region => {
+                const option = document.createElement('option');
+                option.value = region;
+                regionList.appendChild(option);
+            });
+        }
+
+        if (endpointInput) {
+            endpointInput.placeholder = preset.endpoint || 'https://s3.example.com';
+        }
+    }
+
+    /**
+     * Test S3-compatible storage connection
+     */
+    async testS3CompatibleConnection() {
+        const testBtn = document.getElementById('testS3CompatConnectionBtn');
+        const testIcon = document.getElementById('testS3CompatIcon');
+        const testText = document.getElementById('testS3CompatText');
+        const preferences = this.getPreferences();
+
+        // Validate required fields, the service reports a missing or invalid endpoint
+        if (!preferences.s3CompatBucket || !preferences.s3CompatAccessKey || !preferences.s3CompatSecretKey) {
+            UIComponents.Notification.show('Please fill in all required S3-compatible storage fields.', 'warning');
+            return;
+        }
+
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = true;
+            testBtn.classList.remove('bg-teal-600', 'hover:bg-teal-700');
+            testBtn.classList.add('bg-blue-500');
+            
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+            `;
+            testIcon.classList.add('animate-spin');
+            testText.textContent = 'Testing Connection...';
+        }
+
+        try {
+            const { uploadServiceFactory } = await import('../upload/upload-service-factory.js');
+            
+            await uploadServiceFactory.createService('s3-compatible', {
+                provider: preferences.s3CompatProvider,
+                endpoint: preferences.s3CompatEndpoint,
+                region: preferences.s3CompatRegion,
+                bucket: preferences.s3CompatBucket,
+                accessKey: preferences.s3CompatAccessKey,
+                secretKey: preferences.s3CompatSecretKey,
+                forcePathStyle: preferences.s3CompatPathStyle,
+                checksumMode: preferences.s3CompatChecksumMode,
+                signatureMode: preferences.s3CompatSignatureMode
+            });
+            
+            const result = await uploadServiceFactory.testService('s3-compatible');
+            
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-green-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                `;
+                testIcon.classList.add('animate-pulse');
+                testText.textContent = 'Connection Successful!';
+                
+                testBtn.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    testBtn.style.transform = 'scale(1)';
+                }, 200);
+                
+                // Keep button disabled in success state
+                testBtn.disabled = true;
+                this.s3CompatConnectionTested = true;
+            }
+
+            UIComponents.Notification.show('S3-compatible storage connection test successful! 🎉', 'success');
+            
+        } catch (error) {
+            console.error('S3-compatible connection test failed:', error);
+            
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-red-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                `;
+                testText.textContent = 'Connection Failed';
+                
+                testBtn.style.animation = 'shake 0.5s ease-in-out';
+                setTimeout(() => {
+                    testBtn.style.animation = '';
+                }, 500);
+                
+                // Reset to initial state after 3 seconds
+                setTimeout(() => {
+                    this.resetS3CompatibleTestButton();
+                }, 3000);
+            }
+            
+            UIComponents.Notification.show(`S3-compatible storage connection test failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Reset S3-compatible test button to initial state
+     */
+    resetS3CompatibleTestButton() {
+        const testBtn = document.getElementById('testS3CompatConnectionBtn');
+        const testIcon = document.getElementById('testS3CompatIcon');
+        const testText = document.getElementById('testS3CompatText');
+        
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = false;
+            testBtn.classList.remove('bg-blue-500', 'bg-green-500', 'bg-red-500');
+            testBtn.classList.add('bg-teal-600', 'hover:bg-teal-700');
+            
+            testIcon.classList.remove('animate-spin', 'animate-pulse');
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+            `;
+            
+            testText.textContent = 'Test Connection';
+            
+            testBtn.style.transform = '';
+            testBtn.style.animation = '';
+            
+            this.s3CompatConnectionTested = false;
+        }
+    }
+
+    /**
+     * Create secure input fields for the SFTP password and key passphrase
+     */
+    createSftpInputs() {
+        const inputs = [
+            { containerId: 'sftpPasswordContainer', id: 'sftpPassword', label: 'Password', placeholder: 'Password', required: true },
+            { containerId: 'sftpPassphraseContainer', id: 'sftpPassphrase', label: 'Key Passphrase', placeholder: 'Leave empty if the key is not encrypted', required: false }
+        ];
+
+        inputs.forEach(({ containerId, id, label, placeholder, required }) => {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+
+            container.appendChild(UIComponents.SecureInput.create({ id, label, placeholder, required }));
+
+            const field = document.getElementById(id);
+            if (field) {
+                field.addEventListener('input', (e) => {
+                    this.updatePreference(id, e.target.value);
+                    this.resetSftpTestButton();
+                });
+            }
+        });
+    }
+
+    /**
+     * Show the password or the private key fields
+     * @param {string} authMethod - 'password' or 'key'
+     */
+    updateSftpAuthFields(authMethod) {
+        const passwordContainer = document.getElementById('sftpPasswordContainer');
+        const keySettings = document.getElementById('sftpKeySettings');
+        const usesKey = authMethod === 'key';
+
+        if (passwordContainer) passwordContainer.classList.toggle('hidden', usesKey);
+        if (keySettings) keySettings.classList.toggle('hidden', !usesKey);
+    }
+
+    /**
+     * Choose the private key file for SFTP
+     */
+    async selectSftpPrivateKey() {
+        const { ipcRenderer } = require('electron');
+
+        try {
+            const [keyPath] = await ipcRenderer.invoke('show-file-dialog', {
+                properties: ['openFile', 'showHiddenFiles'],
+                title: 'Select SSH private key',
+                filters: [{ name: 'All Files', extensions: ['*'] }]
+            });
+            if (!keyPath) return;
+
+            const keyPathInput = document.getElementById('sftpPrivateKeyPath');
+            if (keyPathInput) keyPathInput.value = keyPath;
+            this.updatePreference('sftpPrivateKeyPath', keyPath);
+            this.resetSftpTestButton();
+        } catch (error) {
+            console.error('Failed to select private key:', error);
+            UIComponents.Notification.show('Failed to select private key file.', 'error');
+        }
+    }
+
+    /**
+     * Test SFTP connection
+     * A server whose host key is not known yet can be trusted by saving its fingerprint.
+     */
+    async testSftpConnection() {
+        const testBtn = document.getElementById('testSftpConnectionBtn');
+        const testIcon = document.getElementById('testSftpIcon');
+        const testText = document.getElementById('testSftpText');
+        const preferences = this.getPreferences();
+        const usesKey = preferences.sftpAuthMethod === 'key';
+
+        // Validate required fields
+        if (!preferences.sftpHost || !preferences.sftpUsername ||
+            !(usesKey ? preferences.sftpPrivateKeyPath : preferences.sftpPassword)) {
+            UIComponents.Notification.show('Please fill in all required SFTP fields.', 'warning');
+            return;
+        }
+
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = true;
+            testBtn.classList.remove('bg-indigo-600', 'hover:bg-indigo-700');
+            testBtn.classList.add('bg-blue-500');
+            
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+            `;
+            testIcon.classList.add('animate-spin');
+            testText.textContent = 'Testing Connection...';
+        }
+
+        let hostKey = null;
+
+        try {
+            const { uploadServiceFactory } = await import('../upload/upload-service-factory.js');
+            
+            await uploadServiceFactory.createService('sftp', {
+                host: preferences.sftpHost,
+                port: preferences.sftpPort,
+                username: preferences.sftpUsername,
+                authMethod: preferences.sftpAuthMethod,
+                password: preferences.sftpPassword,
+                privateKeyPath: preferences.sftpPrivateKeyPath,
+                passphrase: preferences.sftpPassphrase,
+                hostFingerprint: preferences.sftpHostFingerprint,
+                remoteDirectory: preferences.sftpRemoteDirectory,
+                renameAfterUpload: preferences.sftpRenameAfterUpload
+            });
+            
+            const result = await uploadServiceFactory.testService('sftp');
+            
+            if (!result.success) {
+                hostKey = result.details?.hostKey || null;
+                throw new Error(result.message);
+            }
+
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-green-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                `;
+                testIcon.classList.add('animate-pulse');
+                testText.textContent = 'Connection Successful!';
+                
+                testBtn.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    testBtn.style.transform = 'scale(1)';
+                }, 200);
+                
+                // Keep button disabled in success state
+                testBtn.disabled = true;
+                this.sftpConnectionTested = true;
+            }
+
+            UIComponents.Notification.show(`${result.message} 🎉`, 'success');
+            
+        } catch (error) {
+            console.error('SFTP connection test failed:', error);
+            
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-red-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                `;
+                testText.textContent = 'Connection Failed';
+                
+                testBtn.style.animation = 'shake 0.5s ease-in-out';
+                setTimeout(() => {
+                    testBtn.style.animation = '';
+                }, 500);
+                
+                // Reset to initial state after 3 seconds
+                setTimeout(() => {
+                    this.resetSftpTestButton();
+                }, 3000);
+            }
+
+            // A changed or revoked key is only reported, trusting it has to be a deliberate edit of the fingerprint
+            if (hostKey?.status === 'unknown') {
+                await this.trustSftpHostKey(preferences.sftpHost, hostKey.fingerprint);
+                return;
+            }
+            
+            UIComponents.Notification.show(`SFTP connection test failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Ask to trust the host key of an unknown SFTP server, and test again with it
+     * @param {string} host - Server host name
+     * @param {string} fingerprint - SHA256 fingerprint of the presented key
+     */
+    async trustSftpHostKey(host, fingerprint) {
+        const confirmed = await UIComponents.Modal.confirm(
+            `The server <strong>${host}</strong> is not in your known hosts. Its host key fingerprint is:<br><br>` +
+            `<code class="break-all">${fingerprint}</code><br><br>` +
+            'Only trust the key if it matches the fingerprint given by the server administrator.',
+            {
+                title: 'Unknown host key',
+                confirmText: 'Trust and connect',
+                cancelText: 'Cancel',
+                type: 'warning'
+            }
+        );
+        if (!confirmed) return;
+
+        const fingerprintInput = document.getElementById('sftpHostFingerprint');
+        if (fingerprintInput) fingerprintInput.value = fingerprint;
+        this.updatePreference('sftpHostFingerprint', fingerprint);
+
+        this.resetSftpTestButton();
+        await this.testSftpConnection();
+    }
+
+    /**
+     * Reset SFTP test button to initial state
+     */
+    resetSftpTestButton() {
+        const testBtn = document.getElementById('testSftpConnectionBtn');
+        const testIcon = document.getElementById('testSftpIcon');
+        const testText = document.getElementById('testSftpText');
+        
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = false;
+            testBtn.classList.remove('bg-blue-500', 'bg-green-500', 'bg-red-500');
+            testBtn.classList.add('bg-indigo-600', 'hover:bg-indigo-700');
+            
+            testIcon.classList.remove('animate-spin', 'animate-pulse');
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+            `;
+            
+            testText.textContent = 'Test Connection';
+            
+            testBtn.style.transform = '';
+            testBtn.style.animation = '';
+            
+            this.sftpConnectionTested = false;
+        }
+    }
+
+    /**
+     * Create the secure input field for the FTP password
+     */
+    createFtpInputs() {
+        const container = document.getElementById('ftpPasswordContainer');
+        if (!container) return;
+
+        container.appendChild(UIComponents.SecureInput.create({
+            id: 'ftpPassword',
+            label: 'Password',
+            placeholder: 'Password',
+            required: false
+        }));
+
+        const field = document.getElementById('ftpPassword');
+        if (field) {
+            field.addEventListener('input', (e) => {
+                this.updatePreference('ftpPassword', e.target.value);
+                this.resetFtpTestButton();
+            });
+        }
+    }
+
+    /**
+     * Show the certificate option for TLS connections and the matching default port
+     * @param {string} security - 'none', 'explicit' or 'implicit'
+     */
+    updateFtpSecurityFields(security) {
+        const certificateSettings = document.getElementById('ftpCertificateSettings');
+        const portInput = document.getElementById('ftpPort');
+
+        if (certificateSettings) certificateSettings.classList.toggle('hidden', security === 'none');
+        if (portInput) portInput.placeholder = security === 'implicit' ? '990' : '21';
+    }
+
+    /**
+     * Test FTP connection
+     */
+    async testFtpConnection() {
+        const testBtn = document.getElementById('testFtpConnectionBtn');
+        const testIcon = document.getElementById('testFtpIcon');
+        const testText = document.getElementById('testFtpText');
+        const preferences = this.getPreferences();
+
+        // Validate required fields, some servers accept logins without a password
+        if (!preferences.ftpHost || !preferences.ftpUsername) {
+            UIComponents.Notification.show('Please fill in all required FTP fields.', 'warning');
+            return;
+        }
+
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = true;
+            testBtn.classList.remove('bg-amber-500', 'hover:bg-amber-600');
+            testBtn.classList.add('bg-blue-500');
+            
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+            `;
+            testIcon.classList.add('animate-spin');
+            testText.textContent = 'Testing Connection...';
+        }
+
+        try {
+            const { uploadServiceFactory } = await import('../upload/upload-service-factory.js');
+            
+            await uploadServiceFactory.createService('ftp', {
+                host: preferences.ftpHost,
+                port: preferences.ftpPort,
+                username: preferences.ftpUsername,
+                password: preferences.ftpPassword,
+                security: preferences.ftpSecurity,
+                transferMode: preferences.ftpTransferMode,
+                verifyCertificate: preferences.ftpVerifyCertificate,
+                remoteDirectory: preferences.ftpRemoteDirectory,
+                renameAfterUpload: preferences.ftpRenameAfterUpload
+            });
+            
+            const result = await uploadServiceFactory.testService('ftp');
+            
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-green-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                `;
+                testIcon.classList.add('animate-pulse');
+                testText.textContent = 'Connection Successful!';
+                
+                testBtn.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    testBtn.style.transform = 'scale(1)';
+                }, 200);
+                
+                // Keep button disabled in success state
+                testBtn.disabled = true;
+                this.ftpConnectionTested = true;
+            }
+
+            UIComponents.Notification.show(`${result.message} 🎉`, 'success');
+            
+        } catch (error) {
+            console.error('FTP connection test failed:', error);
+            
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-red-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                `;
+                testText.textContent = 'Connection Failed';
+                
+                testBtn.style.animation = 'shake 0.5s ease-in-out';
+                setTimeout(() => {
+                    testBtn.style.animation = '';
+                }, 500);
+                
+                // Reset to initial state after 3 seconds
+                setTimeout(() => {
+                    this.resetFtpTestButton();
+                }, 3000);
+            }
+            
+            UIComponents.Notification.show(`FTP connection test failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Reset FTP test button to initial state
+     */
+    resetFtpTestButton() {
+        const testBtn = document.getElementById('testFtpConnectionBtn');
+        const testIcon = document.getElementById('testFtpIcon');
+        const testText = document.getElementById('testFtpText');
+        
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = false;
+            testBtn.classList.remove('bg-blue-500', 'bg-green-500', 'bg-red-500');
+            testBtn.classList.add('bg-amber-500', 'hover:bg-amber-600');
+            
+            testIcon.classList.remove('animate-spin', 'animate-pulse');
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+            `;
+            
+            testText.textContent = 'Test Connection';
+            
+            testBtn.style.transform = '';
+            testBtn.style.animation = '';
+            
+            this.ftpConnectionTested = false;
+        }
+    }
+
+    /**
+     * Create the secure input field for the WebDAV password
+     */
+    createWebdavInputs() {
+        const container = document.getElementById('webdavPasswordContainer');
+        if (!container) return;
+
+        container.appendChild(UIComponents.SecureInput.create({
+            id: 'webdavPassword',
+            label: 'Password or App Password',
+            placeholder: 'Nextcloud: Settings → Security → Create new app password',
+            required: true
+        }));
+
+        const field = document.getElementById('webdavPassword');
+        if (field) {
+            field.addEventListener('input', (e) => {
+                this.updatePreference('webdavPassword', e.target.value);
+                this.resetWebdavTestButton();
+            });
+        }
+    }
+
+    /**
+     * Test WebDAV connection
+     */
+    async testWebdavConnection() {
+        const testBtn = document.getElementById('testWebdavConnectionBtn');
+        const testIcon = document.getElementById('testWebdavIcon');
+        const testText = document.getElementById('testWebdavText');
+        const preferences = this.getPreferences();
+
+        // Validate required fields
+        if (!preferences.webdavUrl || !preferences.webdavUsername || !preferences.webdavPassword) {
+            UIComponents.Notification.show('Please fill in all required WebDAV fields.', 'warning');
+            return;
+        }
+
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = true;
+            testBtn.classList.remove('bg-cyan-600', 'hover:bg-cyan-700');
+            testBtn.classList.add('bg-blue-500');
+            
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+            `;
+            testIcon.classList.add('animate-spin');
+            testText.textContent = 'Testing Connection...';
+        }
+
+        try {
+            const { uploadServiceFactory } = await import('../upload/upload-service-factory.js');
+            
+            await uploadServiceFactory.createService('webdav', {
+                url: preferences.webdavUrl,
+                username: preferences.webdavUsername,
+                password: preferences.webdavPassword,
+                remoteDirectory: preferences.webdavRemoteDirectory,
+                chunkSizeMb: preferences.webdavChunkSizeMb,
+                renameAfterUpload: preferences.webdavRenameAfterUpload
+            });
+            
+            const result = await uploadServiceFactory.testService('webdav');
+            
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-green-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                `;
+                testIcon.classList.add('animate-pulse');
+                testText.textContent = 'Connection Successful!';
+                
+                testBtn.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    testBtn.style.transform = 'scale(1)';
+                }, 200);
+                
+                // Keep button disabled in success state
+                testBtn.disabled = true;
+                this.webdavConnectionTested = true;
+            }
+
+            UIComponents.Notification.show(`${result.message} 🎉`, 'success');
+            
+        } catch (error) {
+            console.error('WebDAV connection test failed:', error);
+            
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-red-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                `;
+                testText.textContent = 'Connection Failed';
+                
+                testBtn.style.animation = 'shake 0.5s ease-in-out';
+                setTimeout(() => {
+                    testBtn.style.animation = '';
+                }, 500);
+                
+                // Reset to initial state after 3 seconds
+                setTimeout(() => {
+                    this.resetWebdavTestButton();
+                }, 3000);
+            }
+            
+            UIComponents.Notification.show(`WebDAV connection test failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Reset WebDAV test button to initial state
+     */
+    resetWebdavTestButton() {
+        const testBtn = document.getElementById('testWebdavConnectionBtn');
+        const testIcon = document.getElementById('testWebdavIcon');
+        const testText = document.getElementById('testWebdavText');
+        
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = false;
+            testBtn.classList.remove('bg-blue-500', 'bg-green-500', 'bg-red-500');
+            testBtn.classList.add('bg-cyan-600', 'hover:bg-cyan-700');
+            
+            testIcon.classList.remove('animate-spin', 'animate-pulse');
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+            `;
+            
+            testText.textContent = 'Test Connection';
+            
+            testBtn.style.transform = '';
+            testBtn.style.animation = '';
+            
+            this.webdavConnectionTested = false;
+        }
+    }
+
+    /**
+     * Pick the folder the Folder service copies to
+     */
+    async selectUploadFolder() {
+        const { ipcRenderer } = require('electron');
+
+        try {
+            const selectedPath = await ipcRenderer.invoke('show-directory-dialog');
+            if (!selectedPath) return;
+
+            const folderPathInput = document.getElementById('folderPath');
+            if (folderPathInput) folderPathInput.value = selectedPath;
+            this.updatePreference('folderPath', selectedPath);
+            this.resetFolderTestButton();
+        } catch (error) {
+            console.error('Failed to select upload folder:', error);
+            UIComponents.Notification.show('Failed to select upload folder.', 'error');
+        }
+    }
+
+    /**
+     * Test the upload folder
+     */
+    async testFolderConnection() {
+        const testBtn = document.getElementById('testFolderConnectionBtn');
+        const testIcon = document.getElementById('testFolderIcon');
+        const testText = document.getElementById('testFolderText');
+        const preferences = this.getPreferences();
+
+        // Validate required fields
+        if (!preferences.folderPath) {
+            UIComponents.Notification.show('Please select the upload folder.', 'warning');
+            return;
+        }
+
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = true;
+            testBtn.classList.remove('bg-teal-600', 'hover:bg-teal-700');
+            testBtn.classList.add('bg-blue-500');
+            
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+            `;
+            testIcon.classList.add('animate-spin');
+            testText.textContent = 'Testing Folder...';
+        }
+
+        try {
+            const { uploadServiceFactory } = await import('../upload/upload-service-factory.js');
+            
+            await uploadServiceFactory.createService('folder', {
+                folderPath: preferences.folderPath,
+                verifyCopies: preferences.folderVerifyCopies,
+                renameAfterUpload: preferences.folderRenameAfterUpload
+            });
+            
+            const result = await uploadServiceFactory.testService('folder');
+            
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-green-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 13l4 4L19 7"></path>
+                `;
+                testIcon.classList.add('animate-pulse');
+                testText.textContent = 'Folder Ready!';
+                
+                testBtn.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    testBtn.style.transform = 'scale(1)';
+                }, 200);
+                
+                // Keep button disabled in success state
+                testBtn.disabled = true;
+                this.folderConnectionTested = true;
+            }
+
+            UIComponents.Notification.show(`${result.message} 🎉`, 'success');
+            
+        } catch (error) {
+            console.error('Folder test failed:', error);
+            
+            if (testBtn && testIcon && testText) {
+                testIcon.classList.remove('animate-spin');
+                testBtn.classList.remove('bg-blue-500');
+                testBtn.classList.add('bg-red-500');
+                
+                testIcon.innerHTML = `
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                `;
+                testText.textContent = 'Folder Not Available';
+                
+                testBtn.style.animation = 'shake 0.5s ease-in-out';
+                setTimeout(() => {
+                    testBtn.style.animation = '';
+                }, 500);
+                
+                // Reset to initial state after 3 seconds
+                setTimeout(() => {
+                    this.resetFolderTestButton();
+                }, 3000);
+            }
+            
+            UIComponents.Notification.show(`Folder test failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Reset Folder test button to initial state
+     */
+    resetFolderTestButton() {
+        const testBtn = document.getElementById('testFolderConnectionBtn');
+        const testIcon = document.getElementById('testFolderIcon');
+        const testText = document.getElementById('testFolderText');
+        
+        if (testBtn && testIcon && testText) {
+            testBtn.disabled = false;
+            testBtn.classList.remove('bg-blue-500', 'bg-green-500', 'bg-red-500');
+            testBtn.classList.add('bg-teal-600', 'hover:bg-teal-700');
+            
+            testIcon.classList.remove('animate-spin', 'animate-pulse');
+            testIcon.innerHTML = `
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+            `;
+            
+            testText.textContent = 'Test Folder';
+            
+            testBtn.style.transform = '';
+            testBtn.style.animation = '';
+            
+            this.folderConnectionTested = false;
+        }
+    }
+
     /**
      * Test Azure Blob Storage connection with enhanced animations and feedback
      */
@@ -400,10 +400,11 @@ export class UploadManager {
 
         // Create file items with service information
         const validFiles = [];
-        for (const filePath of filePaths) {
+        for (const [index, filePath] of filePaths.entries()) {
             const fileItem = await this.createFileItemFromPath(filePath);
             if (fileItem) {
                 // Add service information to the file item
+                fileItem.remoteName = options.remoteNames?.[index]; // Object name computed by the import worker
                 fileItem.serviceType = serviceType;
                 fileItem.serviceName = serviceName;
                 fileItem.statusMessage = `Queued for ${serviceName}`;
@@ -519,10 +520,8 @@ export class UploadManager {
                 let fileBuffer;
                 
                 if (fileItem.filePath) {
-                    
-                    // File path upload (from import system)
-                    const fs = require('fs');
-                    fileBuffer = fs.readFileSync(fileItem.filePath);
+                    // File path upload (from import system), the worker reads the file itself
+                    fileBuffer = null;
                 } else if (fileItem.file) {
                     // File object upload (from file input/drag-drop)
                     fileBuffer = await this.fileToBuffer(fileItem.file);
@@ -552,6 +551,7 @@ export class UploadManager {
                     source: fileItem.source,
                     serviceType: fileItem.serviceType || this.selectedService,
                     serviceName: fileItem.serviceName,
+                    remoteName: fileItem.remoteName, // Renamed path from import, if any
                     importSettings: fileItem.importSettings // Pass import settings for folder organization
                 }, {
                     session: this.uploadSession,
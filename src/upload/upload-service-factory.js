@@ -12,7 +12,7 @@ export class UploadServiceFactory {
 
     /**
      * Create or update a service instance
-     * @param {string} serviceType - Type of service (zentransfer, aws-s3, azure-blob, gcp-storage)
+     * @param {string} serviceType - Type of service (zentransfer, aws-s3, s3-compatible, azure-blob, gcp-storage, sftp, ftp, webdav, folder)
      * @param {Object} settings - Service settings
      * @returns {Promise<Object>} Service info
      */
@@ -80,6 +80,19 @@ export class UploadServiceFactory {
         return result.displayInfo;
     }
 
+    /**
+     * Get the provider presets of a service type
+     * @param {string} serviceType - Type of service
+     * @returns {Promise<Object>} Presets by provider id
+     */
+    async getProviderPresets(serviceType) {
+        const result = await ipcRenderer.invoke('upload-service-get-presets', serviceType);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        return result.presets;
+    }
+
     /**
      * Create services from user preferences
      * @param {Object} preferences - User preferences object
@@ -110,7 +123,7 @@ export class UploadServiceFactory {
      * @returns {Array<string>} Array of service type names
      */
     getAvailableServiceTypes() {
-        return ['zentransfer', 'aws-s3', 'azure-blob', 'gcp-storage'];
+        return ['zentransfer', 'aws-s3', 's3-compatible', 'azure-blob', 'gcp-storage', 'sftp', 'ftp', 'webdav', 'folder'];
     }
 }
 
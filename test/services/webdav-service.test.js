@@ -0,0 +1,278 @@
+/**
+ * WebDAV Upload Service tests
+ * Parses PROPFIND answers of the servers the service is used with and runs
+ * uploads against a small in-process WebDAV server.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { WebDavService, getElementText, parsePropfindEntry } = require('../../workers/services/webdav-service.js');
+
+const MB = 1024 * 1024;
+
+const NEXTCLOUD_FILE = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns" xmlns:oc="http://owncloud.org/ns">
+  <d:response>
+    <d:href>/remote.php/dav/files/alice/2025/IMG_0001.JPG</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:resourcetype/>
+        <d:getcontentlength>5242880</d:getcontentlength>
+        <d:getetag>&quot;5d41402abc4b2a76b9719d911017c592&quot;</d:getetag>
+        <oc:checksums><oc:checksum>SHA1:aaf4c61ddcc5e8a2dabede0f3b482cd9aea9434d MD5:5D41402ABC4B2A76B9719D911017C592</oc:checksum></oc:checksums>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+</d:multistatus>`;
+
+const APACHE_FOLDER = `<?xml version="1.0" encoding="utf-8"?>
+<D:multistatus xmlns:D="DAV:" xmlns:ns0="DAV:">
+<D:response xmlns:lp1="DAV:" xmlns:lp2="http://apache.org/dav/props/">
+<D:href>/dav/photos/</D:href>
+<D:propstat>
+<D:prop>
+<lp1:resourcetype><D:collection/></lp1:resourcetype>
+<lp1:getetag>"1000-5f2c1a8e3b2c0"</lp1:getetag>
+</D:prop>
+<D:status>HTTP/1.1 200 OK</D:status>
+</D:propstat>
+<D:propstat>
+<D:prop>
+<ns0:getcontentlength/>
+<ns0:checksums/>
+</D:prop>
+<D:status>HTTP/1.1 404 Not Found</D:status>
+</D:propstat>
+</D:response>
+</D:multistatus>`;
+
+describe('getElementText', () => {
+    it('reads elements with any namespace prefix', () => {
+        assert.strictEqual(getElementText('<d:getetag>"abc"</d:getetag>', 'getetag'), '"abc"');
+        assert.strictEqual(getElementText('<lp1:getetag>"abc"</lp1:getetag>', 'getetag'), '"abc"');
+        assert.strictEqual(getElementText('<getetag>"abc"</getetag>', 'getetag'), '"abc"');
+    });
+
+    it('decodes entities and joins nested text', () => {
+        assert.strictEqual(getElementText('<s:message>Quota &lt;1 GB&gt; &amp; &quot;full&quot;</s:message>', 'message'), 'Quota <1 GB> & "full"');
+        assert.strictEqual(getElementText('<oc:checksums><oc:checksum>MD5:abc</oc:checksum></oc:checksums>', 'checksums'), 'MD5:abc');
+    });
+
+    it('skips self-closing elements and returns null when there is none', () => {
+        assert.strictEqual(getElementText('<d:getetag/><d:getcontentlength>12</d:getcontentlength>', 'getetag'), null);
+        assert.strictEqual(getElementText('<d:prop></d:prop>', 'getetag'), null);
+    });
+
+    it('does not match elements that only start with the name', () => {
+        assert.strictEqual(getElementText('<d:getetagx>1</d:getetagx>', 'getetag'), null);
+    });
+});
+
+describe('parsePropfindEntry', () => {
+    it('parses a Nextcloud file with checksums', () => {
+        assert.deepStrictEqual(parsePropfindEntry(NEXTCLOUD_FILE), {
+            isDirectory: false,
+            size: 5242880,
+            etag: '"5d41402abc4b2a76b9719d911017c592"',
+            checksums: 'SHA1:aaf4c61ddcc5e8a2dabede0f3b482cd9aea9434d MD5:5D41402ABC4B2A76B9719D911017C592'
+        });
+    });
+
+    it('parses an Apache mod_dav folder with unknown properties', () => {
+        assert.deepStrictEqual(parsePropfindEntry(APACHE_FOLDER), {
+            isDirectory: true,
+            size: null,
+            etag: '"1000-5f2c1a8e3b2c0"',
+            checksums: null
+        });
+    });
+});
+
+/**
+ * Start a WebDAV server that keeps files in memory
+ * Nextcloud chunking v2 is answered below /remote.php/dav/uploads/, files below /remote.php/dav/files/.
+ * @param {Object} options - { md5Etags: answer uploads with the MD5 of the content as ETag }
+ * @returns {Promise<Object>} { url, files, requests, close }
+ */
+function startServer(options = {}) {
+    const files = new Map(); // path -> Buffer
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+            requests.push({ method: req.method, pathname, headers: req.headers, size: body.length });
+
+            const etagOf = content => (options.md5Etags
+                ? `"${crypto.createHash('md5').update(content).digest('hex')}"`
+                : `"${content.length}-${Date.now()}"`);
+
+            switch (req.method) {
+                case 'PROPFIND': {
+                    const content = files.get(pathname);
+                    const isFolder = pathname.endsWith('/');
+                    if (!content && !isFolder) {
+                        res.writeHead(404).end();
+                        return;
+                    }
+                    res.writeHead(207, { 'Content-Type': 'application/xml' }).end(`<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:"><d:response><d:propstat><d:prop>
+${isFolder ? '<d:resourcetype><d:collection/></d:resourcetype>' : `<d:resourcetype/><d:getcontentlength>${content.length}</d:getcontentlength><d:getetag>${etagOf(content)}</d:getetag>`}
+</d:prop></d:propstat></d:response></d:multistatus>`);
+                    return;
+                }
+                case 'MKCOL':
+                    res.writeHead(201).end();
+                    return;
+                case 'PUT':
+                    files.set(pathname, body);
+                    res.writeHead(201, { ETag: etagOf(body) }).end();
+                    return;
+                case 'MOVE': {
+                    const destination = decodeURIComponent(new URL(req.headers.destination).pathname);
+                    let content;
+                    if (pathname.endsWith('/.file')) {
+                        // Assemble the chunks in the order of their names
+                        const folder = pathname.slice(0, -'.file'.length);
+                        content = Buffer.concat(Array.from(files.keys())
+                            .filter(key => key.startsWith(folder))
+                            .sort()
+                            .map(key => files.get(key)));
+                        if (content.length !== Number(req.headers['oc-total-length'])) {
+                            res.writeHead(400).end('<s:message>Chunks are incomplete</s:message>');
+                            return;
+                        }
+                    } else {
+                        content = files.get(pathname);
+                        files.delete(pathname);
+                    }
+                    files.set(destination, content);
+                    res.writeHead(201, { ETag: etagOf(content) }).end();
+                    return;
+                }
+                case 'DELETE':
+                    files.delete(pathname);
+                    res.writeHead(204).end();
+                    return;
+                default:
+                    res.writeHead(405).end();
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            files,
+            requests,
+            close: () => new Promise(done => server.close(done))
+        }));
+    });
+}
+
+describe('WebDavService uploads', () => {
+    let tempDir;
+    let smallFile;
+    let largeFile;
+
+    before(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zentransfer-webdav-'));
+        smallFile = path.join(tempDir, 'small.jpg');
+        largeFile = path.join(tempDir, 'large.mov');
+        fs.writeFileSync(smallFile, crypto.randomBytes(64 * 1024));
+        fs.writeFileSync(largeFile, crypto.randomBytes(11 * MB));
+    });
+
+    after(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('learns that ETags are content MD5s and uses them for duplicate checks', async () => {
+        const server = await startServer({ md5Etags: true });
+        try {
+            const service = new WebDavService({ url: `${server.url}/dav/`, username: 'alice', password: 'secret' });
+            const connection = { controller: new AbortController() };
+
+            await service._putFile(connection, smallFile, 'photos/small.jpg', () => {});
+            assert.strictEqual(service.etagIsContentMd5, true);
+
+            assert.strictEqual(await service._isDuplicate(connection, 'photos/small.jpg', 64 * 1024, smallFile), true);
+
+            // Same size, other content
+            server.files.set('/dav/photos/small.jpg', crypto.randomBytes(64 * 1024));
+            assert.strictEqual(await service._isDuplicate(connection, 'photos/small.jpg', 64 * 1024, smallFile), false);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('does not trust ETags that are not the MD5 of the content', async () => {
+        const server = await startServer({ md5Etags: false });
+        try {
+            const service = new WebDavService({ url: `${server.url}/dav/`, username: 'alice', password: 'secret' });
+            const connection = { controller: new AbortController() };
+
+            await service._putFile(connection, smallFile, 'small.jpg', () => {});
+            assert.strictEqual(service.etagIsContentMd5, false);
+            assert.strictEqual(service._getContentMd5({ etag: '"5d41402abc4b2a76b9719d911017c592"', checksums: null }), null);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('uploads large files to Nextcloud in chunks and assembles them', async () => {
+        const server = await startServer({ md5Etags: false });
+        try {
+            const service = new WebDavService({
+                url: `${server.url}/remote.php/dav/files/alice/`,
+                username: 'alice',
+                password: 'secret',
+                chunkSizeMb: 5
+            });
+            const connection = { controller: new AbortController() };
+            const progress = [];
+
+            await service._putFile(connection, largeFile, '2025/large.mov', bytes => progress.push(bytes));
+
+            const uploaded = server.files.get('/remote.php/dav/files/alice/2025/large.mov');
+            assert.ok(uploaded.equals(fs.readFileSync(largeFile)));
+            assert.strictEqual(progress[progress.length - 1], 11 * MB);
+
+            const chunkPuts = server.requests.filter(request => request.method === 'PUT');
+            assert.deepStrictEqual(chunkPuts.map(request => path.posix.basename(request.pathname)), ['00001', '00002', '00003']);
+            assert.deepStrictEqual(chunkPuts.map(request => request.size), [5 * MB, 5 * MB, 1 * MB]);
+            assert.ok(chunkPuts.every(request => request.pathname.startsWith('/remote.php/dav/uploads/alice/zentransfer-')));
+
+            const move = server.requests.find(request => request.method === 'MOVE');
+            assert.strictEqual(move.headers['oc-total-length'], String(11 * MB));
+            assert.strictEqual(move.headers['oc-checksum'], `MD5:${crypto.createHash('md5').update(uploaded).digest('hex')}`);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it('sends small files to Nextcloud in one request with their checksum', async () => {
+        const server = await startServer();
+        try {
+            const service = new WebDavService({ url: `${server.url}/remote.php/webdav/`, username: 'alice', password: 'secret' });
+            const connection = { controller: new AbortController() };
+
+            await service._putFile(connection, smallFile, 'small.jpg', () => {});
+
+            const put = server.requests.find(request => request.method === 'PUT');
+            assert.strictEqual(put.pathname, '/remote.php/webdav/small.jpg');
+            assert.match(put.headers['oc-checksum'], /^MD5:[0-9a-f]{32}$/);
+        } finally {
+            await server.close();
+        }
+    });
+});
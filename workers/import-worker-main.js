@@ -6,9 +6,39 @@
 const { parentPort, workerData } = require('worker_threads');
 const fs = require('fs');
 const path = require('path');
+const { CaptureTimeSource, readCaptureTime, describeCaptureTime, getCaptureTimeSourceLabel } = require('./import/capture-time');
+const { DEFAULT_CHECKSUM_ALGORITHM, hashFile, syncFile, isSupportedAlgorithm } = require('./import/file-hasher');
+const { createFileFilter, isJunkDirectory } = require('./import/file-filter');
+const { validateTemplate, renameAssets, sanitizeNamePart } = require('./import/name-template');
+const { formatFolderDate } = require('./import/date-format');
+const { validateFolderTemplate, renderFolderPath } = require('./import/folder-template');
+const { groupIntoAssets, selectUploadFiles } = require('./import/asset-grouper');
+const { ImportJournal, JournalStatus } = require('./import/import-journal');
+const { checkCardRelease, writeReceipt, appendToReceipt, wipeImportedFiles } = require('./import/post-import');
+const { PlanAction, summarizePlan } = require('./import/import-plan');
+const { checkDestinations, formatBytes } = require('./import/preflight');
+const { ArchiveCatalog, ArchiveDuplicateMode } = require('./import/archive-catalog');
+const { writeManifest } = require('./import/import-manifest');
+const { VerifyStatus, verifyArchive, writeVerifyReport } = require('./import/archive-verifier');
+const { DEFAULT_COPY_CONCURRENCY, copyToTargets, getDeviceId, DeviceLimiter, PathClaims, ThroughputMeter, ByteProgress } = require('./import/copy-pipeline');
+const { createDestinations } = require('./import/destinations/destination-registry');
+
+// How many times a copy is attempted before a checksum mismatch is reported
+const MAX_COPY_ATTEMPTS = 3;
+
+// Progress messages while bytes are copied, at most one per interval
+const PROGRESS_INTERVAL_MS = 250;
+
+// Problems of a verification logged per kind, the report file lists all of them
+const MAX_LOGGED_PROBLEMS = 50;
 
 const workerId = workerData.workerId;
+const jobId = workerData.jobId;
 let currentJob = null;
+let journal = null; // Journal of the running import, kept when the import is cancelled
+let catalog = null; // Archive catalog of the running import or preview
+let pendingSources = []; // Other card slots of the same camera, imported after the current source
+let sourceState = null; // Shared by the sources of one job ({ nextSequence, usedNames, importedKeys })
 let isProcessing = false;
 let shouldCancel = false;
 
@@ -32,6 +62,22 @@ parentPort.on('message', async (message) => {
                 console.log(`Import worker ${workerId}: Handling start-import`);
                 await handleStartImport(message);
                 break;
+            case 'preview-import':
+                console.log(`Import worker ${workerId}: Handling preview-import`);
+                await handlePreviewImport(message);
+                break;
+            case 'rebuild-catalog':
+                console.log(`Import worker ${workerId}: Handling rebuild-catalog`);
+                await handleRebuildCatalog(message);
+                break;
+            case 'verify-archive':
+                console.log(`Import worker ${workerId}: Handling verify-archive`);
+                await handleVerifyArchive(message);
+                break;
+            case 'add-source':
+                console.log(`Import worker ${workerId}: Handling add-source`);
+                handleAddSource(message);
+                break;
             case 'cancel-import':
                 console.log(`Import worker ${workerId}: Handling cancel-import`);
                 await handleCancelImport();
@@ -53,7 +99,8 @@ parentPort.on('message', async (message) => {
  * Handle start import request
  */
 async function handleStartImport(message) {
-    const { importSettings } = message;
+    const { journalDir, catalogPath, resumeJobId } = message;
+    let { importSettings } = message;
     
     console.log(`Import worker ${workerId}: handleStartImport called, isProcessing: ${isProcessing}`);
     
@@ -67,83 +114,81 @@ async function handleStartImport(message) {
         console.log(`Import worker ${workerId}: Setting isProcessing to true and resetting shouldCancel`);
         isProcessing = true;
         shouldCancel = false; // Reset cancellation flag for new import
+        
+        if (resumeJobId) {
+            journal = ImportJournal.load(journalDir, resumeJobId);
+            importSettings = journal.importSettings;
+        }
+        
+        // Settings and presets come from the renderer, fail before copying instead of at the first checksum
+        if (importSettings.checksumAlgorithm && !isSupportedAlgorithm(importSettings.checksumAlgorithm)) {
+            throw new Error(`Unsupported checksum algorithm: ${importSettings.checksumAlgorithm}`);
+        }
+        
         currentJob = { importSettings };
         console.log(`Import worker ${workerId}: Current job set:`, currentJob);
         
         sendMessage('log', { message: 'Starting import process...' });
         sendMessage('log', { message: `Source: ${importSettings.sourcePath}` });
-        sendMessage('log', { message: `Destination: ${importSettings.destinationPath}` });
         
-        if (importSettings.backupEnabled) {
-            sendMessage('log', { message: `Backup: ${importSettings.backupPath}` });
+        // Log the destinations in the order they run
+        const destinations = createDestinations(importSettings);
+        for (const destination of destinations.filter(entry => entry.kind === 'folder')) {
+            sendMessage('log', { message: `${destination.getDisplayName()}: ${destination.rootPath}` });
         }
         
-        // Log enabled upload services
-        const enabledServices = [];
-        if (importSettings.uploadToZenTransfer) {
-            enabledServices.push('ZenTransfer');
-        }
-        if (importSettings.uploadToAwsS3) {
-            enabledServices.push('AWS S3');
-        }
-        if (importSettings.uploadToAzure) {
-            enabledServices.push('Azure Blob Storage');
-        }
-        if (importSettings.uploadToGcp) {
-            enabledServices.push('Google Cloud Storage');
+        if (importSettings.verifyCopies) {
+            sendMessage('log', { message: `Verifying copies with ${(importSettings.checksumAlgorithm || DEFAULT_CHECKSUM_ALGORITHM).toUpperCase()} checksums` });
         }
         
+        // Log enabled upload services
+        const enabledServices = destinations.filter(entry => entry.kind === 'cloud').map(entry => entry.getDisplayName());
         if (enabledServices.length > 0) {
             sendMessage('log', { message: `Upload services enabled: ${enabledServices.join(', ')}` });
+            if (importSettings.uploadJpegOnly) {
+                sendMessage('log', { message: 'Uploading only the JPEG of RAW+JPEG pairs' });
+            }
         }
         
-        // Phase 1: Scan source directory
-        console.log(`Import worker ${workerId}: Starting directory scan, isProcessing: ${isProcessing}`);
-        sendMessage('log', { message: 'Scanning source directory...' });
-        const files = await scanSourceDirectory(importSettings);
+        sourceState = { nextSequence: 1, usedNames: new Set(), importedKeys: new Set() };
         
-        console.log(`Import worker ${workerId}: Directory scan complete, found ${files.length} files, isProcessing: ${isProcessing}`);
-        
-        // Check if we were cancelled during scanning
-        if (!isProcessing) {
-            console.log(`Import worker ${workerId}: Cancelled during scanning, returning`);
-            sendMessage('log', { message: 'Import cancelled during directory scanning' });
-            return;
+        // Import the source, then any card slot of the same camera added meanwhile
+        const sourceResults = [];
+        let sourceSettings = importSettings;
+        while (sourceSettings) {
+            const sourceResult = await importSource(sourceSettings, journalDir, catalogPath);
+            if (!sourceResult) {
+                break; // Cancelled while scanning
+            }
+            sourceResults.push(sourceResult);
+            journal = null;
+            
+            sourceSettings = null;
+            if (pendingSources.length > 0 && isProcessing && !shouldCancel) {
+                const nextSource = pendingSources.shift();
+                sendMessage('log', { message: `Continuing with the other card slot: ${nextSource}` });
+                sourceSettings = { ...importSettings, sourcePath: nextSource };
+            }
         }
         
-        if (files.length === 0) {
-            sendMessage('log', { message: 'No supported files found' });
-            sendMessage('completed', { 
-                result: { 
-                    totalFiles: 0, 
-                    successfulFiles: 0, 
-                    failedFiles: 0 
-                } 
-            });
+        if (sourceResults.length === 0) {
             return;
         }
+        const results = mergeSourceResults(sourceResults);
         
-        sendMessage('log', { message: `Found ${files.length} files to import` });
-        sendMessage('progress', {
-            totalFiles: files.length,
-            processedFiles: 0,
-            successfulFiles: 0,
-            failedFiles: 0,
-            phase: 'copying'
-        });
-        
-        // Phase 2: Process files
-        console.log(`Import worker ${workerId}: Starting file processing, isProcessing: ${isProcessing}`);
-        const results = await processFiles(files, importSettings);
-        
-        console.log(`Import worker ${workerId}: File processing complete, isProcessing: ${isProcessing}`);
-        
-        // Phase 3: Complete
+        // Phase 5: Complete
         sendMessage('log', { message: 'Import completed!' });
         sendMessage('completed', { result: results });
         
     } catch (error) {
         console.error(`Import worker ${workerId}: Import failed:`, error);
+        if (journal) {
+            try {
+                journal.recordStatus(JournalStatus.FAILED);
+            } catch (journalError) {
+                console.warn(`Import worker ${workerId}: Failed to update import journal:`, journalError);
+            }
+        }
         sendMessage('error', { 
             error: error.message,
             stack: error.stack 
@@ -153,7 +198,194 @@ async function handleStartImport(message) {
         isProcessing = false;
         shouldCancel = false; // Reset cancellation flag
         currentJob = null;
+        journal = null;
+        catalog = null;
+        pendingSources = [];
+        sourceState = null;
+        
+        // The main process keeps the job's worker until here, a cancelled job still finishes its copies
+        sendMessage('finished', {});
+    }
+}
+
+/**
+ * Import one source (card slot) of the running job
+ * Resumes from the journal when one is loaded, otherwise scans the source.
+ * @returns {Promise<Object|null>} Results of this source, or null if cancelled while scanning
+ */
+async function importSource(importSettings, journalDir, catalogPath) {
+    const emptyResult = {
+        totalFiles: 0,
+        successfulFiles: 0,
+        failedFiles: 0,
+        verifiedFiles: 0,
+        unverifiedFiles: 0,
+        files: []
+    };
+    
+    let assets;
+    if (journal) {
+        // Phase 1: Pick up where the interrupted import stopped
+        assets = prepareResume(journal);
+        
+        // Copies that finished before the interruption are recognized as duplicates
+        importSettings = { ...importSettings, skipDuplicates: true };
+        
+        if (assets.length === 0) {
+            sendMessage('log', { message: 'Nothing left to import' });
+            journal.remove();
+            return emptyResult;
+        }
+    } else {
+        // Phase 1: Scan, read capture dates, group and rename
+        assets = await prepareAssets(importSettings);
+        if (!assets) {
+            return null;
+        }
+        
+        if (assets.length === 0) {
+            sendMessage('log', { message: 'No supported files found' });
+            return emptyResult;
+        }
+    }
+    
+    // Phase 1e: Load the archive catalog, the plan below already leaves out archived files
+    catalog = loadCatalog(catalogPath, importSettings);
+    
+    const destinations = await initializeDestinations(importSettings);
+    try {
+        return await importToDestinations(assets, importSettings, destinations, journalDir);
+    } finally {
+        await Promise.all(destinations.all.map(destination => destination.cleanup()));
+    }
+}
+
+/**
+ * Copy the prepared assets of a source to its destinations and release the card
+ * @returns {Promise<Object>} Results of the source
+ */
+async function importToDestinations(assets, importSettings, destinations, journalDir) {
+    // Phase 1f: Check free space and writability before copying anything
+    if (!await runPreflight(assets, importSettings, destinations)) {
+        throw new Error('Import blocked: a destination is full or not writable, see the import log');
+    }
+    
+    // Phase 1g: Journal the job so it can be resumed after a quit or card removal
+    if (journalDir && !journal) {
+        journal = ImportJournal.create(journalDir, importSettings);
+        journal.recordAssets(assets);
+        console.log(`Import worker ${workerId}: Journaling import to ${journal.filePath}`);
+    }
+    
+    sendMessage('progress', {
+        totalFiles: assets.reduce((sum, asset) => sum + asset.files.length, 0),
+        processedFiles: 0,
+        successfulFiles: 0,
+        failedFiles: 0,
+        bytesProcessed: 0,
+        totalBytes: assets.reduce((sum, asset) => sum + getAssetSize(asset), 0),
+        phase: 'copying'
+    });
+    
+    // Phase 2: Process files
+    console.log(`Import worker ${workerId}: Starting file processing, isProcessing: ${isProcessing}`);
+    const results = await processFiles(assets, importSettings, destinations);
+    
+    console.log(`Import worker ${workerId}: File processing complete, isProcessing: ${isProcessing}`);
+    
+    // Phase 3: Write what was copied into each destination root, before the card can be wiped
+    if (importSettings.writeManifests === true) {
+        writeManifests(importSettings, assets, results, destinations);
+    }
+    
+    // Phase 4: Release the card (wipe here, eject in the main process)
+    results.cardRelease = await releaseCard(importSettings, assets, results, destinations);
+    
+    // Keep the journal of anything that did not finish cleanly for a later resume
+    if (journal) {
+        if (!results.wasCancelled && results.failedFiles === 0) {
+            journal.remove();
+        } else {
+            journal.recordStatus(results.wasCancelled ? JournalStatus.CANCELLED : JournalStatus.INCOMPLETE);
+        }
+    }
+    
+    rememberImportedAssets(assets, results.files);
+    return results;
+}
+
+/**
+ * Remember the assets a source delivered, so the other card slot of the job skips its mirrored copies
+ * Failed assets are not remembered and get another chance from the other slot.
+ */
+function rememberImportedAssets(assets, fileResults) {
+    if (!sourceState) return;
+    
+    const imported = new Set(fileResults.filter(result => result.status !== 'failed').map(result => result.relativePath));
+    assets
+        .filter(asset => asset.files.every(member => imported.has(member.relativePath)))
+        .forEach(asset => sourceState.importedKeys.add(getMirrorKey(asset.primary)));
+}
+
+/**
+ * Identify a shot independent of the card slot it was written to
+ * Files without metadata use their modification time, the camera sets the same one on both cards.
+ */
+function getMirrorKey(file) {
+    const time = file.captureTimeSource === CaptureTimeSource.FILESYSTEM ? file.modified : file.captureTime;
+    return `${file.relativePath}|${file.size}|${new Date(time || file.modified).getTime()}`;
+}
+
+/**
+ * Combine the results of the sources of one job into a single result
+ * Card releases are kept per source, each card is ejected on its own.
+ */
+function mergeSourceResults(sourceResults) {
+    const sumOf = key => sourceResults.reduce((sum, result) => sum + (result[key] || 0), 0);
+    const last = sourceResults[sourceResults.length - 1];
+    
+    const rates = new Map();
+    for (const rate of sourceResults.flatMap(result => result.throughput || [])) {
+        const total = rates.get(rate.target) || { target: rate.target, bytes: 0, seconds: 0 };
+        total.bytes += rate.bytes;
+        total.seconds += rate.seconds;
+        rates.set(rate.target, total);
+    }
+    
+    return {
+        totalFiles: sumOf('totalFiles'),
+        successfulFiles: sumOf('successfulFiles'),
+        failedFiles: sumOf('failedFiles'),
+        skippedFiles: sumOf('skippedFiles'),
+        archivedFiles: sumOf('archivedFiles'),
+        uploadQueueCount: sumOf('uploadQueueCount'),
+        verifiedFiles: sumOf('verifiedFiles'),
+        unverifiedFiles: sumOf('unverifiedFiles'),
+        throughput: Array.from(rates.values()).map(rate => ({ ...rate, bytesPerSecond: Math.round(rate.bytes / rate.seconds) })),
+        files: sourceResults.flatMap(result => result.files),
+        sources: sourceResults.length,
+        cardReleases: sourceResults.map(result => result.cardRelease).filter(Boolean),
+        phase: last.phase || 'completed',
+        wasCancelled: last.wasCancelled === true
+    };
+}
+
+/**
+ * Handle a card slot added to the running job
+ * Both slots of one camera body feed the same job: the source is imported after the
+ * current one, continuing its sequence numbers and skipping files the other slot mirrored.
+ */
+function handleAddSource(message) {
+    const { sourcePath } = message;
+    
+    // Too late for this job, the main process starts a job of its own for the source
+    if (!isProcessing || !currentJob) {
+        sendMessage('source-rejected', { sourcePath });
+        return;
     }
+    
+    pendingSources.push(sourcePath);
+    sendMessage('log', { message: `Card slot of the same camera queued: ${sourcePath}` });
 }
 
 /**
@@ -177,6 +409,300 @@ async function handleCancelImport() {
     console.log(`Import worker ${workerId}: Cancellation complete`);
 }
 
+/**
+ * Handle preview request: plan an import without writing anything
+ */
+async function handlePreviewImport(message) {
+    const { importSettings, catalogPath } = message;
+    
+    if (isProcessing) {
+        sendMessage('error', { error: 'Import already in progress' });
+        return;
+    }
+    
+    try {
+        isProcessing = true;
+        shouldCancel = false;
+        
+        const assets = await prepareAssets(importSettings);
+        if (!assets) {
+            sendMessage('cancelled', {});
+            return;
+        }
+        
+        catalog = loadCatalog(catalogPath, importSettings);
+        sendMessage('log', { message: 'Planning import...' });
+        const rows = await planImport(assets, importSettings, await initializeDestinations(importSettings));
+        sendMessage('preview-ready', { plan: summarizePlan(rows) });
+    } catch (error) {
+        console.error(`Import worker ${workerId}: Preview failed:`, error);
+        sendMessage('error', { 
+            error: error.message,
+            stack: error.stack 
+        });
+    } finally {
+        isProcessing = false;
+        shouldCancel = false;
+        catalog = null;
+    }
+}
+
+/**
+ * Handle archive catalog rebuild request: rescan an archive root and hash its files
+ */
+async function handleRebuildCatalog(message) {
+    const { catalogPath, rootPath, algorithm } = message;
+    
+    if (isProcessing) {
+        sendMessage('error', { error: 'Import already in progress' });
+        return;
+    }
+    
+    try {
+        isProcessing = true;
+        shouldCancel = false;
+        
+        console.log(`Import worker ${workerId}: Rebuilding archive catalog from ${rootPath}`);
+        const archiveCatalog = ArchiveCatalog.load(catalogPath);
+        const result = await archiveCatalog.rebuild(rootPath, {
+            algorithm: algorithm || DEFAULT_CHECKSUM_ALGORITHM,
+            shouldStop: () => shouldCancel
+        });
+        
+        // A stopped rebuild leaves the catalog as it was, cancel already answered
+        if (!result.stopped) {
+            sendMessage('catalog-rebuilt', { result: { ...result, catalogFiles: archiveCatalog.size } });
+        }
+    } catch (error) {
+        console.error(`Import worker ${workerId}: Catalog rebuild failed:`, error);
+        sendMessage('error', { 
+            error: error.message,
+            stack: error.stack 
+        });
+    } finally {
+        isProcessing = false;
+        shouldCancel = false;
+    }
+}
+
+/**
+ * Handle archive verification request: re-hash an archive folder against its manifests and the catalog
+ * Runs like an import job with progress, log and stop; the job ends with 'finished'.
+ */
+async function handleVerifyArchive(message) {
+    const { rootPath, catalogPath } = message;
+    
+    if (isProcessing) {
+        sendMessage('error', { error: 'Import already in progress' });
+        return;
+    }
+    
+    try {
+        isProcessing = true;
+        shouldCancel = false;
+        
+        sendMessage('log', { message: `Verifying archive: ${rootPath}` });
+        sendMessage('log', { message: 'Scanning folder...' });
+        
+        const problemCounts = new Map(); // status -> problems found
+        const counts = { totalFiles: 0, processedFiles: 0, verifiedFiles: 0, failedFiles: 0 };
+        let byteProgress = null;
+        let fileProgress = null;
+        let lastProgressAt = 0;
+        
+        const sendProgress = () => {
+            lastProgressAt = Date.now();
+            sendMessage('progress', {
+                totalFiles: counts.totalFiles,
+                processedFiles: counts.processedFiles,
+                successfulFiles: counts.verifiedFiles,
+                failedFiles: counts.failedFiles,
+                ...byteProgress.getSnapshot(),
+                phase: 'verifying'
+            });
+        };
+        
+        const result = await verifyArchive(rootPath, {
+            catalog: catalogPath ? ArchiveCatalog.load(catalogPath) : null,
+            shouldStop: () => shouldCancel || !isProcessing,
+            onStart: ({ totalFiles, totalBytes }) => {
+                counts.totalFiles = totalFiles;
+                byteProgress = new ByteProgress(totalBytes, []);
+                fileProgress = byteProgress.startAsset(totalBytes);
+                sendMessage('log', { message: `Re-hashing ${totalFiles} files (${formatBytes(totalBytes)})` });
+                sendProgress();
+            },
+            onBytes: (bytes) => {
+                fileProgress.add('source', bytes);
+                if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                    sendProgress();
+                }
+            },
+            onFile: (check) => {
+                // Files decided before hashing (extra, missing, other size) are not part of the progress
+                if (byteProgress) {
+                    counts.processedFiles++;
+                    if (check.status === VerifyStatus.VERIFIED) {
+                        counts.verifiedFiles++;
+                    } else {
+                        counts.failedFiles++;
+                    }
+                }
+                if (check.status !== VerifyStatus.VERIFIED) {
+                    logVerifyProblem(check, problemCounts);
+                }
+            }
+        });
+        
+        if (byteProgress) {
+            sendProgress();
+        }
+        
+        for (const [status, count] of problemCounts) {
+            if (count > MAX_LOGGED_PROBLEMS) {
+                sendMessage('log', { message: `... and ${count - MAX_LOGGED_PROBLEMS} more ${status} files, see the report` });
+            }
+        }
+        
+        sendMessage('log', { message: `${result.verified} files intact, ${result.modified} modified, ${result.missing} missing, ${result.extra} extra, ${result.unchecked} without hash` });
+        sendMessage('log', { message: `Checked against ${result.manifests} manifests and ${result.catalogFiles} archive catalog records` });
+        
+        if (result.problems.length > 0 || result.stopped) {
+            try {
+                result.reportPath = writeVerifyReport(result);
+                sendMessage('log', { message: `Full report: ${result.reportPath}` });
+            } catch (error) {
+                console.warn(`Import worker ${workerId}: Failed to write verify report:`, error);
+                sendMessage('log', { message: `⚠ Report not written: ${error.message}` });
+            }
+        }
+        
+        // The problem list can be huge, the report file has it
+        const { problems, ...summary } = result;
+        sendMessage('verify-completed', { result: summary });
+    } catch (error) {
+        console.error(`Import worker ${workerId}: Archive verification failed:`, error);
+        sendMessage('error', { 
+            error: error.message,
+            stack: error.stack 
+        });
+    } finally {
+        isProcessing = false;
+        shouldCancel = false;
+        sendMessage('finished', {});
+    }
+}
+
+/**
+ * Log a problem found by verification, up to MAX_LOGGED_PROBLEMS per kind
+ */
+function logVerifyProblem(check, problemCounts) {
+    const count = (problemCounts.get(check.status) || 0) + 1;
+    problemCounts.set(check.status, count);
+    if (count > MAX_LOGGED_PROBLEMS) return;
+    
+    switch (check.status) {
+        case VerifyStatus.MODIFIED:
+            sendMessage('log', { message: `✗ Modified: ${check.path} (${check.reason})` });
+            break;
+        case VerifyStatus.MISSING:
+            sendMessage('log', { message: `✗ Missing: ${check.path}` });
+            break;
+        case VerifyStatus.EXTRA:
+            sendMessage('log', { message: `⚠ Not in any manifest or the catalog: ${check.path}` });
+            break;
+        default:
+            sendMessage('log', { message: `⚠ No hash recorded, size matches: ${check.path}` });
+    }
+}
+
+/**
+ * Prepare an interrupted import for resuming
+ * Removes copies that were cut off mid-write and returns the assets with work left.
+ */
+function prepareResume(journal) {
+    const { sourcePath } = journal.importSettings;
+    const summary = journal.getSummary();
+    
+    sendMessage('log', { message: `Resuming import from ${new Date(summary.createdAt).toLocaleString()}` });
+    
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error(`Source not available: ${sourcePath}. Insert the card and try again`);
+    }
+    
+    const removedCount = journal.removePartialCopies();
+    if (removedCount > 0) {
+        sendMessage('log', { message: `⚠ Removed ${removedCount} incomplete copies from the interrupted import` });
+    }
+    
+    const pendingAssets = journal.getPendingAssets();
+    sendMessage('log', { message: `${summary.completedFiles} of ${summary.totalFiles} files already imported, continuing with the rest` });
+    
+    return pendingAssets;
+}
+
+/**
+ * Scan the source and prepare the assets to import
+ * Shared by imports and previews: scan, capture dates, grouping and renaming.
+ * @returns {Promise<Array<Object>|null>} Assets, or null if cancelled
+ */
+async function prepareAssets(importSettings) {
+    // Template mistakes are reported before the card is scanned
+    checkFolderTemplates(importSettings);
+    
+    // Phase 1: Scan source directory
+    console.log(`Import worker ${workerId}: Starting directory scan, isProcessing: ${isProcessing}`);
+    sendMessage('log', { message: 'Scanning source directory...' });
+    const files = await scanSourceDirectory(importSettings);
+    
+    console.log(`Import worker ${workerId}: Directory scan complete, found ${files.length} files, isProcessing: ${isProcessing}`);
+    
+    // Check if we were cancelled during scanning
+    if (!isProcessing) {
+        console.log(`Import worker ${workerId}: Cancelled during scanning, returning`);
+        sendMessage('log', { message: 'Import cancelled during directory scanning' });
+        return null;
+    }
+    
+    if (files.length === 0) {
+        return [];
+    }
+    
+    sendMessage('log', { message: `Found ${files.length} files to import` });
+    
+    // Phase 1b: Read capture dates from metadata
+    sendMessage('log', { message: 'Reading capture dates...' });
+    await resolveCaptureTimes(files);
+    
+    if (!isProcessing || shouldCancel) {
+        console.log(`Import worker ${workerId}: Cancelled while reading capture dates, returning`);
+        sendMessage('log', { message: 'Import cancelled while reading capture dates' });
+        return null;
+    }
+    
+    // Phase 1c: Group RAW+JPEG pairs and sidecars into assets
+    let assets = groupIntoAssets(files);
+    if (assets.length < files.length) {
+        sendMessage('log', { message: `Grouped ${files.length} files into ${assets.length} assets (RAW+JPEG pairs and sidecars)` });
+    }
+    
+    // A second card slot recording in parallel holds the same shots, import them once
+    if (sourceState && sourceState.importedKeys.size > 0) {
+        const remaining = assets.filter(asset => !sourceState.importedKeys.has(getMirrorKey(asset.primary)));
+        if (remaining.length < assets.length) {
+            sendMessage('log', { message: `Skipping ${assets.length - remaining.length} assets already imported from the other card slot` });
+            assets = remaining;
+        }
+    }
+    
+    // Phase 1d: Apply rename template
+    if (importSettings.renameEnabled) {
+        assignTargetNames(assets, importSettings);
+    }
+    
+    return assets;
+}
+
 /**
  * Scan source directory for supported files
  */
@@ -193,10 +719,10 @@ async function scanSourceDirectory(importSettings) {
     }
     
     const files = [];
-    const supportedExtensions = [
-        '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff', '.raw', '.cr2', '.nef', '.arw', '.dng',
-        '.mp4', '.mov', '.avi', '.mkv', '.wmv', '.flv', '.webm', '.m4v'
-    ];
+    const fileFilter = importSettings.fileFilter || {};
+    const shouldInclude = createFileFilter(fileFilter);
+    const skipJunk = fileFilter.skipJunk !== false;
+    const filteredCounts = { junk: 0, excluded: 0, category: 0 };
     
     const scanDir = (dirPath, relativePath = '') => {
         // Check for cancellation before scanning each directory
@@ -222,7 +748,12 @@ async function scanSourceDirectory(importSettings) {
                 const itemStats = fs.statSync(fullPath);
                 
                 if (itemStats.isFile()) {
-                    const ext = path.extname(item).toLowerCase();
+                    const { included, reason } = shouldInclude(item);
+                    if (!included) {
+                        filteredCounts[reason]++;
+                        continue;
+                    }
+                    
                     files.push({
                         name: item,
                         path: fullPath,
@@ -232,6 +763,11 @@ async function scanSourceDirectory(importSettings) {
                         modified: itemStats.mtime
                     });
                 } else if (itemStats.isDirectory() && includeSubdirectories) {
+                    if (skipJunk && isJunkDirectory(fullPath)) {
+                        console.log(`Import worker ${workerId}: Skipping junk directory ${fullPath}`);
+                        sendMessage('log', { message: `Skipping folder: ${itemRelativePath}` });
+                        continue;
+                    }
                     scanDir(fullPath, itemRelativePath);
                 }
             } catch (itemError) {
@@ -241,146 +777,394 @@ async function scanSourceDirectory(importSettings) {
     };
     
     scanDir(sourcePath);
+    
+    const filteredTotal = filteredCounts.junk + filteredCounts.excluded + filteredCounts.category;
+    if (filteredTotal > 0) {
+        const details = [];
+        if (filteredCounts.category > 0) details.push(`${filteredCounts.category} by file type`);
+        if (filteredCounts.excluded > 0) details.push(`${filteredCounts.excluded} by excluded extension`);
+        if (filteredCounts.junk > 0) details.push(`${filteredCounts.junk} camera junk`);
+        sendMessage('log', { message: `Filtered out ${filteredTotal} files (${details.join(', ')})` });
+    }
+    
     return files;
 }
 
 /**
- * Process files to destinations
+ * Read the capture time of every scanned file
+ * Sets captureTime and captureTimeSource on each file and logs a per-source summary
  */
-async function processFiles(files, importSettings) {
-    const { destinationPath, backupEnabled, backupPath, organizeIntoFolders, folderOrganizationType, customFolderName, dateFormat, uploadToZenTransfer, skipDuplicates } = importSettings;
-    
-    console.log(`Import worker ${workerId}: processFiles called with ${files.length} files, skipDuplicates: ${skipDuplicates}, isProcessing: ${isProcessing}`);
-    console.log(`Import worker ${workerId}: Full importSettings:`, JSON.stringify(importSettings, null, 2));
-    
-    let successCount = 0;
-    let failCount = 0;
-    let skippedCount = 0; // Track skipped duplicates
-    let uploadQueueCount = 0; // Track total files queued for upload
+async function resolveCaptureTimes(files) {
+    const sourceCounts = {};
     
-    for (let i = 0; i < files.length; i++) {
-        console.log(`Import worker ${workerId}: Processing file ${i + 1}/${files.length}, isProcessing: ${isProcessing}`);
-        if (shouldCancel) {
-            console.log(`Import worker ${workerId}: Cancellation detected before processing file index ${i}`);
-            break;
+    for (const file of files) {
+        if (!isProcessing || shouldCancel) {
+            return;
         }
         
-        const file = files[i];
-        
         try {
-            console.log(`Import worker ${workerId}: Starting to process file: ${file.name}, isProcessing: ${isProcessing}`);
-            sendMessage('log', { message: `Processing: ${file.name}` });
-            
-            // Determine destination folder
-            let finalDestinationPath = destinationPath;
-            let finalBackupPath = backupPath;
-            
-            if (organizeIntoFolders) {
-                const folderName = getFolderName(file, folderOrganizationType, customFolderName, dateFormat);
-                finalDestinationPath = path.join(destinationPath, folderName);
-                if (backupEnabled && backupPath) {
-                    finalBackupPath = path.join(backupPath, folderName);
-                }
-            }
-            
-            // Copy to destination
-            console.log(`Import worker ${workerId}: About to copy file ${file.name}, isProcessing: ${isProcessing}`);
-            const destinationFilePath = await copyFileAsync(file, finalDestinationPath, skipDuplicates);
-            
-            let destinationSkipped = false;
-            
-            // Check if file was skipped in destination
-            if (destinationFilePath === null) {
-                // File was skipped as duplicate in destination
-                destinationSkipped = true;
-                skippedCount++;
-                console.log(`Import worker ${workerId}: File skipped as duplicate in destination: ${file.name}, skippedCount: ${skippedCount}`);
-                sendMessage('log', { message: `⚠ Skipped duplicate in destination: ${file.name}` });
-            } else {
-                console.log(`Import worker ${workerId}: File copied successfully to destination: ${file.name}, isProcessing: ${isProcessing}`);
-                sendMessage('log', { message: `✓ Copied to destination: ${file.name}` });
-            }
-            
-            // Check for cancellation after destination copying
-            if (!isProcessing) {
-                console.log(`Import worker ${workerId}: Cancellation detected after copying ${file.name}`);
-                break;
+            const captureTime = await readCaptureTime(file.path);
+            file.captureTime = captureTime.date;
+            file.captureTimeSource = captureTime.source;
+            file.captureTimeOffset = captureTime.offset;
+            file.camera = captureTime.camera;
+        } catch (error) {
+            console.warn(`Import worker ${workerId}: Failed to read capture time for ${file.name}:`, error);
+            file.captureTime = file.created;
+            file.captureTimeSource = CaptureTimeSource.FILESYSTEM;
+            file.captureTimeOffset = null;
+            file.camera = {};
+        }
+        
+        sourceCounts[file.captureTimeSource] = (sourceCounts[file.captureTimeSource] || 0) + 1;
+    }
+    
+    const summary = Object.entries(sourceCounts)
+        .map(([source, count]) => `${count} from ${getCaptureTimeSourceLabel(source)}`)
+        .join(', ');
+    sendMessage('log', { message: `Capture dates: ${summary}` });
+}
+
+/**
+ * Render the rename template for every asset
+ * Members of an asset share the new name; the same names are used for destination, backup and upload.
+ */
+function assignTargetNames(assets, importSettings) {
+    const { renameTemplate, jobName, photographer } = importSettings;
+    
+    const validation = validateTemplate(renameTemplate);
+    if (!validation.valid) {
+        throw new Error(`Invalid rename template: ${validation.errors.join(', ')}`);
+    }
+    
+    // Numbering continues across the card slots of one job
+    renameAssets(assets, renameTemplate, {
+        job: jobName,
+        photographer,
+        locale: importSettings.dateLocale,
+        firstSequence: sourceState ? sourceState.nextSequence : 1,
+        usedNames: sourceState ? sourceState.usedNames : undefined
+    });
+    if (sourceState) {
+        sourceState.nextSequence += assets.length;
+    }
+    
+    sendMessage('log', { message: `Renaming files with template: ${renameTemplate}` });
+}
+
+/**
+ * Validate the folder template and the cloud prefix template, when they are used
+ */
+function checkFolderTemplates(importSettings) {
+    const templates = [];
+    if (importSettings.organizeIntoFolders && importSettings.folderOrganizationType === 'template') {
+        templates.push({ label: 'folder template', template: importSettings.folderTemplate });
+    }
+    if (importSettings.cloudPrefixTemplate) {
+        templates.push({ label: 'cloud prefix template', template: importSettings.cloudPrefixTemplate });
+    }
+    
+    for (const { label, template } of templates) {
+        const validation = validateFolderTemplate(template);
+        if (!validation.valid) {
+            throw new Error(`Invalid ${label}: ${validation.errors.join(', ')}`);
+        }
+    }
+}
+
+/**
+ * Create the destinations of an import and initialize them in priority order
+ * @returns {Promise<{all: Array<BaseDestination>, folders: Array<FolderDestination>, clouds: Array<CloudDestination>}>}
+ *   Destinations; the first folder destination is the primary one, uploads and receipts use its copies
+ */
+async function initializeDestinations(importSettings) {
+    const all = createDestinations(importSettings);
+    for (const destination of all) {
+        if (!await destination.initialize({ importSettings, sendMessage })) {
+            throw new Error(`Destination ${destination.getDisplayName()} is not configured correctly`);
+        }
+    }
+    
+    const folders = all.filter(destination => destination.kind === 'folder');
+    if (folders.length === 0) {
+        throw new Error('Import has no folder destination to copy to');
+    }
+    
+    return { all, folders, clouds: all.filter(destination => destination.kind === 'cloud') };
+}
+
+/**
+ * Check that every destination has room for the import and accepts new files
+ * Required bytes come from the import plan, so duplicates that will be skipped don't count.
+ * @returns {Promise<boolean>} True if the import can go ahead
+ */
+async function runPreflight(assets, importSettings, destinations) {
+    sendMessage('log', { message: 'Checking free space and write access...' });
+    const { totals } = summarizePlan(await planImport(assets, importSettings, destinations));
+    
+    const targets = destinations.folders.map(destination => ({
+        target: destination.id,
+        label: destination.getDisplayName(),
+        rootPath: destination.rootPath,
+        requiredBytes: totals.destinations.find(total => total.target === destination.id)?.bytes || 0
+    }));
+    
+    const { ok, results } = await checkDestinations(targets);
+    for (const result of results) {
+        const free = result.freeBytes === null ? 'free space unknown' : `${formatBytes(result.freeBytes)} free`;
+        if (result.problems.length > 0) {
+            sendMessage('log', { message: `✗ ${result.label} ${result.rootPath}: ${result.problems.join(', ')}` });
+        } else if (result.freeBytes === null) {
+            sendMessage('log', { message: `⚠ ${result.label} ${result.rootPath}: ${formatBytes(result.requiredBytes)} to copy, ${free}` });
+        } else {
+            sendMessage('log', { message: `✓ ${result.label} ${result.rootPath}: ${formatBytes(result.requiredBytes)} to copy, ${free}` });
+        }
+    }
+    
+    return ok;
+}
+
+/**
+ * Process assets to destinations
+ * All files of an asset (RAW, JPEG, sidecars) land in the same folder and are queued for upload together.
+ * Assets are copied in parallel (limited per disk), each file is read once and written to every folder
+ * destination at the same time. Cloud destinations then queue the copies of the primary folder destination.
+ */
+async function processFiles(assets, importSettings, destinations) {
+    const { sourcePath, organizeIntoFolders, skipDuplicates, uploadJpegOnly } = importSettings;
+    const { folders, clouds } = destinations;
+    const primary = folders[0];
+    const labels = new Map(folders.map(destination => [destination.id, destination.getDisplayName()]));
+    const verification = {
+        enabled: importSettings.verifyCopies === true,
+        algorithm: importSettings.checksumAlgorithm || DEFAULT_CHECKSUM_ALGORITHM,
+        hashWhileCopying: catalog !== null || importSettings.writeManifests === true // Unverified copies still need a hash for the catalog and manifests
+    };
+    const totalFiles = assets.reduce((sum, asset) => sum + asset.files.length, 0);
+    
+    console.log(`Import worker ${workerId}: processFiles called with ${totalFiles} files in ${assets.length} assets, skipDuplicates: ${skipDuplicates}, isProcessing: ${isProcessing}`);
+    console.log(`Import worker ${workerId}: Full importSettings:`, JSON.stringify(importSettings, null, 2));
+    
+    let processedCount = 0;
+    let successCount = 0;
+    let failCount = 0;
+    let skippedCount = 0; // Track skipped duplicates
+    let archivedCount = 0; // Files found elsewhere in the archive
+    let uploadQueueCount = 0; // Track total files queued for upload
+    const fileResults = []; // Per-file verification status for the completed message
+    
+    // Copy pipeline: one read per file, parallel copies limited per disk
+    const concurrency = Number(importSettings.copyConcurrency) || DEFAULT_COPY_CONCURRENCY;
+    const limiter = new DeviceLimiter(concurrency);
+    const claims = new PathClaims();
+    const meter = new ThroughputMeter();
+    const devices = [getDeviceId(sourcePath), ...folders.map(destination => getDeviceId(destination.rootPath))];
+    const maxInFlight = concurrency * new Set(devices).size;
+    sendMessage('log', { message: `Copying up to ${concurrency} files at a time per disk` });
+    
+    // Byte progress, so large videos move the progress bar while they copy
+    const byteProgress = new ByteProgress(
+        assets.reduce((sum, asset) => sum + getAssetSize(asset), 0),
+        folders.map(destination => destination.id)
+    );
+    let lastProgressAt = 0;
+    
+    const sendProgress = () => {
+        lastProgressAt = Date.now();
+        const snapshot = byteProgress.getSnapshot();
+        sendMessage('progress', {
+            totalFiles: totalFiles,
+            processedFiles: processedCount,
+            successfulFiles: successCount,
+            failedFiles: failCount,
+            skippedFiles: skippedCount,
+            uploadQueueCount: uploadQueueCount,
+            throughput: meter.getRates(),
+            ...snapshot,
+            destinations: snapshot.destinations.map(entry => ({ ...entry, label: labels.get(entry.target) })),
+            phase: 'copying'
+        });
+    };
+    
+    const processAsset = async (asset, assetResults) => {
+        const file = asset.primary;
+        const assetProgress = byteProgress.startAsset(getAssetSize(asset));
+        const onBytes = (key, bytes) => {
+            if (key !== 'source') {
+                meter.add(key, bytes);
             }
-            
-            // Queue for upload to enabled cloud services (only if successfully copied to destination)
-            const hasAnyUploadEnabled = uploadToZenTransfer || importSettings.uploadToAwsS3 || importSettings.uploadToAzure || importSettings.uploadToGcp;
-            if (hasAnyUploadEnabled && destinationFilePath) {
-                console.log(`Import worker ${workerId}: About to queue for upload: ${file.name}, isProcessing: ${isProcessing}`);
-                sendMessage('upload-ready', {
-                    filePaths: [destinationFilePath], // Single file array
-                    count: 1,
-                    fileName: file.name, // Include filename for logging
-                    importSettings: importSettings // Pass import settings to determine which services to use
-                });
-                uploadQueueCount++;
-                console.log(`Import worker ${workerId}: File queued for upload: ${file.name}, uploadQueueCount: ${uploadQueueCount}`);
-                sendMessage('log', { message: `✓ Queued for upload: ${file.name}` });
+            assetProgress.add(key, bytes);
+            if (Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+                sendProgress();
             }
-            
-            // Check for cancellation after upload queuing
-            if (!isProcessing) {
-                console.log(`Import worker ${workerId}: Cancellation detected after queuing upload for ${file.name}`);
-                break;
+        };
+        
+        // Look for the asset anywhere in the archive, under any folder or name
+        const archiveMatches = await findInArchive(asset, importSettings, verification.algorithm);
+        archiveMatches.forEach((match, index) => {
+            if (match) {
+                assetResults[index].archivePath = match.path;
             }
-            
-            // Copy to backup if enabled (check for duplicates in backup independently)
-            let backupSkipped = false;
-            if (backupEnabled && finalBackupPath) {
-                const backupFilePath = await copyFileAsync(file, finalBackupPath, skipDuplicates);
-                if (backupFilePath !== null) {
-                    sendMessage('log', { message: `✓ Backed up: ${file.name}` });
-                } else {
-                    backupSkipped = true;
-                    sendMessage('log', { message: `⚠ Backup skipped (duplicate): ${file.name}` });
+        });
+        
+        if (isArchivedAsset(archiveMatches, importSettings)) {
+            asset.files.forEach((member, index) => {
+                assetResults[index].status = 'skipped';
+                journal?.recordArchived(member, archiveMatches[index].path);
+                sendMessage('log', { message: `⚠ Skipped (already in archive): ${member.name} → ${archiveMatches[index].path}` });
+            });
+            skippedCount += asset.files.length;
+            archivedCount += asset.files.length;
+            processedCount += asset.files.length;
+            assetProgress.finish();
+            sendProgress();
+            return;
+        }
+        
+        try {
+            console.log(`Import worker ${workerId}: Starting to process asset: ${file.name} (${asset.files.length} files), isProcessing: ${isProcessing}`);
+            for (const member of asset.files) {
+                sendMessage('log', { message: member.targetName ? `Processing: ${member.name} → ${member.targetName}` : `Processing: ${member.name}` });
+            }
+            archiveMatches.forEach((match, index) => {
+                if (match) {
+                    archivedCount++;
+                    sendMessage('log', { message: `⚠ Already in archive: ${asset.files[index].name} (${match.path})` });
                 }
+            });
+            if (file.captureTime) {
+                sendMessage('log', { message: `Date: ${describeCaptureTime({ date: file.captureTime, source: file.captureTimeSource, offset: file.captureTimeOffset })}` });
             }
             
-            // Check for cancellation after backup
+            // Determine destination folder from the primary file so the whole asset stays together
+            const folderName = organizeIntoFolders ? getFolderName(file, importSettings) : '';
+            
+            // Copy to every folder destination from a single read of each file,
+            // duplicates are checked in each location independently
+            const targets = folders.map(destination => ({
+                target: destination.id,
+                root: destination.rootPath,
+                dir: destination.getTargetDirectory(folderName)
+            }));
+            
+            console.log(`Import worker ${workerId}: About to copy asset ${file.name}, isProcessing: ${isProcessing}`);
+            const targetCopies = await copyAssetToTargets(asset, targets, skipDuplicates, verification, claims, onBytes);
+            folders.forEach((destination, targetIndex) => {
+                targetCopies[targetIndex].forEach((copy, index) => {
+                    assetResults[index].copies.push({ target: destination.id, ...copy });
+                    assetResults[index].destinations.push(destination.toResult(copy));
+                });
+                
+                for (const copy of targetCopies[targetIndex]) {
+                    if (copy.skipped) {
+                        // Duplicates are counted in the primary destination
+                        if (destination === primary) {
+                            skippedCount++;
+                        }
+                        console.log(`Import worker ${workerId}: File skipped as duplicate in ${destination.id}: ${copy.file.name}, skippedCount: ${skippedCount}`);
+                        sendMessage('log', { message: `⚠ Skipped duplicate in ${destination.getDisplayName()}: ${copy.file.name}` });
+                    } else {
+                        console.log(`Import worker ${workerId}: File copied successfully to ${destination.id}: ${copy.file.name}, isProcessing: ${isProcessing}`);
+                        sendMessage('log', { message: `✓ Copied to ${destination.getDisplayName()}: ${copy.file.name}${copy.verified ? ' (verified)' : ''}` });
+                    }
+                }
+            });
+            
+            addToCatalog(targetCopies.flat(), verification.algorithm);
+            
+            // Check for cancellation after copying
             if (!isProcessing) {
-                console.log(`Import worker ${workerId}: Cancellation detected after backup for ${file.name}`);
-                break;
+                console.log(`Import worker ${workerId}: Cancellation detected after copying ${file.name}`);
+                return;
             }
             
-            // Count as successful if copied to either destination or backup (or both)
-            if (!destinationSkipped || !backupSkipped) {
-                successCount++;
-                console.log(`Import worker ${workerId}: File processing completed: ${file.name}, successCount: ${successCount}`);
-                sendMessage('log', { message: `✓ Completed: ${file.name}` });
-            } else {
-                // Both destination and backup were skipped
-                console.log(`Import worker ${workerId}: File skipped in both destination and backup: ${file.name}`);
-                sendMessage('log', { message: `⚠ Skipped (duplicate in both locations): ${file.name}` });
+            // Queue the asset for upload to the cloud destinations (only files successfully copied to the primary destination)
+            const copiedFiles = targetCopies[0].filter(copy => !copy.skipped);
+            const uploadCopies = selectUploadFiles(copiedFiles.map(copy => copy.file), uploadJpegOnly === true)
+                .map(member => copiedFiles.find(copy => copy.file === member));
+            if (clouds.length > 0 && uploadCopies.length > 0) {
+                console.log(`Import worker ${workerId}: About to queue for upload: ${file.name} (${uploadCopies.length} files), isProcessing: ${isProcessing}`);
+                const remoteNames = uploadCopies.map(copy => getRemoteName(copy.filePath, file, importSettings, primary.rootPath));
+                for (const cloud of clouds) {
+                    cloud.queueFiles(uploadCopies, remoteNames, file.name).forEach((result, index) => {
+                        assetResults[asset.files.indexOf(uploadCopies[index].file)].destinations.push(result);
+                    });
+                }
+                uploadQueueCount += uploadCopies.length;
+                console.log(`Import worker ${workerId}: Asset queued for upload: ${file.name}, uploadQueueCount: ${uploadQueueCount}`);
+                sendMessage('log', { message: `✓ Queued for upload: ${uploadCopies.map(copy => copy.file.name).join(', ')}` });
             }
             
+            asset.files.forEach((member, index) => {
+                const fileResult = assetResults[index];
+                
+                // Verified only when every copy (or existing duplicate) matched the source checksum
+                fileResult.status = fileResult.copies.every(copy => copy.verified) ? 'verified' : 'unverified';
+                
+                // Count as successful if copied to any folder destination
+                if (targetCopies.some(copies => !copies[index].skipped)) {
+                    successCount++;
+                    console.log(`Import worker ${workerId}: File processing completed: ${member.name}, successCount: ${successCount}`);
+                    sendMessage('log', { message: `✓ Completed: ${member.name}` });
+                } else {
+                    // Every folder destination already had the file
+                    console.log(`Import worker ${workerId}: File skipped in every destination: ${member.name}`);
+                    sendMessage('log', { message: `⚠ Skipped (duplicate in ${folders.length > 1 ? 'all locations' : 'destination'}): ${member.name}` });
+                }
+            });
+            
         } catch (error) {
-            console.error(`Import worker ${workerId}: Failed to process file:`, file.name, error);
-            failCount++;
-            sendMessage('log', { message: `✗ Failed: ${file.name} - ${error.message}` });
+            console.error(`Import worker ${workerId}: Failed to process asset:`, file.name, error);
+            failCount += asset.files.length;
+            asset.files.forEach((member, index) => {
+                const fileResult = assetResults[index];
+                fileResult.status = 'failed';
+                fileResult.error = error.message;
+                fileResult.destinations = folders.map(destination => destination.toFailure(member, error));
+            });
+            sendMessage('log', { message: `✗ Failed: ${asset.files.map(member => member.name).join(', ')} - ${error.message}` });
         }
         
-        // Send progress update after processing each file
-        sendMessage('progress', {
-            totalFiles: files.length,
-            processedFiles: i + 1,
-            successfulFiles: successCount,
-            failedFiles: failCount,
-            skippedFiles: skippedCount,
-            uploadQueueCount: uploadQueueCount,
-            phase: 'copying'
-        });
+        // Send progress update after processing each asset
+        processedCount += asset.files.length;
+        assetProgress.finish();
+        sendProgress();
+    };
+    
+    const inFlight = new Set();
+    for (let i = 0; i < assets.length; i++) {
+        console.log(`Import worker ${workerId}: Processing asset ${i + 1}/${assets.length}, isProcessing: ${isProcessing}`);
+        if (shouldCancel || !isProcessing) {
+            console.log(`Import worker ${workerId}: Cancellation detected before processing asset index ${i}`);
+            break;
+        }
+        
+        const asset = assets[i];
+        const assetResults = asset.files.map(member => ({
+            name: member.name,
+            relativePath: member.relativePath,
+            status: 'unverified',
+            copies: [],
+            destinations: [] // DestinationResult of every destination the file went to
+        }));
+        fileResults.push(...assetResults);
+        
+        const task = limiter.run(devices, () => processAsset(asset, assetResults))
+            .finally(() => inFlight.delete(task));
+        inFlight.add(task);
+        
+        // Don't queue more assets than the disks can take, so a cancel stops quickly
+        if (inFlight.size >= maxInFlight) {
+            await Promise.race(inFlight);
+        }
     }
+    await Promise.all(inFlight);
     
     // Check if we were cancelled
     const wasCancelled = !isProcessing;
     
     // Log final upload summary if any files were queued
-    const hasAnyUploadEnabled = uploadToZenTransfer || importSettings.uploadToAwsS3 || importSettings.uploadToAzure || importSettings.uploadToGcp;
-    if (hasAnyUploadEnabled && uploadQueueCount > 0) {
+    if (clouds.length > 0 && uploadQueueCount > 0) {
         sendMessage('log', { message: `Total files queued for upload: ${uploadQueueCount}` });
     }
     
@@ -388,29 +1172,182 @@ async function processFiles(files, importSettings) {
     if (skippedCount > 0) {
         sendMessage('log', { message: `${skippedCount} duplicate files were skipped` });
     }
+    if (archivedCount > 0) {
+        sendMessage('log', { message: `${archivedCount} files were already in the archive` });
+    }
+    
+    for (const rate of meter.getRates()) {
+        sendMessage('log', { message: `${labels.get(rate.target) || rate.target}: ${formatBytes(rate.bytes)} written at ${formatBytes(rate.bytesPerSecond)}/s` });
+    }
+    
+    const verifiedCount = fileResults.filter(result => result.status === 'verified').length;
+    const unverifiedCount = fileResults.filter(result => result.status === 'unverified').length;
+    if (verification.enabled) {
+        sendMessage('log', { message: `${verifiedCount} files verified, ${unverifiedCount} unverified, ${failCount} failed` });
+    }
     
     if (wasCancelled) {
-        sendMessage('log', { message: `Import stopped - processed ${successCount} of ${files.length} files (${skippedCount} skipped)` });
+        sendMessage('log', { message: `Import stopped - processed ${successCount} of ${totalFiles} files (${skippedCount} skipped)` });
     }
     
     return {
-        totalFiles: files.length,
+        totalFiles: totalFiles,
         successfulFiles: successCount,
         failedFiles: failCount,
         skippedFiles: skippedCount,
+        archivedFiles: archivedCount,
         uploadQueueCount: uploadQueueCount,
+        verifiedFiles: verifiedCount,
+        unverifiedFiles: unverifiedCount,
+        throughput: meter.getRates(),
+        files: fileResults,
         phase: wasCancelled ? 'cancelled' : 'completed',
         wasCancelled: wasCancelled
     };
 }
 
+/**
+ * Size of all files of an asset
+ */
+function getAssetSize(asset) {
+    return asset.files.reduce((sum, file) => sum + (file.size || 0), 0);
+}
+
+/**
+ * Release the card after a verified import
+ * Only when every imported file is checksum-verified on enough destinations: writes a
+ * receipt and wipes the imported files if requested, and tells the main process to eject.
+ * @returns {Promise<Object|null>} Card release result ({ eject, sourcePath, reason }) or null if not requested
+ */
+async function releaseCard(importSettings, assets, results, destinations) {
+    const { sourcePath, ejectAfterImport, wipeCardAfterImport } = importSettings;
+    if (!ejectAfterImport && !wipeCardAfterImport) {
+        return null;
+    }
+    
+    if (results.wasCancelled) {
+        sendMessage('log', { message: '⚠ Card not released: import was stopped' });
+        return { eject: false, sourcePath, reason: 'Import was stopped' };
+    }
+    
+    const minVerifiedCopies = Number(importSettings.ejectMinVerifiedCopies) || 1;
+    const importedFiles = getImportedFiles(assets, results.files);
+    const { ready, reason } = checkCardRelease(importedFiles, minVerifiedCopies);
+    if (!ready) {
+        sendMessage('log', { message: `⚠ Card not released: ${reason}` });
+        return { eject: false, sourcePath, reason };
+    }
+    
+    if (wipeCardAfterImport) {
+        try {
+            const receiptPath = writeReceipt(destinations.folders[0].rootPath, importSettings, importedFiles, { wipe: true });
+            sendMessage('log', { message: `✓ Receipt written: ${receiptPath}` });
+            
+            const { deleted, failed } = await wipeImportedFiles(importedFiles);
+            appendToReceipt(receiptPath, `Deleted from card: ${deleted} files${failed.length > 0 ? `, ${failed.length} could not be deleted` : ''}`);
+            sendMessage('log', { message: `✓ Deleted ${deleted} imported files from card` });
+            for (const failure of failed) {
+                sendMessage('log', { message: `✗ Could not delete ${failure.path} - ${failure.error}` });
+            }
+        } catch (error) {
+            console.error(`Import worker ${workerId}: Card wipe failed:`, error);
+            sendMessage('log', { message: `✗ Card not wiped: ${error.message}` });
+        }
+    }
+    
+    return { eject: ejectAfterImport === true, sourcePath, reason: null };
+}
+
+/**
+ * Write a manifest (JSON and ASC-MHL) into the root of every folder destination
+ * A manifest that can't be written is logged, it doesn't fail the import.
+ */
+function writeManifests(importSettings, assets, results, destinations) {
+    const importedFiles = getImportedFiles(assets, results.files);
+    const roots = destinations.folders.map(destination => ({
+        target: destination.id,
+        label: destination.getDisplayName(),
+        rootPath: destination.rootPath
+    }));
+    
+    const info = {
+        algorithm: importSettings.checksumAlgorithm || DEFAULT_CHECKSUM_ALGORITHM,
+        sourcePath: importSettings.sourcePath,
+        jobId,
+        presetId: importSettings.presetId,
+        appVersion: workerData.appVersion
+    };
+    
+    for (const { target, label, rootPath } of roots) {
+        try {
+            const written = writeManifest(rootPath, target, importedFiles, info);
+            if (!written) continue;
+            
+            sendMessage('log', { message: `✓ ${label} manifest written: ${written.manifestPath}` });
+            if (written.mhlPath) {
+                sendMessage('log', { message: `✓ ${label} ASC-MHL written: ${written.mhlPath}` });
+            } else {
+                sendMessage('log', { message: `⚠ No ASC-MHL for ${label.toLowerCase()}: ASC-MHL has no ${info.algorithm.toUpperCase()} hashes` });
+            }
+        } catch (error) {
+            console.error(`Import worker ${workerId}: Failed to write manifest to ${rootPath}:`, error);
+            sendMessage('log', { message: `✗ ${label} manifest not written: ${error.message}` });
+        }
+    }
+}
+
+/**
+ * Get every file of the import with its copies and which of them are verified
+ * Uses the journal when there is one, so files done before a resume are included.
+ */
+function getImportedFiles(assets, fileResults) {
+    if (journal) {
+        return journal.assets.flatMap(asset => asset.files).map(file => {
+            const copies = journal.getCopies(file);
+            const archivePath = journal.getArchivePath(file);
+            return {
+                name: file.name,
+                path: file.path,
+                relativePath: file.relativePath,
+                size: file.size,
+                captureTime: file.captureTime,
+                captureTimeSource: file.captureTimeSource,
+                checksum: copies.find(copy => copy.checksum)?.checksum || null,
+                copies: copies.map(copy => ({ ...copy, skipped: copy.state === 'skipped' })),
+                verifiedCopies: copies.filter(copy => copy.verified),
+                archivePath,
+                failed: !archivePath && copies.length < journal.targets.length
+            };
+        });
+    }
+    
+    const resultsByPath = new Map(fileResults.map(result => [result.relativePath, result]));
+    return assets.flatMap(asset => asset.files).map(file => {
+        const result = resultsByPath.get(file.relativePath);
+        return {
+            name: file.name,
+            path: file.path,
+            relativePath: file.relativePath,
+            size: file.size,
+            captureTime: file.captureTime,
+            captureTimeSource: file.captureTimeSource,
+            checksum: file.checksum || null,
+            copies: result ? result.copies : [],
+            verifiedCopies: result ? result.copies.filter(copy => copy.verified) : [],
+            archivePath: result && result.status === 'skipped' ? result.archivePath || null : null,
+            failed: !result || result.status === 'failed'
+        };
+    });
+}
+
 /**
  * Check if a file already exists and is a duplicate
  * @param {Object} sourceFile - Source file object with path, name, and size
  * @param {string} destinationPath - Destination file path to check
- * @returns {boolean} True if file exists and is a duplicate
+ * @param {Object} verification - Verification options ({ enabled, algorithm })
+ * @returns {Promise<boolean>} True if file exists and is a duplicate
  */
-function isDuplicateFile(sourceFile, destinationPath) {
+async function isDuplicateFile(sourceFile, destinationPath, verification = {}) {
     if (!fs.existsSync(destinationPath)) {
         return false; // File doesn't exist, not a duplicate
     }
@@ -419,12 +1356,22 @@ function isDuplicateFile(sourceFile, destinationPath) {
         const destinationStats = fs.statSync(destinationPath);
         
         // Check if file sizes match (basic duplicate detection)
-        if (sourceFile.size === destinationStats.size) {
-            console.log(`Import worker ${workerId}: Duplicate detected - ${sourceFile.name} (size: ${sourceFile.size} bytes)`);
-            return true;
+        if (sourceFile.size !== destinationStats.size) {
+            return false;
         }
         
-        return false;
+        // With verification enabled, only identical content counts as a duplicate
+        if (verification.enabled) {
+            const sourceChecksum = await getSourceChecksum(sourceFile, verification.algorithm);
+            const destinationChecksum = await hashFile(destinationPath, verification.algorithm);
+            if (sourceChecksum !== destinationChecksum) {
+                console.log(`Import worker ${workerId}: Same size but different content - ${sourceFile.name}`);
+                return false;
+            }
+        }
+        
+        console.log(`Import worker ${workerId}: Duplicate detected - ${sourceFile.name} (size: ${sourceFile.size} bytes)`);
+        return true;
     } catch (error) {
         console.warn(`Import worker ${workerId}: Failed to check duplicate for ${destinationPath}:`, error);
         return false; // If we can't check, assume not duplicate
@@ -432,98 +1379,425 @@ function isDuplicateFile(sourceFile, destinationPath) {
 }
 
 /**
- * Copy file to destination
+ * Get the checksum of a source file, hashing it once per import
+ */
+async function getSourceChecksum(file, algorithm) {
+    if (!file.checksum) {
+        file.checksum = await hashFile(file.path, algorithm);
+    }
+    return file.checksum;
+}
+
+/**
+ * Load the archive catalog for an import or preview
+ * Imports always add their copies to the catalog, lookups only run when archive duplicates are skipped or flagged.
+ * @returns {ArchiveCatalog|null} Catalog, or null without a catalog path
  */
-async function copyFileAsync(file, destinationDir, skipDuplicates = true) {
-    console.log(`Import worker ${workerId}: copyFileAsync called for ${file.name}, skipDuplicates: ${skipDuplicates}`);
+function loadCatalog(catalogPath, importSettings) {
+    if (!catalogPath) {
+        return null;
+    }
     
-    // Ensure destination directory exists
-    if (!fs.existsSync(destinationDir)) {
-        fs.mkdirSync(destinationDir, { recursive: true });
+    const archiveCatalog = ArchiveCatalog.load(catalogPath);
+    if (isArchiveLookupEnabled(importSettings)) {
+        sendMessage('log', { message: `Checking ${archiveCatalog.size} archived files for duplicates` });
+    }
+    return archiveCatalog;
+}
+
+/**
+ * Find archived copies of every file of an asset
+ * Source files are only hashed when the catalog holds a file of the same size.
+ * @returns {Promise<Array<Object|null>>} Catalog record per asset file, null when not archived
+ */
+async function findInArchive(asset, importSettings, algorithm) {
+    if (!catalog || !isArchiveLookupEnabled(importSettings)) {
+        return asset.files.map(() => null);
     }
     
-    const destinationFile = path.join(destinationDir, file.name);
+    const matches = [];
+    for (const file of asset.files) {
+        try {
+            matches.push(await catalog.find(file, algorithm, member => getSourceChecksum(member, algorithm)));
+        } catch (error) {
+            console.warn(`Import worker ${workerId}: Failed to look up ${file.name} in the archive catalog:`, error);
+            matches.push(null);
+        }
+    }
+    return matches;
+}
+
+function isArchiveLookupEnabled(importSettings) {
+    return importSettings.archiveDuplicates === ArchiveDuplicateMode.SKIP || importSettings.archiveDuplicates === ArchiveDuplicateMode.FLAG;
+}
+
+/**
+ * An asset is left out only when all of its files are already archived
+ */
+function isArchivedAsset(archiveMatches, importSettings) {
+    return importSettings.archiveDuplicates === ArchiveDuplicateMode.SKIP && archiveMatches.every(match => match !== null);
+}
+
+/**
+ * Record copies in the archive catalog
+ * Skipped duplicates are only recorded when their content was compared by checksum.
+ */
+function addToCatalog(copies, algorithm) {
+    if (!catalog) {
+        return;
+    }
+    
+    for (const copy of copies) {
+        const hash = copy.checksum || copy.file.checksum;
+        if (!hash || (copy.skipped && !copy.verified)) {
+            continue;
+        }
+        
+        try {
+            catalog.add({ path: copy.filePath, size: copy.file.size, modified: fs.statSync(copy.filePath).mtimeMs, algorithm, hash });
+        } catch (error) {
+            console.warn(`Import worker ${workerId}: Failed to add ${copy.filePath} to the archive catalog:`, error);
+        }
+    }
+}
+
+/**
+ * Copy all files of an asset to one or more target directories
+ * Each file is read once and written to every target that needs it. Duplicates are decided
+ * per asset and target: existing identical files are skipped, but if any member clashes with
+ * a different file the whole asset moves to a new "name (n)" so RAW, JPEG and sidecars keep matching names.
+ * @param {Object} asset - Asset from groupIntoAssets
+ * @param {Array<{target: string, root: string, dir: string}>} targets - Id, root and target directory of the folder destination
+ * @param {boolean} skipDuplicates - Skip files that already exist with the same content
+ * @param {Object} verification - Verification options ({ enabled, algorithm, hashWhileCopying })
+ * @param {PathClaims} claims - Paths taken by copies in flight
+ * @param {Function} onBytes - Called with ('source', bytes) for each chunk read and (target, bytes) for each chunk written
+ * @returns {Promise<Array<Array<{file: Object, filePath: string, skipped: boolean, verified: boolean, checksum: string|null}>>>} Copy result per target and asset file
+ */
+async function copyAssetToTargets(asset, targets, skipDuplicates, verification, claims, onBytes) {
+    console.log(`Import worker ${workerId}: copyAssetToTargets called for ${asset.primary.name} (${asset.files.length} files, ${targets.length} targets), skipDuplicates: ${skipDuplicates}`);
+    
+    // Decide target names one asset at a time and claim them until the copies are written
+    const claimedPaths = [];
+    const decisions = await claims.exclusive(async () => {
+        const result = [];
+        for (const { root, dir } of targets) {
+            // Create the dated folders below the root, a root that went away means the drive or share was unmounted
+            if (!fs.existsSync(dir)) {
+                if (!fs.existsSync(root)) {
+                    throw new Error(`${root} is not available, check that the drive or share is mounted`);
+                }
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            
+            const decision = await resolveAssetTarget(asset, dir, skipDuplicates, verification, claims.paths);
+            const filePaths = asset.files
+                .filter(file => !decision.duplicates.has(file))
+                .map(file => path.join(dir, `${decision.baseName}${file.nameSuffix}`));
+            claims.claim(filePaths);
+            claimedPaths.push(...filePaths);
+            result.push(decision);
+        }
+        return result;
+    });
+    
+    try {
+        const results = targets.map(() => []);
+        for (const file of asset.files) {
+            const writes = [];
+            targets.forEach(({ target, dir }, index) => {
+                const destinationFile = path.join(dir, `${decisions[index].baseName}${file.nameSuffix}`);
+                if (!decisions[index].duplicates.has(file)) {
+                    writes.push({ index, target, destinationFile });
+                    return;
+                }
+                
+                console.log(`Import worker ${workerId}: Skipping duplicate file: ${file.name} in ${target}`);
+                const copy = {
+                    filePath: destinationFile,
+                    skipped: true,
+                    verified: verification.enabled === true, // Content was compared by checksum
+                    checksum: file.checksum || null
+                };
+                journal?.recordCopyFinished(file, target, copy);
+                results[index].push({ file, ...copy });
+            });
+            
+            if (writes.length === 0) {
+                continue;
+            }
+            
+            writes.forEach(write => journal?.recordCopyStarted(file, write.target, write.destinationFile));
+            const copies = await copyAndVerify(file, writes.map(write => write.destinationFile), verification, (writeIndex, bytes) => {
+                onBytes(writes[writeIndex].target, bytes);
+                // Every chunk goes to all writes, count the read once
+                if (writeIndex === 0) {
+                    onBytes('source', bytes);
+                }
+            });
+            writes.forEach((write, writeIndex) => {
+                journal?.recordCopyFinished(file, write.target, copies[writeIndex]);
+                results[write.index].push({ file, ...copies[writeIndex] });
+            });
+        }
+        
+        return results;
+    } finally {
+        claims.release(claimedPaths);
+    }
+}
+
+/**
+ * Decide the base name of an asset in a destination directory and which members are duplicates
+ * @param {Object} asset - Asset from groupIntoAssets
+ * @param {string} destinationDir - Destination directory
+ * @param {boolean} skipDuplicates - Skip files that already exist with the same content
+ * @param {Object} verification - Verification options ({ enabled, algorithm })
+ * @param {Set<string>} claimedPaths - Paths taken by other assets of this run (planned by a preview or being copied)
+ * @returns {Promise<{baseName: string, duplicates: Set<Object>, renamed: boolean}>} Target decision
+ */
+async function resolveAssetTarget(asset, destinationDir, skipDuplicates, verification, claimedPaths = new Set()) {
+    const fileExists = filePath => claimedPaths.has(filePath) || fs.existsSync(filePath);
+    const duplicates = new Set();
     
-    // Check if file already exists
-    if (fs.existsSync(destinationFile)) {
+    for (const file of asset.files) {
+        const destinationFile = path.join(destinationDir, `${asset.targetBaseName}${file.nameSuffix}`);
+        if (!fileExists(destinationFile)) {
+            continue;
+        }
+        
+        // Claimed files aren't written yet (or only partly) so they can't be compared and always clash
         console.log(`Import worker ${workerId}: File ${file.name} already exists at destination`);
-        if (skipDuplicates && isDuplicateFile(file, destinationFile)) {
-            // File is a duplicate and we're skipping duplicates
-            console.log(`Import worker ${workerId}: Skipping duplicate file: ${file.name}`);
-            sendMessage('log', { message: `⚠ Skipped duplicate: ${file.name}` });
-            return null; // Return null to indicate file was skipped
+        if (skipDuplicates && !claimedPaths.has(destinationFile) && await isDuplicateFile(file, destinationFile, verification)) {
+            duplicates.add(file);
         } else {
             // File exists but either we're not skipping duplicates or it's not a duplicate
-            // Generate unique name
-            console.log(`Import worker ${workerId}: Generating unique filename for: ${file.name} (skipDuplicates: ${skipDuplicates})`);
-            const finalPath = generateUniqueFilename(destinationFile);
-            await fs.promises.copyFile(file.path, finalPath);
-            return finalPath;
+            console.log(`Import worker ${workerId}: Generating unique name for asset: ${asset.primary.name} (skipDuplicates: ${skipDuplicates})`);
+            return { baseName: generateUniqueBaseName(destinationDir, asset, fileExists), duplicates: new Set(), renamed: true };
         }
-    } else {
-        // File doesn't exist, copy normally
-        console.log(`Import worker ${workerId}: File ${file.name} doesn't exist, copying normally`);
-        await fs.promises.copyFile(file.path, destinationFile);
-        return destinationFile;
     }
+    
+    return { baseName: asset.targetBaseName, duplicates, renamed: false };
 }
 
 /**
- * Generate unique filename if file already exists
+ * Plan an import without writing anything
+ * Runs the same folder, naming and duplicate decisions as processFiles.
+ * @param {Array<Object>} assets - Prepared assets
+ * @param {Object} importSettings - Import settings
+ * @param {Object} destinations - Destinations from initializeDestinations
+ * @returns {Promise<Array<Object>>} Plan rows, one per file
  */
-function generateUniqueFilename(filePath) {
-    const dir = path.dirname(filePath);
-    const ext = path.extname(filePath);
-    const nameWithoutExt = path.basename(filePath, ext);
+async function planImport(assets, importSettings, destinations) {
+    const { organizeIntoFolders, skipDuplicates, uploadJpegOnly } = importSettings;
+    const { folders, clouds } = destinations;
+    const verification = {
+        enabled: importSettings.verifyCopies === true,
+        algorithm: importSettings.checksumAlgorithm || DEFAULT_CHECKSUM_ALGORITHM
+    };
     
+    // Paths claimed by earlier assets of this run, as if they had been copied
+    const plannedPaths = new Set();
+    
+    const planTarget = async (asset, targetDir) => {
+        const { baseName, duplicates, renamed } = await resolveAssetTarget(asset, targetDir, skipDuplicates, verification, plannedPaths);
+        return asset.files.map(file => {
+            const filePath = path.join(targetDir, `${baseName}${file.nameSuffix}`);
+            const skipped = duplicates.has(file);
+            if (!skipped) {
+                plannedPaths.add(filePath);
+            }
+            return { filePath, action: skipped ? PlanAction.SKIP : (renamed ? PlanAction.RENAME : PlanAction.COPY) };
+        });
+    };
+    
+    // Rows keep the destination and backup columns, copies lists every folder destination
+    const toCopy = (destination, filePath, action) => ({ target: destination.id, label: destination.getDisplayName(), filePath, action });
+    const toRow = (file, copies, uploadKey, archiveMatch) => {
+        const backup = copies.find(copy => copy.target === 'backup');
+        return {
+            source: file.relativePath,
+            size: file.size,
+            destination: copies[0].filePath,
+            destinationAction: copies[0].action,
+            backup: backup ? backup.filePath : null,
+            backupAction: backup ? backup.action : null,
+            copies,
+            uploadKey,
+            archivePath: archiveMatch ? archiveMatch.path : null
+        };
+    };
+    
+    const rows = [];
+    for (const asset of assets) {
+        if (shouldCancel) {
+            break;
+        }
+        
+        const folderName = organizeIntoFolders ? getFolderName(asset.primary, importSettings) : '';
+        const archiveMatches = await findInArchive(asset, importSettings, verification.algorithm);
+        if (isArchivedAsset(archiveMatches, importSettings)) {
+            asset.files.forEach((file, index) => rows.push(toRow(
+                file,
+                folders.map(destination => toCopy(destination, null, PlanAction.ARCHIVED)),
+                null,
+                archiveMatches[index]
+            )));
+            continue;
+        }
+        
+        const targetPlans = [];
+        for (const destination of folders) {
+            targetPlans.push(await planTarget(asset, destination.getTargetDirectory(folderName)));
+        }
+        
+        const primaryPlan = targetPlans[0];
+        const copiedFiles = asset.files.filter((file, index) => primaryPlan[index].action !== PlanAction.SKIP);
+        const uploadFiles = clouds.length > 0 ? selectUploadFiles(copiedFiles, uploadJpegOnly === true) : [];
+        
+        asset.files.forEach((file, index) => {
+            const copies = folders.map((destination, targetIndex) => toCopy(destination, targetPlans[targetIndex][index].filePath, targetPlans[targetIndex][index].action));
+            const uploadKey = uploadFiles.includes(file) ? getRemoteName(primaryPlan[index].filePath, asset.primary, importSettings, folders[0].rootPath) : null;
+            rows.push(toRow(file, copies, uploadKey, archiveMatches[index]));
+        });
+    }
+    
+    return rows;
+}
+
+/**
+ * Copy a file to one or more targets, hashing it while streaming, then read the copies back and compare
+ * Copies that don't match are rewritten up to MAX_COPY_ATTEMPTS times before failing the file.
+ * @param {Object} file - Source file
+ * @param {Array<string>} destinationFiles - Target files
+ * @param {Object} verification - Verification options ({ enabled, algorithm, hashWhileCopying })
+ * @param {Function} onBytes - Called with (targetIndex, bytes) while writing
+ * @returns {Promise<Array<{filePath: string, skipped: boolean, verified: boolean, checksum: string|null}>>} Copy result per target
+ */
+async function copyAndVerify(file, destinationFiles, verification, onBytes) {
+    if (!verification.enabled) {
+        const algorithm = verification.hashWhileCopying ? verification.algorithm : null;
+        const checksum = await copyToTargets(file.path, destinationFiles, { algorithm, onBytes });
+        return destinationFiles.map(filePath => ({ filePath, skipped: false, verified: false, checksum }));
+    }
+    
+    const results = [];
+    let pending = destinationFiles.map((filePath, index) => index);
+    for (let attempt = 1; attempt <= MAX_COPY_ATTEMPTS && pending.length > 0; attempt++) {
+        const attemptTargets = pending;
+        const streamedChecksum = await copyToTargets(file.path, attemptTargets.map(index => destinationFiles[index]), {
+            algorithm: verification.algorithm,
+            onBytes: (attemptIndex, bytes) => onBytes(attemptTargets[attemptIndex], bytes)
+        });
+        if (!file.checksum) {
+            file.checksum = streamedChecksum;
+        }
+        
+        // Read the copies back at the same time, they are usually on different disks
+        // Flushed first so a verified copy is on the disk before the card may be wiped
+        const copiedChecksums = await Promise.all(attemptTargets.map(async index => {
+            await syncFile(destinationFiles[index]);
+            return hashFile(destinationFiles[index], verification.algorithm);
+        }));
+        
+        pending = [];
+        attemptTargets.forEach((index, attemptIndex) => {
+            const destinationFile = destinationFiles[index];
+            const copiedChecksum = copiedChecksums[attemptIndex];
+            if (streamedChecksum === file.checksum && copiedChecksum === file.checksum) {
+                console.log(`Import worker ${workerId}: Verified ${destinationFile} (${verification.algorithm} ${copiedChecksum})`);
+                results[index] = { filePath: destinationFile, skipped: false, verified: true, checksum: copiedChecksum };
+                return;
+            }
+            
+            console.warn(`Import worker ${workerId}: Checksum mismatch for ${destinationFile} (attempt ${attempt}/${MAX_COPY_ATTEMPTS}): source ${file.checksum}, read ${streamedChecksum}, copy ${copiedChecksum}`);
+            sendMessage('log', { message: `⚠ Checksum mismatch: ${file.name} (attempt ${attempt}/${MAX_COPY_ATTEMPTS})` });
+            pending.push(index);
+        });
+    }
+    
+    if (pending.length === 0) {
+        return results;
+    }
+    
+    // Don't leave a corrupt copy behind that could later pass as a duplicate
+    for (const index of pending) {
+        try {
+            await fs.promises.unlink(destinationFiles[index]);
+        } catch (unlinkError) {
+            console.warn(`Import worker ${workerId}: Failed to remove corrupt copy ${destinationFiles[index]}:`, unlinkError);
+        }
+    }
+    
+    throw new Error(`Checksum verification failed after ${MAX_COPY_ATTEMPTS} attempts`);
+}
+
+/**
+ * Get the object name used by cloud services for a copied file
+ * Mirrors the destination layout (folders and renamed file) with forward slashes,
+ * unless a cloud prefix template gives the asset its own key prefix.
+ * @param {string} destinationFilePath - Copy in the primary folder destination
+ * @param {Object} file - Primary file of the asset, the prefix is rendered from it
+ * @param {Object} importSettings - Import settings
+ * @param {string} rootPath - Root of the primary folder destination
+ */
+function getRemoteName(destinationFilePath, file, importSettings, rootPath) {
+    if (importSettings.cloudPrefixTemplate) {
+        const prefix = renderFolderPath(importSettings.cloudPrefixTemplate, file, getFolderContext(importSettings));
+        return `${prefix}/${path.basename(destinationFilePath)}`;
+    }
+    return path.relative(rootPath, destinationFilePath).split(path.sep).join('/');
+}
+
+/**
+ * Generate a base name that is free for every file of an asset
+ */
+function generateUniqueBaseName(destinationDir, asset, fileExists = fs.existsSync) {
     let counter = 1;
-    let uniquePath;
+    let baseName;
     
     do {
-        uniquePath = path.join(dir, `${nameWithoutExt} (${counter})${ext}`);
+        baseName = `${asset.targetBaseName} (${counter})`;
         counter++;
-    } while (fs.existsSync(uniquePath));
+    } while (asset.files.some(file => fileExists(path.join(destinationDir, `${baseName}${file.nameSuffix}`))));
     
-    return uniquePath;
+    return baseName;
 }
 
 /**
  * Get folder name for file organization
+ * Template folders use "/" between subfolders, path.join turns them into the platform separator.
  */
-function getFolderName(file, type, customName, dateFormat) {
+function getFolderName(file, importSettings) {
+    const { folderOrganizationType: type, customFolderName: customName, dateFormat } = importSettings;
     if (type === 'custom') {
         return customName || 'Imported Files';
+    } else if (type === 'template') {
+        return renderFolderPath(importSettings.folderTemplate, file, getFolderContext(importSettings));
     } else {
-        // Use file creation date or current date
-        const date = file.created ? new Date(file.created) : new Date();
-        return formatDateForFolder(date, dateFormat);
+        // Use capture time, then file creation date, then current date
+        const captureDate = file.captureTime || file.created;
+        const date = captureDate ? new Date(captureDate) : new Date();
+        const folderPath = formatFolderDate(date, dateFormat, {
+            locale: importSettings.dateLocale,
+            rolloverHour: importSettings.dayRolloverHour
+        });
+        // Typed patterns may hold characters folders can't have ("HH:mm")
+        return folderPath.split('/').map(sanitizeNamePart).join('/');
     }
 }
 
 /**
- * Format date according to the selected format
+ * Values of the job-level tokens in folder templates
  */
-function formatDateForFolder(date, format) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 
-                       'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-    const monthName = monthNames[date.getMonth()];
-
-    switch (format) {
-        case '2025/05/26': return `${year}/${month}/${day}`;
-        case '2025-05-26': return `${year}-${month}-${day}`;
-        case '2025/2025-05-26': return `${year}/${year}-${month}-${day}`;
-        case '2025/may 26': return `${year}/${monthName} ${day}`;
-        case '2025/05': return `${year}/${month}`;
-        case '2025/may': return `${year}/${monthName}`;
-        case '2025/may/26': return `${year}/${monthName}/${day}`;
-        case '2025/2025-05/2025-05-26': return `${year}/${year}-${month}/${year}-${month}-${day}`;
-        case '2025 may 26': return `${year} ${monthName} ${day}`;
-        case '20250526': return `${year}${month}${day}`;
-        default: return `${year}/${month}/${day}`;
-    }
+function getFolderContext(importSettings) {
+    return {
+        job: importSettings.jobName,
+        photographer: importSettings.photographer,
+        card: path.basename(path.resolve(importSettings.sourcePath)),
+        locale: importSettings.dateLocale,
+        rolloverHour: importSettings.dayRolloverHour
+    };
 }
 
 /**
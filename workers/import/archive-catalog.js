@@ -0,0 +1,231 @@
+/**
+ * Archive Catalog
+ * Content hashes of every imported file, kept as a JSON-lines file in userData so
+ * a file already in the archive is recognized whatever folder or name it got.
+ *
+ * One record per line, a later record for the same path replaces the earlier one:
+ *   { path, size, modified, algorithm, hash, importedAt }
+ *
+ * Files are indexed by size, so a source file is only hashed when the archive
+ * holds a file of exactly the same size.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_CHECKSUM_ALGORITHM, hashFile } = require('./file-hasher');
+const { isArchiveFile } = require('./import-manifest');
+
+const ArchiveDuplicateMode = {
+    OFF: 'off',
+    SKIP: 'skip', // Don't import files that are already in the archive
+    FLAG: 'flag'  // Import them anyway and report where the archived copy is
+};
+
+class ArchiveCatalog {
+    /**
+     * @param {string} filePath - Catalog file path
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.entries = new Map(); // path -> record
+        this.pathsBySize = new Map(); // size -> Set of paths
+    }
+
+    /**
+     * Load a catalog, an empty one if the file does not exist yet
+     * @param {string} filePath - Catalog file path
+     * @returns {ArchiveCatalog} Catalog
+     */
+    static load(filePath) {
+        const catalog = new ArchiveCatalog(filePath);
+        if (!fs.existsSync(filePath)) {
+            return catalog;
+        }
+
+        for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+
+            try {
+                catalog.index(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Skipping unreadable archive catalog record in ${filePath}`);
+            }
+        }
+
+        return catalog;
+    }
+
+    /**
+     * Number of cataloged files
+     * @returns {number} File count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Find an archived copy of a file
+     * @param {Object} file - File ({ path, size })
+     * @param {string} algorithm - Checksum algorithm
+     * @param {Function} getChecksum - Returns the file's checksum, only called when a same-size file is cataloged
+     * @returns {Promise<Object|null>} Catalog record of an archived copy that still exists
+     */
+    async find(file, algorithm, getChecksum) {
+        const candidates = Array.from(this.pathsBySize.get(file.size) || [])
+            .map(filePath => this.entries.get(filePath))
+            .filter(record => record.algorithm === algorithm && record.path !== file.path);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const checksum = await getChecksum(file);
+        return candidates.find(record => record.hash === checksum && fs.existsSync(record.path)) || null;
+    }
+
+    /**
+     * Get the records of the files below a folder
+     * @param {string} rootPath - Archive folder
+     * @returns {Array<Object>} Catalog records
+     */
+    getRecords(rootPath) {
+        const root = path.resolve(rootPath);
+        return Array.from(this.entries.values()).filter(record => isInside(root, record.path));
+    }
+
+    /**
+     * Add or replace the record of an archived file
+     * @param {Object} record - File record ({ path, size, modified, algorithm, hash })
+     */
+    add(record) {
+        const entry = {
+            path: record.path,
+            size: record.size,
+            modified: record.modified || null,
+            algorithm: record.algorithm,
+            hash: record.hash,
+            importedAt: record.importedAt || new Date().toISOString()
+        };
+
+        this.index(entry);
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.appendFileSync(this.filePath, `${JSON.stringify(entry)}\n`);
+    }
+
+    /**
+     * Rebuild the records of a destination root by rescanning it
+     * Files whose size and modification time did not change keep their hash.
+     * @param {string} rootPath - Archive root to scan
+     * @param {Object} options - Rebuild options
+     * @param {string} options.algorithm - Checksum algorithm
+     * @param {Function} options.shouldStop - Returns true to stop early, the catalog is then left unchanged
+     * @param {Function} options.onProgress - Called with ({ scannedFiles, hashedFiles }) after each file
+     * @returns {Promise<{files: number, hashed: number, removed: number, stopped: boolean}>} Rebuild result
+     */
+    async rebuild(rootPath, options = {}) {
+        const algorithm = options.algorithm || DEFAULT_CHECKSUM_ALGORITHM;
+        const shouldStop = options.shouldStop || (() => false);
+        const root = path.resolve(rootPath);
+
+        if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+            throw new Error(`Archive folder does not exist: ${rootPath}`);
+        }
+
+        const previous = new Map(this.getRecords(root).map(record => [record.path, record]));
+
+        const records = [];
+        let hashed = 0;
+        for (const file of listFiles(root)) {
+            if (shouldStop()) {
+                return { files: records.length, hashed, removed: 0, stopped: true };
+            }
+
+            const known = previous.get(file.path);
+            if (known && known.algorithm === algorithm && known.size === file.size && known.modified === file.modified) {
+                records.push(known);
+            } else {
+                records.push({ ...file, algorithm, hash: await hashFile(file.path, algorithm), importedAt: new Date().toISOString() });
+                hashed++;
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ scannedFiles: records.length, hashedFiles: hashed });
+            }
+        }
+
+        const kept = new Set(records.map(record => record.path));
+        const removed = Array.from(previous.keys()).filter(filePath => !kept.has(filePath)).length;
+
+        for (const filePath of previous.keys()) {
+            this.unindex(filePath);
+        }
+        records.forEach(record => this.index(record));
+        this.compact();
+
+        return { files: records.length, hashed, removed, stopped: false };
+    }
+
+    /**
+     * Rewrite the catalog file with one record per file
+     */
+    compact() {
+        const tempPath = `${this.filePath}.tmp`;
+        const lines = Array.from(this.entries.values()).map(record => `${JSON.stringify(record)}\n`);
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, lines.join(''));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    index(record) {
+        this.unindex(record.path);
+        this.entries.set(record.path, record);
+
+        if (!this.pathsBySize.has(record.size)) {
+            this.pathsBySize.set(record.size, new Set());
+        }
+        this.pathsBySize.get(record.size).add(record.path);
+    }
+
+    unindex(filePath) {
+        const existing = this.entries.get(filePath);
+        if (!existing) return;
+
+        this.entries.delete(filePath);
+        const paths = this.pathsBySize.get(existing.size);
+        paths.delete(filePath);
+        if (paths.size === 0) {
+            this.pathsBySize.delete(existing.size);
+        }
+    }
+}
+
+// Every archived file below a folder, hidden files (probes, .DS_Store), manifests and receipts excluded
+function listFiles(rootPath) {
+    const files = [];
+    const scanDir = (dirPath) => {
+        for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+            if (entry.name.startsWith('.')) continue;
+
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                scanDir(fullPath);
+            } else if (entry.isFile() && isArchiveFile(fullPath)) {
+                const stats = fs.statSync(fullPath);
+                files.push({ path: fullPath, size: stats.size, modified: stats.mtimeMs });
+            }
+        }
+    };
+
+    scanDir(rootPath);
+    return files;
+}
+
+function isInside(rootPath, filePath) {
+    const relative = path.relative(rootPath, filePath);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = {
+    ArchiveCatalog,
+    ArchiveDuplicateMode
+};
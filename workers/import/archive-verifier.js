@@ -0,0 +1,251 @@
+/**
+ * Archive Verifier
+ * Re-checks an archive folder against what was recorded when its files were
+ * imported: the import manifests found anywhere below the folder and, for files
+ * no manifest lists, the archive catalog. Every file is re-hashed, so bit rot
+ * and files changed or removed behind the app's back are found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./file-hasher');
+const { MANIFEST_PREFIX, MHL_DIRECTORY, readManifest, isArchiveFile } = require('./import-manifest');
+
+const REPORT_PREFIX = 'ZenTransfer-verify';
+
+const VerifyStatus = {
+    VERIFIED: 'verified',
+    MODIFIED: 'modified',   // Size or hash differs from the recorded one
+    MISSING: 'missing',     // Recorded, but no longer on disk
+    EXTRA: 'extra',         // On disk, but not recorded anywhere
+    UNCHECKED: 'unchecked'  // Recorded without a hash, only the size could be compared
+};
+
+/**
+ * Verify the files below an archive folder
+ * @param {string} rootPath - Archive folder (a destination or backup root, or any folder above them)
+ * @param {Object} options - Verify options
+ * @param {ArchiveCatalog} options.catalog - Catalog for files without a manifest (optional)
+ * @param {Function} options.shouldStop - Returns true to stop early
+ * @param {Function} options.onStart - Called with ({ totalFiles, totalBytes }) of the files to hash, once the folder is scanned
+ * @param {Function} options.onBytes - Called with the size of each chunk hashed
+ * @param {Function} options.onFile - Called with ({ status, path, size, reason }) for every checked file, path relative to the folder
+ * @returns {Promise<Object>} Result ({ rootPath, manifests, catalogFiles, verified, modified, missing, extra, unchecked,
+ *   problems, stopped }), problems lists every file that is not verified
+ */
+async function verifyArchive(rootPath, options = {}) {
+    const root = path.resolve(rootPath);
+    const shouldStop = options.shouldStop || (() => false);
+
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+        throw new Error(`Archive folder does not exist: ${rootPath}`);
+    }
+
+    const result = {
+        rootPath: root,
+        manifests: 0,
+        catalogFiles: 0,
+        verified: 0,
+        modified: 0,
+        missing: 0,
+        extra: 0,
+        unchecked: 0,
+        problems: [],
+        stopped: false
+    };
+
+    const scan = await scanArchive(root, shouldStop);
+    if (!scan) {
+        result.stopped = true;
+        return result;
+    }
+
+    const expected = loadExpectedFiles(root, scan.manifestPaths, options.catalog, result);
+    if (expected.size === 0) {
+        throw new Error(`Nothing to verify ${rootPath} against: it has no import manifests and no files in the archive catalog`);
+    }
+
+    const record = (status, filePath, size, reason = null) => {
+        const check = { status, path: path.relative(root, filePath), size, reason };
+        result[status]++;
+        if (status !== VerifyStatus.VERIFIED) {
+            result.problems.push(check);
+        }
+        if (options.onFile) {
+            options.onFile(check);
+        }
+    };
+
+    // Decide what needs hashing, size differences and unrecorded files are known right away
+    const toHash = [];
+    const onDisk = new Set();
+    for (const file of scan.files) {
+        onDisk.add(file.path);
+        const entry = expected.get(file.path);
+        if (!entry) {
+            record(VerifyStatus.EXTRA, file.path, file.size);
+        } else if (entry.size !== file.size) {
+            record(VerifyStatus.MODIFIED, file.path, file.size, `size ${file.size}, expected ${entry.size}`);
+        } else if (!entry.hash) {
+            record(VerifyStatus.UNCHECKED, file.path, file.size);
+        } else {
+            toHash.push({ ...file, entry });
+        }
+    }
+
+    for (const [filePath, entry] of expected) {
+        if (!onDisk.has(filePath)) {
+            record(VerifyStatus.MISSING, filePath, entry.size);
+        }
+    }
+
+    if (options.onStart) {
+        options.onStart({ totalFiles: toHash.length, totalBytes: toHash.reduce((sum, file) => sum + file.size, 0) });
+    }
+
+    for (const file of toHash) {
+        if (shouldStop()) {
+            result.stopped = true;
+            break;
+        }
+
+        let hash;
+        try {
+            hash = await hashFile(file.path, file.entry.algorithm, options.onBytes);
+        } catch (error) {
+            record(VerifyStatus.MODIFIED, file.path, file.size, `could not be read (${error.code || error.message})`);
+            continue;
+        }
+
+        if (hash === file.entry.hash) {
+            record(VerifyStatus.VERIFIED, file.path, file.size);
+        } else {
+            record(VerifyStatus.MODIFIED, file.path, file.size, `${file.entry.algorithm} ${hash}, expected ${file.entry.hash}`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Every archived file below a folder and the manifests found on the way
+ * App files (manifests, receipts, reports), ASC-MHL folders and hidden files are left out.
+ * @returns {Promise<{files: Array<{path: string, size: number}>, manifestPaths: Array<string>}|null>} Scan, null if stopped
+ */
+async function scanArchive(rootPath, shouldStop) {
+    const files = [];
+    const manifestPaths = [];
+    const pending = [rootPath];
+
+    while (pending.length > 0) {
+        if (shouldStop()) {
+            return null;
+        }
+
+        const dirPath = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        } catch (error) {
+            if (dirPath === rootPath) throw error;
+            console.warn(`Skipping unreadable folder ${dirPath}:`, error);
+            continue;
+        }
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== MHL_DIRECTORY) {
+                    pending.push(fullPath);
+                }
+            } else if (entry.isFile()) {
+                if (entry.name.startsWith(MANIFEST_PREFIX) && entry.name.endsWith('.json')) {
+                    manifestPaths.push(fullPath);
+                } else if (isArchiveFile(fullPath)) {
+                    files.push({ path: fullPath, size: (await fs.promises.stat(fullPath)).size });
+                }
+            }
+        }
+    }
+
+    return { files, manifestPaths };
+}
+
+/**
+ * Collect the recorded size and hash of every file, by full path
+ * Newer manifests replace older ones, the catalog only fills in files no manifest lists.
+ */
+function loadExpectedFiles(rootPath, manifestPaths, catalog, result) {
+    const expected = new Map();
+
+    // Manifest names carry their creation time, so name order is age order
+    const sorted = [...manifestPaths].sort((a, b) => path.basename(a).localeCompare(path.basename(b)));
+    for (const manifestPath of sorted) {
+        let manifest;
+        try {
+            manifest = readManifest(manifestPath);
+        } catch (error) {
+            console.warn(`Skipping unreadable manifest ${manifestPath}:`, error);
+            continue;
+        }
+
+        const manifestDir = path.dirname(manifestPath);
+        for (const entry of manifest.files) {
+            expected.set(path.join(manifestDir, ...entry.path.split('/')), {
+                size: entry.size,
+                algorithm: entry.algorithm || manifest.algorithm,
+                hash: entry.hash
+            });
+        }
+        result.manifests++;
+    }
+
+    for (const record of catalog ? catalog.getRecords(rootPath) : []) {
+        if (!expected.has(record.path) && isArchiveFile(record.path)) {
+            expected.set(record.path, { size: record.size, algorithm: record.algorithm, hash: record.hash });
+            result.catalogFiles++;
+        }
+    }
+
+    return expected;
+}
+
+/**
+ * Write the full list of problems into the archive folder
+ * @param {Object} result - Result of verifyArchive
+ * @returns {string} Report file path
+ */
+function writeVerifyReport(result) {
+    const createdAt = new Date();
+    const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+    const reportPath = path.join(result.rootPath, `${REPORT_PREFIX}-${stamp}.txt`);
+
+    const lines = [
+        'ZenTransfer archive verification',
+        `Created: ${createdAt.toISOString()}`,
+        `Folder: ${result.rootPath}`,
+        `Checked against: ${result.manifests} manifests, ${result.catalogFiles} archive catalog records`,
+        `Verified: ${result.verified}`,
+        `Modified: ${result.modified}`,
+        `Missing: ${result.missing}`,
+        `Extra: ${result.extra}`,
+        `Without hash: ${result.unchecked}`,
+        `Stopped early: ${result.stopped ? 'yes, files after the stop were not checked' : 'no'}`,
+        ''
+    ];
+
+    for (const problem of result.problems) {
+        lines.push([problem.status.toUpperCase(), problem.size, problem.path, problem.reason || ''].join('\t'));
+    }
+
+    fs.writeFileSync(reportPath, `${lines.join('\n')}\n`);
+    return reportPath;
+}
+
+module.exports = {
+    VerifyStatus,
+    verifyArchive,
+    writeVerifyReport
+};
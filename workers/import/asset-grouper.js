@@ -0,0 +1,100 @@
+/**
+ * Asset Grouper
+ * Groups files that belong to the same shot (RAW + JPEG, XMP sidecars,
+ * WAV voice memos) into assets so they are renamed, foldered, deduplicated
+ * and uploaded together.
+ */
+
+const path = require('path');
+const { FileCategory, getFileCategory } = require('./file-filter');
+
+// Which member of a group represents the asset, lower wins
+const PRIMARY_RANK = {
+    [FileCategory.RAW]: 0,
+    [FileCategory.JPEG]: 1,
+    [FileCategory.HEIF]: 2,
+    [FileCategory.VIDEO]: 3,
+    [FileCategory.OTHER]: 4,
+    [FileCategory.AUDIO]: 5,
+    [FileCategory.SIDECAR]: 6
+};
+
+/**
+ * Get the shot name of a file: IMG_0001 for IMG_0001.CR3, IMG_0001.xmp and IMG_0001.CR3.xmp
+ * @param {string} fileName - File name
+ * @returns {string} Base name shared by all files of the shot
+ */
+function getAssetBaseName(fileName) {
+    let baseName = path.basename(fileName, path.extname(fileName));
+
+    // Sidecars named after the full file name (IMG_0001.CR3.xmp)
+    if (getFileCategory(fileName) === FileCategory.SIDECAR && path.extname(baseName)) {
+        baseName = path.basename(baseName, path.extname(baseName));
+    }
+
+    return baseName;
+}
+
+/**
+ * Group scanned files into assets
+ * Files group when they are in the same folder and share a base name (case-insensitive).
+ * Each member gets a nameSuffix (".CR3", ".CR3.xmp") used to rebuild its name after renaming.
+ * @param {Array<Object>} files - Scanned files
+ * @returns {Array<Object>} Assets ({ key, baseName, primary, files, totalSize }) in scan order
+ */
+function groupIntoAssets(files) {
+    const assetsByKey = new Map();
+
+    for (const file of files) {
+        const baseName = getAssetBaseName(file.name);
+        const key = path.join(path.dirname(file.path), baseName).toLowerCase();
+
+        if (!assetsByKey.has(key)) {
+            assetsByKey.set(key, { key, baseName, primary: null, files: [], totalSize: 0 });
+        }
+
+        const asset = assetsByKey.get(key);
+        file.nameSuffix = file.name.slice(baseName.length);
+        asset.files.push(file);
+        asset.totalSize += file.size || 0;
+    }
+
+    const assets = Array.from(assetsByKey.values());
+    for (const asset of assets) {
+        asset.files.sort((a, b) => getPrimaryRank(a) - getPrimaryRank(b) || a.name.localeCompare(b.name));
+        asset.primary = asset.files[0];
+        asset.targetBaseName = asset.baseName;
+    }
+
+    return assets;
+}
+
+/**
+ * Pick the files of an asset that go to cloud services
+ * With jpegOnly, pairs upload only their JPEG (or HEIF) preview; assets without one upload everything.
+ * @param {Array<Object>} files - Asset members to consider
+ * @param {boolean} jpegOnly - Upload only the JPEG of RAW+JPEG pairs
+ * @returns {Array<Object>} Files to upload
+ */
+function selectUploadFiles(files, jpegOnly) {
+    if (!jpegOnly) {
+        return files;
+    }
+
+    const previews = files.filter(file => {
+        const category = getFileCategory(file.name);
+        return category === FileCategory.JPEG || category === FileCategory.HEIF;
+    });
+
+    return previews.length > 0 ? previews : files;
+}
+
+function getPrimaryRank(file) {
+    return PRIMARY_RANK[getFileCategory(file.name)];
+}
+
+module.exports = {
+    getAssetBaseName,
+    groupIntoAssets,
+    selectUploadFiles
+};
@@ -0,0 +1,77 @@
+/**
+ * Camera Body
+ * Identifies the camera that wrote a card from the metadata of the first shots
+ * on it, so both card slots of one body can be imported as a single job.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readCaptureTime } = require('./capture-time');
+const { createFileFilter, isJunkDirectory } = require('./file-filter');
+
+// Files tried before giving up, cards often start with files without a serial number (videos, sidecars)
+const MAX_PROBED_FILES = 20;
+
+/**
+ * Identify the camera body that wrote the files below a folder
+ * Without a serial number two bodies of the same model can't be told apart, no body is reported then.
+ * @param {string} sourcePath - Card or folder to probe
+ * @returns {Promise<{make: string, model: string, serial: string, key: string, label: string}|null>} Camera body, null if unknown
+ */
+async function identifyCameraBody(sourcePath) {
+    const shouldInclude = createFileFilter();
+
+    for (const filePath of listCandidateFiles(sourcePath, shouldInclude)) {
+        try {
+            const { camera } = await readCaptureTime(filePath);
+            if (camera.serial) {
+                return {
+                    make: camera.make,
+                    model: camera.model,
+                    serial: camera.serial,
+                    key: [camera.make, camera.model, camera.serial].join('|').toLowerCase(),
+                    label: [camera.make, camera.model].filter(Boolean).join(' ') || 'Camera'
+                };
+            }
+        } catch (error) {
+            console.warn(`Failed to read camera of ${filePath}:`, error);
+        }
+    }
+
+    return null;
+}
+
+// First media files of the card in folder order, DCIM/100XXXXX/IMG_0001 before later folders
+function listCandidateFiles(sourcePath, shouldInclude) {
+    const files = [];
+    const scanDir = (dirPath) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dirPath, { withFileTypes: true })
+                .filter(entry => !entry.name.startsWith('.'))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            return;
+        }
+
+        for (const entry of entries) {
+            if (files.length >= MAX_PROBED_FILES) return;
+
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                if (!isJunkDirectory(fullPath)) {
+                    scanDir(fullPath);
+                }
+            } else if (entry.isFile() && shouldInclude(entry.name).included) {
+                files.push(fullPath);
+            }
+        }
+    };
+
+    scanDir(sourcePath);
+    return files;
+}
+
+module.exports = {
+    identifyCameraBody
+};
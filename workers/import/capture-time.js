@@ -0,0 +1,583 @@
+/**
+ * Capture Time Reader
+ * Determines when a photo or clip was captured from its embedded metadata:
+ * EXIF in JPEG and TIFF-based RAW files, XMP sidecars and the QuickTime/MP4
+ * movie header. Falls back to the file system timestamps.
+ * Camera make, model and serial number are read along the way for file naming.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Where a capture time was read from
+ */
+const CaptureTimeSource = {
+    EXIF: 'exif',
+    XMP: 'xmp',
+    QUICKTIME: 'quicktime',
+    FILESYSTEM: 'filesystem'
+};
+
+const SOURCE_LABELS = {
+    [CaptureTimeSource.EXIF]: 'EXIF',
+    [CaptureTimeSource.XMP]: 'XMP sidecar',
+    [CaptureTimeSource.QUICKTIME]: 'QuickTime header',
+    [CaptureTimeSource.FILESYSTEM]: 'file system'
+};
+
+// EXIF tags we care about
+const TAG_MAKE = 0x010F;
+const TAG_MODEL = 0x0110;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD_POINTER = 0x8769;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_SUB_SEC_TIME_ORIGINAL = 0x9291;
+const TAG_BODY_SERIAL_NUMBER = 0xA431;
+const TAG_CAMERA_SERIAL_NUMBER = 0xC62F; // DNG
+
+const WANTED_TAGS = new Set([
+    TAG_MAKE,
+    TAG_MODEL,
+    TAG_DATE_TIME,
+    TAG_EXIF_IFD_POINTER,
+    TAG_DATE_TIME_ORIGINAL,
+    TAG_DATE_TIME_DIGITIZED,
+    TAG_OFFSET_TIME_ORIGINAL,
+    TAG_SUB_SEC_TIME_ORIGINAL,
+    TAG_BODY_SERIAL_NUMBER,
+    TAG_CAMERA_SERIAL_NUMBER
+]);
+
+// TIFF magic numbers, including the variants used by Panasonic RW2 and Olympus ORF
+const TIFF_MAGIC_NUMBERS = new Set([0x002A, 0x0055, 0x4F52, 0x5352]);
+
+// Box types that may start an ISO base media (QuickTime, MP4, CR3) file
+const ISO_BMFF_BOX_TYPES = new Set(['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot']);
+
+// Seconds between the QuickTime epoch (1904-01-01 UTC) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// XMP properties holding the capture time, in order of preference
+const XMP_DATE_PROPERTIES = ['exif:DateTimeOriginal', 'photoshop:DateCreated', 'xmp:CreateDate'];
+
+// XMP properties holding camera information
+const XMP_CAMERA_PROPERTIES = {
+    make: ['tiff:Make'],
+    model: ['tiff:Model'],
+    serial: ['exifEX:BodySerialNumber', 'aux:SerialNumber']
+};
+
+/**
+ * Read the capture time of a file
+ * Embedded metadata wins over an XMP sidecar, which wins over the file system.
+ * Dates from EXIF and XMP are built from the camera's wall clock so date folders
+ * match the day shown on the camera; the recorded UTC offset is returned separately.
+ * QuickTime movie headers hold UTC instead; they are turned into the wall clock of
+ * this computer's time zone and returned with that zone's offset, so every date is a
+ * wall-clock time with the offset it was taken in.
+ * @param {string} filePath - Path of the file
+ * @param {fs.Stats} [stats] - Already available file stats
+ * @returns {Promise<{date: Date, source: string, offset: string|null, camera: {make: string, model: string, serial: string}}>} Capture time and camera
+ */
+async function readCaptureTime(filePath, stats = null) {
+    let metadata = null;
+
+    try {
+        metadata = await readEmbeddedMetadata(filePath);
+    } catch (error) {
+        console.warn(`Failed to read capture time metadata from ${filePath}:`, error.message);
+    }
+
+    let captureTime = metadata && metadata.date ? metadata : null;
+    let camera = (metadata && metadata.camera) || {};
+
+    if (!captureTime || !camera.model) {
+        const sidecar = await readSidecarMetadata(filePath);
+        if (sidecar) {
+            if (!captureTime && sidecar.date) {
+                captureTime = sidecar;
+            }
+            camera = mergeCameraInfo(camera, sidecar.camera);
+        }
+    }
+
+    if (!captureTime) {
+        const fileStats = stats || await fs.promises.stat(filePath);
+        captureTime = {
+            date: getFilesystemDate(fileStats),
+            source: CaptureTimeSource.FILESYSTEM,
+            offset: null
+        };
+    }
+
+    return {
+        date: captureTime.date,
+        source: captureTime.source,
+        offset: captureTime.offset,
+        camera: {
+            make: camera.make || '',
+            model: camera.model || '',
+            serial: camera.serial || ''
+        }
+    };
+}
+
+/**
+ * Get a human readable name for a capture time source
+ * @param {string} source - Capture time source
+ * @returns {string} Display label
+ */
+function getCaptureTimeSourceLabel(source) {
+    return SOURCE_LABELS[source] || source;
+}
+
+/**
+ * Describe a capture time for the import log
+ * @param {{date: Date, source: string, offset: string|null}} captureTime - Capture time
+ * @returns {string} Description such as "2025-05-26 14:03:22 +02:00 (EXIF)"
+ */
+function describeCaptureTime(captureTime) {
+    const date = captureTime.date;
+    const pad = (value) => String(value).padStart(2, '0');
+    const formatted = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    const offset = captureTime.offset ? ` ${captureTime.offset}` : '';
+    return `${formatted}${offset} (${getCaptureTimeSourceLabel(captureTime.source)})`;
+}
+
+/**
+ * Read capture time and camera from metadata stored inside the file itself
+ */
+async function readEmbeddedMetadata(filePath) {
+    if (path.extname(filePath).toLowerCase() === '.xmp') {
+        return parseXmpMetadata(await fs.promises.readFile(filePath, 'utf8'));
+    }
+
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const header = await readAt(handle, 0, 16);
+        if (header.length < 8) {
+            return null;
+        }
+
+        if (header[0] === 0xFF && header[1] === 0xD8) {
+            return await readJpegMetadata(handle);
+        }
+
+        if (isTiffHeader(header)) {
+            return await readTiffMetadata(handle, 0);
+        }
+
+        if (ISO_BMFF_BOX_TYPES.has(header.toString('latin1', 4, 8))) {
+            return await readIsoMediaMetadata(handle);
+        }
+
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Look for an XMP sidecar next to the file (IMG_0001.xmp or IMG_0001.CR2.xmp)
+ */
+async function readSidecarMetadata(filePath) {
+    const directory = path.dirname(filePath);
+    const fileName = path.basename(filePath);
+    const baseName = path.basename(fileName, path.extname(fileName));
+    const candidates = [`${baseName}.xmp`, `${baseName}.XMP`, `${fileName}.xmp`, `${fileName}.XMP`];
+
+    for (const candidate of candidates) {
+        const sidecarPath = path.join(directory, candidate);
+        if (sidecarPath === filePath) {
+            continue;
+        }
+
+        try {
+            const metadata = parseXmpMetadata(await fs.promises.readFile(sidecarPath, 'utf8'));
+            if (metadata) {
+                return metadata;
+            }
+        } catch (error) {
+            // No sidecar with this name
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Walk the JPEG segments up to the image data looking for the EXIF APP1 segment
+ */
+async function readJpegMetadata(handle) {
+    let offset = 2;
+
+    while (true) {
+        const marker = await readAt(handle, offset, 4);
+        if (marker.length < 4 || marker[0] !== 0xFF) {
+            return null;
+        }
+
+        // Padding bytes between segments
+        if (marker[1] === 0xFF) {
+            offset++;
+            continue;
+        }
+
+        // Start of scan or end of image, no more metadata
+        if (marker[1] === 0xDA || marker[1] === 0xD9) {
+            return null;
+        }
+
+        const segmentLength = marker.readUInt16BE(2);
+        if (marker[1] === 0xE1) {
+            const signature = await readAt(handle, offset + 4, 6);
+            if (signature.toString('latin1') === 'Exif\0\0') {
+                return await readTiffMetadata(handle, offset + 10);
+            }
+        }
+
+        offset += 2 + segmentLength;
+    }
+}
+
+/**
+ * Read DateTimeOriginal, SubSecTimeOriginal, OffsetTimeOriginal and the camera from a TIFF structure
+ * @param {fs.promises.FileHandle} handle - Open file
+ * @param {number} base - Position of the TIFF header; all TIFF offsets are relative to it
+ */
+async function readTiffMetadata(handle, base) {
+    const header = await readAt(handle, base, 8);
+    if (header.length < 8 || !isTiffHeader(header)) {
+        return null;
+    }
+
+    const littleEndian = header[0] === 0x49;
+    const ifd0Offset = littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4);
+    const tags = await readIfdTags(handle, base, ifd0Offset, littleEndian);
+
+    if (tags.has(TAG_EXIF_IFD_POINTER)) {
+        const exifTags = await readIfdTags(handle, base, tags.get(TAG_EXIF_IFD_POINTER), littleEndian);
+        for (const [tag, value] of exifTags) {
+            tags.set(tag, value);
+        }
+    }
+
+    const camera = {
+        make: tags.get(TAG_MAKE) || '',
+        model: tags.get(TAG_MODEL) || '',
+        serial: tags.get(TAG_BODY_SERIAL_NUMBER) || tags.get(TAG_CAMERA_SERIAL_NUMBER) || ''
+    };
+
+    const dateTime = tags.get(TAG_DATE_TIME_ORIGINAL) || tags.get(TAG_DATE_TIME_DIGITIZED) || tags.get(TAG_DATE_TIME);
+    const captureTime = dateTime
+        ? parseExifDateTime(dateTime, tags.get(TAG_SUB_SEC_TIME_ORIGINAL), tags.get(TAG_OFFSET_TIME_ORIGINAL))
+        : null;
+
+    return { ...(captureTime || { date: null, source: CaptureTimeSource.EXIF, offset: null }), camera };
+}
+
+/**
+ * Read the wanted tags of one IFD
+ * @returns {Promise<Map<number, string|number>>} Tag values (ASCII as string, LONG as number)
+ */
+async function readIfdTags(handle, base, ifdOffset, littleEndian) {
+    const tags = new Map();
+    if (!ifdOffset) {
+        return tags;
+    }
+
+    const countBuffer = await readAt(handle, base + ifdOffset, 2);
+    if (countBuffer.length < 2) {
+        return tags;
+    }
+
+    const entryCount = littleEndian ? countBuffer.readUInt16LE(0) : countBuffer.readUInt16BE(0);
+    if (entryCount === 0 || entryCount > 1000) {
+        return tags;
+    }
+
+    const entries = await readAt(handle, base + ifdOffset + 2, entryCount * 12);
+    const readUInt16 = (offset) => littleEndian ? entries.readUInt16LE(offset) : entries.readUInt16BE(offset);
+    const readUInt32 = (offset) => littleEndian ? entries.readUInt32LE(offset) : entries.readUInt32BE(offset);
+
+    for (let entry = 0; entry + 12 <= entries.length; entry += 12) {
+        const tag = readUInt16(entry);
+        if (!WANTED_TAGS.has(tag)) {
+            continue;
+        }
+
+        const type = readUInt16(entry + 2);
+        const count = readUInt32(entry + 4);
+
+        if (type === 2) {
+            // ASCII, stored inline when it fits in four bytes
+            const raw = count <= 4
+                ? entries.subarray(entry + 8, entry + 8 + count)
+                : await readAt(handle, base + readUInt32(entry + 8), Math.min(count, 64));
+            tags.set(tag, raw.toString('latin1').replace(/\0.*$/s, '').trim());
+        } else if (type === 4 || type === 13) {
+            // LONG or IFD pointer
+            tags.set(tag, readUInt32(entry + 8));
+        }
+    }
+
+    return tags;
+}
+
+/**
+ * Find the capture time in an ISO base media file
+ * CR3 files keep their EXIF in a Canon uuid box inside moov; QuickTime and MP4
+ * files record the creation time (UTC) in the movie header.
+ */
+async function readIsoMediaMetadata(handle) {
+    const { size } = await handle.stat();
+    const moov = (await listBoxes(handle, 0, size)).find(box => box.type === 'moov');
+    if (!moov) {
+        return null;
+    }
+
+    let movieHeaderTime = null;
+    for (const box of await listBoxes(handle, moov.start, moov.end)) {
+        if (box.type === 'uuid') {
+            // Skip the 16 byte uuid and look for the CMT1 (IFD0) and CMT2 (EXIF IFD) boxes
+            const children = await listBoxes(handle, box.start + 16, box.end);
+            const ifd0Box = children.find(child => child.type === 'CMT1');
+            const exifBox = children.find(child => child.type === 'CMT2');
+            if (exifBox) {
+                const metadata = await readTiffMetadata(handle, exifBox.start);
+                if (metadata && metadata.date) {
+                    const ifd0 = ifd0Box ? await readTiffMetadata(handle, ifd0Box.start) : null;
+                    return { ...metadata, camera: mergeCameraInfo(metadata.camera, ifd0 && ifd0.camera) };
+                }
+            }
+        } else if (box.type === 'mvhd') {
+            movieHeaderTime = await readMovieHeaderTime(handle, box);
+        }
+    }
+
+    return movieHeaderTime;
+}
+
+/**
+ * Parse the creation time from an mvhd box
+ * The header holds a UTC instant, the offset of this computer's time zone at that
+ * instant says which wall-clock time the local Date stands for.
+ */
+async function readMovieHeaderTime(handle, box) {
+    const data = await readAt(handle, box.start, 12);
+    if (data.length < 8) {
+        return null;
+    }
+
+    const version = data[0];
+    const seconds = version === 1 && data.length >= 12
+        ? Number(data.readBigUInt64BE(4))
+        : data.readUInt32BE(4);
+
+    // Cameras without a set clock write zero
+    if (seconds <= QUICKTIME_EPOCH_OFFSET) {
+        return null;
+    }
+
+    const date = new Date((seconds - QUICKTIME_EPOCH_OFFSET) * 1000);
+    return {
+        date,
+        source: CaptureTimeSource.QUICKTIME,
+        offset: formatUtcOffset(date)
+    };
+}
+
+/**
+ * List the boxes between two positions of an ISO base media file
+ */
+async function listBoxes(handle, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end && boxes.length < 256) {
+        const header = await readAt(handle, offset, 16);
+        if (header.length < 8) {
+            break;
+        }
+
+        let boxSize = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (boxSize === 1) {
+            if (header.length < 16) {
+                break;
+            }
+            boxSize = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (boxSize === 0) {
+            // Box extends to the end of its parent
+            boxSize = end - offset;
+        }
+
+        if (boxSize < headerSize) {
+            break;
+        }
+
+        boxes.push({
+            type: header.toString('latin1', 4, 8),
+            start: offset + headerSize,
+            end: Math.min(offset + boxSize, end)
+        });
+        offset += boxSize;
+    }
+
+    return boxes;
+}
+
+/**
+ * Parse the capture time and camera from an XMP packet
+ * @param {string} xml - XMP document
+ */
+function parseXmpMetadata(xml) {
+    const camera = {};
+    for (const [field, properties] of Object.entries(XMP_CAMERA_PROPERTIES)) {
+        camera[field] = properties.map(property => readXmpProperty(xml, property)).find(value => value) || '';
+    }
+
+    let captureTime = null;
+    for (const property of XMP_DATE_PROPERTIES) {
+        const value = readXmpProperty(xml, property);
+        captureTime = value ? parseIsoDateTime(value) : null;
+        if (captureTime) {
+            break;
+        }
+    }
+
+    if (!captureTime && !camera.model) {
+        return null;
+    }
+
+    return { ...(captureTime || { date: null, source: CaptureTimeSource.XMP, offset: null }), camera };
+}
+
+/**
+ * Read a simple XMP property, in attribute (exif:DateTimeOriginal="...") or element form
+ */
+function readXmpProperty(xml, property) {
+    const match = xml.match(new RegExp(`${property}(?:\\s*=\\s*"([^"]+)"|>([^<]+)<)`));
+    return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * Fill in camera fields that are missing from the primary source
+ */
+function mergeCameraInfo(primary, fallback = {}) {
+    return {
+        make: primary.make || fallback.make || '',
+        model: primary.model || fallback.model || '',
+        serial: primary.serial || fallback.serial || ''
+    };
+}
+
+/**
+ * Parse an EXIF date ("2025:05:26 14:03:22") with optional sub-seconds and offset
+ */
+function parseExifDateTime(value, subSeconds, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    const milliseconds = subSeconds && /^\d+$/.test(subSeconds)
+        ? Math.round(Number(`0.${subSeconds}`) * 1000)
+        : 0;
+
+    const date = buildWallClockDate(match, milliseconds);
+    if (!date) {
+        return null;
+    }
+
+    return {
+        date,
+        source: CaptureTimeSource.EXIF,
+        offset: offset && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : null
+    };
+}
+
+/**
+ * Parse an XMP (ISO 8601) date such as "2025-05-26T14:03:22.45+02:00"
+ */
+function parseIsoDateTime(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?(Z|[+-]\d{2}:\d{2})?/.exec(value);
+    if (!match) {
+        return null;
+    }
+
+    const milliseconds = match[7] ? Math.round(Number(`0.${match[7]}`) * 1000) : 0;
+    const date = buildWallClockDate(match, milliseconds);
+    if (!date) {
+        return null;
+    }
+
+    return {
+        date,
+        source: CaptureTimeSource.XMP,
+        offset: match[8] === 'Z' ? '+00:00' : (match[8] || null)
+    };
+}
+
+/**
+ * Build a local Date from regex groups year, month, day, hour, minute, second
+ */
+function buildWallClockDate(match, milliseconds) {
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(part => Number(part || 0));
+    if (year < 1900 || month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+    }
+
+    const date = new Date(year, month - 1, day, hours, minutes, seconds, milliseconds);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format the local time zone offset at a date ("+02:00")
+ */
+function formatUtcOffset(date) {
+    const minutes = -date.getTimezoneOffset();
+    const absolute = Math.abs(minutes);
+    const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+    return `${minutes < 0 ? '-' : '+'}${hours}:${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * File system fallback: creation time where the platform records it, otherwise modification time
+ */
+function getFilesystemDate(stats) {
+    if (stats.birthtime && stats.birthtime.getTime() > 0) {
+        return stats.birthtime;
+    }
+    return stats.mtime;
+}
+
+function isTiffHeader(header) {
+    const byteOrder = header.toString('latin1', 0, 2);
+    if (byteOrder === 'II') {
+        return TIFF_MAGIC_NUMBERS.has(header.readUInt16LE(2));
+    }
+    if (byteOrder === 'MM') {
+        return TIFF_MAGIC_NUMBERS.has(header.readUInt16BE(2));
+    }
+    return false;
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+module.exports = {
+    CaptureTimeSource,
+    readCaptureTime,
+    parseXmpMetadata,
+    getCaptureTimeSourceLabel,
+    describeCaptureTime
+};
@@ -0,0 +1,294 @@
+/**
+ * Copy Pipeline
+ * Reads each source file once and writes it to every target at the same time,
+ * limits how many files are copied in parallel per disk and measures throughput
+ * and byte progress.
+ */
+
+const fs = require('fs');
+const { finished } = require('stream/promises');
+const { createHasher } = require('./file-hasher');
+const { findExistingPath } = require('./preflight');
+
+// Large reads keep fast card readers (CFexpress, SSDs) busy
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Files copied at the same time per disk
+const DEFAULT_COPY_CONCURRENCY = 2;
+
+// The current speed is averaged over this window, long enough to smooth out file boundaries
+const SPEED_WINDOW_MS = 5000;
+
+/**
+ * Copy a file to several targets from a single read of the source
+ * @param {string} sourcePath - File to copy
+ * @param {Array<string>} destinationPaths - Target files (overwritten)
+ * @param {Object} options - Copy options
+ * @param {string} options.algorithm - Hash the source while reading it (optional)
+ * @param {Function} options.onBytes - Called with (targetIndex, bytes) after each written chunk
+ * @returns {Promise<string|null>} Hex digest of the source as it was read, null without algorithm
+ */
+async function copyToTargets(sourcePath, destinationPaths, options = {}) {
+    const hasher = options.algorithm ? await createHasher(options.algorithm) : null;
+    const outputs = destinationPaths.map(destinationPath => {
+        const output = fs.createWriteStream(destinationPath);
+        // Errors reach us through write callbacks and finished(), don't let them crash the worker
+        output.on('error', () => {});
+        return output;
+    });
+
+    try {
+        for await (const chunk of fs.createReadStream(sourcePath, { highWaterMark: READ_CHUNK_SIZE })) {
+            if (hasher) {
+                hasher.update(chunk);
+            }
+
+            // Every target gets the chunk before the next one is written, the slowest disk sets the pace
+            await Promise.all(outputs.map(async (output, index) => {
+                await writeChunk(output, chunk);
+                if (options.onBytes) {
+                    options.onBytes(index, chunk.length);
+                }
+            }));
+        }
+
+        await Promise.all(outputs.map(output => {
+            output.end();
+            return finished(output);
+        }));
+    } catch (error) {
+        // A target that failed to open only reports "stream destroyed" on write, prefer its own error
+        const outputError = outputs.map(output => output.errored).find(Boolean);
+        outputs.forEach(output => output.destroy());
+        throw outputError || error;
+    }
+
+    return hasher ? hasher.digest() : null;
+}
+
+function writeChunk(output, chunk) {
+    return new Promise((resolve, reject) => {
+        output.write(chunk, error => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Identify the disk a folder lives on, folders that don't exist yet use their nearest parent
+ * @param {string} dirPath - Folder path
+ * @returns {string} Device key
+ */
+function getDeviceId(dirPath) {
+    try {
+        return `dev:${fs.statSync(findExistingPath(dirPath)).dev}`;
+    } catch (error) {
+        return `path:${dirPath}`;
+    }
+}
+
+/**
+ * Limits how many copies run at the same time on each disk
+ * A copy waits until every disk it touches (source and targets) has a free slot.
+ */
+class DeviceLimiter {
+    /**
+     * @param {number} concurrency - Copies per disk
+     */
+    constructor(concurrency = DEFAULT_COPY_CONCURRENCY) {
+        this.concurrency = Math.max(1, concurrency);
+        this.active = new Map(); // device -> running copies
+        this.waiting = [];
+    }
+
+    /**
+     * Run a task once its disks have a free slot
+     * @param {Array<string>} devices - Device keys the task reads from or writes to
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     */
+    async run(devices, task) {
+        const keys = Array.from(new Set(devices));
+        await new Promise(resolve => {
+            this.waiting.push({ keys, resolve });
+            this.dispatch();
+        });
+
+        try {
+            return await task();
+        } finally {
+            keys.forEach(key => this.active.set(key, this.active.get(key) - 1));
+            this.dispatch();
+        }
+    }
+
+    // Start waiting tasks in order, a task on idle disks may pass one that waits for a busy disk
+    dispatch() {
+        for (let i = 0; i < this.waiting.length;) {
+            const entry = this.waiting[i];
+            if (!entry.keys.every(key => (this.active.get(key) || 0) < this.concurrency)) {
+                i++;
+                continue;
+            }
+
+            entry.keys.forEach(key => this.active.set(key, (this.active.get(key) || 0) + 1));
+            this.waiting.splice(i, 1);
+            entry.resolve();
+        }
+    }
+}
+
+/**
+ * File paths claimed by copies in flight
+ * Parallel copies decide their target names one at a time, so two assets
+ * with the same name never pick the same file.
+ */
+class PathClaims {
+    constructor() {
+        this.paths = new Set();
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Run a task while no other task of this object runs
+     * @param {Function} task - Async task
+     * @returns {Promise<*>} Task result
+     */
+    exclusive(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    claim(filePaths) {
+        filePaths.forEach(filePath => this.paths.add(filePath));
+    }
+
+    release(filePaths) {
+        filePaths.forEach(filePath => this.paths.delete(filePath));
+    }
+}
+
+/**
+ * Bytes written per target and the resulting speed
+ * Speeds are measured from the start of the copy phase, so they include waits on the source and the other targets.
+ */
+class ThroughputMeter {
+    constructor() {
+        this.startedAt = Date.now();
+        this.targets = new Map(); // target -> { bytes, updatedAt }
+    }
+
+    add(target, bytes) {
+        const entry = this.targets.get(target) || { bytes: 0, updatedAt: 0 };
+        entry.bytes += bytes;
+        entry.updatedAt = Date.now();
+        this.targets.set(target, entry);
+    }
+
+    /**
+     * Get the average speed of each target
+     * @returns {Array<{target: string, bytes: number, seconds: number, bytesPerSecond: number}>} Speed per target
+     */
+    getRates() {
+        return Array.from(this.targets.entries()).map(([target, entry]) => {
+            const seconds = Math.max(entry.updatedAt - this.startedAt, 1) / 1000;
+            return {
+                target,
+                bytes: entry.bytes,
+                seconds,
+                bytesPerSecond: Math.round(entry.bytes / seconds)
+            };
+        });
+    }
+}
+
+/**
+ * Bytes done of an import, overall and per target, with the current speed
+ * A file counts at most its size per target, so retried copies don't push progress
+ * past 100%; skipped and failed files are counted when their asset is finished.
+ */
+class ByteProgress {
+    /**
+     * @param {number} totalBytes - Bytes of all source files
+     * @param {Array<string>} targets - Ids of the folder destinations written to
+     */
+    constructor(totalBytes, targets) {
+        this.totalBytes = totalBytes;
+        this.done = new Map([['source', 0], ...targets.map(target => [target, 0])]);
+        this.transferredBytes = 0; // Source bytes actually read, the current speed is based on these
+        this.samples = [{ time: Date.now(), bytes: 0 }];
+    }
+
+    /**
+     * Start counting the bytes of one asset
+     * @param {number} assetBytes - Size of the asset's files
+     * @returns {{add: Function, finish: Function}} add(key, bytes) counts bytes read ('source') or
+     *   written (target) while copying, finish() counts the rest of the asset as done
+     */
+    startAsset(assetBytes) {
+        const counted = new Map();
+        const count = (key, bytes) => {
+            const already = counted.get(key) || 0;
+            const added = Math.max(0, Math.min(bytes, assetBytes - already));
+            counted.set(key, already + added);
+            this.done.set(key, (this.done.get(key) || 0) + added);
+            return added;
+        };
+
+        return {
+            add: (key, bytes) => {
+                const added = count(key, bytes);
+                if (key === 'source') {
+                    this.transferredBytes += added;
+                    this.sample();
+                }
+            },
+            finish: () => {
+                for (const key of this.done.keys()) {
+                    count(key, assetBytes);
+                }
+            }
+        };
+    }
+
+    sample() {
+        const now = Date.now();
+        if (now - this.samples[this.samples.length - 1].time >= 250) {
+            this.samples.push({ time: now, bytes: this.transferredBytes });
+        }
+        while (this.samples.length > 2 && now - this.samples[1].time > SPEED_WINDOW_MS) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * Get the progress for a progress message
+     * @returns {{bytesProcessed: number, totalBytes: number, bytesPerSecond: number, etaSeconds: number|null, destinations: Array<Object>}}
+     *   Progress; etaSeconds is null until the speed is known, destinations hold { target, bytesProcessed, totalBytes }
+     */
+    getSnapshot() {
+        const first = this.samples[0];
+        const seconds = (Date.now() - first.time) / 1000;
+        const bytesPerSecond = seconds > 0 ? Math.round((this.transferredBytes - first.bytes) / seconds) : 0;
+        const bytesProcessed = this.done.get('source');
+
+        return {
+            bytesProcessed,
+            totalBytes: this.totalBytes,
+            bytesPerSecond,
+            etaSeconds: bytesPerSecond > 0 ? Math.round((this.totalBytes - bytesProcessed) / bytesPerSecond) : null,
+            destinations: Array.from(this.done.entries())
+                .filter(([key]) => key !== 'source')
+                .map(([target, bytes]) => ({ target, bytesProcessed: bytes, totalBytes: this.totalBytes }))
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_COPY_CONCURRENCY,
+    copyToTargets,
+    getDeviceId,
+    DeviceLimiter,
+    PathClaims,
+    ThroughputMeter,
+    ByteProgress
+};
@@ -0,0 +1,158 @@
+/**
+ * Date Format
+ * Formats dates with Day.js-style pattern tokens (YYYY, MM, DD, MMMM, dddd, HH, mm, ss, ...)
+ * Month and weekday names come from Intl in the requested locale.
+ */
+
+// Longest tokens first so "YYYY" wins over "YY" and "MMMM" over "MMM", "MM" and "M"
+const TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|dd|d|HH|H|hh|h|mm|m|ss|s|SSS|A|a/g;
+
+const DEFAULT_LOCALE = 'en';
+
+/**
+ * Date formats offered before patterns could be typed in, kept so saved settings and presets
+ * still work. Month names used to be lower case.
+ */
+const PRESET_DATE_FORMATS = {
+    '2025/05/26': { pattern: 'YYYY/MM/DD' },
+    '2025-05-26': { pattern: 'YYYY-MM-DD' },
+    '2025/2025-05-26': { pattern: 'YYYY/YYYY-MM-DD' },
+    '2025/may 26': { pattern: 'YYYY/MMM DD', lowerCaseNames: true },
+    '2025/05': { pattern: 'YYYY/MM' },
+    '2025/may': { pattern: 'YYYY/MMM', lowerCaseNames: true },
+    '2025/may/26': { pattern: 'YYYY/MMM/DD', lowerCaseNames: true },
+    '2025/2025-05/2025-05-26': { pattern: 'YYYY/YYYY-MM/YYYY-MM-DD' },
+    '2025 may 26': { pattern: 'YYYY MMM DD', lowerCaseNames: true },
+    '20250526': { pattern: 'YYYYMMDD' }
+};
+
+const DEFAULT_FOLDER_DATE_FORMAT = '2025/05/26';
+
+const nameCache = new Map(); // locale -> month and weekday names
+
+/**
+ * Format a date
+ * Text in square brackets is kept as is, e.g. "YYYY-MM-DD[_day]".
+ * @param {Date} date - Date to format
+ * @param {string} pattern - Format pattern
+ * @param {Object} options - Format options
+ * @param {string} options.locale - Locale of month and weekday names (default 'en')
+ * @param {boolean} options.lowerCaseNames - Write month and weekday names in lower case
+ * @returns {string} Formatted date
+ */
+function formatDate(date, pattern, options = {}) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const names = getNames(options.locale);
+    const name = value => (options.lowerCaseNames ? value.toLocaleLowerCase(options.locale || DEFAULT_LOCALE) : value);
+    const hours12 = date.getHours() % 12 || 12;
+
+    return pattern.replace(TOKEN_PATTERN, (token, literal) => {
+        if (literal !== undefined) {
+            return literal;
+        }
+
+        switch (token) {
+            case 'YYYY': return String(date.getFullYear());
+            case 'YY': return pad(date.getFullYear() % 100);
+            case 'MMMM': return name(names.months[date.getMonth()]);
+            case 'MMM': return name(names.monthsShort[date.getMonth()]);
+            case 'MM': return pad(date.getMonth() + 1);
+            case 'M': return String(date.getMonth() + 1);
+            case 'DD': return pad(date.getDate());
+            case 'D': return String(date.getDate());
+            case 'dddd': return name(names.weekdays[date.getDay()]);
+            case 'ddd': return name(names.weekdaysShort[date.getDay()]);
+            case 'dd': return name(names.weekdaysMin[date.getDay()]);
+            case 'd': return String(date.getDay());
+            case 'HH': return pad(date.getHours());
+            case 'H': return String(date.getHours());
+            case 'hh': return pad(hours12);
+            case 'h': return String(hours12);
+            case 'mm': return pad(date.getMinutes());
+            case 'm': return String(date.getMinutes());
+            case 'ss': return pad(date.getSeconds());
+            case 's': return String(date.getSeconds());
+            case 'SSS': return pad(date.getMilliseconds(), 3);
+            case 'A': return date.getHours() < 12 ? 'AM' : 'PM';
+            case 'a': return date.getHours() < 12 ? 'am' : 'pm';
+            default: return token;
+        }
+    });
+}
+
+/**
+ * Format the date folder of a file
+ * @param {Date} date - Capture date
+ * @param {string} format - One of the preset formats ("2025/05/26") or a pattern ("YYYY/MMMM/DD")
+ * @param {Object} options - Format options
+ * @param {string} options.locale - Locale of month and weekday names (default 'en')
+ * @param {number} options.rolloverHour - Hour the shoot day starts, see getShootDate (default 0)
+ * @returns {string} Folder path, "/" separates folders
+ */
+function formatFolderDate(date, format, options = {}) {
+    const preset = PRESET_DATE_FORMATS[format] || (format ? null : PRESET_DATE_FORMATS[DEFAULT_FOLDER_DATE_FORMAT]);
+    const pattern = preset ? preset.pattern : format;
+
+    return formatDate(getShootDate(date, options.rolloverHour), pattern, {
+        locale: options.locale,
+        lowerCaseNames: preset ? preset.lowerCaseNames === true : false
+    });
+}
+
+/**
+ * Get the day a photo belongs to when a shoot runs past midnight
+ * With a rollover hour of 4, a photo taken at 01:30 belongs to the day before.
+ * Only the date moves, the time of day is kept.
+ * @param {Date} date - Capture date
+ * @param {number} rolloverHour - Hour the new day starts (0-12, default 0)
+ * @returns {Date} Date of the shoot day
+ */
+function getShootDate(date, rolloverHour = 0) {
+    const hour = Math.min(Math.max(Number(rolloverHour) || 0, 0), 12);
+    if (date.getHours() >= hour) {
+        return date;
+    }
+
+    const shootDate = new Date(date);
+    shootDate.setDate(shootDate.getDate() - 1);
+    return shootDate;
+}
+
+// Month and weekday names of a locale, unknown locales fall back to English
+function getNames(locale = DEFAULT_LOCALE) {
+    if (nameCache.has(locale)) {
+        return nameCache.get(locale);
+    }
+
+    let resolved = DEFAULT_LOCALE;
+    try {
+        resolved = Intl.DateTimeFormat.supportedLocalesOf([locale])[0] || DEFAULT_LOCALE;
+    } catch (error) {
+        console.warn(`Unknown date locale ${locale}, using ${DEFAULT_LOCALE}:`, error);
+    }
+
+    const list = (options, count, toDate) => {
+        const formatter = new Intl.DateTimeFormat(resolved, { ...options, timeZone: 'UTC' });
+        return Array.from({ length: count }, (value, index) => formatter.format(toDate(index)));
+    };
+    const month = index => new Date(Date.UTC(2021, index, 1));
+    const weekday = index => new Date(Date.UTC(2021, 0, 3 + index)); // 3 January 2021 was a Sunday
+
+    // Short names without the trailing dot some locales add ("janv.", "Jan.")
+    const names = {
+        months: list({ month: 'long' }, 12, month),
+        monthsShort: list({ month: 'short' }, 12, month).map(value => value.replace(/\.$/, '')),
+        weekdays: list({ weekday: 'long' }, 7, weekday),
+        weekdaysShort: list({ weekday: 'short' }, 7, weekday).map(value => value.replace(/\.$/, ''))
+    };
+    names.weekdaysMin = names.weekdaysShort.map(value => value.slice(0, 2));
+    nameCache.set(locale, names);
+    return names;
+}
+
+module.exports = {
+    PRESET_DATE_FORMATS,
+    formatDate,
+    formatFolderDate,
+    getShootDate
+};
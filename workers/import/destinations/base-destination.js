@@ -0,0 +1,100 @@
+/**
+ * Base Destination Class
+ * Abstract base class for all import destinations. The import worker creates one
+ * instance per configured destination (see destination-registry.js) and runs
+ * them in priority order.
+ */
+
+class BaseDestination {
+    /**
+     * Create a destination
+     * @param {DestinationConfig} config - Destination configuration
+     */
+    constructor(config) {
+        if (this.constructor === BaseDestination) {
+            throw new Error('BaseDestination is an abstract class and cannot be instantiated directly');
+        }
+
+        this.config = config;
+        this.id = config.id;
+        this.type = config.type;
+        this.enabled = config.enabled !== false; // Default to true
+        this.context = null;
+    }
+
+    /**
+     * Initialize the destination
+     * Called once before the first asset of an import
+     * @param {Object} context - Import context ({ importSettings, sendMessage })
+     * @returns {Promise<boolean>} Success status
+     */
+    async initialize(context) {
+        this.context = context;
+        return this.isReady();
+    }
+
+    /**
+     * Build the result of one file
+     * @param {boolean} success - Whether the file reached this destination
+     * @param {string} destinationPath - Final destination path (file path or object name)
+     * @param {string} error - Error message (if failed)
+     * @param {Object} metadata - Additional metadata
+     * @returns {DestinationResult} Processing result
+     */
+    createResult(success, destinationPath, error = '', metadata = {}) {
+        return {
+            success,
+            destinationId: this.id,
+            destinationPath,
+            error,
+            metadata
+        };
+    }
+
+    /**
+     * Get display name for this destination
+     * @returns {string} Display name
+     */
+    getDisplayName() {
+        return this.config.label || this.id;
+    }
+
+    /**
+     * Check if this destination is ready to process files
+     * @returns {boolean} Ready status
+     */
+    isReady() {
+        return this.enabled;
+    }
+
+    /**
+     * Cleanup resources
+     * Called when processing is complete or cancelled
+     * @returns {Promise<void>}
+     */
+    async cleanup() {
+        // Default implementation does nothing
+        // Subclasses can override if needed
+    }
+
+    /**
+     * Get processing priority
+     * Lower numbers = higher priority, the configured priority wins over the default of the type
+     * @returns {number} Priority value
+     */
+    getPriority() {
+        return Number.isFinite(this.config.priority) ? this.config.priority : this.getDefaultPriority();
+    }
+
+    /**
+     * Get the priority of destinations of this type that don't configure one
+     * @returns {number} Priority value
+     */
+    getDefaultPriority() {
+        return 100; // Default priority
+    }
+}
+
+module.exports = {
+    BaseDestination
+};
@@ -0,0 +1,102 @@
+/**
+ * Cloud Destination
+ * Queues copied files for upload to a cloud service. Uploads run in the
+ * renderer's upload manager, this destination hands them the files once the
+ * primary folder destination holds a copy.
+ */
+
+const { BaseDestination } = require('./base-destination');
+
+/**
+ * Upload services a cloud destination can queue for
+ */
+const CLOUD_SERVICES = {
+    'zentransfer': 'ZenTransfer',
+    'aws-s3': 'AWS S3',
+    's3-compatible': 'S3-Compatible Storage',
+    'azure-blob': 'Azure Blob Storage',
+    'gcp-storage': 'Google Cloud Storage',
+    'sftp': 'SFTP',
+    'ftp': 'FTP',
+    'webdav': 'WebDAV'
+};
+
+class CloudDestination extends BaseDestination {
+    /**
+     * Create a cloud destination
+     * @param {DestinationConfig} config - Destination configuration
+     */
+    constructor(config) {
+        super(config);
+        this.kind = 'cloud';
+        this.service = config.service;
+        this.queuedCount = 0;
+    }
+
+    /**
+     * Initialize the destination
+     * @param {Object} context - Import context
+     * @returns {Promise<boolean>} Success status
+     */
+    async initialize(context) {
+        await super.initialize(context);
+
+        if (!CLOUD_SERVICES[this.service]) {
+            console.error(`Cloud destination ${this.getDisplayName()}: unknown service ${this.service}`);
+            return false;
+        }
+
+        this.queuedCount = 0;
+        return this.isReady();
+    }
+
+    /**
+     * Get display name for this destination
+     * @returns {string} Display name
+     */
+    getDisplayName() {
+        return this.config.label || CLOUD_SERVICES[this.service] || this.id;
+    }
+
+    /**
+     * Queue the copies of an asset for upload
+     * @param {Array<Object>} copies - Copies in the primary folder destination ({ file, filePath })
+     * @param {Array<string>} remoteNames - Object name of each copy
+     * @param {string} fileName - Primary file of the asset, for logging
+     * @returns {Array<DestinationResult>} Result per copy
+     */
+    queueFiles(copies, remoteNames, fileName) {
+        if (copies.length === 0) {
+            return [];
+        }
+
+        this.context.sendMessage('upload-ready', {
+            filePaths: copies.map(copy => copy.filePath),
+            remoteNames,
+            count: copies.length,
+            fileName: fileName, // Include filename for logging
+            uploadServices: [{ type: this.service, name: this.getDisplayName() }],
+            importSettings: this.context.importSettings // Folder organization settings for the upload manager
+        });
+        this.queuedCount += copies.length;
+
+        return copies.map((copy, index) => this.createResult(true, remoteNames[index], '', {
+            queuedForUpload: true,
+            uploadQueueSize: this.queuedCount
+        }));
+    }
+
+    /**
+     * Get processing priority
+     * Uploads are queued after every folder copy of an asset is written
+     * @returns {number} Priority value
+     */
+    getDefaultPriority() {
+        return 200;
+    }
+}
+
+module.exports = {
+    CLOUD_SERVICES,
+    CloudDestination
+};
@@ -0,0 +1,139 @@
+/**
+ * Destination Registry
+ * Maps destination types to their classes and builds the destinations of an
+ * import from its settings. The destination and backup fields and the upload
+ * checkboxes of older settings and presets become destinations too, so every
+ * import runs through the same ordered list.
+ *
+ * What the settings can configure today:
+ * - Folders: the destination, the backup and any number of additional copies, each
+ *   with its own label and path. They run in that order, additional copies in the
+ *   order they were added. All folders are written from one read of each file.
+ * - Cloud: one destination per enabled upload service. It uses that service's
+ *   connection settings from Settings, so there is one S3 or SFTP target, not several.
+ * A configuration that carries its own priority (presets written by hand) overrides
+ * the order above.
+ */
+
+const { FolderDestination } = require('./folder-destination');
+const { CloudDestination, CLOUD_SERVICES } = require('./cloud-destination');
+
+const DestinationType = {
+    FOLDER: 'folder',
+    CLOUD: 'cloud'
+};
+
+// Upload checkboxes of the import settings and the service each of them enables
+const UPLOAD_FLAGS = {
+    uploadToZenTransfer: 'zentransfer',
+    uploadToAwsS3: 'aws-s3',
+    uploadToS3Compatible: 's3-compatible',
+    uploadToAzure: 'azure-blob',
+    uploadToGcp: 'gcp-storage',
+    uploadToSftp: 'sftp',
+    uploadToFtp: 'ftp',
+    uploadToWebdav: 'webdav'
+};
+
+const destinationTypes = new Map();
+
+/**
+ * Register a destination class
+ * @param {string} type - Destination type used in DestinationConfig.type
+ * @param {Function} DestinationClass - Subclass of BaseDestination
+ */
+function registerDestinationType(type, DestinationClass) {
+    destinationTypes.set(type, DestinationClass);
+}
+
+/**
+ * Get the destination configurations of an import
+ * @param {Object} importSettings - Import settings
+ * @returns {Array<DestinationConfig>} Configurations, including disabled ones
+ */
+function getDestinationConfigs(importSettings) {
+    const configs = [{
+        id: 'destination',
+        type: DestinationType.FOLDER,
+        label: 'Destination',
+        path: importSettings.destinationPath,
+        priority: 1
+    }];
+
+    if (importSettings.backupEnabled && importSettings.backupPath) {
+        configs.push({
+            id: 'backup',
+            type: DestinationType.FOLDER,
+            label: 'Backup',
+            path: importSettings.backupPath,
+            priority: 2
+        });
+    }
+
+    // Extra copies keep the order they were added in, after the backup
+    (importSettings.additionalDestinations || []).forEach((config, index) => {
+        configs.push({ priority: 10 + index, ...config });
+    });
+
+    for (const [flag, service] of Object.entries(UPLOAD_FLAGS)) {
+        if (importSettings[flag]) {
+            configs.push({
+                id: service,
+                type: DestinationType.CLOUD,
+                label: CLOUD_SERVICES[service],
+                service
+            });
+        }
+    }
+
+    return configs;
+}
+
+/**
+ * Create the enabled destinations of an import, in the order they run
+ * Destinations of the same priority keep their configured order.
+ * @param {Object} importSettings - Import settings
+ * @returns {Array<BaseDestination>} Destinations sorted by priority
+ */
+function createDestinations(importSettings) {
+    const ids = new Set();
+    const destinations = getDestinationConfigs(importSettings).map(config => {
+        const DestinationClass = destinationTypes.get(config.type);
+        if (!DestinationClass) {
+            throw new Error(`Unknown destination type: ${config.type}`);
+        }
+        if (ids.has(config.id)) {
+            throw new Error(`Destination ${config.id} is configured twice`);
+        }
+        ids.add(config.id);
+        return new DestinationClass(config);
+    });
+
+    return destinations
+        .filter(destination => destination.enabled)
+        .map((destination, index) => ({ destination, index }))
+        .sort((a, b) => a.destination.getPriority() - b.destination.getPriority() || a.index - b.index)
+        .map(({ destination }) => destination);
+}
+
+/**
+ * Get the ids of the folder destinations of an import, the targets its copies are journaled under
+ * @param {Object} importSettings - Import settings
+ * @returns {Array<string>} Destination ids, the primary destination first
+ */
+function getFolderTargets(importSettings) {
+    return createDestinations(importSettings)
+        .filter(destination => destination.kind === 'folder')
+        .map(destination => destination.id);
+}
+
+registerDestinationType(DestinationType.FOLDER, FolderDestination);
+registerDestinationType(DestinationType.CLOUD, CloudDestination);
+
+module.exports = {
+    DestinationType,
+    registerDestinationType,
+    getDestinationConfigs,
+    createDestinations,
+    getFolderTargets
+};
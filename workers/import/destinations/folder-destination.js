@@ -0,0 +1,92 @@
+/**
+ * Folder Destination
+ * A folder the import copies into: a local disk, an external drive or a mounted
+ * NAS share. The copy pipeline writes every folder destination from a single
+ * read of each source file, so this class decides where files go and reports
+ * the outcome, it doesn't copy on its own.
+ */
+
+const path = require('path');
+const { BaseDestination } = require('./base-destination');
+
+class FolderDestination extends BaseDestination {
+    /**
+     * Create a folder destination
+     * @param {DestinationConfig} config - Destination configuration
+     */
+    constructor(config) {
+        super(config);
+        this.kind = 'folder';
+        this.rootPath = config.path;
+    }
+
+    /**
+     * Initialize the destination
+     * The root is not created here, preflight reports a share that is not mounted.
+     * @param {Object} context - Import context
+     * @returns {Promise<boolean>} Success status
+     */
+    async initialize(context) {
+        await super.initialize(context);
+
+        if (!this.rootPath) {
+            console.error(`Folder destination ${this.getDisplayName()}: path not specified`);
+            return false;
+        }
+
+        return this.isReady();
+    }
+
+    /**
+     * Get the folder an asset is copied to
+     * @param {string} folderName - Folder below the root from folder organization, empty for the root
+     * @returns {string} Directory path
+     */
+    getTargetDirectory(folderName) {
+        return folderName ? path.join(this.rootPath, folderName) : this.rootPath;
+    }
+
+    /**
+     * Report a file the copy pipeline handled for this destination
+     * @param {Object} copy - Copy outcome ({ filePath, skipped, verified, checksum })
+     * @returns {DestinationResult} Processing result
+     */
+    toResult(copy) {
+        return this.createResult(true, copy.filePath, '', {
+            skipped: copy.skipped === true,
+            verified: copy.verified === true,
+            checksum: copy.checksum || null
+        });
+    }
+
+    /**
+     * Report a file that could not be copied
+     * @param {Object} file - Source file
+     * @param {Error} error - Copy error
+     * @returns {DestinationResult} Processing result
+     */
+    toFailure(file, error) {
+        return this.createResult(false, '', error.message, { fileName: file.name });
+    }
+
+    /**
+     * Get processing priority
+     * Folder copies run before uploads, the first one is the copy uploads read from
+     * @returns {number} Priority value
+     */
+    getDefaultPriority() {
+        return 10;
+    }
+
+    /**
+     * Check if this destination is ready to process files
+     * @returns {boolean} Ready status
+     */
+    isReady() {
+        return this.enabled && typeof this.rootPath === 'string' && this.rootPath.trim().length > 0;
+    }
+}
+
+module.exports = {
+    FolderDestination
+};
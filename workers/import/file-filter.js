@@ -0,0 +1,187 @@
+/**
+ * File Filter
+ * Decides which files on a card are imported, by category (RAW, JPEG, HEIF,
+ * video, audio, sidecars) and by custom extensions. Categories are derived
+ * from src/mime.types and src/rawfiles.types.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES_PATH = path.join(__dirname, '..', '..', 'src', 'mime.types');
+const RAW_TYPES_PATH = path.join(__dirname, '..', '..', 'src', 'rawfiles.types');
+
+/**
+ * File categories that can be selected for import
+ */
+const FileCategory = {
+    RAW: 'raw',
+    JPEG: 'jpeg',
+    HEIF: 'heif',
+    VIDEO: 'video',
+    AUDIO: 'audio',
+    SIDECAR: 'sidecar',
+    OTHER: 'other'
+};
+
+const DEFAULT_CATEGORIES = Object.values(FileCategory);
+
+// Camera byproducts that never belong in an archive
+const JUNK_EXTENSIONS = new Set(['thm', 'ctg', 'lrv', 'lrf']);
+const JUNK_FILE_NAMES = new Set(['.ds_store', 'thumbs.db', 'desktop.ini']);
+const JUNK_DIRECTORY_NAMES = new Set(['.trashes', '.spotlight-v100', '.fseventsd', 'system volume information']);
+
+let extensionCategories = null;
+
+/**
+ * Parse a mime.types style file into [mimeType, extensions] pairs
+ */
+function parseMimeTypesFile(filePath) {
+    const entries = [];
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    for (const line of content.split('\n')) {
+        // Skip comments and empty lines
+        if (line.startsWith('#') || !line.trim()) continue;
+
+        const parts = line.split(/\s+/).filter(part => part.length > 0);
+        entries.push([parts[0].toLowerCase(), parts.slice(1).map(ext => ext.toLowerCase())]);
+    }
+
+    return entries;
+}
+
+/**
+ * Map a MIME type to a file category
+ */
+function categorizeMimeType(mimeType, rawMimeTypes) {
+    if (rawMimeTypes.has(mimeType)) return FileCategory.RAW;
+    if (mimeType === 'image/jpeg') return FileCategory.JPEG;
+    if (mimeType === 'image/heic' || mimeType === 'image/heif') return FileCategory.HEIF;
+    if (mimeType.startsWith('video/')) return FileCategory.VIDEO;
+    if (mimeType.startsWith('audio/')) return FileCategory.AUDIO;
+    if (mimeType === 'application/rdf+xml') return FileCategory.SIDECAR;
+    return FileCategory.OTHER;
+}
+
+/**
+ * Build (once) the extension to category lookup from the type files
+ * @returns {Map<string, string>} Extension (without dot) to category
+ */
+function getExtensionCategories() {
+    if (extensionCategories) {
+        return extensionCategories;
+    }
+
+    extensionCategories = new Map();
+
+    try {
+        const rawMimeTypes = new Set(parseMimeTypesFile(RAW_TYPES_PATH).map(([mimeType]) => mimeType));
+
+        for (const [mimeType, extensions] of parseMimeTypesFile(MIME_TYPES_PATH)) {
+            const category = categorizeMimeType(mimeType, rawMimeTypes);
+            for (const ext of extensions) {
+                // First specific match wins, don't let a later generic entry override a category
+                if (!extensionCategories.has(ext) || extensionCategories.get(ext) === FileCategory.OTHER) {
+                    extensionCategories.set(ext, category);
+                }
+            }
+        }
+    } catch (error) {
+        console.error('Failed to load file type definitions:', error);
+    }
+
+    return extensionCategories;
+}
+
+/**
+ * Get the category of a file
+ * @param {string} fileName - File name
+ * @returns {string} One of FileCategory
+ */
+function getFileCategory(fileName) {
+    const ext = path.extname(fileName).toLowerCase().slice(1);
+    return getExtensionCategories().get(ext) || FileCategory.OTHER;
+}
+
+/**
+ * Normalize a list of extensions ("CR3, .jpg  mp4") to lowercase without dots
+ * @param {string|Array<string>} extensions - Extensions as list or comma/space separated string
+ * @returns {Array<string>} Normalized extensions
+ */
+function normalizeExtensions(extensions) {
+    const list = Array.isArray(extensions) ? extensions : String(extensions || '').split(/[\s,;]+/);
+    return list
+        .map(ext => ext.trim().toLowerCase().replace(/^\*?\./, ''))
+        .filter(ext => ext.length > 0);
+}
+
+/**
+ * Check if a file is camera junk (.THM, .CTG, .LRV, macOS/Windows metadata)
+ * @param {string} fileName - File name
+ * @returns {boolean} True if junk
+ */
+function isJunkFile(fileName) {
+    const lowerName = fileName.toLowerCase();
+    if (JUNK_FILE_NAMES.has(lowerName) || lowerName.startsWith('._')) {
+        return true;
+    }
+    return JUNK_EXTENSIONS.has(path.extname(lowerName).slice(1));
+}
+
+/**
+ * Check if a directory only holds camera junk (DCIM/MISC, system folders)
+ * @param {string} dirPath - Full directory path
+ * @returns {boolean} True if the directory should not be scanned
+ */
+function isJunkDirectory(dirPath) {
+    const name = path.basename(dirPath).toLowerCase();
+    if (JUNK_DIRECTORY_NAMES.has(name)) {
+        return true;
+    }
+    return name === 'misc' && path.basename(path.dirname(dirPath)).toLowerCase() === 'dcim';
+}
+
+/**
+ * Create a filter function from import settings
+ * @param {Object} fileFilter - Filter settings
+ * @param {Array<string>} fileFilter.categories - Categories to import
+ * @param {string|Array<string>} fileFilter.includeExtensions - Extensions always imported
+ * @param {string|Array<string>} fileFilter.excludeExtensions - Extensions never imported
+ * @param {boolean} fileFilter.skipJunk - Skip camera junk files
+ * @returns {function(string): {included: boolean, reason: string|null}} Filter for file names
+ */
+function createFileFilter(fileFilter = {}) {
+    const categories = new Set(fileFilter.categories || DEFAULT_CATEGORIES);
+    const includeExtensions = new Set(normalizeExtensions(fileFilter.includeExtensions));
+    const excludeExtensions = new Set(normalizeExtensions(fileFilter.excludeExtensions));
+    const skipJunk = fileFilter.skipJunk !== false;
+
+    return (fileName) => {
+        const ext = path.extname(fileName).toLowerCase().slice(1);
+
+        if (excludeExtensions.has(ext)) {
+            return { included: false, reason: 'excluded' };
+        }
+        if (includeExtensions.has(ext)) {
+            return { included: true, reason: null };
+        }
+        if (skipJunk && isJunkFile(fileName)) {
+            return { included: false, reason: 'junk' };
+        }
+        if (!categories.has(getFileCategory(fileName))) {
+            return { included: false, reason: 'category' };
+        }
+        return { included: true, reason: null };
+    };
+}
+
+module.exports = {
+    FileCategory,
+    DEFAULT_CATEGORIES,
+    getFileCategory,
+    normalizeExtensions,
+    isJunkFile,
+    isJunkDirectory,
+    createFileFilter
+};
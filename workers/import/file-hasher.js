@@ -0,0 +1,106 @@
+/**
+ * File Hasher
+ * Streaming checksums used to verify copied files
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Supported checksum algorithms
+ */
+const ChecksumAlgorithm = {
+    XXHASH64: 'xxhash64',
+    MD5: 'md5',
+    SHA256: 'sha256'
+};
+
+const DEFAULT_CHECKSUM_ALGORITHM = ChecksumAlgorithm.XXHASH64;
+
+// xxhash-wasm compiles its module asynchronously, share one instance per worker
+let xxhashPromise = null;
+
+/**
+ * Create an incremental hasher
+ * @param {string} algorithm - One of ChecksumAlgorithm
+ * @returns {Promise<{update: Function, digest: Function}>} Hasher returning a hex digest
+ */
+async function createHasher(algorithm = DEFAULT_CHECKSUM_ALGORITHM) {
+    switch (algorithm) {
+        case ChecksumAlgorithm.MD5:
+        case ChecksumAlgorithm.SHA256: {
+            const hash = crypto.createHash(algorithm);
+            return {
+                update: (chunk) => hash.update(chunk),
+                digest: () => hash.digest('hex')
+            };
+        }
+        case ChecksumAlgorithm.XXHASH64: {
+            if (!xxhashPromise) {
+                xxhashPromise = require('xxhash-wasm')();
+            }
+            const { create64 } = await xxhashPromise;
+            const hash = create64();
+            return {
+                update: (chunk) => hash.update(chunk),
+                digest: () => hash.digest().toString(16).padStart(16, '0')
+            };
+        }
+        default:
+            throw new Error(`Unsupported checksum algorithm: ${algorithm}`);
+    }
+}
+
+/**
+ * Hash a file
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - One of ChecksumAlgorithm
+ * @param {Function} onBytes - Called with the size of each chunk read (optional)
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath, algorithm = DEFAULT_CHECKSUM_ALGORITHM, onBytes = null) {
+    const hasher = await createHasher(algorithm);
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hasher.update(chunk);
+        if (onBytes) {
+            onBytes(chunk.length);
+        }
+    }
+    return hasher.digest();
+}
+
+/**
+ * Flush a written file to its disk
+ * This does not drop the file from the operating system's cache, a read-back right
+ * after it is still served from memory. It only makes sure the data is on the disk
+ * before the copy counts as verified.
+ * @param {string} filePath - File to flush
+ * @returns {Promise<void>}
+ */
+async function syncFile(filePath) {
+    // Windows only flushes handles opened for writing
+    const handle = await fs.promises.open(filePath, 'r+');
+    try {
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Check whether an algorithm name is supported
+ * @param {string} algorithm - Algorithm name
+ * @returns {boolean} True if supported
+ */
+function isSupportedAlgorithm(algorithm) {
+    return Object.values(ChecksumAlgorithm).includes(algorithm);
+}
+
+module.exports = {
+    ChecksumAlgorithm,
+    DEFAULT_CHECKSUM_ALGORITHM,
+    createHasher,
+    hashFile,
+    syncFile,
+    isSupportedAlgorithm
+};
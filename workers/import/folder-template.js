@@ -0,0 +1,151 @@
+/**
+ * Folder Template
+ * Renders folder paths from templates such as
+ * "{year}/{date:YYYY-MM-DD}_{job}/{camera_model}/{ext_group}", with the tokens
+ * of name templates plus a few folder tokens. Each "/" starts a subfolder, the
+ * same template also builds cloud object key prefixes.
+ */
+
+const path = require('path');
+const { TEMPLATE_TOKENS, renderTemplate, sanitizeNamePart } = require('./name-template');
+const { FileCategory, getFileCategory } = require('./file-filter');
+const { formatDate, getShootDate } = require('./date-format');
+
+/**
+ * Tokens available in folder templates
+ * {seq} numbers files, not folders, so it is left out.
+ */
+const FOLDER_TEMPLATE_TOKENS = {
+    ...Object.fromEntries(Object.entries(TEMPLATE_TOKENS).filter(([name]) => name !== 'seq')),
+    year: 'Capture year (YYYY)',
+    month: 'Capture month (MM)',
+    day: 'Capture day (DD)',
+    ext: 'File extension in lower case, pairs and sidecars follow their main file',
+    ext_group: 'File type (RAW, JPEG, HEIF, Video, Audio, Sidecar or Other), pairs and sidecars follow their main file',
+    card: 'Name of the card or source folder'
+};
+
+const TOKEN_REGEX = /\{([a-z_]+)(?::([^}]*))?\}/g;
+
+// Characters that are not allowed in folder names on Windows, macOS or Linux ("/" separates folders)
+const ILLEGAL_CHARACTERS = /[<>:"\\|?*\u0000-\u001F]/;
+
+// Device names Windows refuses as file or folder names, with or without extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+const EXT_GROUP_LABELS = {
+    [FileCategory.RAW]: 'RAW',
+    [FileCategory.JPEG]: 'JPEG',
+    [FileCategory.HEIF]: 'HEIF',
+    [FileCategory.VIDEO]: 'Video',
+    [FileCategory.AUDIO]: 'Audio',
+    [FileCategory.SIDECAR]: 'Sidecar',
+    [FileCategory.OTHER]: 'Other'
+};
+
+const UNKNOWN_VALUE = 'unknown';
+
+/**
+ * Validate a folder template
+ * @param {string} template - Folder template
+ * @returns {{valid: boolean, errors: Array<string>}} Validation result
+ */
+function validateFolderTemplate(template) {
+    const errors = [];
+
+    if (!template || !template.trim()) {
+        errors.push('Template is empty');
+        return { valid: false, errors };
+    }
+
+    if (template.includes('\\')) {
+        errors.push('Use "/" to separate folders');
+    }
+    if (template.startsWith('/')) {
+        errors.push('Template must be relative, remove the leading "/"');
+    }
+
+    const literal = template.replace(TOKEN_REGEX, '');
+    if (literal.includes('{') || literal.includes('}')) {
+        errors.push('Template has unbalanced braces');
+    }
+
+    for (const match of template.matchAll(TOKEN_REGEX)) {
+        const [token, name, argument] = match;
+        if (name === 'seq') {
+            errors.push(`${token} can only be used in file names`);
+        } else if (!FOLDER_TEMPLATE_TOKENS[name]) {
+            errors.push(`Unknown token ${token}`);
+        } else if (argument !== undefined && argument.includes('/')) {
+            errors.push(`Token formats can't contain "/", use separate tokens for subfolders: ${token}`);
+        }
+    }
+
+    if (ILLEGAL_CHARACTERS.test(literal)) {
+        errors.push('Template contains characters that are not allowed in folder names');
+    }
+
+    // Literal folder names are checked here, rendered values are made safe in renderFolderPath
+    const segments = template.replace(/^\/+/, '').split('/');
+    if (segments.some(segment => !segment.trim())) {
+        errors.push('Template has an empty folder name ("//" or a trailing "/")');
+    }
+    for (const segment of segments) {
+        const trimmed = segment.trim();
+        if (trimmed === '.' || trimmed === '..') {
+            errors.push(`"${trimmed}" is not allowed as a folder name`);
+        } else if (RESERVED_NAMES.test(trimmed)) {
+            errors.push(`"${trimmed}" is a reserved name on Windows`);
+        } else if (/[. ]$/.test(segment)) {
+            errors.push(`Folder names can't end with a dot or space on Windows: "${segment}"`);
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Render a folder template into a relative path
+ * Rendered values never add folders, "/" in a job name becomes "_". Folders that
+ * render empty are named "unknown". Dates are shoot days, see getShootDate.
+ * @param {string} template - Validated folder template
+ * @param {Object} file - Scanned file (name, captureTime, created, camera)
+ * @param {Object} context - Import context (job, photographer, card, locale, rolloverHour)
+ * @returns {string} Relative path with "/" between folders
+ */
+function renderFolderPath(template, file, context = {}) {
+    // Use capture time, then file creation date, then current date
+    const captureDate = file.captureTime || file.created;
+    const date = getShootDate(captureDate ? new Date(captureDate) : new Date(), context.rolloverHour);
+    const dated = { ...file, captureTime: date };
+
+    return template.split('/')
+        .filter(segment => segment.trim())
+        .map(segment => toFolderName(segment.replace(TOKEN_REGEX, (token, name) => {
+            switch (name) {
+                case 'year': return formatDate(date, 'YYYY');
+                case 'month': return formatDate(date, 'MM');
+                case 'day': return formatDate(date, 'DD');
+                case 'ext': return sanitizeNamePart(path.extname(file.name).slice(1).toLowerCase()) || UNKNOWN_VALUE;
+                case 'ext_group': return EXT_GROUP_LABELS[getFileCategory(file.name)];
+                case 'card': return context.card ? sanitizeNamePart(context.card) : UNKNOWN_VALUE;
+                default: return renderTemplate(token, dated, context);
+            }
+        })))
+        .join('/');
+}
+
+// Make a rendered segment a folder name every platform accepts
+function toFolderName(value) {
+    const name = sanitizeNamePart(value).trim().replace(/[. ]+$/, '');
+    if (!name) {
+        return UNKNOWN_VALUE;
+    }
+    return RESERVED_NAMES.test(name) ? `${name}_` : name;
+}
+
+module.exports = {
+    FOLDER_TEMPLATE_TOKENS,
+    validateFolderTemplate,
+    renderFolderPath
+};
@@ -0,0 +1,377 @@
+/**
+ * Import Journal
+ * Persists every import job as an append-only JSON-lines file in userData so an
+ * import interrupted by quitting the app or pulling the card can be resumed.
+ *
+ * Records, one per line:
+ *   { type: 'job', id, createdAt, importSettings, targets }
+ *   { type: 'assets', assets: [{ baseName, targetBaseName, files: [...] }] }
+ *   { type: 'copy', file, target, state: 'started', filePath }
+ *   { type: 'copy', file, target, state: 'verified' | 'copied' | 'skipped', filePath, checksum, verified }
+ *   { type: 'archived', file, archivePath }
+ *   { type: 'status', status }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getFolderTargets } = require('./destinations/destination-registry');
+
+const JOURNAL_EXTENSION = '.jsonl';
+
+const JournalStatus = {
+    RUNNING: 'running',
+    CANCELLED: 'cancelled',
+    INCOMPLETE: 'incomplete',
+    FAILED: 'failed'
+};
+
+// File fields needed to process a file again without rescanning the source
+const FILE_FIELDS = ['name', 'path', 'relativePath', 'size', 'created', 'modified', 'captureTime',
+    'captureTimeSource', 'captureTimeOffset', 'camera', 'nameSuffix', 'targetName'];
+const DATE_FIELDS = ['created', 'modified', 'captureTime'];
+
+class ImportJournal {
+    /**
+     * @param {string} journalDir - Directory holding the journals
+     * @param {string} id - Job identifier
+     */
+    constructor(journalDir, id) {
+        this.journalDir = journalDir;
+        this.id = id;
+        this.filePath = path.join(journalDir, `${id}${JOURNAL_EXTENSION}`);
+        this.createdAt = null;
+        this.importSettings = null;
+        this.targets = [];
+        this.assets = [];
+        this.status = JournalStatus.RUNNING;
+        this.copies = new Map(); // "fileIndex:target" -> latest copy record
+        this.archived = new Map(); // fileIndex -> path of the archived copy the file was skipped for
+    }
+
+    /**
+     * Start a journal for a new import
+     * @param {string} journalDir - Directory holding the journals
+     * @param {Object} importSettings - Import settings
+     * @returns {ImportJournal} New journal
+     */
+    static create(journalDir, importSettings) {
+        fs.mkdirSync(journalDir, { recursive: true });
+
+        const journal = new ImportJournal(journalDir, `import-${Date.now()}`);
+        journal.createdAt = new Date().toISOString();
+        journal.importSettings = importSettings;
+        journal.targets = getFolderTargets(importSettings);
+        journal.append({
+            type: 'job',
+            id: journal.id,
+            createdAt: journal.createdAt,
+            importSettings,
+            targets: journal.targets
+        });
+
+        return journal;
+    }
+
+    /**
+     * Load a journal by replaying its records
+     * A truncated last line (the app died mid-write) is ignored.
+     * @param {string} journalDir - Directory holding the journals
+     * @param {string} id - Job identifier
+     * @returns {ImportJournal} Loaded journal
+     */
+    static load(journalDir, id) {
+        const journal = new ImportJournal(journalDir, path.basename(id));
+        if (!fs.existsSync(journal.filePath)) {
+            throw new Error(`Import journal not found: ${id}`);
+        }
+
+        const lines = fs.readFileSync(journal.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                console.warn(`Skipping unreadable import journal record in ${journal.filePath}`);
+                continue;
+            }
+
+            journal.applyRecord(record);
+        }
+
+        if (!journal.importSettings) {
+            throw new Error(`Import journal is empty: ${id}`);
+        }
+
+        return journal;
+    }
+
+    /**
+     * List journals of imports that did not finish
+     * @param {string} journalDir - Directory holding the journals
+     * @returns {Array<Object>} Job summaries, newest first
+     */
+    static list(journalDir) {
+        if (!fs.existsSync(journalDir)) {
+            return [];
+        }
+
+        const summaries = [];
+        for (const entry of fs.readdirSync(journalDir)) {
+            if (path.extname(entry) !== JOURNAL_EXTENSION) continue;
+
+            try {
+                summaries.push(ImportJournal.load(journalDir, path.basename(entry, JOURNAL_EXTENSION)).getSummary());
+            } catch (error) {
+                console.warn(`Failed to read import journal ${entry}:`, error);
+            }
+        }
+
+        return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Delete a journal
+     * @param {string} journalDir - Directory holding the journals
+     * @param {string} id - Job identifier
+     */
+    static remove(journalDir, id) {
+        const filePath = path.join(journalDir, `${path.basename(id)}${JOURNAL_EXTENSION}`);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
+    applyRecord(record) {
+        switch (record.type) {
+            case 'job':
+                this.createdAt = record.createdAt;
+                this.importSettings = record.importSettings;
+                this.targets = record.targets || getFolderTargets(record.importSettings);
+                break;
+            case 'assets':
+                this.assets = record.assets.map(restoreAsset);
+                break;
+            case 'copy':
+                this.copies.set(`${record.file}:${record.target}`, record);
+                break;
+            case 'archived':
+                this.archived.set(record.file, record.archivePath);
+                break;
+            case 'status':
+                this.status = record.status;
+                break;
+        }
+    }
+
+    /**
+     * Record the scanned, grouped and renamed assets
+     * Numbers every file so later copy records can refer to it.
+     * @param {Array<Object>} assets - Assets about to be processed
+     */
+    recordAssets(assets) {
+        let index = 0;
+        for (const asset of assets) {
+            for (const file of asset.files) {
+                file.journalIndex = index++;
+            }
+        }
+
+        this.assets = assets;
+        this.append({
+            type: 'assets',
+            assets: assets.map(asset => ({
+                baseName: asset.baseName,
+                targetBaseName: asset.targetBaseName,
+                files: asset.files.map(serializeFile)
+            }))
+        });
+    }
+
+    /**
+     * Record that a copy is about to be written, so a partial file can be removed on resume
+     * @param {Object} file - Source file
+     * @param {string} target - Id of the folder destination ('destination', 'backup', ...)
+     * @param {string} filePath - Path of the copy
+     */
+    recordCopyStarted(file, target, filePath) {
+        this.recordCopy(file, target, { state: 'started', filePath });
+    }
+
+    /**
+     * Record a finished copy
+     * @param {Object} file - Source file
+     * @param {string} target - Id of the folder destination ('destination', 'backup', ...)
+     * @param {Object} copy - Copy result ({ filePath, skipped, verified, checksum })
+     */
+    recordCopyFinished(file, target, copy) {
+        let state = copy.verified ? 'verified' : 'copied';
+        if (copy.skipped) {
+            state = 'skipped';
+        }
+        this.recordCopy(file, target, { state, filePath: copy.filePath, checksum: copy.checksum || null, verified: copy.verified === true });
+    }
+
+    recordCopy(file, target, details) {
+        if (file.journalIndex === undefined) {
+            return;
+        }
+
+        const record = { type: 'copy', file: file.journalIndex, target, ...details };
+        this.copies.set(`${file.journalIndex}:${target}`, record);
+        this.append(record);
+    }
+
+    /**
+     * Record a file that was not copied because the archive already holds it
+     * @param {Object} file - Source file
+     * @param {string} archivePath - Path of the archived copy
+     */
+    recordArchived(file, archivePath) {
+        if (file.journalIndex === undefined) {
+            return;
+        }
+
+        this.archived.set(file.journalIndex, archivePath);
+        this.append({ type: 'archived', file: file.journalIndex, archivePath });
+    }
+
+    /**
+     * Get the archived copy a file was skipped for
+     * @param {Object} file - Journaled file
+     * @returns {string|null} Path of the archived copy, null if the file was not skipped for the archive
+     */
+    getArchivePath(file) {
+        return this.archived.get(file.journalIndex) || null;
+    }
+
+    /**
+     * Record the job status
+     * @param {string} status - One of JournalStatus
+     */
+    recordStatus(status) {
+        this.status = status;
+        this.append({ type: 'status', status });
+    }
+
+    /**
+     * Check if a file reached every target (copied, verified or already there) or was skipped for the archive
+     * @param {Object} file - Journaled file
+     * @returns {boolean} True if nothing is left to do for the file
+     */
+    isFileComplete(file) {
+        if (this.archived.has(file.journalIndex)) {
+            return true;
+        }
+        return this.targets.every(target => {
+            const copy = this.copies.get(`${file.journalIndex}:${target}`);
+            return copy && copy.state !== 'started';
+        });
+    }
+
+    /**
+     * Get the finished copies of a file
+     * @param {Object} file - Journaled file
+     * @returns {Array<Object>} Copy records ({ target, state, filePath, checksum, verified })
+     */
+    getCopies(file) {
+        return this.targets
+            .map(target => this.copies.get(`${file.journalIndex}:${target}`))
+            .filter(copy => copy && copy.state !== 'started');
+    }
+
+    /**
+     * Remove copies that were started but never finished
+     * @returns {number} Number of partial files removed
+     */
+    removePartialCopies() {
+        let removed = 0;
+
+        for (const copy of this.copies.values()) {
+            if (copy.state !== 'started' || !fs.existsSync(copy.filePath)) continue;
+
+            try {
+                fs.unlinkSync(copy.filePath);
+                removed++;
+            } catch (error) {
+                console.warn(`Failed to remove partial copy ${copy.filePath}:`, error);
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Get the assets that still have work left
+     * @returns {Array<Object>} Pending assets
+     */
+    getPendingAssets() {
+        return this.assets.filter(asset => !asset.files.every(file => this.isFileComplete(file)));
+    }
+
+    /**
+     * Summarize the job for the Import screen
+     * @returns {Object} Summary
+     */
+    getSummary() {
+        const files = this.assets.flatMap(asset => asset.files);
+        return {
+            id: this.id,
+            createdAt: this.createdAt,
+            status: this.status,
+            sourcePath: this.importSettings.sourcePath,
+            destinationPath: this.importSettings.destinationPath,
+            totalFiles: files.length,
+            completedFiles: files.filter(file => this.isFileComplete(file)).length
+        };
+    }
+
+    /**
+     * Delete this journal, used once the import finished cleanly
+     */
+    remove() {
+        ImportJournal.remove(this.journalDir, this.id);
+    }
+
+    append(record) {
+        fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+}
+
+function serializeFile(file) {
+    const serialized = { index: file.journalIndex };
+    for (const field of FILE_FIELDS) {
+        if (file[field] !== undefined) {
+            serialized[field] = file[field];
+        }
+    }
+    return serialized;
+}
+
+function restoreAsset(record) {
+    const files = record.files.map(serialized => {
+        const file = { ...serialized, journalIndex: serialized.index };
+        delete file.index;
+        for (const field of DATE_FIELDS) {
+            if (file[field]) {
+                file[field] = new Date(file[field]);
+            }
+        }
+        return file;
+    });
+
+    return {
+        key: path.join(path.dirname(files[0].path), record.baseName).toLowerCase(),
+        baseName: record.baseName,
+        targetBaseName: record.targetBaseName,
+        primary: files[0],
+        files,
+        totalSize: files.reduce((sum, file) => sum + (file.size || 0), 0)
+    };
+}
+
+module.exports = {
+    ImportJournal,
+    JournalStatus
+};
@@ -0,0 +1,252 @@
+/**
+ * Import Manifest
+ * Proof of what an import copied: every destination root gets a JSON manifest
+ * and an ASC-MHL generation listing each copied file with its size, hash and
+ * source, so a destination can be checked against it at any later time
+ * (see archive-verifier.js).
+ *
+ * JSON manifests are written next to the receipts:
+ *   ZenTransfer-manifest-<timestamp>.json
+ *   { format, version, createdAt, jobId, presetId, sourcePath, target, algorithm, files: [...] }
+ *
+ * ASC-MHL generations go into the ascmhl folder of the root, registered in the
+ * chain file other ASC-MHL tools read.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Manifests, receipts and verify reports written next to the archived files
+const APP_FILE_PREFIX = 'ZenTransfer-';
+
+const MANIFEST_PREFIX = 'ZenTransfer-manifest';
+const MANIFEST_FORMAT = 'zentransfer-import-manifest';
+const MANIFEST_VERSION = 1;
+
+const MHL_DIRECTORY = 'ascmhl';
+const MHL_CHAIN_FILE = 'ascmhl_chain.xml';
+
+// ASC-MHL hash elements, SHA-256 has none so those imports only get the JSON manifest
+const MHL_HASH_ELEMENTS = {
+    xxhash64: 'xxh64',
+    md5: 'md5'
+};
+
+// Files of the root that are not part of the archive, other ASC-MHL tools skip them too
+const MHL_IGNORE_PATTERNS = ['.DS_Store', MHL_DIRECTORY, `${MHL_DIRECTORY}/`, 'ZenTransfer-*'];
+
+const C4_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Write the manifest of one destination root
+ * @param {string} rootPath - Root of one folder destination of the import
+ * @param {string} target - Id of the folder destination the root belongs to ('destination', 'backup', ...)
+ * @param {Array<Object>} importedFiles - Imported files ({ path, size, captureTime, captureTimeSource, copies })
+ * @param {Object} info - Manifest details
+ * @param {string} info.algorithm - Checksum algorithm of the hashes
+ * @param {string} info.sourcePath - Card or folder imported from
+ * @param {string} info.jobId - Import job
+ * @param {string} info.presetId - Preset the import used (optional)
+ * @param {string} info.appVersion - App version for the ASC-MHL creator info
+ * @returns {{manifestPath: string, mhlPath: string|null, files: number}|null} Written files, null when nothing was copied to the root
+ */
+function writeManifest(rootPath, target, importedFiles, info) {
+    const createdAt = new Date();
+    const files = [];
+
+    for (const file of importedFiles) {
+        const copy = file.copies.find(entry => entry.target === target);
+        if (!copy) continue;
+
+        files.push({
+            path: toManifestPath(rootPath, copy.filePath),
+            sourcePath: file.path,
+            size: file.size,
+            algorithm: info.algorithm,
+            hash: copy.checksum || file.checksum || null,
+            verified: copy.verified === true,
+            skipped: copy.skipped === true,
+            captureTime: file.captureTime ? new Date(file.captureTime).toISOString() : null,
+            captureTimeSource: file.captureTimeSource || null
+        });
+    }
+
+    if (files.length === 0) {
+        return null;
+    }
+
+    const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+    const manifestPath = path.join(rootPath, `${MANIFEST_PREFIX}-${stamp}.json`);
+    const manifest = {
+        format: MANIFEST_FORMAT,
+        version: MANIFEST_VERSION,
+        createdAt: createdAt.toISOString(),
+        jobId: info.jobId || null,
+        presetId: info.presetId || null,
+        sourcePath: info.sourcePath,
+        target,
+        algorithm: info.algorithm,
+        files
+    };
+    fs.writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    const mhlPath = MHL_HASH_ELEMENTS[info.algorithm] ? writeMhlGeneration(rootPath, files, createdAt, info) : null;
+
+    return { manifestPath, mhlPath, files: files.length };
+}
+
+/**
+ * Add an ASC-MHL generation for the copied files and register it in the chain file
+ * Files without a hash (copied without verification or catalog) can't be listed.
+ * @returns {string} Generation file path
+ */
+function writeMhlGeneration(rootPath, files, createdAt, info) {
+    const mhlDir = path.join(rootPath, MHL_DIRECTORY);
+    fs.mkdirSync(mhlDir, { recursive: true });
+
+    const generation = getNextGeneration(mhlDir);
+    const stamp = createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z').replace('T', '_').replace(/:/g, '');
+    const fileName = `${String(generation).padStart(4, '0')}_${sanitizeFileName(path.basename(path.resolve(rootPath)))}_${stamp}.mhl`;
+    const hashDate = formatXmlDate(createdAt);
+    const hashElement = MHL_HASH_ELEMENTS[info.algorithm];
+
+    const hashes = files.filter(file => file.hash).map(file => {
+        let modified = '';
+        try {
+            modified = ` lastmodificationdate="${formatXmlDate(fs.statSync(path.join(rootPath, file.path)).mtime)}"`;
+        } catch (error) {
+            // The copy is gone already, list it with the size only
+        }
+        return [
+            '    <hash>',
+            `      <path size="${file.size}"${modified}>${escapeXml(file.path)}</path>`,
+            `      <${hashElement} action="original" hashdate="${hashDate}">${file.hash}</${hashElement}>`,
+            '    </hash>'
+        ].join('\n');
+    });
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<hashlist version="2.0" xmlns="urn:ASC:MHL:v2.0">',
+        '  <creatorinfo>',
+        `    <creationdate>${hashDate}</creationdate>`,
+        `    <hostname>${escapeXml(os.hostname())}</hostname>`,
+        `    <tool version="${escapeXml(info.appVersion || '0')}">ZenTransfer</tool>`,
+        '  </creatorinfo>',
+        '  <processinfo>',
+        '    <process>transfer</process>',
+        '    <ignore>',
+        ...MHL_IGNORE_PATTERNS.map(pattern => `      <pattern>${escapeXml(pattern)}</pattern>`),
+        '    </ignore>',
+        '  </processinfo>',
+        '  <hashes>',
+        ...hashes,
+        '  </hashes>',
+        '</hashlist>',
+        ''
+    ].join('\n');
+
+    const mhlPath = path.join(mhlDir, fileName);
+    fs.writeFileSync(mhlPath, xml);
+    appendToChain(mhlDir, generation, fileName, getC4Id(Buffer.from(xml)));
+
+    return mhlPath;
+}
+
+// Generations are numbered from 1 in the order they were written
+function getNextGeneration(mhlDir) {
+    const generations = fs.readdirSync(mhlDir)
+        .map(name => /^(\d{4,})_.*\.mhl$/.exec(name))
+        .filter(Boolean)
+        .map(match => parseInt(match[1], 10));
+    return generations.length > 0 ? Math.max(...generations) + 1 : 1;
+}
+
+function appendToChain(mhlDir, generation, fileName, c4Id) {
+    const chainPath = path.join(mhlDir, MHL_CHAIN_FILE);
+    const entry = [
+        `  <hashlist sequencenr="${generation}">`,
+        `    <path>${escapeXml(fileName)}</path>`,
+        `    <c4>${c4Id}</c4>`,
+        '  </hashlist>',
+        ''
+    ].join('\n');
+
+    let chain = fs.existsSync(chainPath) ? fs.readFileSync(chainPath, 'utf8') : '';
+    if (!chain.includes('</ascmhldirectory>')) {
+        chain = '<?xml version="1.0" encoding="UTF-8"?>\n<ascmhldirectory xmlns="urn:ASC:MHL:DIRECTORY:v2.0">\n</ascmhldirectory>\n';
+    }
+
+    const tempPath = `${chainPath}.tmp`;
+    fs.writeFileSync(tempPath, chain.replace('</ascmhldirectory>', `${entry}</ascmhldirectory>`));
+    fs.renameSync(tempPath, chainPath);
+}
+
+/**
+ * Check if a file is part of the archive, not a file the app or ASC-MHL tools keep next to it
+ * @param {string} filePath - File path
+ * @returns {boolean} True for archived files
+ */
+function isArchiveFile(filePath) {
+    return !path.basename(filePath).startsWith(APP_FILE_PREFIX) && !filePath.split(path.sep).includes(MHL_DIRECTORY);
+}
+
+/**
+ * Read a JSON manifest
+ * @param {string} manifestPath - Manifest file path
+ * @returns {Object} Manifest
+ */
+function readManifest(manifestPath) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest.format !== MANIFEST_FORMAT || !Array.isArray(manifest.files)) {
+        throw new Error(`Not a ZenTransfer import manifest: ${manifestPath}`);
+    }
+    return manifest;
+}
+
+// Manifest paths are relative to the root with forward slashes on every platform
+function toManifestPath(rootPath, filePath) {
+    return path.relative(rootPath, filePath).split(path.sep).join('/');
+}
+
+// ASC-MHL dates are xs:dateTime in UTC without milliseconds
+function formatXmlDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, '+00:00');
+}
+
+function sanitizeFileName(name) {
+    return name.replace(/[^A-Za-z0-9._-]+/g, '_') || 'root';
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * C4 ID of a file, the ASC-MHL chain identifies each generation by it
+ * SHA-512 in base58, padded to 88 characters and prefixed with "c4".
+ */
+function getC4Id(buffer) {
+    let value = BigInt(`0x${crypto.createHash('sha512').update(buffer).digest('hex')}`);
+    let encoded = '';
+    while (value > 0n) {
+        encoded = C4_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    return `c4${encoded.padStart(88, '1')}`;
+}
+
+module.exports = {
+    MANIFEST_PREFIX,
+    MHL_DIRECTORY,
+    writeManifest,
+    readManifest,
+    isArchiveFile
+};
@@ -0,0 +1,104 @@
+/**
+ * Import Plan
+ * Totals and CSV export for import previews (dry runs).
+ */
+
+const PlanAction = {
+    COPY: 'copy',
+    RENAME: 'rename', // Copied under a new "name (n)" because a different file has the name
+    SKIP: 'skip',         // Identical file already there
+    ARCHIVED: 'archived'  // Identical file elsewhere in the archive, not imported
+};
+
+const CSV_COLUMNS = [
+    { header: 'Source', value: row => row.source },
+    { header: 'Size (bytes)', value: row => row.size },
+    { header: 'Destination', value: row => row.destination },
+    { header: 'Destination action', value: row => row.destinationAction },
+    { header: 'Backup', value: row => row.backup || '' },
+    { header: 'Backup action', value: row => row.backupAction || '' },
+    { header: 'Other copies', value: row => getOtherCopies(row).map(copy => `${copy.label}: ${copy.filePath || ''} (${copy.action})`).join('; ') },
+    { header: 'Upload key', value: row => row.uploadKey || '' },
+    { header: 'Already in archive', value: row => row.archivePath || '' }
+];
+
+/**
+ * Add per-destination totals to plan rows
+ * @param {Array<Object>} rows - Plan rows ({ source, size, destination, destinationAction, backup, backupAction,
+ *   copies, uploadKey, archivePath }), copies holds { target, label, filePath, action } for every folder destination
+ * @returns {Object} Plan ({ rows, totals: { destinations, upload } }), destinations in import order with their
+ *   target and label; bytes count only files that are written
+ */
+function summarizePlan(rows) {
+    const destinations = new Map();
+    const totals = {
+        destinations: [],
+        upload: createTotals()
+    };
+
+    for (const row of rows) {
+        for (const copy of row.copies) {
+            if (!destinations.has(copy.target)) {
+                destinations.set(copy.target, { target: copy.target, label: copy.label, ...createTotals() });
+            }
+            addToTotals(destinations.get(copy.target), copy.action, row.size);
+        }
+
+        if (row.uploadKey) {
+            addToTotals(totals.upload, PlanAction.COPY, row.size);
+        }
+    }
+
+    totals.destinations = Array.from(destinations.values());
+    return { rows, totals };
+}
+
+function createTotals() {
+    return { files: 0, bytes: 0, skipped: 0, renamed: 0 };
+}
+
+/**
+ * Copies of a row that have no column of their own (not the destination or backup)
+ */
+function getOtherCopies(row) {
+    return row.copies.filter(copy => copy.target !== 'destination' && copy.target !== 'backup');
+}
+
+function addToTotals(totals, action, size) {
+    if (action === PlanAction.SKIP || action === PlanAction.ARCHIVED) {
+        totals.skipped++;
+        return;
+    }
+
+    totals.files++;
+    totals.bytes += size || 0;
+    if (action === PlanAction.RENAME) {
+        totals.renamed++;
+    }
+}
+
+/**
+ * Format plan rows as CSV (RFC 4180, comma separated, CRLF line endings)
+ * @param {Object} plan - Plan from summarizePlan
+ * @returns {string} CSV text
+ */
+function formatPlanCsv(plan) {
+    const lines = [CSV_COLUMNS.map(column => escapeCsvField(column.header)).join(',')];
+
+    for (const row of plan.rows) {
+        lines.push(CSV_COLUMNS.map(column => escapeCsvField(column.value(row))).join(','));
+    }
+
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+    PlanAction,
+    summarizePlan,
+    formatPlanCsv
+};
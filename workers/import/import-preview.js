@@ -0,0 +1,137 @@
+/**
+ * Import Preview
+ * Scans the first files of a source so the Import screen can preview
+ * the names and folders files will get without starting an import
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readCaptureTime } = require('./capture-time');
+const { createFileFilter, isJunkDirectory } = require('./file-filter');
+const { validateTemplate, renameAssets } = require('./name-template');
+const { validateFolderTemplate, renderFolderPath } = require('./folder-template');
+const { groupIntoAssets } = require('./asset-grouper');
+
+/**
+ * Find the first files an import would pick up
+ * @param {Object} importSettings - Import settings (sourcePath, includeSubdirectories, fileFilter)
+ * @param {number} limit - Maximum number of files
+ * @returns {Array<Object>} Files ({ name, path, size })
+ */
+function findFirstFiles(importSettings, limit) {
+    const { sourcePath, includeSubdirectories } = importSettings;
+    const fileFilter = importSettings.fileFilter || {};
+    const shouldInclude = createFileFilter(fileFilter);
+    const files = [];
+
+    const scanDir = (dirPath) => {
+        const items = fs.readdirSync(dirPath).sort();
+
+        for (const item of items) {
+            if (files.length >= limit) {
+                return;
+            }
+
+            const fullPath = path.join(dirPath, item);
+            try {
+                const itemStats = fs.statSync(fullPath);
+                if (itemStats.isFile()) {
+                    if (shouldInclude(item).included) {
+                        files.push({ name: item, path: fullPath, size: itemStats.size, created: itemStats.birthtime });
+                    }
+                } else if (itemStats.isDirectory() && includeSubdirectories) {
+                    if (fileFilter.skipJunk !== false && isJunkDirectory(fullPath)) {
+                        continue;
+                    }
+                    scanDir(fullPath);
+                }
+            } catch (itemError) {
+                console.warn(`Failed to process item: ${fullPath}`, itemError);
+            }
+        }
+    };
+
+    scanDir(sourcePath);
+    return files;
+}
+
+/**
+ * Preview renamed file names for the first files of the source
+ * @param {Object} importSettings - Import settings (sourcePath, renameTemplate, jobName, photographer, ...)
+ * @param {number} limit - Number of files to preview
+ * @returns {Promise<Array<{original: string, renamed: string}>>} Preview rows
+ */
+async function previewFileNames(importSettings, limit = 5) {
+    if (!importSettings.sourcePath || !fs.existsSync(importSettings.sourcePath)) {
+        throw new Error('Source directory does not exist');
+    }
+
+    const validation = validateTemplate(importSettings.renameTemplate);
+    if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+    }
+
+    const files = findFirstFiles(importSettings, limit);
+    for (const file of files) {
+        const captureTime = await readCaptureTime(file.path);
+        file.captureTime = captureTime.date;
+        file.camera = captureTime.camera;
+    }
+
+    // Same grouping and numbering as the import: RAW+JPEG pairs share a name
+    const assets = groupIntoAssets(files);
+    renameAssets(assets, importSettings.renameTemplate, {
+        job: importSettings.jobName,
+        photographer: importSettings.photographer,
+        locale: importSettings.dateLocale
+    });
+
+    return assets.flatMap(asset => asset.files.map(file => ({
+        original: file.name,
+        renamed: file.targetName
+    })));
+}
+
+/**
+ * Preview the folders a folder template puts the first files of the source in
+ * @param {Object} importSettings - Import settings (sourcePath, jobName, photographer, ...)
+ * @param {string} template - Folder template
+ * @param {number} limit - Number of files to preview
+ * @returns {Promise<Array<{original: string, folder: string}>>} Preview rows
+ */
+async function previewFolderPaths(importSettings, template, limit = 5) {
+    if (!importSettings.sourcePath || !fs.existsSync(importSettings.sourcePath)) {
+        throw new Error('Source directory does not exist');
+    }
+
+    const validation = validateFolderTemplate(template);
+    if (!validation.valid) {
+        throw new Error(validation.errors.join(', '));
+    }
+
+    const files = findFirstFiles(importSettings, limit);
+    for (const file of files) {
+        const captureTime = await readCaptureTime(file.path);
+        file.captureTime = captureTime.date;
+        file.camera = captureTime.camera;
+    }
+
+    // The import decides the folder per asset, from its primary file
+    const context = {
+        job: importSettings.jobName,
+        photographer: importSettings.photographer,
+        card: path.basename(path.resolve(importSettings.sourcePath)),
+        locale: importSettings.dateLocale,
+        rolloverHour: importSettings.dayRolloverHour
+    };
+    return groupIntoAssets(files).flatMap(asset => {
+        const folder = renderFolderPath(template, asset.primary, context);
+        return asset.files.map(file => ({ original: file.name, folder }));
+    });
+}
+
+module.exports = {
+    findFirstFiles,
+    previewFileNames,
+    previewFolderPaths
+};
@@ -0,0 +1,165 @@
+/**
+ * Name Template
+ * Renders file names from templates such as "{date:YYYYMMDD}_{camera_model}_{seq:4}".
+ */
+
+const path = require('path');
+const { formatDate } = require('./date-format');
+
+/**
+ * Tokens available in name templates
+ */
+const TEMPLATE_TOKENS = {
+    date: 'Capture date, optional format (default YYYYMMDD)',
+    time: 'Capture time, optional format (default HHmmss)',
+    camera_make: 'Camera manufacturer',
+    camera_model: 'Camera model',
+    camera_serial: 'Camera body serial number',
+    seq: 'Sequence number in this import, optional width (default 4)',
+    original: 'Original file name without extension',
+    job: 'Job name',
+    photographer: 'Photographer name'
+};
+
+const TOKEN_REGEX = /\{([a-z_]+)(?::([^}]*))?\}/g;
+
+// Characters that are not allowed in file names on Windows, macOS or Linux
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001F]/g;
+
+const UNKNOWN_VALUE = 'unknown';
+
+/**
+ * Validate a template
+ * @param {string} template - Name template
+ * @returns {{valid: boolean, errors: Array<string>}} Validation result
+ */
+function validateTemplate(template) {
+    const errors = [];
+
+    if (!template || !template.trim()) {
+        errors.push('Template is empty');
+        return { valid: false, errors };
+    }
+
+    const unbalanced = template.replace(TOKEN_REGEX, '');
+    if (unbalanced.includes('{') || unbalanced.includes('}')) {
+        errors.push('Template has unbalanced braces');
+    }
+
+    for (const match of template.matchAll(TOKEN_REGEX)) {
+        const [token, name, argument] = match;
+        if (!TEMPLATE_TOKENS[name]) {
+            errors.push(`Unknown token ${token}`);
+        } else if (name === 'seq' && argument !== undefined && !/^\d{1,2}$/.test(argument)) {
+            errors.push(`Sequence width must be a number: ${token}`);
+        }
+    }
+
+    if (sanitizeNamePart(template.replace(TOKEN_REGEX, '')) !== template.replace(TOKEN_REGEX, '')) {
+        errors.push('Template contains characters that are not allowed in file names');
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Render a template without adding an extension
+ * @param {string} template - Template
+ * @param {Object} file - Scanned file (name, captureTime, camera)
+ * @param {Object} context - Import context (sequence, job, photographer, locale of month and weekday names)
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, file, context = {}) {
+    const date = file.captureTime ? new Date(file.captureTime) : new Date();
+    const camera = file.camera || {};
+
+    return template.replace(TOKEN_REGEX, (token, name, argument) => {
+        switch (name) {
+            case 'date': return sanitizeNamePart(formatDate(date, argument || 'YYYYMMDD', { locale: context.locale }));
+            case 'time': return sanitizeNamePart(formatDate(date, argument || 'HHmmss', { locale: context.locale }));
+            case 'camera_make': return valueOrUnknown(camera.make);
+            case 'camera_model': return valueOrUnknown(camera.model);
+            case 'camera_serial': return valueOrUnknown(camera.serial);
+            case 'seq': return String(context.sequence || 1).padStart(Number(argument || 4), '0');
+            case 'original': return path.basename(file.name, path.extname(file.name));
+            case 'job': return valueOrUnknown(context.job);
+            case 'photographer': return valueOrUnknown(context.photographer);
+            default: return token;
+        }
+    });
+}
+
+/**
+ * Replace characters that are not allowed in file names
+ * @param {string} value - Raw value
+ * @returns {string} Safe value
+ */
+function sanitizeNamePart(value) {
+    return String(value).replace(ILLEGAL_CHARACTERS, '_');
+}
+
+function valueOrUnknown(value) {
+    const trimmed = value ? String(value).trim() : '';
+    return trimmed ? sanitizeNamePart(trimmed) : UNKNOWN_VALUE;
+}
+
+/**
+ * Rename assets from a template
+ * Assets are numbered in capture order so {seq} follows the shoot across camera bodies.
+ * All files of an asset share the rendered base name and keep their own suffix
+ * (IMG_0001.CR3 + IMG_0001.JPG + IMG_0001.CR3.xmp stay a set). Sets targetBaseName
+ * on each asset and targetName on each of its files.
+ * @param {Array<Object>} assets - Assets from groupIntoAssets, sorted in place
+ * @param {string} template - Name template
+ * @param {Object} context - Import context
+ * @param {string} context.job - Job name
+ * @param {string} context.photographer - Photographer name
+ * @param {string} context.locale - Locale of month and weekday names
+ * @param {number} context.firstSequence - {seq} of the first asset, continues numbering from an earlier card (default 1)
+ * @param {Set<string>} context.usedNames - Names taken by an earlier card of the same job, updated in place
+ */
+function renameAssets(assets, template, context = {}) {
+    assets.sort((a, b) => {
+        const timeDifference = new Date(a.primary.captureTime || a.primary.created) - new Date(b.primary.captureTime || b.primary.created);
+        return timeDifference !== 0 ? timeDifference : a.primary.name.localeCompare(b.primary.name);
+    });
+
+    const firstSequence = context.firstSequence || 1;
+    const usedNames = context.usedNames || new Set();
+    assets.forEach((asset, index) => {
+        const renderedName = renderTemplate(template, asset.primary, { ...context, sequence: firstSequence + index }).trim() || asset.baseName;
+        asset.targetBaseName = makeUniqueName(renderedName, usedNames);
+
+        for (const file of asset.files) {
+            file.targetName = `${asset.targetBaseName}${file.nameSuffix}`;
+        }
+    });
+}
+
+/**
+ * Make a base name unique within a set of names already used in this import
+ * @param {string} baseName - Candidate name without extension
+ * @param {Set<string>} usedNames - Lowercased names already taken, updated in place
+ * @returns {string} Unique name
+ */
+function makeUniqueName(baseName, usedNames) {
+    let candidate = baseName;
+    let counter = 2;
+
+    while (usedNames.has(candidate.toLowerCase())) {
+        candidate = `${baseName}_${counter}`;
+        counter++;
+    }
+
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+module.exports = {
+    TEMPLATE_TOKENS,
+    validateTemplate,
+    renderTemplate,
+    sanitizeNamePart,
+    renameAssets,
+    makeUniqueName
+};
@@ -0,0 +1,124 @@
+/**
+ * Post Import
+ * End-of-job card handling: decides whether every imported file is verified on
+ * enough destinations to release the card, writes a receipt and wipes the
+ * imported files from the card.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DestinationType, getDestinationConfigs } = require('./destinations/destination-registry');
+
+const RECEIPT_PREFIX = 'ZenTransfer-receipt';
+
+/**
+ * Check if the card can be ejected or wiped
+ * Files skipped because the archive holds them were matched by checksum, their
+ * archived copy counts as one verified copy.
+ * @param {Array<Object>} importedFiles - Imported files ({ name, path, verifiedCopies, archivePath, failed })
+ * @param {number} minVerifiedCopies - Verified copies each file needs
+ * @returns {{ready: boolean, reason: string|null}} Whether the card can be released, and why not
+ */
+function checkCardRelease(importedFiles, minVerifiedCopies = 1) {
+    if (importedFiles.length === 0) {
+        return { ready: false, reason: 'No files were imported' };
+    }
+
+    const failedFiles = importedFiles.filter(file => file.failed);
+    if (failedFiles.length > 0) {
+        return { ready: false, reason: `${failedFiles.length} files failed to import` };
+    }
+
+    const underVerified = importedFiles.filter(file => getVerifiedPaths(file).length < minVerifiedCopies);
+    if (underVerified.length > 0) {
+        return {
+            ready: false,
+            reason: `${underVerified.length} files are not checksum-verified on ${minVerifiedCopies} destination${minVerifiedCopies === 1 ? '' : 's'} (first: ${underVerified[0].name})`
+        };
+    }
+
+    return { ready: true, reason: null };
+}
+
+/**
+ * Write a receipt listing every imported file and its verified copies
+ * @param {string} destinationPath - Destination root the receipt is written to
+ * @param {Object} importSettings - Import settings
+ * @param {Array<Object>} importedFiles - Imported files ({ relativePath, size, checksum, verifiedCopies, archivePath })
+ * @param {Object} options - Receipt options
+ * @param {boolean} options.wipe - Whether the files are about to be deleted from the card
+ * @returns {string} Receipt file path
+ */
+function writeReceipt(destinationPath, importSettings, importedFiles, options = {}) {
+    const createdAt = new Date();
+    const totalBytes = importedFiles.reduce((sum, file) => sum + (file.size || 0), 0);
+    const stamp = createdAt.toISOString().replace(/[:.]/g, '-');
+    const receiptPath = path.join(destinationPath, `${RECEIPT_PREFIX}-${stamp}.txt`);
+
+    const lines = [
+        'ZenTransfer import receipt',
+        `Created: ${createdAt.toISOString()}`,
+        `Source: ${importSettings.sourcePath}`
+    ];
+    for (const destination of getDestinationConfigs(importSettings).filter(config => config.type === DestinationType.FOLDER && config.enabled !== false)) {
+        lines.push(`${destination.label || destination.id}: ${destination.path}`);
+    }
+    lines.push(
+        `Checksum: ${importSettings.checksumAlgorithm}`,
+        `Files: ${importedFiles.length} (${totalBytes} bytes)`,
+        `Card wipe: ${options.wipe ? 'files deleted from card after this receipt was written' : 'no'}`,
+        ''
+    );
+
+    for (const file of importedFiles) {
+        const copies = getVerifiedPaths(file).join('; ');
+        lines.push(`${file.checksum || '-'}\t${file.size}\t${file.relativePath}\t${copies}`);
+    }
+
+    fs.writeFileSync(receiptPath, `${lines.join('\n')}\n`);
+    return receiptPath;
+}
+
+/**
+ * Append a line to a receipt
+ * @param {string} receiptPath - Receipt file path
+ * @param {string} line - Text to append
+ */
+function appendToReceipt(receiptPath, line) {
+    fs.appendFileSync(receiptPath, `${line}\n`);
+}
+
+/**
+ * Delete imported files from the card
+ * @param {Array<Object>} importedFiles - Imported files ({ path })
+ * @returns {Promise<{deleted: number, failed: Array<{path: string, error: string}>}>} Wipe result
+ */
+async function wipeImportedFiles(importedFiles) {
+    let deleted = 0;
+    const failed = [];
+
+    for (const file of importedFiles) {
+        try {
+            await fs.promises.unlink(file.path);
+            deleted++;
+        } catch (error) {
+            failed.push({ path: file.path, error: error.message });
+        }
+    }
+
+    return { deleted, failed };
+}
+
+/**
+ * Get the paths of the verified copies of a file, or of the archived copy it was skipped for
+ */
+function getVerifiedPaths(file) {
+    return file.archivePath ? [file.archivePath] : file.verifiedCopies.map(copy => copy.filePath);
+}
+
+module.exports = {
+    checkCardRelease,
+    writeReceipt,
+    appendToReceipt,
+    wipeImportedFiles
+};
@@ -0,0 +1,120 @@
+/**
+ * Pre-flight
+ * Checks that every destination root has room for what the import will write
+ * there and accepts new files, so a full or read-only disk blocks the import
+ * up front instead of failing halfway through a card.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Headroom for file system metadata and the folders the import creates
+const FREE_SPACE_MARGIN = 64 * 1024 * 1024;
+
+const PROBE_FILE_PREFIX = '.zentransfer-probe';
+
+/**
+ * Check free space and writability of import targets
+ * Targets on the same disk (e.g. destination and backup on one drive) must fit together.
+ * @param {Array<Object>} targets - Targets ({ target, label, rootPath, requiredBytes })
+ * @returns {Promise<{ok: boolean, results: Array<Object>}>} Per-target results
+ *   ({ ...target, freeBytes, writable, sharedWith, problems }); freeBytes is null when unknown
+ */
+async function checkDestinations(targets) {
+    const results = [];
+
+    for (const target of targets) {
+        const result = { ...target, freeBytes: null, writable: false, device: null, sharedWith: [], problems: [] };
+
+        // A missing root is not created, on an unmounted share or drive it would land on the system disk
+        if (!fs.existsSync(target.rootPath)) {
+            result.problems.push('not available, check that the drive or share is mounted');
+            results.push(result);
+            continue;
+        }
+
+        try {
+            await probeWrite(target.rootPath);
+            result.writable = true;
+        } catch (error) {
+            result.problems.push(`not writable (${error.code || error.message})`);
+        }
+
+        try {
+            const stats = await fs.promises.statfs(target.rootPath);
+            result.freeBytes = stats.bavail * stats.bsize;
+            result.device = (await fs.promises.stat(target.rootPath)).dev;
+        } catch (error) {
+            // Some network shares don't report free space, the copy itself will tell
+            console.warn(`Failed to read free space of ${target.rootPath}:`, error);
+        }
+
+        results.push(result);
+    }
+
+    for (const result of results) {
+        if (result.freeBytes === null) continue;
+
+        const sameDisk = results.filter(other => other.device === result.device);
+        const requiredBytes = sameDisk.reduce((sum, other) => sum + other.requiredBytes, 0);
+        result.sharedWith = sameDisk.filter(other => other !== result).map(other => other.label);
+
+        if (result.requiredBytes > 0 && requiredBytes + FREE_SPACE_MARGIN > result.freeBytes) {
+            const shared = result.sharedWith.length > 0 ? ` together with ${result.sharedWith.join(', ')} on the same disk` : '';
+            result.problems.push(`not enough free space: ${formatBytes(requiredBytes)} needed${shared}, ${formatBytes(result.freeBytes)} free`);
+        }
+    }
+
+    return {
+        ok: results.every(result => result.problems.length === 0),
+        results
+    };
+}
+
+/**
+ * Write and remove a small file to prove the folder accepts new files
+ * @param {string} dirPath - Folder to test
+ */
+async function probeWrite(dirPath) {
+    const probePath = path.join(dirPath, `${PROBE_FILE_PREFIX}-${process.pid}-${Date.now()}`);
+    try {
+        await fs.promises.writeFile(probePath, 'ZenTransfer write test');
+    } finally {
+        await fs.promises.rm(probePath, { force: true });
+    }
+}
+
+/**
+ * Find the nearest folder that exists, free space and the disk are read from there
+ * @param {string} dirPath - Folder that may not exist yet
+ * @returns {string} Existing path
+ */
+function findExistingPath(dirPath) {
+    let current = path.resolve(dirPath);
+    while (!fs.existsSync(current) && path.dirname(current) !== current) {
+        current = path.dirname(current);
+    }
+    return current;
+}
+
+/**
+ * Format a byte count for log messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+}
+
+module.exports = {
+    checkDestinations,
+    probeWrite,
+    findExistingPath,
+    formatBytes
+};
@@ -0,0 +1,376 @@
+/**
+ * Volume Watcher (Main Process)
+ * Detects newly mounted memory cards (DCIM, PRIVATE/M4ROOT, CLIP), matches
+ * them against import presets by volume label or marker file and ejects them.
+ */
+
+const EventEmitter = require('events');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_POLL_INTERVAL = 2000;
+
+// Win32_LogicalDisk drive type of removable disks (card readers, USB sticks)
+const WINDOWS_REMOVABLE_DRIVE = 2;
+
+// Removable drives and their labels, queried again only when the set of drive letters changes
+let windowsDrives = { letters: null, volumes: [] };
+
+/**
+ * Folder structures that identify a camera card
+ */
+const CARD_LAYOUTS = [
+    { name: 'dcim', parts: ['DCIM'] },              // Stills cameras (DCF)
+    { name: 'xavc', parts: ['PRIVATE', 'M4ROOT'] }, // Sony XAVC video
+    { name: 'clip', parts: ['CLIP'] }               // Panasonic, Canon Cinema and camcorders
+];
+
+/**
+ * Preset actions when a matching card is mounted
+ */
+const CardAction = {
+    PROMPT: 'prompt',
+    AUTO: 'auto'
+};
+
+class VolumeWatcher extends EventEmitter {
+    /**
+     * @param {Object} options - Watcher options
+     * @param {number} options.pollInterval - Milliseconds between scans of the mount roots
+     */
+    constructor(options = {}) {
+        super();
+        this.pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL;
+        this.knownVolumes = new Set();
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Start watching; volumes mounted before start are not reported
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        // Polls wait until the volumes that are already mounted are known
+        this.polling = true;
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        listVolumes()
+            .then(volumes => {
+                this.knownVolumes = new Set(volumes.map(volume => volume.mountPath));
+                console.log(`Volume watcher started, ${this.knownVolumes.size} volumes already mounted`);
+            })
+            .catch(error => console.error('Volume watcher failed to list volumes:', error))
+            .finally(() => {
+                this.polling = false;
+            });
+    }
+
+    /**
+     * Stop watching
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('Volume watcher stopped');
+        }
+    }
+
+    /**
+     * Check if the watcher is running
+     * @returns {boolean} True if watching
+     */
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Scan the mount roots for new and removed volumes
+     * Scans read the disks asynchronously, a stalled card reader or network mount only delays
+     * the next scan: a poll is skipped while the previous one still runs.
+     * @returns {Promise<void>}
+     */
+    async poll() {
+        if (this.polling) {
+            return;
+        }
+        this.polling = true;
+
+        try {
+            const volumes = await listVolumes();
+            const currentVolumes = new Set(volumes.map(volume => volume.mountPath));
+
+            for (const { mountPath, label } of volumes) {
+                if (this.knownVolumes.has(mountPath)) continue;
+
+                // Volumes without a card layout are checked again on the next poll,
+                // the mount point can show up before its contents are readable
+                const layout = await detectCardLayout(mountPath);
+                if (layout && this.timer) {
+                    this.knownVolumes.add(mountPath);
+                    console.log(`Memory card mounted: ${mountPath} (${layout})`);
+                    this.emit('card-mounted', { mountPath, label, layout });
+                }
+            }
+
+            for (const mountPath of this.knownVolumes) {
+                if (!currentVolumes.has(mountPath)) {
+                    this.knownVolumes.delete(mountPath);
+                    this.emit('volume-removed', { mountPath });
+                }
+            }
+        } catch (error) {
+            console.error('Volume watcher poll failed:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+}
+
+/**
+ * List removable volumes
+ * Linux: /media/<volume>, /media/<user>/<volume>, /run/media/<user>/<volume>
+ * macOS: /Volumes/<volume> (except the boot volume link)
+ * Windows: removable drives (card readers, USB sticks), not fixed, optical or network drives
+ * Linux and macOS mount volumes under their label, Windows reports it with the drive.
+ * @returns {Promise<Array<{mountPath: string, label: string}>>} Volumes
+ */
+async function listVolumes() {
+    if (process.platform === 'win32') {
+        return listWindowsRemovableDrives();
+    }
+
+    let mountPaths;
+    if (process.platform === 'darwin') {
+        mountPaths = await listDirectories('/Volumes', { skipLinks: true });
+    } else {
+        const username = os.userInfo().username;
+        mountPaths = [];
+        for (const root of ['/media', '/run/media']) {
+            for (const entry of await listDirectories(root)) {
+                // Per-user folders hold the actual mount points
+                if (path.basename(entry) === username || root === '/run/media') {
+                    mountPaths.push(...await listDirectories(entry));
+                } else {
+                    mountPaths.push(entry);
+                }
+            }
+        }
+    }
+
+    return mountPaths.map(mountPath => ({ mountPath, label: path.basename(mountPath) }));
+}
+
+async function listDirectories(dirPath, options = {}) {
+    try {
+        return (await fs.promises.readdir(dirPath, { withFileTypes: true }))
+            .filter(entry => entry.isDirectory() || (!options.skipLinks && entry.isSymbolicLink()))
+            .map(entry => path.join(dirPath, entry.name));
+    } catch (error) {
+        return []; // Root does not exist on this system or is not readable
+    }
+}
+
+/**
+ * List removable drives on Windows with their labels
+ * Checking the drive letters is cheap, Windows is only asked for drive types and
+ * labels when a letter appears or goes away.
+ * @returns {Promise<Array<{mountPath: string, label: string}>>} Volumes
+ */
+async function listWindowsRemovableDrives() {
+    const letters = [];
+    for (let code = 'D'.charCodeAt(0); code <= 'Z'.charCodeAt(0); code++) {
+        const drive = `${String.fromCharCode(code)}:\\`;
+        try {
+            await fs.promises.access(drive);
+            letters.push(drive);
+        } catch (error) {
+            // No drive with this letter
+        }
+    }
+
+    const key = letters.join();
+    if (windowsDrives.letters !== key) {
+        const { stdout } = await execFileAsync('powershell', [
+            '-NoProfile',
+            '-Command',
+            `Get-CimInstance Win32_LogicalDisk -Filter 'DriveType=${WINDOWS_REMOVABLE_DRIVE}' | ` +
+                'ForEach-Object { $_.DeviceID + [char]9 + $_.VolumeName }'
+        ], { windowsHide: true });
+
+        const volumes = stdout.split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => {
+                const [deviceId, label] = line.split('\t');
+                const mountPath = `${deviceId.trim()}\\`;
+                return { mountPath, label: (label || '').trim() || deviceId.trim() };
+            });
+        windowsDrives = { letters: key, volumes };
+    }
+
+    return windowsDrives.volumes;
+}
+
+/**
+ * Detect a camera folder structure at the root of a volume
+ * @param {string} mountPath - Volume mount path
+ * @returns {Promise<string|null>} Layout name ('dcim', 'xavc', 'clip') or null if not a camera card
+ */
+async function detectCardLayout(mountPath) {
+    for (const layout of CARD_LAYOUTS) {
+        let currentPath = mountPath;
+        let found = true;
+
+        for (const part of layout.parts) {
+            const match = await findEntry(currentPath, part);
+            if (!match) {
+                found = false;
+                break;
+            }
+            currentPath = path.join(currentPath, match);
+        }
+
+        if (found) {
+            return layout.name;
+        }
+    }
+
+    return null;
+}
+
+// Card file systems are case-insensitive but may be mounted case-sensitive
+async function findEntry(dirPath, name) {
+    try {
+        return (await fs.promises.readdir(dirPath)).find(entry => entry.toUpperCase() === name) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Find the first preset whose card rule matches a volume
+ * A preset matches when its volume label (with * wildcards) and/or marker file
+ * at the card root match; presets without either never match.
+ * @param {Object} volume - Mounted volume ({ mountPath, label })
+ * @param {Array<Object>} presets - Presets with cardMatch ({ volumeLabel, markerFile })
+ * @returns {Object|null} Matching preset
+ */
+function matchPreset(volume, presets = []) {
+    return presets.find(preset => {
+        const { volumeLabel, markerFile } = preset.cardMatch || {};
+        if (!volumeLabel && !markerFile) {
+            return false;
+        }
+        if (volumeLabel && !matchesLabel(volume.label, volumeLabel)) {
+            return false;
+        }
+        if (markerFile && !fs.existsSync(path.join(volume.mountPath, markerFile))) {
+            return false;
+        }
+        return true;
+    }) || null;
+}
+
+function matchesLabel(label, pattern) {
+    const escaped = pattern.trim().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    return new RegExp(`^${escaped}$`, 'i').test(label);
+}
+
+/**
+ * Find the mount point of the volume holding a path
+ * @param {string} filePath - Path on the volume
+ * @returns {string} Mount point (topmost directory on the same device)
+ */
+function findMountPoint(filePath) {
+    let current = path.resolve(filePath);
+    const device = fs.statSync(current).dev;
+
+    for (;;) {
+        const parent = path.dirname(current);
+        if (parent === current || fs.statSync(parent).dev !== device) {
+            return current;
+        }
+        current = parent;
+    }
+}
+
+/**
+ * Check if a mount point is a removable volume that may be ejected
+ * Only volumes under the removable mount roots (removable drives on Windows) qualify, never the system disk.
+ * @param {string} mountPoint - Mount point
+ * @returns {Promise<boolean>} True if the volume can be ejected
+ */
+async function isEjectableVolume(mountPoint) {
+    return (await listVolumes()).some(volume => path.resolve(volume.mountPath) === path.resolve(mountPoint));
+}
+
+/**
+ * Unmount and eject a volume
+ * @param {string} mountPoint - Mount point of the volume
+ * @returns {Promise<void>} Resolves once the volume is ejected
+ */
+async function ejectVolume(mountPoint) {
+    if (!await isEjectableVolume(mountPoint)) {
+        throw new Error(`${mountPoint} is not a removable volume`);
+    }
+
+    if (process.platform === 'darwin') {
+        await execFileAsync('diskutil', ['eject', mountPoint]);
+        return;
+    }
+
+    if (process.platform === 'win32') {
+        const drive = mountPoint.slice(0, 2);
+        await execFileAsync('powershell', [
+            '-NoProfile',
+            '-Command',
+            `(New-Object -ComObject Shell.Application).Namespace(17).ParseName('${drive}').InvokeVerb('Eject')`
+        ]);
+        return;
+    }
+
+    // Linux: udisks unmounts user mounts without root, umount is the fallback
+    const device = findMountDevice(mountPoint);
+    if (device) {
+        try {
+            await execFileAsync('udisksctl', ['unmount', '-b', device]);
+            return;
+        } catch (error) {
+            console.warn(`udisksctl failed to unmount ${device}:`, error.message);
+        }
+    }
+    await execFileAsync('umount', [mountPoint]);
+}
+
+// Look up the block device of a mount point in /proc/mounts (spaces are escaped as \040)
+function findMountDevice(mountPoint) {
+    try {
+        for (const line of fs.readFileSync('/proc/mounts', 'utf8').split('\n')) {
+            const [device, target] = line.split(' ');
+            if (target && target.replace(/\\040/g, ' ') === mountPoint && device.startsWith('/dev/')) {
+                return device;
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to read /proc/mounts:', error.message);
+    }
+    return null;
+}
+
+module.exports = {
+    VolumeWatcher,
+    CardAction,
+    listVolumes,
+    detectCardLayout,
+    matchPreset,
+    findMountPoint,
+    ejectVolume
+};
@@ -1,9 +1,35 @@
 /**
  * AWS S3 Upload Service
- * Handles uploads to Amazon S3
+ * Handles uploads to Amazon S3. Files larger than one part are streamed in a
+ * multipart upload that is remembered on disk, an interrupted upload resumes
+ * from the parts S3 already has.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
 const { UploadServiceBase } = require('./upload-service-base.js');
+const { formatBytes } = require('../import/preflight');
+
+const MB = 1024 * 1024;
+
+// S3 multipart limits: parts of at least 5 MB (except the last one), at most 10000 parts
+const MIN_PART_SIZE_MB = 5;
+const MAX_PARTS = 10000;
+
+const DEFAULT_PART_SIZE_MB = 16;
+const DEFAULT_PART_CONCURRENCY = 4;
+const MAX_PART_CONCURRENCY = 16;
+
+// Attempts per part before the upload fails
+const PART_ATTEMPTS = 3;
+
+// Request bodies are handed to the SDK in slices, progress is counted per slice
+const BODY_CHUNK_SIZE = 256 * 1024;
+
+// Interrupted uploads older than this are aborted instead of resumed
+const RESUME_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
 
 class AwsS3Service extends UploadServiceBase {
     constructor(settings = {}) {
@@ -58,7 +84,7 @@ class AwsS3Service extends UploadServiceBase {
     }
 
     async testConnection() {
-        this._log('info', 'Testing AWS S3 connection');
+        this._log('info', `Testing ${this.getServiceName()} connection`);
         
         try {
             const validation = this.validateConfiguration();
@@ -72,16 +98,10 @@ class AwsS3Service extends UploadServiceBase {
             }
 
             // Import AWS SDK
-            const { S3Client, HeadBucketCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+            const { HeadBucketCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
 
             // Create S3 client with credentials
-            const s3Client = new S3Client({
-                region: this.settings.region,
-                credentials: {
-                    accessKeyId: this.settings.accessKey,
-                    secretAccessKey: this.settings.secretKey
-                }
-            });
+            const s3Client = this._createClient();
 
             this._log('info', 'Testing bucket access with AWS SDK', { 
                 region: this.settings.region,
@@ -182,28 +202,28 @@ class AwsS3Service extends UploadServiceBase {
             const result = {
                 success: true,
                 message: hasListPermission 
-                    ? `AWS S3 connection successful - found ${objectCount} objects in bucket` 
-                    : 'AWS S3 connection successful - bucket accessible but cannot list objects',
+                    ? `${this.getServiceName()} connection successful - found ${objectCount} objects in bucket` 
+                    : `${this.getServiceName()} connection successful - bucket accessible but cannot list objects`,
                 details: {
                     region: this.settings.region,
                     bucket: this.settings.bucket,
                     bucketLocation: bucketLocation,
                     objectCount: hasListPermission ? objectCount : 'unknown',
                     hasListPermission: hasListPermission,
-                    storageClass: this.settings.storageClass || 'STANDARD',
+                    storageClass: this.getStorageClass(),
                     credentialsValid: true,
                     bucketAccessible: true
                 }
             };
             
             this._storeTestResult(result);
-            this._log('info', 'AWS S3 connection test completed successfully');
+            this._log('info', `${this.getServiceName()} connection test completed successfully`);
             return result;
 
         } catch (error) {
             const result = {
                 success: false,
-                message: `AWS S3 connection failed: ${error.message}`,
+                message: `${this.getServiceName()} connection failed: ${error.message}`,
                 details: { 
                     error: error.message,
                     errorName: error.name,
@@ -213,7 +233,7 @@ class AwsS3Service extends UploadServiceBase {
             };
             
             this._storeTestResult(result);
-            this._log('error', 'AWS S3 connection test failed', { error: error.message, errorName: error.name });
+            this._log('error', `${this.getServiceName()} connection test failed`, { error: error.message, errorName: error.name });
             return result;
         }
     }
@@ -227,16 +247,10 @@ class AwsS3Service extends UploadServiceBase {
     async checkIfDuplicate(remoteName, expectedSize) {
         try {
             // Import AWS SDK
-            const { S3Client, HeadObjectCommand } = require('@aws-sdk/client-s3');
+            const { HeadObjectCommand } = require('@aws-sdk/client-s3');
 
             // Create S3 client
-            const s3Client = new S3Client({
-                region: this.settings.region,
-                credentials: {
-                    accessKeyId: this.settings.accessKey,
-                    secretAccessKey: this.settings.secretKey
-                }
-            });
+            const s3Client = this._createClient();
 
             // Try to get object metadata
             const headCommand = new HeadObjectCommand({
@@ -276,54 +290,21 @@ class AwsS3Service extends UploadServiceBase {
      * @returns {Promise<string>} Unique remote name
      */
     async generateUniqueRemoteName(originalRemoteName, fileSize) {
-        // Parse the original name to extract base name and extension
-        const lastDotIndex = originalRemoteName.lastIndexOf('.');
-        let baseName, extension;
-        
-        if (lastDotIndex === -1) {
-            // No extension
-            baseName = originalRemoteName;
-            extension = '';
-        } else {
-            baseName = originalRemoteName.substring(0, lastDotIndex);
-            extension = originalRemoteName.substring(lastDotIndex);
-        }
+        const uniqueName = await this._generateUniqueName(originalRemoteName,
+            name => this.checkIfDuplicate(name, fileSize));
         
-        // Check if original name is available
-        const originalExists = await this.checkIfDuplicate(originalRemoteName, fileSize);
-        if (!originalExists) {
-            return originalRemoteName;
-        }
-        
-        // Find a unique name with counter
-        let counter = 1;
-        let uniqueName;
-        
-        do {
-            uniqueName = `${baseName} (${counter})${extension}`;
-            const exists = await this.checkIfDuplicate(uniqueName, fileSize);
-            if (!exists) {
-                break;
-            }
-            counter++;
-        } while (counter < 1000); // Safety limit to prevent infinite loop
-        
-        if (counter >= 1000) {
-            // Fallback: use timestamp
-            const timestamp = Date.now();
-            uniqueName = `${baseName}_${timestamp}${extension}`;
+        if (uniqueName !== originalRemoteName) {
+            this._log('info', 'Generated unique filename for S3 upload', { 
+                original: originalRemoteName, 
+                unique: uniqueName 
+            });
         }
         
-        this._log('info', 'Generated unique filename for S3 upload', { 
-            original: originalRemoteName, 
-            unique: uniqueName 
-        });
-        
         return uniqueName;
     }
 
     async uploadFile(filePath, remoteName, mimeType, options = {}) {
-        this._log('info', 'Starting AWS S3 upload', { remoteName, mimeType });
+        this._log('info', `Starting ${this.getServiceName()} upload`, { remoteName, mimeType });
         
         // Generate upload ID early so it's available in error handling
         const uploadId = this._generateUploadId();
@@ -382,39 +363,30 @@ class AwsS3Service extends UploadServiceBase {
                 }
             }
 
-            // Read file content
-            const fileContent = await this._readFile(filePath);
-            
             // Track upload
             this.activeUploads.set(uploadId, {
                 status: 'uploading',
                 progress: 0,
-                startTime: Date.now()
+                startTime: Date.now(),
+                transfer: {
+                    controller: new AbortController(),
+                    sentBytes: 0,
+                    totalBytes: fileInfo.size,
+                    reportedProgress: null,
+                    abortError: null
+                }
             });
 
             this._updateProgress(uploadId, 10, 'Initializing S3 upload...');
 
-            // Import AWS SDK
-            const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-
-            // Create S3 client
-            const s3Client = new S3Client({
-                region: this.settings.region,
-                credentials: {
-                    accessKeyId: this.settings.accessKey,
-                    secretAccessKey: this.settings.secretKey
-                }
-            });
-
-            this._updateProgress(uploadId, 20, 'Uploading to S3...');
+            const s3Client = this._createClient();
 
             // Prepare upload parameters with final remote name
             const uploadParams = {
                 Bucket: this.settings.bucket,
                 Key: finalRemoteName,
-                Body: fileContent,
                 ContentType: mimeType,
-                StorageClass: this.settings.storageClass || 'STANDARD'
+                StorageClass: this.getStorageClass()
             };
 
             // Add metadata if provided
@@ -422,14 +394,16 @@ class AwsS3Service extends UploadServiceBase {
                 uploadParams.Metadata = options.metadata;
             }
 
-            // Upload to S3
-            const command = new PutObjectCommand(uploadParams);
-            const response = await s3Client.send(command);
+            // Files that fit in one part go up in a single request
+            const partSize = this.getPartSize(fileInfo.size);
+            const response = fileInfo.size <= partSize
+                ? await this._putObject(s3Client, uploadId, filePath, fileInfo.size, uploadParams)
+                : await this._uploadMultipart(s3Client, uploadId, filePath, partSize, uploadParams);
 
             this._updateProgress(uploadId, 90, 'Upload completed');
 
             // Construct the S3 URL with final remote name
-            const s3Url = `https://${this.settings.bucket}.s3.${this.settings.region}.amazonaws.com/${finalRemoteName}`;
+            const s3Url = this.getObjectUrl(finalRemoteName);
             
             // Update upload status
             this.activeUploads.set(uploadId, {
@@ -442,7 +416,7 @@ class AwsS3Service extends UploadServiceBase {
             const uploadResult = {
                 success: true,
                 url: s3Url,
-                message: 'File uploaded successfully to AWS S3',
+                message: `File uploaded successfully to ${this.getServiceName()}`,
                 details: {
                     uploadId,
                     size: fileInfo.size,
@@ -451,13 +425,13 @@ class AwsS3Service extends UploadServiceBase {
                     mimeType,
                     bucket: this.settings.bucket,
                     region: this.settings.region,
-                    storageClass: this.settings.storageClass || 'STANDARD',
+                    storageClass: this.getStorageClass(),
                     etag: response.ETag,
                     wasRenamed: finalRemoteName !== remoteName
                 }
             };
 
-            this._log('info', 'AWS S3 upload completed', uploadResult.details);
+            this._log('info', `${this.getServiceName()} upload completed`, uploadResult.details);
             return uploadResult;
 
         } catch (error) {
@@ -474,11 +448,11 @@ class AwsS3Service extends UploadServiceBase {
 
             const uploadResult = {
                 success: false,
-                message: `AWS S3 upload failed: ${error.message}`,
+                message: `${this.getServiceName()} upload failed: ${error.message}`,
                 details: { error: error.message, filePath, remoteName }
             };
 
-            this._log('error', 'AWS S3 upload failed', uploadResult.details);
+            this._log('error', `${this.getServiceName()} upload failed`, uploadResult.details);
             return uploadResult;
         }
     }
@@ -498,8 +472,9 @@ class AwsS3Service extends UploadServiceBase {
     }
 
     async cancelUpload(uploadId) {
+        // The status holds progress messages while uploading, only running uploads have a transfer and no end time
         const upload = this.activeUploads.get(uploadId);
-        if (!upload || upload.status !== 'uploading') {
+        if (!upload || !upload.transfer || upload.endTime) {
             return false;
         }
 
@@ -508,11 +483,33 @@ class AwsS3Service extends UploadServiceBase {
             status: 'cancelled',
             endTime: Date.now()
         });
+        upload.transfer.controller.abort();
 
-        this._log('info', 'AWS S3 upload cancelled', { uploadId });
+        this._log('info', `${this.getServiceName()} upload cancelled`, { uploadId });
         return true;
     }
 
+    /**
+     * Get the part size of a multipart upload
+     * The configured size grows when the file would need more than 10000 parts.
+     * @param {number} fileSize - File size in bytes
+     * @returns {number} Part size in bytes
+     */
+    getPartSize(fileSize) {
+        const configuredMb = Math.max(Number(this.settings.partSizeMb) || DEFAULT_PART_SIZE_MB, MIN_PART_SIZE_MB);
+        const requiredMb = Math.ceil(fileSize / MAX_PARTS / MB);
+        return Math.max(configuredMb, requiredMb) * MB;
+    }
+
+    /**
+     * Get the number of parts sent at the same time
+     * @returns {number} Part concurrency
+     */
+    getPartConcurrency() {
+        const concurrency = parseInt(this.settings.partConcurrency, 10) || DEFAULT_PART_CONCURRENCY;
+        return Math.min(Math.max(concurrency, 1), MAX_PART_CONCURRENCY);
+    }
+
     sanitizeSettings(settings) {
         const sanitized = super.sanitizeSettings(settings);
         
@@ -532,6 +529,23 @@ class AwsS3Service extends UploadServiceBase {
         return `https://${this.settings.bucket}.s3.${this.settings.region}.amazonaws.com/`;
     }
 
+    /**
+     * Get the URL of an uploaded object
+     * @param {string} remoteName - Object key
+     * @returns {string} Object URL
+     */
+    getObjectUrl(remoteName) {
+        return `${this.getEndpointUrl()}${remoteName}`;
+    }
+
+    /**
+     * Get the storage class objects are written with
+     * @returns {string|undefined} Storage class, undefined to use the bucket default
+     */
+    getStorageClass() {
+        return this.settings.storageClass || 'STANDARD';
+    }
+
     /**
      * Get supported storage classes
      * @returns {Array} Array of storage class options
@@ -549,6 +563,468 @@ class AwsS3Service extends UploadServiceBase {
         ];
     }
 
+    /**
+     * Create an S3 client for the configured region and credentials
+     * @returns {S3Client} S3 client
+     * @protected
+     */
+    _createClient() {
+        const { S3Client } = require('@aws-sdk/client-s3');
+
+        return new S3Client({
+            region: this.settings.region,
+            credentials: {
+                accessKeyId: this.settings.accessKey,
+                secretAccessKey: this.settings.secretKey
+            }
+        });
+    }
+
+    /**
+     * Upload a file that fits in one part with a single PutObject request
+     * @param {S3Client} s3Client - S3 client
+     * @param {string} uploadId - Upload ID
+     * @param {string} filePath - Local file path
+     * @param {number} size - File size in bytes
+     * @param {Object} params - Bucket, key, content type, storage class and metadata
+     * @returns {Promise<Object>} PutObject response
+     * @private
+     */
+    async _putObject(s3Client, uploadId, filePath, size, params) {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        const fileContent = await this._readFile(filePath);
+
+        return this._send(s3Client, uploadId, new PutObjectCommand({
+            ...params,
+            Body: this._createBody(fileContent, bytes => this._countBytes(uploadId, bytes)),
+            ContentLength: size
+        }));
+    }
+
+    /**
+     * Upload a file in parts, resuming an interrupted upload of the same file when there is one
+     * Each concurrent request reads its own part from disk, memory stays at part size
+     * times concurrency whatever the size of the file.
+     * @param {S3Client} s3Client - S3 client
+     * @param {string} uploadId - Upload ID
+     * @param {string} filePath - Local file path
+     * @param {number} partSize - Part size in bytes
+     * @param {Object} params - Bucket, key, content type, storage class and metadata
+     * @returns {Promise<Object>} CompleteMultipartUpload response
+     * @private
+     */
+    async _uploadMultipart(s3Client, uploadId, filePath, partSize, params) {
+        const { CreateMultipartUploadCommand, CompleteMultipartUploadCommand } = require('@aws-sdk/client-s3');
+
+        const stats = await fs.promises.stat(filePath);
+        const partCount = Math.ceil(stats.size / partSize);
+        const fileHandle = await fs.promises.open(filePath, 'r');
+
+        try {
+            const file = { size: stats.size, modified: stats.mtimeMs, partSize };
+            let multipart = await this._resumeMultipart(s3Client, uploadId, params, file, fileHandle);
+
+            if (!multipart) {
+                const created = await this._send(s3Client, uploadId, new CreateMultipartUploadCommand(params));
+                multipart = { s3UploadId: created.UploadId, parts: new Map() };
+                await this._saveMultipartState(params, { ...file, s3UploadId: created.UploadId, createdAt: Date.now() });
+            }
+
+            const pending = [];
+            for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+                if (multipart.parts.has(partNumber)) {
+                    this._countBytes(uploadId, this._getPartLength(partNumber, partSize, stats.size));
+                } else {
+                    pending.push(partNumber);
+                }
+            }
+
+            this._log('info', 'Uploading to S3 in parts', {
+                remoteName: params.Key,
+                partSize,
+                partCount,
+                resumedParts: multipart.parts.size,
+                concurrency: this.getPartConcurrency()
+            });
+
+            // Each runner takes the next pending part until none are left or one of them failed
+            let failure = null;
+            const runners = Array.from({ length: Math.min(this.getPartConcurrency(), pending.length) }, async () => {
+                while (pending.length > 0 && !failure) {
+                    const partNumber = pending.shift();
+                    try {
+                        const etag = await this._uploadPart(s3Client, uploadId, fileHandle, params,
+                            multipart.s3UploadId, partNumber, partSize, stats.size);
+                        multipart.parts.set(partNumber, etag);
+                    } catch (error) {
+                        failure = failure || error;
+                    }
+                }
+            });
+            await Promise.all(runners);
+
+            // The upload stays on S3, the next attempt resumes it
+            if (failure) {
+                throw failure;
+            }
+
+            this._updateProgress(uploadId, 90, 'Completing multipart upload...');
+
+            const parts = [...multipart.parts.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([PartNumber, ETag]) => ({ PartNumber, ETag }));
+
+            const response = await this._send(s3Client, uploadId, new CompleteMultipartUploadCommand({
+                Bucket: params.Bucket,
+                Key: params.Key,
+                UploadId: multipart.s3UploadId,
+                MultipartUpload: { Parts: parts }
+            }));
+
+            await this._removeMultipartState(params);
+            return response;
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    /**
+     * Find the parts an interrupted upload of the same file already sent
+     * A listed part is only reused when its ETag matches the MD5 of the local bytes.
+     * @param {S3Client} s3Client - S3 client
+     * @param {string} uploadId - Upload ID
+     * @param {Object} params - Bucket and key
+     * @param {Object} file - Size, modification time and part size of the local file
+     * @param {FileHandle} fileHandle - Open local file
+     * @returns {Promise<Object|null>} Multipart upload ({ s3UploadId, parts }) or null to start a new one
+     * @private
+     */
+    async _resumeMultipart(s3Client, uploadId, params, file, fileHandle) {
+        const { ListPartsCommand } = require('@aws-sdk/client-s3');
+
+        const saved = await this._loadMultipartState(params);
+        if (!saved) {
+            return null;
+        }
+
+        const sameFile = saved.size === file.size && saved.modified === file.modified && saved.partSize === file.partSize;
+        if (!sameFile || Date.now() - saved.createdAt > RESUME_MAX_AGE_MS) {
+            // The file changed or the upload is too old, its parts can't be reused
+            this._log('info', 'Discarding interrupted S3 multipart upload', { remoteName: params.Key, s3UploadId: saved.s3UploadId });
+            await this._abortSavedMultipart(s3Client, uploadId, params, saved.s3UploadId);
+            await this._removeMultipartState(params);
+            return null;
+        }
+
+        this._updateProgress(uploadId, 15, 'Resuming interrupted upload...');
+
+        const listed = [];
+        try {
+            let marker;
+            do {
+                const response = await this._send(s3Client, uploadId, new ListPartsCommand({
+                    Bucket: params.Bucket,
+                    Key: params.Key,
+                    UploadId: saved.s3UploadId,
+                    PartNumberMarker: marker
+                }));
+                listed.push(...(response.Parts || []));
+                marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+            } while (marker);
+        } catch (error) {
+            if (this.activeUploads.get(uploadId).transfer.controller.signal.aborted) {
+                throw error;
+            }
+            // NoSuchUpload: completed, aborted or expired by a lifecycle rule in the meantime.
+            // Some S3-compatible servers don't implement ListParts, those start over, and the
+            // old upload is aborted so its parts aren't left stored once the state is gone.
+            if (error.name !== 'NoSuchUpload') {
+                this._log('warn', 'Could not list parts of interrupted upload, starting over', { error: error.message });
+                await this._abortSavedMultipart(s3Client, uploadId, params, saved.s3UploadId);
+            }
+            await this._removeMultipartState(params);
+            return null;
+        }
+
+        const parts = new Map();
+        for (const part of listed) {
+            if (part.Size !== this._getPartLength(part.PartNumber, file.partSize, file.size)) {
+                continue;
+            }
+
+            const buffer = await this._readPart(fileHandle, part.PartNumber, file.partSize, file.size);
+            const md5 = crypto.createHash('md5').update(buffer).digest('hex');
+            if (part.ETag && part.ETag.replace(/"/g, '') === md5) {
+                parts.set(part.PartNumber, part.ETag);
+            }
+        }
+
+        this._log('info', 'Resuming S3 multipart upload', {
+            remoteName: params.Key,
+            s3UploadId: saved.s3UploadId,
+            listedParts: listed.length,
+            reusedParts: parts.size
+        });
+
+        return { s3UploadId: saved.s3UploadId, parts };
+    }
+
+    /**
+     * Abort a saved multipart upload so the server drops its parts
+     * Best effort, the upload may already be gone.
+     * @param {S3Client} s3Client - S3 client
+     * @param {string} uploadId - Upload ID
+     * @param {Object} params - Bucket and key
+     * @param {string} s3UploadId - S3 upload ID of the saved upload
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _abortSavedMultipart(s3Client, uploadId, params, s3UploadId) {
+        const { AbortMultipartUploadCommand } = require('@aws-sdk/client-s3');
+
+        try {
+            await this._send(s3Client, uploadId, new AbortMultipartUploadCommand({
+                Bucket: params.Bucket,
+                Key: params.Key,
+                UploadId: s3UploadId
+            }));
+        } catch (error) {
+            this._log('warn', 'Could not abort S3 multipart upload', { error: error.message, s3UploadId });
+        }
+    }
+
+    /**
+     * Upload one part, sending it again when an attempt fails
+     * @param {S3Client} s3Client - S3 client
+     * @param {string} uploadId - Upload ID
+     * @param {FileHandle} fileHandle - Open local file
+     * @param {Object} params - Bucket and key
+     * @param {string} s3UploadId - Multipart upload ID from S3
+     * @param {number} partNumber - Part number, starting at 1
+     * @param {number} partSize - Part size in bytes
+     * @param {number} fileSize - File size in bytes
+     * @returns {Promise<string>} ETag of the part
+     * @private
+     */
+    async _uploadPart(s3Client, uploadId, fileHandle, params, s3UploadId, partNumber, partSize, fileSize) {
+        const { UploadPartCommand } = require('@aws-sdk/client-s3');
+        const buffer = await this._readPart(fileHandle, partNumber, partSize, fileSize);
+        const { transfer } = this.activeUploads.get(uploadId);
+
+        for (let attempt = 1; ; attempt++) {
+            let sent = 0;
+            try {
+                const response = await this._send(s3Client, uploadId, new UploadPartCommand({
+                    Bucket: params.Bucket,
+                    Key: params.Key,
+                    UploadId: s3UploadId,
+                    PartNumber: partNumber,
+                    Body: this._createBody(buffer, bytes => {
+                        sent += bytes;
+                        this._countBytes(uploadId, bytes);
+                    }),
+                    ContentLength: buffer.length
+                }));
+                return response.ETag;
+            } catch (error) {
+                // The bytes of a failed attempt are sent again
+                this._countBytes(uploadId, -sent);
+
+                if (transfer.controller.signal.aborted || attempt >= PART_ATTEMPTS) {
+                    throw error;
+                }
+
+                this._log('warn', 'S3 part upload failed, retrying', { partNumber, attempt, error: error.message });
+                await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+            }
+        }
+    }
+
+    /**
+     * Send a command that is aborted when the upload is cancelled
+     * @param {S3Client} s3Client - S3 client
+     * @param {string} uploadId - Upload ID
+     * @param {Object} command - SDK command
+     * @returns {Promise<Object>} Command response
+     * @private
+     */
+    async _send(s3Client, uploadId, command) {
+        const { transfer } = this.activeUploads.get(uploadId);
+
+        try {
+            return await s3Client.send(command, { abortSignal: transfer.controller.signal });
+        } catch (error) {
+            // Report why the upload stopped rather than the abort itself
+            if (transfer.controller.signal.aborted) {
+                throw transfer.abortError || new Error('Upload cancelled');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create a request body that reports the bytes the SDK reads from it
+     * @param {Buffer} buffer - Content to send
+     * @param {Function} onBytes - Called with the size of each slice read
+     * @returns {Readable} Request body
+     * @private
+     */
+    _createBody(buffer, onBytes) {
+        let offset = 0;
+
+        return new Readable({
+            read() {
+                if (offset >= buffer.length) {
+                    this.push(null);
+                    return;
+                }
+
+                const chunk = buffer.subarray(offset, offset + BODY_CHUNK_SIZE);
+                offset += chunk.length;
+                onBytes(chunk.length);
+                this.push(chunk);
+            }
+        });
+    }
+
+    /**
+     * Count sent bytes and report progress when the percentage changes
+     * Upload bytes fill the progress between 20 and 90 percent.
+     * @param {string} uploadId - Upload ID
+     * @param {number} bytes - Bytes sent, negative for bytes that have to be sent again
+     * @private
+     */
+    _countBytes(uploadId, bytes) {
+        const { transfer } = this.activeUploads.get(uploadId);
+        transfer.sentBytes += bytes;
+
+        const progress = 20 + Math.floor(70 * transfer.sentBytes / Math.max(transfer.totalBytes, 1));
+        if (progress === transfer.reportedProgress) {
+            return;
+        }
+        transfer.reportedProgress = progress;
+
+        try {
+            this._updateProgress(uploadId, progress,
+                `Uploading to S3... ${formatBytes(transfer.sentBytes)} of ${formatBytes(transfer.totalBytes)}`);
+        } catch (error) {
+            // Progress is reported from inside the request body, stop the requests instead of throwing there
+            if (!transfer.abortError) {
+                transfer.abortError = error;
+                transfer.controller.abort();
+            }
+        }
+    }
+
+    /**
+     * Read one part of the local file
+     * @param {FileHandle} fileHandle - Open local file
+     * @param {number} partNumber - Part number, starting at 1
+     * @param {number} partSize - Part size in bytes
+     * @param {number} fileSize - File size in bytes
+     * @returns {Promise<Buffer>} Part content
+     * @private
+     */
+    async _readPart(fileHandle, partNumber, partSize, fileSize) {
+        const length = this._getPartLength(partNumber, partSize, fileSize);
+        const buffer = Buffer.allocUnsafe(length);
+        const { bytesRead } = await fileHandle.read(buffer, 0, length, (partNumber - 1) * partSize);
+
+        if (bytesRead !== length) {
+            throw new Error(`File changed during upload, part ${partNumber} could not be read`);
+        }
+        return buffer;
+    }
+
+    /**
+     * Get the size of a part, the last part holds the rest of the file
+     * @param {number} partNumber - Part number, starting at 1
+     * @param {number} partSize - Part size in bytes
+     * @param {number} fileSize - File size in bytes
+     * @returns {number} Part size in bytes
+     * @private
+     */
+    _getPartLength(partNumber, partSize, fileSize) {
+        return Math.min(partSize, fileSize - (partNumber - 1) * partSize);
+    }
+
+    /**
+     * Get the file the multipart upload of an object is remembered in
+     * @param {Object} params - Bucket and key
+     * @returns {string|null} State file path, null when no state folder is configured
+     * @private
+     */
+    _getMultipartStatePath(params) {
+        if (!this.settings.multipartStateDir) {
+            return null;
+        }
+
+        const id = crypto.createHash('sha1')
+            .update(this.getObjectUrl(params.Key))
+            .digest('hex');
+        return path.join(this.settings.multipartStateDir, `s3-${id}.json`);
+    }
+
+    /**
+     * Load the remembered multipart upload of an object
+     * @param {Object} params - Bucket and key
+     * @returns {Promise<Object|null>} Saved state or null
+     * @private
+     */
+    async _loadMultipartState(params) {
+        const statePath = this._getMultipartStatePath(params);
+        if (!statePath) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.promises.readFile(statePath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember a multipart upload so an interrupted upload can resume it
+     * @param {Object} params - Bucket and key
+     * @param {Object} state - S3 upload ID, size, modification time, part size and creation time
+     * @private
+     */
+    async _saveMultipartState(params, state) {
+        const statePath = this._getMultipartStatePath(params);
+        if (!statePath) {
+            return;
+        }
+
+        try {
+            await fs.promises.mkdir(path.dirname(statePath), { recursive: true });
+            await fs.promises.writeFile(statePath, JSON.stringify({ bucket: params.Bucket, key: params.Key, ...state }, null, 2));
+        } catch (error) {
+            // The upload still works, it just can't resume
+            this._log('warn', 'Could not save S3 multipart upload state', { error: error.message });
+        }
+    }
+
+    /**
+     * Forget the multipart upload of an object
+     * @param {Object} params - Bucket and key
+     * @private
+     */
+    async _removeMultipartState(params) {
+        const statePath = this._getMultipartStatePath(params);
+        if (!statePath) {
+            return;
+        }
+
+        try {
+            await fs.promises.unlink(statePath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this._log('warn', 'Could not remove S3 multipart upload state', { error: error.message });
+            }
+        }
+    }
+
     /**
      * Update upload progress
      * @param {string} uploadId - Upload ID
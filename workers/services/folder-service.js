@@ -0,0 +1,263 @@
+/**
+ * Folder Upload Service
+ * Copies files into a folder on this computer: a mounted SMB/NFS share, an
+ * external drive or a Dropbox/OneDrive sync folder. Uploads follow the same
+ * flow as the server services (folders, duplicates, temporary name), copies
+ * can be read back and compared by checksum like import copies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { pathToFileURL } = require('url');
+const { RemoteFileService } = require('./remote-file-service.js');
+const { DEFAULT_CHECKSUM_ALGORITHM, createHasher, hashFile, syncFile } = require('../import/file-hasher');
+const { probeWrite } = require('../import/preflight');
+
+// Copies that don't match their source are rewritten this many times before the upload fails
+const MAX_COPY_ATTEMPTS = 3;
+
+class FolderService extends RemoteFileService {
+    getServiceName() {
+        return 'Folder';
+    }
+
+    getUrlScheme() {
+        return 'file';
+    }
+
+    /**
+     * Local folders have no port
+     * @returns {null} No port
+     */
+    getDefaultPort() {
+        return null;
+    }
+
+    /**
+     * Get the folder files are copied to, shown where server services show the host
+     * @returns {string} Folder path
+     */
+    getHost() {
+        return this.settings.folderPath;
+    }
+
+    getFileUrl(remotePath) {
+        return pathToFileURL(this._resolve(remotePath)).href;
+    }
+
+    /**
+     * Check if copies are read back and compared with the source
+     * @returns {boolean} True to verify copies by checksum
+     */
+    verifiesCopies() {
+        return this.settings.verifyCopies !== false;
+    }
+
+    validateConfiguration() {
+        const errors = [];
+
+        if (!this.settings.folderPath) {
+            errors.push('Folder is required');
+        } else if (!path.isAbsolute(this.settings.folderPath)) {
+            errors.push('Folder must be an absolute path');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Check that the folder is there
+     * A missing folder is not created, it usually means the share is not mounted.
+     * @returns {Promise<Object>} Connection ({ controller }), aborting it stops running copies
+     * @protected
+     */
+    async _connect() {
+        let stats;
+        try {
+            stats = await fs.promises.stat(this.settings.folderPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`${this.settings.folderPath} is not available, check that the drive or share is mounted`);
+            }
+            throw error;
+        }
+
+        if (!stats.isDirectory()) {
+            throw new Error(`${this.settings.folderPath} is not a folder`);
+        }
+
+        return { controller: new AbortController() };
+    }
+
+    async _disconnect({ controller }) {
+        controller.abort();
+    }
+
+    async _checkWriteAccess() {
+        await probeWrite(this.settings.folderPath);
+    }
+
+    async _getRemoteSize(connection, remotePath) {
+        try {
+            const stats = await fs.promises.stat(this._resolve(remotePath));
+            if (stats.isDirectory()) {
+                throw new Error(`${remotePath} is a folder`);
+            }
+            return stats.size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async _directoryExists(connection, directory) {
+        try {
+            return (await fs.promises.stat(this._resolve(directory))).isDirectory();
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async _ensureDirectory(connection, directory) {
+        await fs.promises.mkdir(this._resolve(directory), { recursive: true });
+    }
+
+    /**
+     * Copy a file, hashing it while reading, then read the copy back and compare
+     * @protected
+     */
+    async _putFile(connection, localPath, remotePath, onProgress) {
+        const targetPath = this._resolve(remotePath);
+
+        for (let attempt = 1; ; attempt++) {
+            const checksum = await this._copy(connection, localPath, targetPath, onProgress);
+            if (!this.verifiesCopies()) {
+                return;
+            }
+
+            // An upload only counts as done once the copy is on the share's disk
+            await syncFile(targetPath);
+            const copiedChecksum = await hashFile(targetPath, DEFAULT_CHECKSUM_ALGORITHM);
+            if (copiedChecksum === checksum) {
+                this._log('info', 'Copy verified', { remotePath, algorithm: DEFAULT_CHECKSUM_ALGORITHM, checksum });
+                return;
+            }
+
+            this._log('warn', `Checksum mismatch (attempt ${attempt}/${MAX_COPY_ATTEMPTS})`, { remotePath, checksum, copiedChecksum });
+            if (attempt === MAX_COPY_ATTEMPTS) {
+                // Don't leave a corrupt copy behind that could later pass as a duplicate
+                await fs.promises.rm(targetPath, { force: true });
+                throw new Error(`Checksum verification failed after ${MAX_COPY_ATTEMPTS} attempts`);
+            }
+        }
+    }
+
+    async _rename(connection, fromPath, toPath) {
+        await fs.promises.rename(this._resolve(fromPath), this._resolve(toPath));
+    }
+
+    async _remove(connection, remotePath) {
+        await fs.promises.rm(this._resolve(remotePath), { force: true });
+    }
+
+    /**
+     * With verification on, only a file with the same content counts as a duplicate
+     * @protected
+     */
+    async _isDuplicate(connection, remotePath, expectedSize, localPath = null) {
+        if (!this.verifiesCopies() || !localPath) {
+            return super._isDuplicate(connection, remotePath, expectedSize, localPath);
+        }
+
+        if (await this._getRemoteSize(connection, remotePath) !== expectedSize) {
+            return false;
+        }
+
+        const [checksum, existingChecksum] = await Promise.all([
+            hashFile(localPath, DEFAULT_CHECKSUM_ALGORITHM),
+            hashFile(this._resolve(remotePath), DEFAULT_CHECKSUM_ALGORITHM)
+        ]);
+        if (checksum !== existingChecksum) {
+            this._log('info', 'Same size but different content', { remotePath, expectedSize });
+            return false;
+        }
+
+        this._log('info', 'Duplicate file detected in folder', { remotePath, expectedSize, checksum });
+        return true;
+    }
+
+    _getConnectionDetails() {
+        return {
+            verifyCopies: this.verifiesCopies()
+        };
+    }
+
+    /**
+     * Copy a file once, a partial copy is removed
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} localPath - File to copy
+     * @param {string} targetPath - Target file (overwritten)
+     * @param {Function} onProgress - Called with the number of bytes copied so far
+     * @returns {Promise<string|null>} Checksum of the source as it was read, null without verification
+     * @private
+     */
+    async _copy(connection, localPath, targetPath, onProgress) {
+        const hasher = this.verifiesCopies() ? await createHasher(DEFAULT_CHECKSUM_ALGORITHM) : null;
+        let copiedBytes = 0;
+
+        try {
+            await pipeline(
+                fs.createReadStream(localPath),
+                new Transform({
+                    transform(chunk, encoding, callback) {
+                        if (hasher) {
+                            hasher.update(chunk);
+                        }
+                        copiedBytes += chunk.length;
+                        onProgress(copiedBytes);
+                        callback(null, chunk);
+                    }
+                }),
+                fs.createWriteStream(targetPath),
+                { signal: connection.controller.signal }
+            );
+        } catch (error) {
+            // Sync clients would pick up the partial file of a cancelled or failed copy
+            await fs.promises.rm(targetPath, { force: true });
+            throw error;
+        }
+
+        return hasher ? hasher.digest() : null;
+    }
+
+    /**
+     * Get the local path of a path below the folder
+     * @param {string} remotePath - Path with forward slashes, relative to the folder
+     * @returns {string} Local path
+     * @private
+     */
+    _resolve(remotePath) {
+        const root = path.resolve(this.settings.folderPath);
+        const localPath = path.resolve(root, ...remotePath.split('/'));
+
+        const relativePath = path.relative(root, localPath);
+        if (relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+            throw new Error(`${remotePath} is outside of the upload folder`);
+        }
+        return localPath;
+    }
+}
+
+module.exports = {
+    FolderService
+};
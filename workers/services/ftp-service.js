@@ -0,0 +1,257 @@
+/**
+ * FTP Upload Service
+ * Handles uploads to FTP servers, in plain text or over TLS (explicit
+ * "AUTH TLS" on the FTP port or implicit TLS on the FTPS port). Data
+ * connections are passive by default; active mode is there for servers
+ * behind firewalls that only allow connections out to the client.
+ */
+
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const { RemoteFileService } = require('./remote-file-service.js');
+
+const DEFAULT_PORT = 21;
+const DEFAULT_IMPLICIT_TLS_PORT = 990;
+
+// Time to wait for the server to answer or open a connection
+const CONNECT_TIMEOUT_MS = 20000;
+
+// FTP reply code of a file or folder that doesn't exist or can't be accessed
+const FILE_UNAVAILABLE = 550;
+
+/**
+ * How the control and data connections are secured
+ */
+const FtpSecurity = {
+    NONE: 'none',
+    EXPLICIT: 'explicit',
+    IMPLICIT: 'implicit'
+};
+
+/**
+ * Which side opens data connections
+ */
+const FtpTransferMode = {
+    PASSIVE: 'passive',
+    ACTIVE: 'active'
+};
+
+/**
+ * Prepare a data connection in active mode: listen on a local port and ask the server to connect to it
+ * basic-ftp only opens passive connections itself, this replaces its Client.prepareTransfer. Servers
+ * connect before they confirm a transfer (150 or 125), but the reply can be read before the connection
+ * is accepted, so it is held back until the data socket exists.
+ * @param {FTPContext} ftp - Connection context of the basic-ftp client
+ * @returns {Promise<FTPResponse>} Reply to PORT or EPRT
+ */
+async function enterActiveMode(ftp) {
+    const server = net.createServer();
+    const localAddress = ftp.socket.localAddress.replace(/^::ffff:/, '');
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, localAddress, resolve);
+    });
+
+    const dataConnection = new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not open the data connection (active mode)')), ftp.timeout);
+
+        server.once('error', reject);
+        server.once('connection', socket => {
+            clearTimeout(timer);
+
+            // The client is the TLS client on data connections too, reusing the session of the control connection
+            ftp.dataSocket = ftp.socket instanceof tls.TLSSocket
+                ? tls.connect({ ...ftp.tlsOptions, socket, session: ftp.socket.getSession() })
+                : socket;
+            resolve();
+        });
+    }).finally(() => server.close());
+    dataConnection.catch(() => {}); // Reported to the transfer, if one is waiting
+
+    const { port } = server.address();
+    const command = net.isIPv4(localAddress)
+        ? `PORT ${localAddress.split('.').join(',')},${port >> 8},${port & 255}`
+        : `EPRT |2|${localAddress}|${port}|`;
+
+    let response;
+    try {
+        response = await ftp.request(command);
+    } catch (error) {
+        server.close();
+        throw error;
+    }
+
+    // Hold back the transfer's preliminary reply until the server has connected
+    ftp.handle = (transferCommand, responseHandler) => {
+        delete ftp.handle;
+        return ftp.handle(transferCommand, (res, task) => {
+            const ready = !(res instanceof Error) && (res.code === 150 || res.code === 125);
+            if (ready && !ftp.dataSocket) {
+                dataConnection.then(() => responseHandler(res, task), error => responseHandler(error, task));
+            } else {
+                responseHandler(res, task);
+            }
+        });
+    };
+
+    return response;
+}
+
+class FtpService extends RemoteFileService {
+    getServiceName() {
+        return 'FTP';
+    }
+
+    getUrlScheme() {
+        return this.getSecurity() === FtpSecurity.NONE ? 'ftp' : 'ftps';
+    }
+
+    getDefaultPort() {
+        return this.getSecurity() === FtpSecurity.IMPLICIT ? DEFAULT_IMPLICIT_TLS_PORT : DEFAULT_PORT;
+    }
+
+    /**
+     * Get how connections are secured
+     * @returns {string} FtpSecurity value
+     */
+    getSecurity() {
+        return this.settings.security || FtpSecurity.NONE;
+    }
+
+    /**
+     * Get which side opens data connections
+     * @returns {string} FtpTransferMode value
+     */
+    getTransferMode() {
+        return this.settings.transferMode || FtpTransferMode.PASSIVE;
+    }
+
+    validateConfiguration() {
+        const errors = this._validateServerSettings();
+
+        const securityModes = Object.values(FtpSecurity);
+        if (!securityModes.includes(this.getSecurity())) {
+            errors.push(`Security must be one of: ${securityModes.join(', ')}`);
+        }
+
+        const transferModes = Object.values(FtpTransferMode);
+        if (!transferModes.includes(this.getTransferMode())) {
+            errors.push(`Transfer mode must be one of: ${transferModes.join(', ')}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Log in to the server
+     * Paths are resolved against the login folder, as basic-ftp changes the working folder when creating folders.
+     * @returns {Promise<Object>} Connection ({ client, homeDirectory })
+     * @protected
+     */
+    async _connect() {
+        const { Client } = require('basic-ftp');
+        const client = new Client(CONNECT_TIMEOUT_MS);
+        const security = this.getSecurity();
+
+        try {
+            await client.access({
+                host: this.settings.host,
+                port: this.getPort(),
+                user: this.settings.username,
+                password: this.settings.password || '',
+                secure: security === FtpSecurity.IMPLICIT ? 'implicit' : security === FtpSecurity.EXPLICIT,
+                secureOptions: {
+                    rejectUnauthorized: this.settings.verifyCertificate !== false
+                }
+            });
+
+            if (this.getTransferMode() === FtpTransferMode.ACTIVE) {
+                client.prepareTransfer = enterActiveMode;
+            }
+
+            return { client, homeDirectory: await client.pwd() };
+        } catch (error) {
+            client.close();
+            throw error;
+        }
+    }
+
+    async _disconnect({ client }) {
+        client.close();
+    }
+
+    async _getRemoteSize(connection, remotePath) {
+        try {
+            return await connection.client.size(this._resolve(connection, remotePath));
+        } catch (error) {
+            if (error.code === FILE_UNAVAILABLE) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async _directoryExists(connection, directory) {
+        try {
+            await connection.client.cd(this._resolve(connection, directory));
+            return true;
+        } catch (error) {
+            if (error.code === FILE_UNAVAILABLE) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async _ensureDirectory(connection, directory) {
+        await connection.client.ensureDir(this._resolve(connection, directory));
+    }
+
+    async _putFile(connection, localPath, remotePath, onProgress) {
+        const { client } = connection;
+
+        client.trackProgress(info => onProgress(info.bytes));
+        try {
+            await client.uploadFrom(localPath, this._resolve(connection, remotePath));
+        } finally {
+            client.trackProgress();
+        }
+    }
+
+    async _rename(connection, fromPath, toPath) {
+        await connection.client.rename(this._resolve(connection, fromPath), this._resolve(connection, toPath));
+    }
+
+    async _remove(connection, remotePath) {
+        await connection.client.remove(this._resolve(connection, remotePath));
+    }
+
+    _getConnectionDetails() {
+        return {
+            security: this.getSecurity(),
+            transferMode: this.getTransferMode()
+        };
+    }
+
+    /**
+     * Make a path absolute, relative paths start in the login folder
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} remotePath - Path on the server
+     * @returns {string} Absolute path
+     * @private
+     */
+    _resolve(connection, remotePath) {
+        return path.posix.resolve(connection.homeDirectory, remotePath);
+    }
+}
+
+module.exports = {
+    FtpSecurity,
+    FtpTransferMode,
+    FtpService
+};
@@ -0,0 +1,220 @@
+/**
+ * Known Hosts
+ * Verifies SSH host keys against an OpenSSH known_hosts file. Plain and hashed
+ * host names, wildcards, negated patterns and non-standard ports ("[host]:port")
+ * are understood, @revoked entries reject a key, @cert-authority entries are ignored.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_SSH_PORT = 22;
+
+/**
+ * Outcome of a host key check
+ */
+const HostKeyStatus = {
+    TRUSTED: 'trusted',
+    UNKNOWN: 'unknown',
+    CHANGED: 'changed',
+    REVOKED: 'revoked'
+};
+
+/**
+ * Get the known_hosts file of the current user
+ * @returns {string} File path
+ */
+function getDefaultKnownHostsPath() {
+    return path.join(os.homedir(), '.ssh', 'known_hosts');
+}
+
+/**
+ * Get the OpenSSH fingerprint of a host key, as shown by ssh-keygen -l
+ * @param {Buffer} keyBlob - Public key in SSH wire format
+ * @returns {string} Fingerprint ("SHA256:" followed by unpadded base64)
+ */
+function getHostKeyFingerprint(keyBlob) {
+    const digest = crypto.createHash('sha256').update(keyBlob).digest('base64');
+    return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+/**
+ * Get the key type of a host key ("ssh-ed25519", "ssh-rsa", ...)
+ * @param {Buffer} keyBlob - Public key in SSH wire format
+ * @returns {string} Key type, empty if the blob is malformed
+ */
+function getHostKeyType(keyBlob) {
+    if (keyBlob.length < 4) {
+        return '';
+    }
+    const length = keyBlob.readUInt32BE(0);
+    return keyBlob.length >= 4 + length ? keyBlob.toString('ascii', 4, 4 + length) : '';
+}
+
+/**
+ * Check if two fingerprints are the same, the "SHA256:" prefix is optional
+ * @param {string} a - Fingerprint
+ * @param {string} b - Fingerprint
+ * @returns {boolean} True if both name the same key
+ */
+function fingerprintsMatch(a, b) {
+    const normalize = fingerprint => String(fingerprint || '').trim().replace(/^SHA256:/i, '').replace(/=+$/, '');
+    return normalize(a) !== '' && normalize(a) === normalize(b);
+}
+
+/**
+ * Parse known_hosts content
+ * @param {string} content - File content
+ * @returns {Array<Object>} Entries ({ marker, patterns, keyType, key })
+ */
+function parseKnownHosts(content) {
+    const entries = [];
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split(/\s+/);
+        const marker = fields[0].startsWith('@') ? fields.shift() : null;
+        if (fields.length < 3) {
+            continue;
+        }
+
+        entries.push({
+            marker,
+            patterns: fields[0].split(','),
+            keyType: fields[1],
+            key: Buffer.from(fields[2], 'base64')
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Get the name a host is recorded under in known_hosts
+ * @param {string} host - Host name or address
+ * @param {number} port - SSH port
+ * @returns {string} "host" for port 22, "[host]:port" otherwise
+ */
+function getKnownHostName(host, port = DEFAULT_SSH_PORT) {
+    const name = host.toLowerCase();
+    return Number(port) === DEFAULT_SSH_PORT ? name : `[${name}]:${port}`;
+}
+
+/**
+ * Check if a host pattern matches a host name
+ * @param {string} pattern - Pattern without negation ("*.example.com", "|1|salt|hash", ...)
+ * @param {string} hostName - Name from getKnownHostName()
+ * @returns {boolean} True if the pattern matches
+ */
+function patternMatches(pattern, hostName) {
+    // Hashed entry: |1|base64 salt|base64 HMAC-SHA1 of the host name
+    if (pattern.startsWith('|1|')) {
+        const [, , salt, hash] = pattern.split('|');
+        if (!salt || !hash) {
+            return false;
+        }
+        const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(hostName).digest('base64');
+        return digest === hash;
+    }
+
+    const expression = pattern.toLowerCase()
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${expression}$`).test(hostName);
+}
+
+/**
+ * Check if a known_hosts entry applies to a host
+ * A matching negated pattern excludes the host even if another pattern matches.
+ * @param {Object} entry - Parsed entry
+ * @param {string} hostName - Name from getKnownHostName()
+ * @returns {boolean} True if the entry applies
+ */
+function entryMatches(entry, hostName) {
+    let matched = false;
+
+    for (const pattern of entry.patterns) {
+        if (pattern.startsWith('!')) {
+            if (patternMatches(pattern.slice(1), hostName)) {
+                return false;
+            }
+        } else if (patternMatches(pattern, hostName)) {
+            matched = true;
+        }
+    }
+
+    return matched;
+}
+
+/**
+ * Check a host key against known_hosts content
+ * A different key of the same type as a recorded one means the host key changed.
+ * @param {string} content - known_hosts content
+ * @param {string} host - Host name or address
+ * @param {number} port - SSH port
+ * @param {Buffer} keyBlob - Key presented by the server
+ * @returns {string} HostKeyStatus value
+ */
+function checkHostKey(content, host, port, keyBlob) {
+    const hostName = getKnownHostName(host, port);
+    const keyType = getHostKeyType(keyBlob);
+    let status = HostKeyStatus.UNKNOWN;
+
+    for (const entry of parseKnownHosts(content)) {
+        const sameKey = entry.key.equals(keyBlob);
+
+        if (entry.marker === '@revoked') {
+            // Revoked keys are listed for any host
+            if (sameKey) {
+                return HostKeyStatus.REVOKED;
+            }
+            continue;
+        }
+        if (entry.marker || !entryMatches(entry, hostName)) {
+            continue;
+        }
+
+        if (sameKey) {
+            status = HostKeyStatus.TRUSTED;
+        } else if (entry.keyType === keyType && status === HostKeyStatus.UNKNOWN) {
+            status = HostKeyStatus.CHANGED;
+        }
+    }
+
+    return status;
+}
+
+/**
+ * Read a known_hosts file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Content, empty if the file doesn't exist
+ */
+async function readKnownHosts(filePath) {
+    try {
+        return await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return '';
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    HostKeyStatus,
+    getDefaultKnownHostsPath,
+    getHostKeyFingerprint,
+    getHostKeyType,
+    fingerprintsMatch,
+    parseKnownHosts,
+    getKnownHostName,
+    checkHostKey,
+    readKnownHosts
+};
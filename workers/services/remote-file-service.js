@@ -0,0 +1,638 @@
+/**
+ * Remote File Service
+ * Upload flow shared by services that write files into folders on a server
+ * (SFTP, FTP, WebDAV) or a mounted share. Each upload opens its own connection.
+ * The file goes up under a temporary name and is renamed when complete, so watch
+ * folders on the server never pick up a partial file. Subclasses implement the
+ * protocol operations.
+ */
+
+const path = require('path');
+const { UploadServiceBase } = require('./upload-service-base.js');
+const { formatBytes } = require('../import/preflight');
+
+// Suffix of files that are still being uploaded
+const PARTIAL_SUFFIX = '.part';
+
+class RemoteFileService extends UploadServiceBase {
+    constructor(settings = {}) {
+        super(settings);
+        if (this.constructor === RemoteFileService) {
+            throw new Error('RemoteFileService is abstract and cannot be instantiated directly');
+        }
+
+        this.activeUploads = new Map();
+    }
+
+    /**
+     * Get the URL scheme of the protocol ("sftp", "ftp", ...)
+     * @returns {string} URL scheme
+     */
+    getUrlScheme() {
+        throw new Error('getUrlScheme() must be implemented by subclass');
+    }
+
+    /**
+     * Get the port used when none is configured
+     * @returns {number} Port
+     */
+    getDefaultPort() {
+        throw new Error('getDefaultPort() must be implemented by subclass');
+    }
+
+    /**
+     * Get the server to connect to
+     * @returns {string} Host name or address
+     */
+    getHost() {
+        return this.settings.host;
+    }
+
+    /**
+     * Get the port to connect to
+     * @returns {number} Port
+     */
+    getPort() {
+        return Number(this.settings.port) || this.getDefaultPort();
+    }
+
+    /**
+     * Get the path a file is written to on the server
+     * @param {string} remoteName - File name, may contain folders
+     * @returns {string} Path below the configured remote directory, relative paths start in the login folder
+     */
+    getRemotePath(remoteName) {
+        return path.posix.join(this.settings.remoteDirectory || '', remoteName.replace(/\\/g, '/'));
+    }
+
+    /**
+     * Get the URL of an uploaded file
+     * @param {string} remotePath - Path on the server
+     * @returns {string} URL, without credentials
+     */
+    getFileUrl(remotePath) {
+        const port = this.getPort() !== this.getDefaultPort() ? `:${this.getPort()}` : '';
+        const filePath = remotePath.split('/').map(encodeURIComponent).join('/').replace(/^\/+/, '');
+        return `${this.getUrlScheme()}://${this.getHost()}${port}/${filePath}`;
+    }
+
+    /**
+     * Check if files are uploaded under a temporary name and renamed when complete
+     * Servers that don't allow renaming need this turned off.
+     * @returns {boolean} True to rename after upload
+     */
+    usesTemporaryName() {
+        return this.settings.renameAfterUpload !== false;
+    }
+
+    /**
+     * Validate the settings every server connection needs
+     * @returns {Array<string>} Errors
+     * @protected
+     */
+    _validateServerSettings() {
+        const errors = [];
+
+        if (!this.settings.host) {
+            errors.push('Host is required');
+        } else if (!this.settings.host.match(/^[a-z0-9.:\-[\]]+$/i)) {
+            errors.push('Invalid host name, enter the host without protocol or path');
+        }
+
+        const port = Number(this.settings.port);
+        if (this.settings.port && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+            errors.push('Port must be a number between 1 and 65535');
+        }
+
+        if (!this.settings.username) {
+            errors.push('Username is required');
+        }
+
+        return errors;
+    }
+
+    async testConnection() {
+        this._log('info', `Testing ${this.getServiceName()} connection`);
+        let connection = null;
+
+        try {
+            const validation = this.validateConfiguration();
+            if (!validation.valid) {
+                const result = {
+                    success: false,
+                    message: `Configuration invalid: ${validation.errors.join(', ')}`
+                };
+                this._storeTestResult(result);
+                return result;
+            }
+
+            connection = await this._connect();
+            await this._checkWriteAccess(connection);
+
+            // A missing remote directory is created by the first upload
+            const remoteDirectory = this.settings.remoteDirectory || '';
+            const directoryExists = remoteDirectory ? await this._directoryExists(connection, remoteDirectory) : true;
+
+            const result = {
+                success: true,
+                message: directoryExists
+                    ? `${this.getServiceName()} connection successful`
+                    : `${this.getServiceName()} connection successful - folder '${remoteDirectory}' will be created on the first upload`,
+                details: {
+                    host: this.getHost(),
+                    port: this.getPort(),
+                    remoteDirectory,
+                    directoryExists,
+                    ...this._getConnectionDetails()
+                }
+            };
+
+            this._storeTestResult(result);
+            this._log('info', `${this.getServiceName()} connection test completed successfully`);
+            return result;
+
+        } catch (error) {
+            const result = {
+                success: false,
+                message: `${this.getServiceName()} connection failed: ${error.message}`,
+                details: {
+                    error: error.message,
+                    host: this.getHost(),
+                    port: this.getPort(),
+                    ...this._getConnectionDetails()
+                }
+            };
+
+            this._storeTestResult(result);
+            this._log('error', `${this.getServiceName()} connection test failed`, { error: error.message });
+            return result;
+
+        } finally {
+            if (connection) {
+                await this._closeQuietly(connection);
+            }
+        }
+    }
+
+    /**
+     * Check if a file exists on the server and is a duplicate
+     * @param {string} remoteName - The remote file name
+     * @param {number} expectedSize - Expected file size for duplicate comparison
+     * @returns {Promise<boolean>} True if file exists and is a duplicate
+     */
+    async checkIfDuplicate(remoteName, expectedSize) {
+        let connection = null;
+
+        try {
+            connection = await this._connect();
+            return await this._isDuplicate(connection, this.getRemotePath(remoteName), expectedSize);
+        } catch (error) {
+            // Connection or permission errors - assume not duplicate to be safe
+            this._log('warn', `Error checking ${this.getServiceName()} duplicate`, { error: error.message, remoteName });
+            return false;
+        } finally {
+            if (connection) {
+                await this._closeQuietly(connection);
+            }
+        }
+    }
+
+    async uploadFile(filePath, remoteName, mimeType, options = {}) {
+        this._log('info', `Starting ${this.getServiceName()} upload`, { remoteName, mimeType });
+
+        // Generate upload ID early so it's available in error handling
+        const uploadId = this._generateUploadId();
+        let transfer = null;
+
+        try {
+            // Validate configuration
+            if (!this.isServiceConfigured()) {
+                throw new Error('Service not properly configured');
+            }
+
+            // Validate file
+            const fileInfo = await this._validateFilePath(filePath);
+            if (!fileInfo.exists || !fileInfo.isFile) {
+                throw new Error(`File not found or not accessible: ${filePath}`);
+            }
+
+            // Track upload, cancelling closes the connection and stops waiting for the protocol client
+            transfer = {
+                connection: null,
+                sentBytes: 0,
+                totalBytes: fileInfo.size,
+                reportedProgress: null,
+                abortError: null,
+                stop: null
+            };
+            const stopped = new Promise((resolve, reject) => {
+                transfer.stop = reject;
+            });
+            this.activeUploads.set(uploadId, {
+                status: 'uploading',
+                progress: 0,
+                startTime: Date.now(),
+                transfer
+            });
+
+            const skipDuplicates = options.skipDuplicates !== undefined ? options.skipDuplicates : true;
+            const outcome = await Promise.race([
+                this._transferFile(uploadId, transfer, filePath, remoteName, skipDuplicates),
+                stopped
+            ]);
+
+            if (outcome.skipped) {
+                this._log('info', `Skipping duplicate file upload to ${this.getServiceName()}`, { remoteName, size: fileInfo.size });
+
+                this.activeUploads.set(uploadId, {
+                    status: 'skipped',
+                    progress: 100,
+                    startTime: Date.now(),
+                    endTime: Date.now()
+                });
+
+                return {
+                    success: true,
+                    skipped: true,
+                    message: `File skipped - duplicate already exists on ${this.getHost()}`,
+                    details: {
+                        uploadId,
+                        remoteName,
+                        reason: 'duplicate'
+                    }
+                };
+            }
+
+            const { finalRemoteName, finalPath } = outcome;
+
+            this._updateProgress(uploadId, 90, 'Upload completed');
+
+            this.activeUploads.set(uploadId, {
+                status: 'completed',
+                progress: 100,
+                startTime: this.activeUploads.get(uploadId).startTime,
+                endTime: Date.now()
+            });
+
+            const uploadResult = {
+                success: true,
+                url: this.getFileUrl(finalPath),
+                message: `File uploaded successfully to ${this.getServiceName()}`,
+                details: {
+                    uploadId,
+                    size: fileInfo.size,
+                    remoteName: finalRemoteName, // Use final name in response
+                    originalRemoteName: remoteName, // Include original name for reference
+                    remotePath: finalPath,
+                    mimeType,
+                    host: this.getHost(),
+                    wasRenamed: finalRemoteName !== remoteName
+                }
+            };
+
+            this._log('info', `${this.getServiceName()} upload completed`, uploadResult.details);
+            return uploadResult;
+
+        } catch (caughtError) {
+            // Report why the upload stopped rather than the closed connection
+            const error = transfer?.abortError || caughtError;
+
+            if (this.activeUploads.has(uploadId)) {
+                this.activeUploads.set(uploadId, {
+                    ...this.activeUploads.get(uploadId),
+                    status: 'failed',
+                    progress: 0,
+                    endTime: Date.now(),
+                    error: error.message
+                });
+            }
+
+            const uploadResult = {
+                success: false,
+                message: `${this.getServiceName()} upload failed: ${error.message}`,
+                details: { error: error.message, filePath, remoteName }
+            };
+
+            this._log('error', `${this.getServiceName()} upload failed`, uploadResult.details);
+            return uploadResult;
+
+        } finally {
+            if (transfer?.connection) {
+                await this._closeQuietly(transfer.connection);
+            }
+        }
+    }
+
+    async getUploadProgress(uploadId) {
+        const upload = this.activeUploads.get(uploadId);
+        if (!upload) {
+            return { progress: 0, status: 'not_found' };
+        }
+
+        return {
+            progress: upload.progress,
+            status: upload.status,
+            startTime: upload.startTime,
+            endTime: upload.endTime
+        };
+    }
+
+    async cancelUpload(uploadId) {
+        // The status holds progress messages while uploading, only running uploads have a transfer and no end time
+        const upload = this.activeUploads.get(uploadId);
+        if (!upload || !upload.transfer || upload.endTime) {
+            return false;
+        }
+
+        this.activeUploads.set(uploadId, {
+            ...upload,
+            status: 'cancelled',
+            endTime: Date.now()
+        });
+        this._abort(upload.transfer, new Error('Upload cancelled'));
+
+        this._log('info', `${this.getServiceName()} upload cancelled`, { uploadId });
+        return true;
+    }
+
+    /**
+     * Open a connection to the server
+     * @returns {Promise<Object>} Connection, passed to the other protocol operations
+     * @protected
+     */
+    async _connect() {
+        throw new Error('_connect() must be implemented by subclass');
+    }
+
+    /**
+     * Close a connection, interrupting any running operation
+     * @param {Object} connection - Connection from _connect()
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _disconnect(connection) {
+        throw new Error('_disconnect() must be implemented by subclass');
+    }
+
+    /**
+     * Check that new files can be written, run by the connection test only
+     * Servers report missing permissions when the upload runs, so this does nothing by default.
+     * @param {Object} connection - Connection from _connect()
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _checkWriteAccess(connection) {
+    }
+
+    /**
+     * Get the size of a file on the server
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} remotePath - File path
+     * @returns {Promise<number|null>} Size in bytes, null if there is no such file
+     * @protected
+     */
+    async _getRemoteSize(connection, remotePath) {
+        throw new Error('_getRemoteSize() must be implemented by subclass');
+    }
+
+    /**
+     * Check if a folder exists on the server
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} directory - Folder path
+     * @returns {Promise<boolean>} True if the folder exists
+     * @protected
+     */
+    async _directoryExists(connection, directory) {
+        throw new Error('_directoryExists() must be implemented by subclass');
+    }
+
+    /**
+     * Create a folder and its missing parents
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} directory - Folder path
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _ensureDirectory(connection, directory) {
+        throw new Error('_ensureDirectory() must be implemented by subclass');
+    }
+
+    /**
+     * Upload a local file
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} localPath - Local file path
+     * @param {string} remotePath - Path to write on the server
+     * @param {Function} onProgress - Called with the number of bytes sent so far
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _putFile(connection, localPath, remotePath, onProgress) {
+        throw new Error('_putFile() must be implemented by subclass');
+    }
+
+    /**
+     * Rename a file on the server
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} fromPath - Current path
+     * @param {string} toPath - New path
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _rename(connection, fromPath, toPath) {
+        throw new Error('_rename() must be implemented by subclass');
+    }
+
+    /**
+     * Delete a file on the server
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} remotePath - File path
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _remove(connection, remotePath) {
+        throw new Error('_remove() must be implemented by subclass');
+    }
+
+    /**
+     * Get protocol details for connection test results, e.g. the host key or TLS state
+     * @returns {Object} Details
+     * @protected
+     */
+    _getConnectionDetails() {
+        return {};
+    }
+
+    /**
+     * Connect, check for duplicates and write the file under its final name
+     * @param {string} uploadId - Upload ID
+     * @param {Object} transfer - Transfer of the upload, receives the connection
+     * @param {string} filePath - Local file path
+     * @param {string} remoteName - Wanted remote file name
+     * @param {boolean} skipDuplicates - Skip files of the same size, else upload under a free name
+     * @returns {Promise<Object>} { skipped: true } or { finalRemoteName, finalPath }
+     * @private
+     */
+    async _transferFile(uploadId, transfer, filePath, remoteName, skipDuplicates) {
+        this._updateProgress(uploadId, 5, `Connecting to ${this.getHost()}...`);
+        const connection = await this._connect();
+        transfer.connection = connection;
+        if (transfer.abortError) {
+            await this._closeQuietly(connection);
+            throw transfer.abortError;
+        }
+
+        let finalRemoteName = remoteName;
+
+        if (skipDuplicates) {
+            this._updateProgress(uploadId, 10, 'Checking for duplicates...');
+            if (await this._isDuplicate(connection, this.getRemotePath(remoteName), transfer.totalBytes, filePath)) {
+                return { skipped: true };
+            }
+        } else {
+            // Any existing file keeps its name, whatever its size
+            this._updateProgress(uploadId, 10, 'Checking for unique filename...');
+            finalRemoteName = await this._generateUniqueName(remoteName,
+                async name => await this._getRemoteSize(connection, this.getRemotePath(name)) !== null);
+
+            if (finalRemoteName !== remoteName) {
+                this._log('info', `Using unique filename for ${this.getServiceName()} upload`, {
+                    original: remoteName,
+                    unique: finalRemoteName
+                });
+            }
+        }
+
+        const finalPath = this.getRemotePath(finalRemoteName);
+        const directory = path.posix.dirname(finalPath);
+        if (directory !== '.' && directory !== '/') {
+            this._updateProgress(uploadId, 15, `Creating folder ${directory}...`);
+            await this._ensureDirectory(connection, directory);
+        }
+
+        const uploadPath = this.usesTemporaryName() ? `${finalPath}${PARTIAL_SUFFIX}` : finalPath;
+        this._updateProgress(uploadId, 20, `Uploading to ${this.getServiceName()}...`);
+        await this._putFile(connection, filePath, uploadPath, sentBytes => this._reportBytes(uploadId, sentBytes));
+
+        if (uploadPath !== finalPath) {
+            // Not every server replaces an existing file on rename
+            if (await this._getRemoteSize(connection, finalPath) !== null) {
+                await this._remove(connection, finalPath);
+            }
+            await this._rename(connection, uploadPath, finalPath);
+        }
+
+        const uploadedSize = await this._getRemoteSize(connection, finalPath);
+        if (uploadedSize !== null && uploadedSize !== transfer.totalBytes) {
+            throw new Error(`Uploaded file has ${uploadedSize} bytes, expected ${transfer.totalBytes}`);
+        }
+
+        return { finalRemoteName, finalPath };
+    }
+
+    /**
+     * Check if a file on the server is a duplicate of a local file
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} remotePath - File path
+     * @param {number} expectedSize - Size of the local file
+     * @param {string|null} localPath - Local file, for protocols that can compare content (null if unknown)
+     * @returns {Promise<boolean>} True if a file of the same size exists
+     * @protected
+     */
+    async _isDuplicate(connection, remotePath, expectedSize, localPath = null) {
+        const size = await this._getRemoteSize(connection, remotePath);
+
+        // Check if file sizes match (basic duplicate detection)
+        if (size === expectedSize) {
+            this._log('info', `Duplicate file detected on ${this.getServiceName()} server`, {
+                remotePath,
+                expectedSize,
+                actualSize: size
+            });
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Report sent bytes when the percentage changes
+     * Upload bytes fill the progress between 20 and 90 percent.
+     * @param {string} uploadId - Upload ID
+     * @param {number} sentBytes - Bytes sent so far
+     * @private
+     */
+    _reportBytes(uploadId, sentBytes) {
+        const { transfer } = this.activeUploads.get(uploadId);
+        transfer.sentBytes = sentBytes;
+
+        const progress = 20 + Math.floor(70 * transfer.sentBytes / Math.max(transfer.totalBytes, 1));
+        if (progress === transfer.reportedProgress) {
+            return;
+        }
+        transfer.reportedProgress = progress;
+
+        try {
+            this._updateProgress(uploadId, progress,
+                `Uploading to ${this.getServiceName()}... ${formatBytes(transfer.sentBytes)} of ${formatBytes(transfer.totalBytes)}`);
+        } catch (error) {
+            // Progress is reported from the protocol client, close the connection instead of throwing there
+            this._abort(transfer, error);
+        }
+    }
+
+    /**
+     * Stop a transfer by closing its connection
+     * Protocol clients don't always settle operations of a closed connection, the upload stops waiting right away.
+     * @param {Object} transfer - Transfer of an active upload
+     * @param {Error} reason - Error the upload fails with
+     * @private
+     */
+    _abort(transfer, reason) {
+        if (transfer.abortError) {
+            return;
+        }
+        transfer.abortError = reason;
+        transfer.stop(reason);
+
+        if (transfer.connection) {
+            this._closeQuietly(transfer.connection);
+        }
+    }
+
+    /**
+     * Close a connection, ignoring errors of connections that are already closed
+     * @param {Object} connection - Connection from _connect()
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _closeQuietly(connection) {
+        try {
+            await this._disconnect(connection);
+        } catch (error) {
+            this._log('warn', `Error closing ${this.getServiceName()} connection`, { error: error.message });
+        }
+    }
+
+    /**
+     * Update upload progress
+     * @param {string} uploadId - Upload ID
+     * @param {number} progress - Progress percentage (0-100)
+     * @param {string} status - Status message
+     * @private
+     */
+    _updateProgress(uploadId, progress, status) {
+        if (this.activeUploads.has(uploadId)) {
+            const upload = this.activeUploads.get(uploadId);
+            this.activeUploads.set(uploadId, {
+                ...upload,
+                progress,
+                status
+            });
+        }
+    }
+}
+
+module.exports = {
+    PARTIAL_SUFFIX,
+    RemoteFileService
+};
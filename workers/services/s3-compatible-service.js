@@ -0,0 +1,258 @@
+/**
+ * S3-Compatible Upload Service
+ * Handles uploads to object storage that speaks the S3 API at its own endpoint:
+ * MinIO, Hetzner, OVHcloud, Wasabi, Backblaze B2 and others. Uploads, multipart
+ * resume and duplicate checks are those of the AWS S3 service, only the client,
+ * the URLs and the validation differ.
+ */
+
+const { AwsS3Service } = require('./aws-s3-service.js');
+
+/**
+ * Provider presets
+ * "{region}" in an endpoint is replaced with the configured region.
+ */
+const S3_COMPATIBLE_PRESETS = {
+    'minio': {
+        name: 'MinIO',
+        endpoint: 'http://localhost:9000',
+        region: 'us-east-1',
+        regions: [],
+        forcePathStyle: true
+    },
+    'hetzner': {
+        name: 'Hetzner Object Storage',
+        endpoint: 'https://{region}.your-objectstorage.com',
+        region: 'fsn1',
+        regions: ['fsn1', 'nbg1', 'hel1'],
+        forcePathStyle: false
+    },
+    'ovh': {
+        name: 'OVHcloud Object Storage',
+        endpoint: 'https://s3.{region}.io.cloud.ovh.net',
+        region: 'gra',
+        regions: ['gra', 'sbg', 'rbx', 'bhs', 'de', 'uk', 'waw'],
+        forcePathStyle: false
+    },
+    'wasabi': {
+        name: 'Wasabi',
+        endpoint: 'https://s3.{region}.wasabisys.com',
+        region: 'us-east-1',
+        regions: ['us-east-1', 'us-east-2', 'us-central-1', 'us-west-1', 'ca-central-1', 'eu-central-1', 'eu-central-2',
+            'eu-west-1', 'eu-west-2', 'ap-northeast-1', 'ap-northeast-2', 'ap-southeast-1', 'ap-southeast-2'],
+        forcePathStyle: false
+    },
+    'backblaze': {
+        name: 'Backblaze B2',
+        endpoint: 'https://s3.{region}.backblazeb2.com',
+        region: 'us-west-004',
+        regions: ['us-west-000', 'us-west-001', 'us-west-002', 'us-west-004', 'us-east-005', 'eu-central-003'],
+        forcePathStyle: false
+    },
+    'custom': {
+        name: 'Other S3-compatible',
+        endpoint: '',
+        region: 'us-east-1',
+        regions: [],
+        forcePathStyle: true
+    }
+};
+
+/**
+ * When the SDK adds CRC checksums to requests
+ * Many S3-compatible servers don't understand the aws-chunked bodies these checksums
+ * are sent in and store the encoded body, so they are only sent when S3 requires one.
+ */
+const ChecksumMode = {
+    WHEN_REQUIRED: 'when_required',
+    WHEN_SUPPORTED: 'when_supported'
+};
+
+/**
+ * How requests are signed
+ * Requests are always signed with Signature Version 4, the SDK has no Version 2.
+ * With an unsigned payload only the headers are signed and file contents are not
+ * hashed with SHA-256 first, for gateways that can't verify payload hashes and to
+ * save CPU on slow machines. Use it over https only.
+ */
+const SignatureMode = {
+    SIGNED_PAYLOAD: 'signed_payload',
+    UNSIGNED_PAYLOAD: 'unsigned_payload'
+};
+
+// Payload hash header value that leaves the body out of the signature
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+class S3CompatibleService extends AwsS3Service {
+    getServiceName() {
+        return 'S3-Compatible Storage';
+    }
+
+    /**
+     * Get the provider preset of the configured provider
+     * @returns {Object} Preset, the custom preset for unknown providers
+     */
+    getPreset() {
+        return S3_COMPATIBLE_PRESETS[this.settings.provider] || S3_COMPATIBLE_PRESETS.custom;
+    }
+
+    /**
+     * Get the region requests are signed for
+     * @returns {string} Region
+     */
+    getRegion() {
+        return this.settings.region || this.getPreset().region;
+    }
+
+    /**
+     * Get the service endpoint, the configured one or the one of the provider preset
+     * @returns {string} Endpoint URL without trailing slash, empty if there is none
+     */
+    getEndpoint() {
+        const endpoint = this.settings.endpoint || this.getPreset().endpoint.replace('{region}', this.getRegion());
+        return endpoint.replace(/\/+$/, '');
+    }
+
+    /**
+     * Check if the bucket is addressed in the path instead of the host name
+     * @returns {boolean} True for path-style addressing
+     */
+    usesPathStyle() {
+        return this.settings.forcePathStyle !== undefined ? this.settings.forcePathStyle : this.getPreset().forcePathStyle;
+    }
+
+    validateConfiguration() {
+        const errors = [];
+        const endpoint = this.getEndpoint();
+
+        if (!endpoint) {
+            errors.push('Endpoint is required');
+        } else {
+            try {
+                const url = new URL(endpoint);
+                if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+                    errors.push('Endpoint must start with https:// or http://');
+                }
+            } catch (error) {
+                errors.push('Invalid endpoint URL');
+            }
+        }
+
+        if (!this.settings.bucket) {
+            errors.push('Bucket name is required');
+        }
+
+        if (!this.settings.accessKey) {
+            errors.push('Access key is required');
+        }
+
+        if (!this.settings.secretKey) {
+            errors.push('Secret key is required');
+        }
+
+        if (!this.getRegion().match(/^[a-z0-9-]+$/i)) {
+            errors.push('Invalid region format');
+        }
+
+        if (this.settings.bucket && !this.settings.bucket.match(/^[a-z0-9][a-z0-9.-]*[a-z0-9]$/)) {
+            errors.push('Invalid bucket name format');
+        }
+
+        const checksumModes = Object.values(ChecksumMode);
+        if (this.settings.checksumMode && !checksumModes.includes(this.settings.checksumMode)) {
+            errors.push(`Checksum mode must be one of: ${checksumModes.join(', ')}`);
+        }
+
+        const signatureModes = Object.values(SignatureMode);
+        if (this.settings.signatureMode && !signatureModes.includes(this.settings.signatureMode)) {
+            errors.push(`Signature mode must be one of: ${signatureModes.join(', ')}`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Get the endpoint URL of the configured bucket
+     * @returns {string} Bucket URL
+     */
+    getEndpointUrl() {
+        const url = new URL(this.getEndpoint());
+
+        if (this.usesPathStyle()) {
+            return `${url.origin}${url.pathname.replace(/\/+$/, '')}/${this.settings.bucket}/`;
+        }
+        return `${url.protocol}//${this.settings.bucket}.${url.host}${url.pathname.replace(/\/+$/, '')}/`;
+    }
+
+    /**
+     * Get the storage class objects are written with
+     * Providers without storage classes reject the AWS default, so none is sent unless configured.
+     * @returns {string|undefined} Storage class, undefined to use the bucket default
+     */
+    getStorageClass() {
+        return this.settings.storageClass || undefined;
+    }
+
+    sanitizeSettings(settings) {
+        const sanitized = super.sanitizeSettings(settings);
+
+        // The endpoint may carry credentials of a reverse proxy
+        if (sanitized.endpoint) {
+            sanitized.endpoint = sanitized.endpoint.replace(/\/\/[^/@]*@/, '//[REDACTED]@');
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Get the provider presets
+     * @returns {Object} Presets by provider id
+     */
+    static getProviderPresets() {
+        return S3_COMPATIBLE_PRESETS;
+    }
+
+    /**
+     * Create an S3 client for the configured endpoint
+     * @returns {S3Client} S3 client
+     * @protected
+     */
+    _createClient() {
+        const { S3Client } = require('@aws-sdk/client-s3');
+        const checksums = this.settings.checksumMode === ChecksumMode.WHEN_SUPPORTED ? 'WHEN_SUPPORTED' : 'WHEN_REQUIRED';
+
+        const client = new S3Client({
+            region: this.getRegion(),
+            endpoint: this.getEndpoint(),
+            forcePathStyle: this.usesPathStyle(),
+            requestChecksumCalculation: checksums,
+            responseChecksumValidation: checksums,
+            credentials: {
+                accessKeyId: this.settings.accessKey,
+                secretAccessKey: this.settings.secretKey
+            }
+        });
+
+        if (this.settings.signatureMode === SignatureMode.UNSIGNED_PAYLOAD) {
+            // The signer uses a payload hash header that is already set instead of hashing the body
+            client.middlewareStack.add(next => args => {
+                if (args.request && args.request.headers) {
+                    args.request.headers['x-amz-content-sha256'] = UNSIGNED_PAYLOAD;
+                }
+                return next(args);
+            }, { step: 'build', name: 'unsignedPayloadMiddleware' });
+        }
+
+        return client;
+    }
+}
+
+module.exports = {
+    S3_COMPATIBLE_PRESETS,
+    ChecksumMode,
+    SignatureMode,
+    S3CompatibleService
+};
@@ -0,0 +1,224 @@
+/**
+ * SFTP Upload Service
+ * Handles uploads to SSH file servers with password or private key
+ * authentication. The server's host key must be listed in known_hosts or match
+ * the fingerprint saved in the settings, connections to other hosts are refused.
+ */
+
+const fs = require('fs');
+const { RemoteFileService } = require('./remote-file-service.js');
+const {
+    HostKeyStatus,
+    getDefaultKnownHostsPath,
+    getHostKeyFingerprint,
+    getHostKeyType,
+    fingerprintsMatch,
+    checkHostKey,
+    readKnownHosts
+} = require('./known-hosts.js');
+
+const DEFAULT_PORT = 22;
+
+// Time to establish the connection and authenticate
+const CONNECT_TIMEOUT_MS = 20000;
+
+/**
+ * How the user logs in
+ */
+const SftpAuthMethod = {
+    PASSWORD: 'password',
+    PRIVATE_KEY: 'key'
+};
+
+class SftpService extends RemoteFileService {
+    constructor(settings = {}) {
+        super(settings);
+        this.lastHostKey = null;
+    }
+
+    getServiceName() {
+        return 'SFTP';
+    }
+
+    getUrlScheme() {
+        return 'sftp';
+    }
+
+    getDefaultPort() {
+        return DEFAULT_PORT;
+    }
+
+    /**
+     * Get how the user logs in
+     * @returns {string} SftpAuthMethod value
+     */
+    getAuthMethod() {
+        return this.settings.authMethod === SftpAuthMethod.PRIVATE_KEY ? SftpAuthMethod.PRIVATE_KEY : SftpAuthMethod.PASSWORD;
+    }
+
+    validateConfiguration() {
+        const errors = this._validateServerSettings();
+
+        if (this.getAuthMethod() === SftpAuthMethod.PRIVATE_KEY) {
+            if (!this.settings.privateKeyPath) {
+                errors.push('Private key file is required');
+            }
+        } else if (!this.settings.password) {
+            errors.push('Password is required');
+        }
+
+        if (this.settings.hostFingerprint && !this.settings.hostFingerprint.trim().match(/^(SHA256:)?[A-Za-z0-9+/]{43}=?$/)) {
+            errors.push('Host key fingerprint must be a SHA256 fingerprint as shown by ssh-keygen -l');
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    sanitizeSettings(settings) {
+        const sanitized = super.sanitizeSettings(settings);
+
+        if (sanitized.passphrase) {
+            sanitized.passphrase = '[REDACTED]';
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Open an SFTP session
+     * The host key is checked during the handshake, before credentials are sent.
+     * @returns {Promise<SftpClient>} Connected client
+     * @protected
+     */
+    async _connect() {
+        const SftpClient = require('ssh2-sftp-client');
+        const knownHosts = await readKnownHosts(this.settings.knownHostsPath || getDefaultKnownHostsPath());
+        const config = {
+            host: this.settings.host,
+            port: this.getPort(),
+            username: this.settings.username,
+            readyTimeout: CONNECT_TIMEOUT_MS,
+            hostVerifier: keyBlob => this._verifyHostKey(knownHosts, keyBlob)
+        };
+
+        if (this.getAuthMethod() === SftpAuthMethod.PRIVATE_KEY) {
+            config.privateKey = await fs.promises.readFile(this.settings.privateKeyPath);
+            config.passphrase = this.settings.passphrase || undefined;
+        } else {
+            config.password = this.settings.password;
+        }
+
+        this.lastHostKey = null;
+        const client = new SftpClient();
+
+        try {
+            await client.connect(config);
+            return client;
+        } catch (error) {
+            // Explain a refused host key instead of the generic handshake error
+            if (this.lastHostKey && this.lastHostKey.status !== HostKeyStatus.TRUSTED) {
+                throw new Error(this._describeHostKeyProblem(this.lastHostKey));
+            }
+            throw error;
+        }
+    }
+
+    async _disconnect(client) {
+        await client.end();
+    }
+
+    async _getRemoteSize(client, remotePath) {
+        const type = await client.exists(remotePath);
+        if (!type) {
+            return null;
+        }
+        if (type === 'd') {
+            throw new Error(`${remotePath} is a folder`);
+        }
+
+        const stats = await client.stat(remotePath);
+        return stats.size;
+    }
+
+    async _directoryExists(client, directory) {
+        return await client.exists(directory) === 'd';
+    }
+
+    async _ensureDirectory(client, directory) {
+        if (!await this._directoryExists(client, directory)) {
+            await client.mkdir(directory, true);
+        }
+    }
+
+    async _putFile(client, localPath, remotePath, onProgress) {
+        await client.fastPut(localPath, remotePath, {
+            step: totalTransferred => onProgress(totalTransferred)
+        });
+    }
+
+    async _rename(client, fromPath, toPath) {
+        await client.rename(fromPath, toPath);
+    }
+
+    async _remove(client, remotePath) {
+        await client.delete(remotePath);
+    }
+
+    _getConnectionDetails() {
+        return this.lastHostKey ? { hostKey: this.lastHostKey } : {};
+    }
+
+    /**
+     * Decide if the key the server presented is trusted
+     * A saved fingerprint trusts the key even if known_hosts lists another one for the host.
+     * @param {string} knownHosts - known_hosts content
+     * @param {Buffer} keyBlob - Host key in SSH wire format
+     * @returns {boolean} True to continue the handshake
+     * @private
+     */
+    _verifyHostKey(knownHosts, keyBlob) {
+        const fingerprint = getHostKeyFingerprint(keyBlob);
+        let status = checkHostKey(knownHosts, this.settings.host, this.getPort(), keyBlob);
+
+        if (status !== HostKeyStatus.REVOKED && fingerprintsMatch(fingerprint, this.settings.hostFingerprint)) {
+            status = HostKeyStatus.TRUSTED;
+        }
+
+        this.lastHostKey = {
+            status,
+            fingerprint,
+            keyType: getHostKeyType(keyBlob)
+        };
+
+        if (status !== HostKeyStatus.TRUSTED) {
+            this._log('warn', 'Host key not trusted', { host: this.settings.host, ...this.lastHostKey });
+        }
+        return status === HostKeyStatus.TRUSTED;
+    }
+
+    /**
+     * Describe why a host key was refused
+     * @param {Object} hostKey - Host key check ({ status, fingerprint, keyType })
+     * @returns {string} Message for the user
+     * @private
+     */
+    _describeHostKeyProblem(hostKey) {
+        switch (hostKey.status) {
+            case HostKeyStatus.CHANGED:
+                return `The ${hostKey.keyType} host key of ${this.settings.host} has changed (now ${hostKey.fingerprint}). ` +
+                    'Confirm the new key with the server administrator before trusting it.';
+            case HostKeyStatus.REVOKED:
+                return `The host key of ${this.settings.host} (${hostKey.fingerprint}) is revoked in known_hosts`;
+            default:
+                return `The host key of ${this.settings.host} is not known (${hostKey.keyType} ${hostKey.fingerprint})`;
+        }
+    }
+}
+
+module.exports = {
+    SftpAuthMethod,
+    SftpService
+};
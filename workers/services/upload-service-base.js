@@ -168,6 +168,35 @@ class UploadServiceBase {
         return `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    /**
+     * Find a free name by adding a counter: "photo.jpg", "photo (1).jpg", "photo (2).jpg", ...
+     * @param {string} originalName - Wanted file name or path
+     * @param {Function} isTaken - Async check of a candidate name, resolves to true if it can't be used
+     * @returns {Promise<string>} The original name if free, else the first free numbered name
+     * @protected
+     */
+    async _generateUniqueName(originalName, isTaken) {
+        if (!await isTaken(originalName)) {
+            return originalName;
+        }
+
+        // Only an extension of the file name counts, not a dot in a folder name
+        const lastDotIndex = originalName.lastIndexOf('.');
+        const hasExtension = lastDotIndex > originalName.lastIndexOf('/') + 1;
+        const baseName = hasExtension ? originalName.substring(0, lastDotIndex) : originalName;
+        const extension = hasExtension ? originalName.substring(lastDotIndex) : '';
+
+        for (let counter = 1; counter < 1000; counter++) { // Safety limit to prevent infinite loop
+            const uniqueName = `${baseName} (${counter})${extension}`;
+            if (!await isTaken(uniqueName)) {
+                return uniqueName;
+            }
+        }
+
+        // Fallback: use timestamp
+        return `${baseName}_${Date.now()}${extension}`;
+    }
+
     /**
      * Validate file path and get file info
      * @param {string} filePath - File path to validate
@@ -0,0 +1,620 @@
+/**
+ * WebDAV Upload Service
+ * Handles uploads to WebDAV servers such as Nextcloud, ownCloud or a NAS, logging
+ * in with a user name and password (an app password for Nextcloud accounts with
+ * two-factor authentication). Missing folders are created with MKCOL. Nextcloud
+ * receives large files in chunks (chunking v2), other servers one streamed PUT.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { RemoteFileService } = require('./remote-file-service.js');
+const { ChecksumAlgorithm, createHasher, hashFile } = require('../import/file-hasher');
+
+const MB = 1024 * 1024;
+
+// Nextcloud chunking v2 limits: chunks of at least 5 MB (except the last one), at most 10000 chunks
+const MIN_CHUNK_SIZE_MB = 5;
+const MAX_CHUNKS = 10000;
+
+const DEFAULT_CHUNK_SIZE_MB = 16;
+
+// Attempts per chunk before the upload fails
+const CHUNK_ATTEMPTS = 3;
+
+// Request bodies are read in slices, progress is counted per slice
+const BODY_SLICE_SIZE = 256 * 1024;
+
+// Properties read for files and folders, servers answer 404 for the ones they don't know
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+    <d:prop>
+        <d:resourcetype/>
+        <d:getcontentlength/>
+        <d:getetag/>
+        <oc:checksums/>
+    </d:prop>
+</d:propfind>`;
+
+/**
+ * Read the text of the first element with a name, whatever its namespace prefix
+ * @param {string} xml - XML text
+ * @param {string} name - Element name without prefix
+ * @returns {string|null} Text content, null if there is no such element
+ */
+function getElementText(xml, name) {
+    // Self-closing elements are empty, they are skipped
+    const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*[^/])?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`));
+    if (!match) {
+        return null;
+    }
+
+    return match[1].replace(/<[^>]*>/g, ' ').trim()
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse the PROPFIND answer for a single file or folder (Depth: 0)
+ * @param {string} xml - Multistatus response
+ * @returns {Object} Entry ({ isDirectory, size, etag, checksums })
+ */
+function parsePropfindEntry(xml) {
+    const size = getElementText(xml, 'getcontentlength');
+
+    return {
+        isDirectory: /<(?:[\w-]+:)?collection\s*\/?>/.test(xml),
+        size: size ? Number(size) : null,
+        etag: getElementText(xml, 'getetag'),
+        checksums: getElementText(xml, 'checksums')
+    };
+}
+
+/**
+ * Get the value of a strong ETag
+ * @param {string|null} etag - ETag header or property
+ * @returns {string|null} Lowercase value without quotes, null for weak or missing ETags
+ */
+function getStrongEtag(etag) {
+    if (!etag || etag.startsWith('W/')) {
+        return null;
+    }
+    return etag.replace(/"/g, '').toLowerCase();
+}
+
+/**
+ * Read a buffer in slices, counting the bytes handed out
+ * Asynchronous, fetch only streams async iterables.
+ * @param {Buffer} buffer - Request body
+ * @param {Function} onBytes - Called with the size of each slice
+ */
+async function* sliceBody(buffer, onBytes) {
+    for (let offset = 0; offset < buffer.length; offset += BODY_SLICE_SIZE) {
+        const slice = buffer.subarray(offset, offset + BODY_SLICE_SIZE);
+        onBytes(slice.length);
+        yield slice;
+    }
+}
+
+/**
+ * Read a file as a stream, handing each chunk to a callback before it is sent
+ * @param {string} filePath - Local file path
+ * @param {Function} onChunk - Called with each chunk
+ */
+async function* streamFile(filePath, onChunk) {
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: BODY_SLICE_SIZE })) {
+        onChunk(chunk);
+        yield chunk;
+    }
+}
+
+class WebDavService extends RemoteFileService {
+    constructor(settings = {}) {
+        super(settings);
+
+        // Whether the server's ETags are the MD5 of the content, like S3. Unknown until an upload shows it.
+        this.etagIsContentMd5 = null;
+    }
+
+    getServiceName() {
+        return 'WebDAV';
+    }
+
+    getUrlScheme() {
+        return this._parseUrl().protocol === 'http:' ? 'http' : 'https';
+    }
+
+    getDefaultPort() {
+        return this.getUrlScheme() === 'http' ? 80 : 443;
+    }
+
+    getHost() {
+        return this._parseUrl().hostname;
+    }
+
+    getPort() {
+        return Number(this._parseUrl().port) || this.getDefaultPort();
+    }
+
+    /**
+     * Get the WebDAV address, uploads go below it
+     * @returns {string} URL ending with a slash
+     */
+    getBaseUrl() {
+        const url = this.settings.url.trim();
+        return url.endsWith('/') ? url : `${url}/`;
+    }
+
+    getFileUrl(remotePath) {
+        return this._getUrl(this.getBaseUrl(), remotePath);
+    }
+
+    /**
+     * Get the chunk size for Nextcloud uploads
+     * @returns {number} Chunk size in bytes, 0 to send every file in one request
+     */
+    getChunkSize() {
+        const chunkSizeMb = this.settings.chunkSizeMb === undefined || this.settings.chunkSizeMb === ''
+            ? DEFAULT_CHUNK_SIZE_MB
+            : Number(this.settings.chunkSizeMb);
+        return chunkSizeMb * MB;
+    }
+
+    /**
+     * Find the Nextcloud endpoints behind the WebDAV address
+     * The files address (remote.php/dav/files/<user id>/) and the older remote.php/webdav/
+     * are recognized, the latter assumes the user id is the login name.
+     * @returns {Object|null} { davRoot, userId, filesUrl } or null for other servers
+     */
+    getNextcloudLocation() {
+        const url = new URL(this.getBaseUrl());
+
+        const files = url.pathname.match(/^(.*?\/remote\.php\/dav)\/files\/([^/]+)\//);
+        if (files) {
+            return {
+                davRoot: `${url.origin}${files[1]}`,
+                userId: decodeURIComponent(files[2]),
+                filesUrl: this.getBaseUrl()
+            };
+        }
+
+        const legacy = url.pathname.match(/^(.*?\/remote\.php)\/webdav(\/.*)$/);
+        if (legacy) {
+            const davRoot = `${url.origin}${legacy[1]}/dav`;
+            return {
+                davRoot,
+                userId: this.settings.username,
+                filesUrl: `${davRoot}/files/${encodeURIComponent(this.settings.username)}${legacy[2]}`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Nextcloud writes uploads to a hidden file and moves it into place itself, and refuses
+     * some temporary names. Other servers follow the setting.
+     * @returns {boolean} True to rename after upload
+     */
+    usesTemporaryName() {
+        return !this.getNextcloudLocation() && super.usesTemporaryName();
+    }
+
+    validateConfiguration() {
+        const errors = [];
+
+        if (!this.settings.url) {
+            errors.push('WebDAV address is required');
+        } else {
+            let url = null;
+            try {
+                url = new URL(this.settings.url.trim());
+            } catch (error) {
+                errors.push('Invalid WebDAV address, enter the full URL starting with https://');
+            }
+
+            if (url && url.protocol !== 'https:' && url.protocol !== 'http:') {
+                errors.push('WebDAV address must start with https:// or http://');
+            }
+            if (url && (url.username || url.password)) {
+                errors.push('Enter the user name and password in their own fields, not in the address');
+            }
+        }
+
+        if (!this.settings.username) {
+            errors.push('Username is required');
+        }
+
+        if (!this.settings.password) {
+            errors.push('Password is required');
+        }
+
+        const chunkSizeMb = this.getChunkSize() / MB;
+        if (!Number.isFinite(chunkSizeMb) || (chunkSizeMb !== 0 && chunkSizeMb < MIN_CHUNK_SIZE_MB)) {
+            errors.push(`Chunk size must be at least ${MIN_CHUNK_SIZE_MB} MB, or 0 to upload files in one request`);
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Check the address and the credentials
+     * HTTP has no lasting connection, cancelling an upload aborts its requests.
+     * @returns {Promise<Object>} Connection ({ controller })
+     * @protected
+     */
+    async _connect() {
+        const connection = { controller: new AbortController() };
+
+        const entry = await this._getEntry(connection, this.getBaseUrl(), '');
+        if (!entry) {
+            throw new Error(`Folder not found at ${this.getBaseUrl()}`);
+        }
+        if (!entry.isDirectory) {
+            throw new Error(`${this.getBaseUrl()} is not a folder`);
+        }
+
+        return connection;
+    }
+
+    async _disconnect({ controller }) {
+        controller.abort();
+    }
+
+    async _getRemoteSize(connection, remotePath) {
+        const entry = await this._getEntry(connection, this.getBaseUrl(), remotePath);
+        if (!entry) {
+            return null;
+        }
+        if (entry.isDirectory) {
+            throw new Error(`${remotePath} is a folder`);
+        }
+
+        return entry.size;
+    }
+
+    async _directoryExists(connection, directory) {
+        const entry = await this._getEntry(connection, this.getBaseUrl(), directory, true);
+        return !!entry && entry.isDirectory;
+    }
+
+    async _ensureDirectory(connection, directory) {
+        if (await this._directoryExists(connection, directory)) {
+            return;
+        }
+
+        // MKCOL creates one folder at a time, its parent has to exist
+        let current = '';
+        for (const segment of directory.split('/').filter(Boolean)) {
+            current = current ? `${current}/${segment}` : segment;
+
+            // 405: the folder exists already
+            await this._request(connection, 'MKCOL', this._getUrl(this.getBaseUrl(), current, true), {
+                expected: [201, 405],
+                action: `Creating folder ${current}`
+            });
+        }
+    }
+
+    async _putFile(connection, localPath, remotePath, onProgress) {
+        const stats = await fs.promises.stat(localPath);
+        const nextcloud = this.getNextcloudLocation();
+        const chunkSize = this.getChunkSize();
+
+        if (nextcloud && chunkSize > 0 && stats.size > chunkSize) {
+            await this._putChunked(connection, nextcloud, localPath, stats, remotePath, onProgress);
+            return;
+        }
+
+        const headers = {
+            'Content-Length': String(stats.size)
+        };
+        if (nextcloud) {
+            // Stored by Nextcloud, later duplicate checks compare the content
+            headers['OC-Checksum'] = `MD5:${await hashFile(localPath, ChecksumAlgorithm.MD5)}`;
+            headers['X-OC-Mtime'] = String(Math.floor(stats.mtimeMs / 1000));
+        }
+
+        const hasher = await createHasher(ChecksumAlgorithm.MD5);
+        let sentBytes = 0;
+        const response = await this._request(connection, 'PUT', this._getUrl(this.getBaseUrl(), remotePath), {
+            headers,
+            body: streamFile(localPath, chunk => {
+                hasher.update(chunk);
+                onProgress(sentBytes += chunk.length);
+            }),
+            expected: [200, 201, 204],
+            action: 'Upload'
+        });
+
+        this._learnEtagFormat(response.headers.get('etag'), hasher.digest());
+    }
+
+    async _rename(connection, fromPath, toPath) {
+        await this._request(connection, 'MOVE', this._getUrl(this.getBaseUrl(), fromPath), {
+            headers: {
+                Destination: this._getUrl(this.getBaseUrl(), toPath),
+                Overwrite: 'T'
+            },
+            expected: [201, 204],
+            action: `Renaming ${fromPath}`
+        });
+    }
+
+    async _remove(connection, remotePath) {
+        await this._request(connection, 'DELETE', this._getUrl(this.getBaseUrl(), remotePath), {
+            expected: [200, 204, 404],
+            action: `Deleting ${remotePath}`
+        });
+    }
+
+    /**
+     * Compare sizes and, when the server reports it, the MD5 of the content
+     * @protected
+     */
+    async _isDuplicate(connection, remotePath, expectedSize, localPath = null) {
+        const entry = await this._getEntry(connection, this.getBaseUrl(), remotePath);
+        if (!entry || entry.isDirectory || entry.size !== expectedSize) {
+            return false;
+        }
+
+        const remoteMd5 = this._getContentMd5(entry);
+        if (remoteMd5 && localPath) {
+            const localMd5 = await hashFile(localPath, ChecksumAlgorithm.MD5);
+            if (localMd5 !== remoteMd5) {
+                this._log('info', 'File of the same size but different content on WebDAV server', { remotePath, etag: entry.etag });
+                return false;
+            }
+        }
+
+        this._log('info', 'Duplicate file detected on WebDAV server', {
+            remotePath,
+            expectedSize,
+            etag: entry.etag,
+            contentCompared: !!(remoteMd5 && localPath)
+        });
+        return true;
+    }
+
+    _getConnectionDetails() {
+        const nextcloud = this.getNextcloudLocation();
+        return {
+            url: this.settings.url,
+            nextcloud: !!nextcloud,
+            chunkSizeMb: nextcloud ? this.getChunkSize() / MB : 0
+        };
+    }
+
+    /**
+     * Upload a file to Nextcloud in chunks and let the server assemble it (chunking v2)
+     * The chunks go to a folder below uploads/, moving its ".file" writes the file to its
+     * destination. Nextcloud removes folders of abandoned uploads itself.
+     * @param {Object} connection - Connection from _connect()
+     * @param {Object} nextcloud - Endpoints from getNextcloudLocation()
+     * @param {string} localPath - Local file path
+     * @param {fs.Stats} stats - Local file info
+     * @param {string} remotePath - Path to write on the server
+     * @param {Function} onProgress - Called with the number of bytes sent so far
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _putChunked(connection, nextcloud, localPath, stats, remotePath, onProgress) {
+        const chunkSize = Math.max(this.getChunkSize(), Math.ceil(stats.size / MAX_CHUNKS));
+        const chunkCount = Math.ceil(stats.size / chunkSize);
+        const uploadUrl = `${nextcloud.davRoot}/uploads/${encodeURIComponent(nextcloud.userId)}/zentransfer-${crypto.randomUUID()}`;
+        const destination = this._getUrl(nextcloud.filesUrl, remotePath);
+        const commonHeaders = {
+            Destination: destination,
+            'OC-Total-Length': String(stats.size)
+        };
+
+        this._log('info', 'Starting Nextcloud chunked upload', { remotePath, chunkCount, chunkSize });
+
+        await this._request(connection, 'MKCOL', uploadUrl, {
+            headers: commonHeaders,
+            expected: [201],
+            action: 'Starting chunked upload'
+        });
+
+        const fileHandle = await fs.promises.open(localPath, 'r');
+        const hasher = await createHasher(ChecksumAlgorithm.MD5);
+        let sentBytes = 0;
+
+        try {
+            for (let chunkNumber = 1; chunkNumber <= chunkCount; chunkNumber++) {
+                const length = Math.min(chunkSize, stats.size - (chunkNumber - 1) * chunkSize);
+                const buffer = Buffer.allocUnsafe(length);
+                const { bytesRead } = await fileHandle.read(buffer, 0, length, (chunkNumber - 1) * chunkSize);
+                if (bytesRead !== length) {
+                    throw new Error(`File changed during upload, chunk ${chunkNumber} could not be read`);
+                }
+                hasher.update(buffer);
+
+                for (let attempt = 1; ; attempt++) {
+                    const sentBefore = sentBytes;
+                    try {
+                        await this._request(connection, 'PUT', `${uploadUrl}/${String(chunkNumber).padStart(5, '0')}`, {
+                            headers: { ...commonHeaders, 'Content-Length': String(length) },
+                            body: sliceBody(buffer, bytes => onProgress(sentBytes += bytes)),
+                            expected: [201, 204],
+                            action: `Uploading chunk ${chunkNumber} of ${chunkCount}`
+                        });
+                        break;
+                    } catch (error) {
+                        // The bytes of a failed attempt are sent again
+                        sentBytes = sentBefore;
+
+                        if (connection.controller.signal.aborted || attempt >= CHUNK_ATTEMPTS) {
+                            throw error;
+                        }
+
+                        this._log('warn', 'WebDAV chunk upload failed, retrying', { chunkNumber, attempt, error: error.message });
+                        await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+                    }
+                }
+            }
+
+            const contentMd5 = hasher.digest();
+            const response = await this._request(connection, 'MOVE', `${uploadUrl}/.file`, {
+                headers: {
+                    ...commonHeaders,
+                    Overwrite: 'T',
+                    'OC-Checksum': `MD5:${contentMd5}`,
+                    'X-OC-Mtime': String(Math.floor(stats.mtimeMs / 1000))
+                },
+                expected: [201, 204],
+                action: 'Assembling chunks'
+            });
+
+            this._learnEtagFormat(response.headers.get('etag'), contentMd5);
+        } catch (error) {
+            if (!connection.controller.signal.aborted) {
+                await this._request(connection, 'DELETE', uploadUrl, { action: 'Removing chunks' })
+                    .catch(cleanupError => this._log('warn', 'Could not remove chunks of failed upload', { error: cleanupError.message }));
+            }
+            throw error;
+        } finally {
+            await fileHandle.close();
+        }
+    }
+
+    /**
+     * Get the MD5 of a file's content as reported by the server
+     * Nextcloud lists the checksums sent with uploads (OC-Checksum). ETags are only used once an
+     * upload has shown that they are the MD5 of the content, other servers' ETags can look alike.
+     * @param {Object} entry - Entry from parsePropfindEntry()
+     * @returns {string|null} Lowercase hex digest, null if the server doesn't tell
+     * @private
+     */
+    _getContentMd5(entry) {
+        const checksum = (entry.checksums || '').match(/\bMD5:([0-9a-f]{32})\b/i);
+        if (checksum) {
+            return checksum[1].toLowerCase();
+        }
+
+        return this.etagIsContentMd5 ? getStrongEtag(entry.etag) : null;
+    }
+
+    /**
+     * Remember whether the server answered an upload with the MD5 of the content as ETag
+     * @param {string|null} etag - ETag of the uploaded file
+     * @param {string} contentMd5 - MD5 of the uploaded content
+     * @private
+     */
+    _learnEtagFormat(etag, contentMd5) {
+        const value = getStrongEtag(etag);
+        if (value) {
+            this.etagIsContentMd5 = value === contentMd5;
+        }
+    }
+
+    /**
+     * Read the properties of a file or folder
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} baseUrl - Address the path is below
+     * @param {string} remotePath - Path, empty for the address itself
+     * @param {boolean} isDirectory - Request the path as folder
+     * @returns {Promise<Object|null>} Entry ({ isDirectory, size, etag, checksums }), null if not found
+     * @private
+     */
+    async _getEntry(connection, baseUrl, remotePath, isDirectory = false) {
+        const response = await this._request(connection, 'PROPFIND', this._getUrl(baseUrl, remotePath, isDirectory), {
+            headers: {
+                Depth: '0',
+                'Content-Type': 'application/xml; charset=utf-8'
+            },
+            body: PROPFIND_BODY,
+            expected: [207, 404],
+            action: `Reading ${remotePath || baseUrl}`
+        });
+
+        return response.status === 404 ? null : parsePropfindEntry(response.text);
+    }
+
+    /**
+     * Send a request, aborted when the connection is closed
+     * @param {Object} connection - Connection from _connect()
+     * @param {string} method - HTTP or WebDAV method
+     * @param {string} url - Request URL
+     * @param {Object} options - { headers, body, expected: status codes, action: description for errors }
+     * @returns {Promise<Object>} { status, headers, text }
+     * @private
+     */
+    async _request(connection, method, url, options = {}) {
+        const credentials = Buffer.from(`${this.settings.username}:${this.settings.password}`).toString('base64');
+        const response = await this._fetch(url, {
+            method,
+            headers: {
+                Authorization: `Basic ${credentials}`,
+                ...options.headers
+            },
+            body: options.body,
+            duplex: options.body ? 'half' : undefined,
+            signal: connection.controller.signal
+        });
+        const text = await response.text();
+
+        if (options.expected && !options.expected.includes(response.status)) {
+            throw new Error(this._describeError(options.action || method, response, text));
+        }
+
+        return { status: response.status, headers: response.headers, text };
+    }
+
+    /**
+     * Describe a failed request, with the message of the server if it sent one
+     * @param {string} action - What was being done
+     * @param {Response} response - Response
+     * @param {string} text - Response body
+     * @returns {string} Message for the user
+     * @private
+     */
+    _describeError(action, response, text) {
+        switch (response.status) {
+            case 401:
+                return `${action} failed: login refused, check the user name and password (use an app password with two-factor authentication)`;
+            case 403:
+                return `${action} failed: access denied`;
+            case 507:
+                return `${action} failed: not enough storage space on the server`;
+        }
+
+        const serverMessage = text ? getElementText(text, 'message') : null;
+        return `${action} failed: ${response.status} ${response.statusText}${serverMessage ? ` - ${serverMessage}` : ''}`;
+    }
+
+    /**
+     * Build the URL of a path below an address
+     * @param {string} baseUrl - Address ending with a slash
+     * @param {string} remotePath - Path, leading slashes are ignored
+     * @param {boolean} isDirectory - End the URL with a slash
+     * @returns {string} URL
+     * @private
+     */
+    _getUrl(baseUrl, remotePath, isDirectory = false) {
+        const segments = remotePath.split('/').filter(Boolean).map(encodeURIComponent);
+        const url = `${baseUrl}${segments.join('/')}`;
+        return isDirectory && segments.length > 0 ? `${url}/` : url;
+    }
+
+    /**
+     * Parse the WebDAV address, which validateConfiguration() has checked
+     * @returns {URL} Address
+     * @private
+     */
+    _parseUrl() {
+        return new URL(this.getBaseUrl());
+    }
+}
+
+module.exports = {
+    WebDavService,
+    getElementText,
+    parsePropfindEntry
+};
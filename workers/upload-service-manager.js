@@ -5,8 +5,13 @@
 
 const { ZenTransferService } = require('./services/zentransfer-service.js');
 const { AwsS3Service } = require('./services/aws-s3-service.js');
+const { S3CompatibleService } = require('./services/s3-compatible-service.js');
 const { AzureBlobService } = require('./services/azure-blob-service.js');
 const { GcpStorageService } = require('./services/gcp-storage-service.js');
+const { SftpService } = require('./services/sftp-service.js');
+const { FtpService } = require('./services/ftp-service.js');
+const { WebDavService } = require('./services/webdav-service.js');
+const { FolderService } = require('./services/folder-service.js');
 
 class UploadServiceManager {
     constructor() {
@@ -14,8 +19,13 @@ class UploadServiceManager {
         this.serviceTypes = {
             'zentransfer': ZenTransferService,
             'aws-s3': AwsS3Service,
+            's3-compatible': S3CompatibleService,
             'azure-blob': AzureBlobService,
-            'gcp-storage': GcpStorageService
+            'gcp-storage': GcpStorageService,
+            'sftp': SftpService,
+            'ftp': FtpService,
+            'webdav': WebDavService,
+            'folder': FolderService
         };
     }
 
@@ -99,6 +109,12 @@ class UploadServiceManager {
                 icon: '☁️',
                 color: 'orange'
             },
+            's3-compatible': {
+                name: 'S3-Compatible Storage',
+                description: 'Upload to MinIO, Hetzner, OVHcloud, Wasabi, Backblaze B2 or another S3 endpoint',
+                icon: '☁️',
+                color: 'teal'
+            },
             'azure-blob': {
                 name: 'Azure Blob Storage',
                 description: 'Upload to Microsoft Azure',
@@ -110,6 +126,30 @@ class UploadServiceManager {
                 description: 'Upload to Google Cloud',
                 icon: '☁️',
                 color: 'red'
+            },
+            'sftp': {
+                name: 'SFTP',
+                description: 'Upload to an SSH file server',
+                icon: '🔒',
+                color: 'indigo'
+            },
+            'ftp': {
+                name: 'FTP',
+                description: 'Upload to an FTP or FTPS server',
+                icon: '📁',
+                color: 'amber'
+            },
+            'webdav': {
+                name: 'WebDAV',
+                description: 'Upload to Nextcloud or a WebDAV server',
+                icon: '🌐',
+                color: 'cyan'
+            },
+            'folder': {
+                name: 'Folder',
+                description: 'Copy to a network share, external drive or sync folder',
+                icon: '📂',
+                color: 'teal'
             }
         };
 
@@ -148,7 +188,25 @@ class UploadServiceManager {
                 bucket: preferences.awsS3Bucket,
                 accessKey: preferences.awsS3AccessKey,
                 secretKey: preferences.awsS3SecretKey,
-                storageClass: preferences.awsS3StorageTier || 'STANDARD'
+                storageClass: preferences.awsS3StorageTier || 'STANDARD',
+                partSizeMb: preferences.awsS3PartSizeMb,
+                partConcurrency: preferences.awsS3PartConcurrency
+            });
+            createdServices.push(serviceInfo);
+        }
+
+        // S3-compatible storage
+        if (preferences.s3CompatEnabled && preferences.s3CompatBucket) {
+            const serviceInfo = this.createService('s3-compatible', {
+                provider: preferences.s3CompatProvider,
+                endpoint: preferences.s3CompatEndpoint,
+                region: preferences.s3CompatRegion,
+                bucket: preferences.s3CompatBucket,
+                accessKey: preferences.s3CompatAccessKey,
+                secretKey: preferences.s3CompatSecretKey,
+                forcePathStyle: preferences.s3CompatPathStyle,
+                checksumMode: preferences.s3CompatChecksumMode,
+                signatureMode: preferences.s3CompatSignatureMode
             });
             createdServices.push(serviceInfo);
         }
@@ -171,9 +229,79 @@ class UploadServiceManager {
             createdServices.push(serviceInfo);
         }
 
+        // SFTP
+        if (preferences.sftpEnabled && preferences.sftpHost) {
+            const serviceInfo = this.createService('sftp', {
+                host: preferences.sftpHost,
+                port: preferences.sftpPort,
+                username: preferences.sftpUsername,
+                authMethod: preferences.sftpAuthMethod,
+                password: preferences.sftpPassword,
+                privateKeyPath: preferences.sftpPrivateKeyPath,
+                passphrase: preferences.sftpPassphrase,
+                hostFingerprint: preferences.sftpHostFingerprint,
+                remoteDirectory: preferences.sftpRemoteDirectory,
+                renameAfterUpload: preferences.sftpRenameAfterUpload
+            });
+            createdServices.push(serviceInfo);
+        }
+
+        // FTP / FTPS
+        if (preferences.ftpEnabled && preferences.ftpHost) {
+            const serviceInfo = this.createService('ftp', {
+                host: preferences.ftpHost,
+                port: preferences.ftpPort,
+                username: preferences.ftpUsername,
+                password: preferences.ftpPassword,
+                security: preferences.ftpSecurity,
+                transferMode: preferences.ftpTransferMode,
+                verifyCertificate: preferences.ftpVerifyCertificate,
+                remoteDirectory: preferences.ftpRemoteDirectory,
+                renameAfterUpload: preferences.ftpRenameAfterUpload
+            });
+            createdServices.push(serviceInfo);
+        }
+
+        // WebDAV / Nextcloud
+        if (preferences.webdavEnabled && preferences.webdavUrl) {
+            const serviceInfo = this.createService('webdav', {
+                url: preferences.webdavUrl,
+                username: preferences.webdavUsername,
+                password: preferences.webdavPassword,
+                remoteDirectory: preferences.webdavRemoteDirectory,
+                chunkSizeMb: preferences.webdavChunkSizeMb,
+                renameAfterUpload: preferences.webdavRenameAfterUpload
+            });
+            createdServices.push(serviceInfo);
+        }
+
+        // Local or network folder
+        if (preferences.folderEnabled && preferences.folderPath) {
+            const serviceInfo = this.createService('folder', {
+                folderPath: preferences.folderPath,
+                verifyCopies: preferences.folderVerifyCopies,
+                renameAfterUpload: preferences.folderRenameAfterUpload
+            });
+            createdServices.push(serviceInfo);
+        }
+
         return createdServices;
     }
 
+    /**
+     * Get the provider presets of a service type
+     * @param {string} serviceType - Type of service
+     * @returns {Object} Presets by provider id, empty for services without presets
+     */
+    getProviderPresets(serviceType) {
+        const ServiceClass = this.serviceTypes[serviceType];
+        if (!ServiceClass) {
+            throw new Error(`Unknown service type: ${serviceType}`);
+        }
+
+        return typeof ServiceClass.getProviderPresets === 'function' ? ServiceClass.getProviderPresets() : {};
+    }
+
     /**
      * Get all configured services
      * @returns {Array<Object>} Array of service info
@@ -1,21 +1,31 @@
 const { parentPort, workerData } = require('worker_threads');
 const path = require('path');
 
-const { workerId } = workerData;
+const { workerId, uploadStateDir } = workerData;
 
 console.log(`Upload worker ${workerId} started`);
 
 // Import upload services
 const { ZenTransferService } = require(path.join(__dirname, 'services', 'zentransfer-service.js'));
 const { AwsS3Service } = require(path.join(__dirname, 'services', 'aws-s3-service.js'));
+const { S3CompatibleService } = require(path.join(__dirname, 'services', 's3-compatible-service.js'));
 const { AzureBlobService } = require(path.join(__dirname, 'services', 'azure-blob-service.js'));
 const { GcpStorageService } = require(path.join(__dirname, 'services', 'gcp-storage-service.js'));
+const { SftpService } = require(path.join(__dirname, 'services', 'sftp-service.js'));
+const { FtpService } = require(path.join(__dirname, 'services', 'ftp-service.js'));
+const { WebDavService } = require(path.join(__dirname, 'services', 'webdav-service.js'));
+const { FolderService } = require(path.join(__dirname, 'services', 'folder-service.js'));
 
 // Worker state
 let zenTransferService = null;
 let awsS3Service = null;
+let s3CompatibleService = null;
 let azureBlobService = null;
 let gcpStorageService = null;
+let sftpService = null;
+let ftpService = null;
+let webdavService = null;
+let folderService = null;
 let cancelledJobs = new Set();
 let storedSessionConfig = null; // Store the full session configuration
 
@@ -234,12 +244,41 @@ async function uploadFile(fileData, sessionData, jobId) {
                 bucket: servicePreferences.awsS3Bucket,
                 accessKey: servicePreferences.awsS3AccessKey,
                 secretKey: servicePreferences.awsS3SecretKey,
-                storageClass: servicePreferences.awsS3StorageTier || 'STANDARD'
+                storageClass: servicePreferences.awsS3StorageTier || 'STANDARD',
+                partSizeMb: servicePreferences.awsS3PartSizeMb,
+                partConcurrency: servicePreferences.awsS3PartConcurrency,
+                multipartStateDir: uploadStateDir
             });
         }
         
         uploadService = awsS3Service;
         
+    } else if (targetService === 's3-compatible') {
+        // Use S3-compatible storage service
+        actualServiceName = 'S3-Compatible Storage';
+        
+        if (!s3CompatibleService) {
+            // Validate S3-compatible configuration
+            if (!servicePreferences.s3CompatBucket || !servicePreferences.s3CompatAccessKey || !servicePreferences.s3CompatSecretKey) {
+                throw new Error('Incomplete S3-compatible storage configuration. Please check your S3-compatible settings.');
+            }
+            
+            s3CompatibleService = new S3CompatibleService({
+                provider: servicePreferences.s3CompatProvider,
+                endpoint: servicePreferences.s3CompatEndpoint,
+                region: servicePreferences.s3CompatRegion,
+                bucket: servicePreferences.s3CompatBucket,
+                accessKey: servicePreferences.s3CompatAccessKey,
+                secretKey: servicePreferences.s3CompatSecretKey,
+                forcePathStyle: servicePreferences.s3CompatPathStyle,
+                checksumMode: servicePreferences.s3CompatChecksumMode,
+                signatureMode: servicePreferences.s3CompatSignatureMode,
+                multipartStateDir: uploadStateDir
+            });
+        }
+        
+        uploadService = s3CompatibleService;
+        
     } else if (targetService === 'azure-blob') {
         // Use Azure Blob Storage service
         actualServiceName = 'Azure Blob Storage';
@@ -276,6 +315,98 @@ async function uploadFile(fileData, sessionData, jobId) {
         
         uploadService = gcpStorageService;
         
+    } else if (targetService === 'sftp') {
+        // Use SFTP service
+        actualServiceName = 'SFTP';
+        
+        if (!sftpService) {
+            // Validate SFTP configuration
+            if (!servicePreferences.sftpHost || !servicePreferences.sftpUsername) {
+                throw new Error('Incomplete SFTP configuration. Please check your SFTP settings.');
+            }
+            
+            sftpService = new SftpService({
+                host: servicePreferences.sftpHost,
+                port: servicePreferences.sftpPort,
+                username: servicePreferences.sftpUsername,
+                authMethod: servicePreferences.sftpAuthMethod,
+                password: servicePreferences.sftpPassword,
+                privateKeyPath: servicePreferences.sftpPrivateKeyPath,
+                passphrase: servicePreferences.sftpPassphrase,
+                hostFingerprint: servicePreferences.sftpHostFingerprint,
+                remoteDirectory: servicePreferences.sftpRemoteDirectory,
+                renameAfterUpload: servicePreferences.sftpRenameAfterUpload
+            });
+        }
+        
+        uploadService = sftpService;
+        
+    } else if (targetService === 'ftp') {
+        // Use FTP / FTPS service
+        actualServiceName = 'FTP';
+        
+        if (!ftpService) {
+            // Validate FTP configuration
+            if (!servicePreferences.ftpHost || !servicePreferences.ftpUsername) {
+                throw new Error('Incomplete FTP configuration. Please check your FTP settings.');
+            }
+            
+            ftpService = new FtpService({
+                host: servicePreferences.ftpHost,
+                port: servicePreferences.ftpPort,
+                username: servicePreferences.ftpUsername,
+                password: servicePreferences.ftpPassword,
+                security: servicePreferences.ftpSecurity,
+                transferMode: servicePreferences.ftpTransferMode,
+                verifyCertificate: servicePreferences.ftpVerifyCertificate,
+                remoteDirectory: servicePreferences.ftpRemoteDirectory,
+                renameAfterUpload: servicePreferences.ftpRenameAfterUpload
+            });
+        }
+        
+        uploadService = ftpService;
+        
+    } else if (targetService === 'webdav') {
+        // Use WebDAV / Nextcloud service
+        actualServiceName = 'WebDAV';
+        
+        if (!webdavService) {
+            // Validate WebDAV configuration
+            if (!servicePreferences.webdavUrl || !servicePreferences.webdavUsername || !servicePreferences.webdavPassword) {
+                throw new Error('Incomplete WebDAV configuration. Please check your WebDAV settings.');
+            }
+            
+            webdavService = new WebDavService({
+                url: servicePreferences.webdavUrl,
+                username: servicePreferences.webdavUsername,
+                password: servicePreferences.webdavPassword,
+                remoteDirectory: servicePreferences.webdavRemoteDirectory,
+                chunkSizeMb: servicePreferences.webdavChunkSizeMb,
+                renameAfterUpload: servicePreferences.webdavRenameAfterUpload
+            });
+        }
+        
+        uploadService = webdavService;
+        
+    } else if (targetService === 'folder') {
+        // Use local / network folder service
+        actualServiceName = 'Folder';
+        
+        if (!folderService) {
+            // Validate folder configuration
+            if (!servicePreferences.folderPath) {
+                throw new Error('No upload folder selected. Please check your Folder settings.');
+            }
+            
+            folderService = new FolderService({
+                folderPath: servicePreferences.folderPath,
+                verifyCopies: servicePreferences.folderVerifyCopies,
+                renameAfterUpload: servicePreferences.folderRenameAfterUpload
+            });
+        }
+        
+        uploadService = folderService;
+        
     } else {
         // Use ZenTransfer service (default)
         actualServiceName = 'ZenTransfer';
@@ -305,19 +436,23 @@ async function uploadFile(fileData, sessionData, jobId) {
     
     console.log(`Worker ${workerId}: Using ${actualServiceName} for upload of ${fileName}`);
     
-    // Create a temporary file to work with the service
+    // Files from the import are read from disk by the service, dropped files arrive
+    // as a buffer and are written to a temporary file first
     const fs = require('fs');
     const os = require('os');
-    const tempFilePath = path.join(os.tmpdir(), `zentransfer_${Date.now()}_${fileName}`);
+    const tempFilePath = fileBuffer ? path.join(os.tmpdir(), `zentransfer_${Date.now()}_${fileName}`) : null;
+    const sourcePath = tempFilePath || fileData.filePath;
     
     try {
-      // Write buffer to temporary file
-      fs.writeFileSync(tempFilePath, fileBuffer);
+      if (tempFilePath) {
+        fs.writeFileSync(tempFilePath, fileBuffer);
+      }
       
       // Generate remote name with folder organization if needed
-      //remoteName = generateRemoteName(fileData.filePath, importSettings);
       let remoteName = fileName;
-      if (importSettings.destinationPath && importSettings.destinationPath.length > 0)
+      if (fileData.remoteName)
+        remoteName = fileData.remoteName; // Computed by the import worker (rename template and folders)
+      else if (importSettings.destinationPath && importSettings.destinationPath.length > 0)
         remoteName = fileData.filePath.substr(importSettings.destinationPath.length+1).replaceAll('\\', '/');
       
       // Extract skipDuplicates setting from importSettings (default to true if not specified)
@@ -341,7 +476,7 @@ async function uploadFile(fileData, sessionData, jobId) {
       
       // Call upload service
       const uploadResult = await uploadService.uploadFile(
-        tempFilePath, 
+        sourcePath, 
         remoteName, 
         correctMimeType,
         { 
@@ -373,7 +508,7 @@ async function uploadFile(fileData, sessionData, jobId) {
     } finally {
       // Clean up temporary file
       try {
-        if (fs.existsSync(tempFilePath)) {
+        if (tempFilePath && fs.existsSync(tempFilePath)) {
           fs.unlinkSync(tempFilePath);
         }
       } catch (cleanupError) {
@@ -404,64 +539,3 @@ process.on('SIGTERM', () => {
   console.log(`Upload worker ${workerId} shutting down`);
   process.exit(0);
 });
-
-/**
- * Get folder name for file organization based on import settings
- */
-function getFolderName(file, importSettings) {
-    if (!importSettings || !importSettings.organizeIntoFolders) {
-        return ''; // No folder organization
-    }
-    
-    const { folderOrganizationType, customFolderName, dateFormat } = importSettings;
-    
-    if (folderOrganizationType === 'custom') {
-        return customFolderName || 'Imported Files';
-    } else {
-        // Use file creation/modification date or current date
-        const fileStats = require('fs').statSync(file.path);
-        const date = fileStats.birthtime || fileStats.mtime || new Date();
-        return formatDateForFolder(date, dateFormat);
-    }
-}
-
-/**
- * Format date according to the selected format
- */
-function formatDateForFolder(date, format) {
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 
-                       'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-    const monthName = monthNames[date.getMonth()];
-
-    switch (format) {
-        case '2025/05/26': return `${year}/${month}/${day}`;
-        case '2025-05-26': return `${year}-${month}-${day}`;
-        case '2025/2025-05-26': return `${year}/${year}-${month}-${day}`;
-        case '2025/may 26': return `${year}/${monthName} ${day}`;
-        case '2025/05': return `${year}/${month}`;
-        case '2025/may': return `${year}/${monthName}`;
-        case '2025/may/26': return `${year}/${monthName}/${day}`;
-        case '2025/2025-05/2025-05-26': return `${year}/${year}-${month}/${year}-${month}-${day}`;
-        case '2025 may 26': return `${year} ${monthName} ${day}`;
-        case '20250526': return `${year}${month}${day}`;
-        default: return `${year}/${month}/${day}`;
-    }
-}
-
-/**
- * Generate remote name with folder organization
- */
-function generateRemoteName(fileName, importSettings) {
-    // Get folder name based on import settings
-    const folderName = getFolderName({ path: fileName }, importSettings);
-    
-    if (folderName) {
-        // Use forward slashes for cloud storage paths (works for S3, Azure, GCP)
-        return `${folderName}/${fileName}`.replace(/\\/g, '/');
-    } else {
-        return fileName;
-    }
-}
\ No newline at end of file